@@ -6,10 +6,14 @@ import process from "node:process";
 // 3rd-party packages
 import cli from "./bin/pdfgen4vcman-cli.js";
 import { generatePdfs } from "./lib/generator.js";
+import { generateManual } from "./lib/manual.js";
+import { getDefaultOptions } from "./lib/options.js";
 // replacement for "require.main === module"
 import esMain from "es-main";
 
 export default generatePdfs;
+export { generateManual, generatePdfs, getDefaultOptions };
+export { EVENT_MERGE_DONE, EVENT_PAGE_DONE, EVENT_PAGE_FAILED, EVENT_PAGE_RETRY, EVENT_PAGE_STARTED, EVENT_TOC_COLLECTED } from "./lib/events.js";
 
 if (esMain(import.meta)) {
   cli(process);
@@ -0,0 +1,180 @@
+// Node.js builtin packages
+import { mkdir, readFile } from "node:fs/promises";
+import { dirname, join } from "node:path";
+
+// logger
+import { loggers } from "winston";
+const logger = loggers.get("mainLogger");
+
+// Dependencies from this package
+import { EXIT_CODE_CANCELLED, createTemporaryDirectory, generateManual, removeTemporaryDirectory } from "./manual.js";
+import { parseJsonOptions } from "./options.js";
+
+// A batch file describes a set of manuals to be generated one after the other (e.g. the same
+// model for a dozen markets or a couple of model years), it's a JSON file like:
+// {
+//   "urlTemplate": "https://www.volvocars.com/{market}/support/car/{model}/{modelYear}/manual",
+//   "outputTemplate": "manuals/{model}-{modelYear}-{market}.pdf",
+//   "options": { "concurrency": 2 },
+//   "entries": [
+//     { "market": "uk", "model": "xc40", "modelYear": "2026" },
+//     { "market": "se-sv", "model": "xc40", "modelYear": "2026", "options": { "retries": 10 } },
+//     { "name": "ex30-de", "url": "<url>", "output": "ex30-de.pdf" }
+//   ]
+// }
+// (or just the list of entries). Every field of an entry (except "name", "url", "output" and
+// "options") is a variable of the templates. The options of the batch and of the entries are
+// the options of generateManual().
+export const BATCH_ENTRY_DONE = "done";
+// the PDF was generated, but some pages are missing from it
+export const BATCH_ENTRY_INCOMPLETE = "incomplete";
+export const BATCH_ENTRY_FAILED = "failed";
+export const BATCH_ENTRY_SKIPPED = "skipped";
+// the fields of an entry that are not template variables
+const ENTRY_FIELDS = [ "name", "url", "output", "options" ];
+// options of generateManual() that are set for the entries by the batch
+const RESERVED_BATCH_OPTIONS = [ "output", "events", "signal", "userDir", "diskCacheDir", "pdfDir" ];
+const EXIT_CODE_INCOMPLETE = 16;
+
+// replace the "{variable}" placeholders of a template
+export function fillTemplate(template, variables) {
+  return template.replaceAll(/\{([^{}]+)\}/g, (placeholder, name) => {
+    if (typeof variables[name] === "undefined") {
+      throw new Error(`the variable "${name}" of the template "${template}" is missing`);
+    }
+    return String(variables[name]);
+  });
+}
+
+// a name that can be used in file and directory names
+function sanitizeName(name) {
+  return name.replaceAll(/[^\p{L}\p{N}._-]+/gu, "_").replaceAll(/^[_.]+|_+$/g, "");
+}
+
+// load a batch file and turn it into the list of manuals to be generated
+// (throws an error if the batch file is not valid)
+export async function loadBatch(path) {
+  const batch = JSON.parse(await readFile(path, "utf8"));
+  const spec = Array.isArray(batch) ? { entries: batch } : batch;
+  if (!spec || !Array.isArray(spec.entries) || spec.entries.length == 0) {
+    throw new Error(`loadBatch(): ${path} has no "entries"`);
+  }
+  const batchOptions = parseJsonOptions(spec.options, RESERVED_BATCH_OPTIONS);
+  const names = new Set();
+  return spec.entries.map((entry, index) => {
+    const variables = Object.fromEntries(Object.entries(entry).filter(([ key ]) => !ENTRY_FIELDS.includes(key)));
+    const url = entry.url || (spec.urlTemplate ? fillTemplate(spec.urlTemplate, variables) : undefined);
+    if (!url) {
+      throw new Error(`loadBatch(): entry #${index + 1} has no "url" (and there's no "urlTemplate")`);
+    }
+    let name = sanitizeName(entry.name || Object.values(variables).join("-"));
+    if (name.length == 0) {
+      name = `entry-${index + 1}`;
+    }
+    if (names.has(name)) {
+      throw new Error(`loadBatch(): there are multiple entries with the name "${name}"`);
+    }
+    names.add(name);
+    return {
+      name: name,
+      url: url,
+      output: entry.output || (spec.outputTemplate ? fillTemplate(spec.outputTemplate, variables) : `${name}.pdf`),
+      options: Object.assign({}, batchOptions, parseJsonOptions(entry.options, RESERVED_BATCH_OPTIONS))
+    };
+  });
+}
+
+// Generate the manuals of a batch one after the other and return a report about them.
+// The browser profiles of the entries are created in "userDir/profile" (note: a browser profile
+// is deleted when its browser is closed, see cleanupBrowser() in generator.js, so no cookies or
+// consent state persist from one entry to the next), but the disk cache of Chromium is kept in
+// "userDir/cache" and shared by the entries (the scripts, styles, fonts and images of the site
+// are mostly the same for every manual), every entry gets its own subdirectory in "pdfDir" (the
+// manifest can't be shared).
+// options: { userDir, pdfDir, signal, stopOnError }
+export async function runBatch(entries, options) {
+  const report = {
+    startedAt: new Date().toISOString(),
+    finishedAt: undefined,
+    entries: []
+  };
+  const userDir = options.userDir || await createTemporaryDirectory("pdfgen4vcman-userDir-");
+  try {
+    await runBatchEntries(entries, options, userDir, report);
+  } finally {
+    await removeTemporaryDirectory(userDir);
+  }
+  report.finishedAt = new Date().toISOString();
+  return report;
+}
+
+async function runBatchEntries(entries, options, userDir, report) {
+  let stop = false;
+  for (const [ index, entry ] of entries.entries()) {
+    const entryReport = { name: entry.name, url: entry.url, output: entry.output, status: BATCH_ENTRY_SKIPPED, exitCode: undefined, pageCount: 0, failedPages: [], elapsedMs: 0 };
+    report.entries.push(entryReport);
+    if (stop || (options.signal && options.signal.aborted)) {
+      continue;
+    }
+    logger.info(`runBatch(): generating manual ${index + 1} of ${entries.length}: ${entry.name} (${entry.url})`);
+    const start = Date.now();
+    try {
+      await mkdir(dirname(entry.output), { recursive: true });
+      await mkdir(join(userDir, "profile"), { recursive: true });
+      let pdfDir = undefined;
+      if (options.pdfDir) {
+        pdfDir = join(options.pdfDir, entry.name);
+        await mkdir(pdfDir, { recursive: true });
+      }
+      const result = await generateManual(entry.url, Object.assign({}, entry.options, {
+        output: entry.output,
+        userDir: join(userDir, "profile"),
+        diskCacheDir: join(userDir, "cache"),
+        pdfDir: pdfDir,
+        signal: options.signal
+      }));
+      entryReport.exitCode = result.exitCode;
+      entryReport.pageCount = result.pageCount;
+      entryReport.failedPages = result.failedPages.map((page) => page.url);
+      if (result.exitCode == 0) {
+        entryReport.status = BATCH_ENTRY_DONE;
+      } else if (result.exitCode == EXIT_CODE_INCOMPLETE && result.output) {
+        entryReport.status = BATCH_ENTRY_INCOMPLETE;
+      } else {
+        entryReport.status = BATCH_ENTRY_FAILED;
+      }
+      if (result.exitCode == EXIT_CODE_CANCELLED) {
+        stop = true;
+      }
+    } catch (err) {
+      logger.error(`runBatch(): the generation of ${entry.name} failed with an error: `, err);
+      entryReport.status = BATCH_ENTRY_FAILED;
+      entryReport.error = err.message;
+    }
+    entryReport.elapsedMs = Date.now() - start;
+    logger.info(`runBatch(): ${entry.name} finished with status "${entryReport.status}" in ${entryReport.elapsedMs / 1000}s`);
+    if (entryReport.status == BATCH_ENTRY_FAILED && options.stopOnError) {
+      stop = true;
+    }
+  }
+}
+
+// a plain text summary of the report
+export function renderBatchReport(report) {
+  const lines = report.entries.map((entry) => {
+    let details = "";
+    if (entry.status == BATCH_ENTRY_DONE || entry.status == BATCH_ENTRY_INCOMPLETE) {
+      details = `${entry.pageCount} pages, ${entry.output}`;
+      if (entry.failedPages.length > 0) {
+        details += `, ${entry.failedPages.length} missing pages`;
+      }
+    } else if (entry.status == BATCH_ENTRY_FAILED) {
+      details = typeof entry.error !== "undefined" ? `error: ${entry.error}` : `exit code: ${entry.exitCode}`;
+    }
+    return `${entry.status.padEnd(10)} ${entry.name}${details.length > 0 ? " (" + details + ")" : ""}`;
+  });
+  const counts = [ BATCH_ENTRY_DONE, BATCH_ENTRY_INCOMPLETE, BATCH_ENTRY_FAILED, BATCH_ENTRY_SKIPPED ]
+    .map((status) => `${report.entries.filter((entry) => entry.status == status).length} ${status}`);
+  lines.push(`${report.entries.length} manuals: ${counts.join(", ")}`);
+  return lines.join("\n");
+}
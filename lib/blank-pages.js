@@ -0,0 +1,656 @@
+// Node.js builtin packages
+import { spawnSync } from "node:child_process";
+
+// 3rd-party packages
+// PDF generator (to merge Chromium generated PDFs into a single PDF)
+import { PDFArray, PDFDict, PDFName, PDFRawStream, PDFStream, decodePDFRawStream } from "pdf-lib";
+// logger
+import { loggers } from "winston";
+const logger = loggers.get("mainLogger");
+
+// Dependencies from this package
+import { removeMergedPage } from "./generator.js";
+
+// Detection of (mostly) empty pages.
+// The builtin detector estimates the "ink coverage" of every page of the merged PDF in-process
+// by interpreting the content streams of the page: the area of the non-white fills, strokes,
+// text and images is added up (weighted by how much ink the colour needs, like Ghostscript's
+// inkcov device reports the sum of the C, M, Y and K coverage) and divided by the page area.
+// So the "--pdf-cleanup-threshold" has (roughly) the same meaning for both backends.
+export const PDF_CLEANUP_BUILTIN = "builtin";
+export const PDF_CLEANUP_GHOSTSCRIPT = "ghostscript";
+export const PDF_CLEANUP_BACKENDS = [ PDF_CLEANUP_BUILTIN, PDF_CLEANUP_GHOSTSCRIPT ];
+
+// the part of the em square of a glyph that is actually covered by ink (a rough average for body text)
+const TEXT_INK_RATIO = 0.1;
+// form XObjects can be nested, but not indefinitely
+const MAX_FORM_DEPTH = 10;
+
+const WHITESPACE_CHARS = [ 0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20 ];
+const DELIMITER_CHARS = Array.from("()<>[]{}/%", (c) => c.charCodeAt(0));
+const NUMBER_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)$/;
+
+function isRegularChar(c) {
+  return !WHITESPACE_CHARS.includes(c) && !DELIMITER_CHARS.includes(c);
+}
+
+// split a content stream into operations ({ operator, operands })
+// Only what matters for the ink estimation is kept from the operands: numbers, names,
+// the byte length of strings and arrays of these.
+export function parseContentStream(bytes) {
+  const operations = [];
+  // the innermost array/dictionary is the last one
+  const containers = [ [] ];
+  let pos = 0;
+  const addOperand = (value) => containers[containers.length - 1].push(value);
+
+  while (pos < bytes.length) {
+    const c = bytes[pos];
+    if (WHITESPACE_CHARS.includes(c)) {
+      pos++;
+    } else if (c == 0x25) {
+      // "%" comment until the end of the line
+      while (pos < bytes.length && bytes[pos] != 0x0a && bytes[pos] != 0x0d) {
+        pos++;
+      }
+    } else if (c == 0x2f) {
+      // "/" name
+      let end = pos + 1;
+      while (end < bytes.length && isRegularChar(bytes[end])) {
+        end++;
+      }
+      addOperand({ name: Buffer.from(bytes.subarray(pos + 1, end)).toString("latin1") });
+      pos = end;
+    } else if (c == 0x28) {
+      // "(" literal string (with balanced parentheses and escapes)
+      let depth = 1;
+      let length = 0;
+      pos++;
+      while (pos < bytes.length && depth > 0) {
+        const sc = bytes[pos];
+        if (sc == 0x5c) {
+          const next = bytes[pos + 1];
+          if (next >= 0x30 && next <= 0x37) {
+            // octal character code (at most 3 digits)
+            pos += 2;
+            for (let i = 0; i < 2 && bytes[pos] >= 0x30 && bytes[pos] <= 0x37; i++) {
+              pos++;
+            }
+            length++;
+          } else if (next == 0x0d || next == 0x0a) {
+            // line continuation
+            pos += (next == 0x0d && bytes[pos + 2] == 0x0a) ? 3 : 2;
+          } else {
+            pos += 2;
+            length++;
+          }
+          continue;
+        }
+        if (sc == 0x28) {
+          depth++;
+        } else if (sc == 0x29) {
+          depth--;
+          if (depth == 0) {
+            pos++;
+            break;
+          }
+        }
+        length++;
+        pos++;
+      }
+      addOperand({ stringLength: length });
+    } else if (c == 0x3c && bytes[pos + 1] == 0x3c) {
+      // "<<" dictionary
+      containers.push([]);
+      pos += 2;
+    } else if (c == 0x3e && bytes[pos + 1] == 0x3e) {
+      // ">>" end of dictionary (its content is not needed)
+      if (containers.length > 1) {
+        containers.pop();
+        addOperand({ dict: true });
+      }
+      pos += 2;
+    } else if (c == 0x3c) {
+      // "<" hex string
+      let digits = 0;
+      pos++;
+      while (pos < bytes.length && bytes[pos] != 0x3e) {
+        if (!WHITESPACE_CHARS.includes(bytes[pos])) {
+          digits++;
+        }
+        pos++;
+      }
+      pos++;
+      addOperand({ stringLength: Math.ceil(digits / 2) });
+    } else if (c == 0x5b) {
+      // "[" array
+      containers.push([]);
+      pos++;
+    } else if (c == 0x5d) {
+      // "]" end of array
+      if (containers.length > 1) {
+        const array = containers.pop();
+        addOperand(array);
+      }
+      pos++;
+    } else if (DELIMITER_CHARS.includes(c)) {
+      // stray delimiter (e.g. "{" or "}"), skip it
+      pos++;
+    } else {
+      let end = pos;
+      while (end < bytes.length && isRegularChar(bytes[end])) {
+        end++;
+      }
+      const token = Buffer.from(bytes.subarray(pos, end)).toString("latin1");
+      pos = end;
+      if (NUMBER_PATTERN.test(token)) {
+        addOperand(parseFloat(token));
+      } else if ([ "true", "false", "null" ].includes(token)) {
+        addOperand({ keyword: token });
+      } else {
+        // an operator: the collected operands belong to it
+        // (unbalanced arrays/dictionaries are dropped)
+        operations.push({ operator: token, operands: containers[0] });
+        containers.length = 0;
+        containers.push([]);
+        if (token == "ID") {
+          // inline image data: skip the binary data until "EI"
+          pos++;
+          while (pos < bytes.length) {
+            if (bytes[pos] == 0x45 && bytes[pos + 1] == 0x49 && WHITESPACE_CHARS.includes(bytes[pos - 1])
+              && (pos + 2 >= bytes.length || !isRegularChar(bytes[pos + 2]))) {
+              break;
+            }
+            pos++;
+          }
+          pos += 2;
+          operations.push({ operator: "EI", operands: [] });
+        }
+      }
+    }
+  }
+  return operations;
+}
+
+// [ a b c d e f ] matrices as in the PDF specification (m1 is applied first)
+export function multiplyMatrices(m1, m2) {
+  return [
+    m1[0] * m2[0] + m1[1] * m2[2],
+    m1[0] * m2[1] + m1[1] * m2[3],
+    m1[2] * m2[0] + m1[3] * m2[2],
+    m1[2] * m2[1] + m1[3] * m2[3],
+    m1[4] * m2[0] + m1[5] * m2[2] + m2[4],
+    m1[4] * m2[1] + m1[5] * m2[3] + m2[5]
+  ];
+}
+
+function transformPoint(m, x, y) {
+  return [ m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5] ];
+}
+
+// the (linear) scaling factor of a matrix
+function getMatrixScale(m) {
+  return Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+}
+
+// the amount of ink needed for a colour (0: white, 1: black, up to 4 for a "rich" colour),
+// the colour space is guessed based on the number of components (gray, RGB or CMYK)
+// and the RGB -> CMYK conversion is the naive one (with full black generation)
+function getColorInk(components) {
+  const values = components.filter((x) => typeof x === "number");
+  if (values.length < components.length || values.length == 0) {
+    // a pattern (or something we don't understand), let's say it's black
+    return 1;
+  }
+  if (values.length == 1) {
+    return 1 - values[0];
+  }
+  if (values.length == 3) {
+    const max = Math.max(...values);
+    return 1 + 2 * max - values[0] - values[1] - values[2];
+  }
+  return values.slice(0, 4).reduce((sum, x) => sum + x, 0);
+}
+
+// the area of the bounding box of the points (clipped to the page box)
+function getClippedBoxArea(points, pageBox) {
+  if (points.length == 0) {
+    return 0;
+  }
+  const xs = points.map((p) => p[0]);
+  const ys = points.map((p) => p[1]);
+  const width = Math.min(Math.max(...xs), pageBox.right) - Math.max(Math.min(...xs), pageBox.left);
+  const height = Math.min(Math.max(...ys), pageBox.top) - Math.max(Math.min(...ys), pageBox.bottom);
+  return width > 0 && height > 0 ? width * height : 0;
+}
+
+export function getContentStreamBytes(stream) {
+  if (stream instanceof PDFRawStream) {
+    return decodePDFRawStream(stream).decode();
+  }
+  if (typeof stream.getUnencodedContents === "function") {
+    return stream.getUnencodedContents();
+  }
+  return stream.getContents();
+}
+
+function lookupResource(context, resources, category, name) {
+  if (!resources) {
+    return undefined;
+  }
+  const dict = resources.lookupMaybe(PDFName.of(category), PDFDict);
+  if (!dict) {
+    return undefined;
+  }
+  return context.lookup(dict.get(PDFName.of(name)));
+}
+
+// add up the ink of the operations of a content stream (and the form XObjects it paints)
+function estimateContentInk(context, operations, resources, initialCtm, pageBox, depth) {
+  let ink = 0;
+  let state = {
+    ctm: initialCtm,
+    fillInk: 1,
+    strokeInk: 1,
+    lineWidth: 1,
+    fontSize: 0,
+    bytesPerGlyph: 1,
+    textRenderMode: 0,
+    horizontalScale: 1
+  };
+  const stateStack = [];
+  let pathPoints = [];
+  let pathLength = 0;
+  let currentPoint = undefined;
+  let subpathStart = undefined;
+  let textMatrix = [ 1, 0, 0, 1, 0, 0 ];
+  let textLineMatrix = [ 1, 0, 0, 1, 0, 0 ];
+  let leading = 0;
+
+  const addPathPoint = (x, y, isLine) => {
+    const p = transformPoint(state.ctm, x, y);
+    if (isLine && currentPoint) {
+      pathLength += Math.hypot(p[0] - currentPoint[0], p[1] - currentPoint[1]);
+    }
+    pathPoints.push(p);
+    currentPoint = p;
+    return p;
+  };
+  const paintPath = (fill, stroke) => {
+    if (fill) {
+      ink += getClippedBoxArea(pathPoints, pageBox) * state.fillInk;
+    }
+    if (stroke) {
+      // a zero line width means the thinnest line that can be rendered
+      ink += pathLength * Math.max(state.lineWidth * getMatrixScale(state.ctm), 0.5) * state.strokeInk;
+    }
+    pathPoints = [];
+    pathLength = 0;
+    currentPoint = undefined;
+    subpathStart = undefined;
+  };
+  const showText = (byteLength) => {
+    if (state.textRenderMode == 3 || state.textRenderMode == 7) {
+      // invisible text
+      return;
+    }
+    const glyphCount = byteLength / state.bytesPerGlyph;
+    const fontSize = state.fontSize * getMatrixScale(multiplyMatrices(textMatrix, state.ctm));
+    const colorInk = [ 1, 5 ].includes(state.textRenderMode) ? state.strokeInk : state.fillInk;
+    ink += glyphCount * fontSize * fontSize * state.horizontalScale * TEXT_INK_RATIO * colorInk;
+  };
+  const nextLine = (tx, ty) => {
+    textLineMatrix = multiplyMatrices([ 1, 0, 0, 1, tx, ty ], textLineMatrix);
+    textMatrix = textLineMatrix;
+  };
+
+  for (const { operator, operands } of operations) {
+    const numbers = operands.filter((x) => typeof x === "number");
+    switch (operator) {
+      case "q":
+        stateStack.push(state);
+        state = Object.assign({}, state);
+        break;
+      case "Q":
+        if (stateStack.length > 0) {
+          state = stateStack.pop();
+        }
+        break;
+      case "cm":
+        if (numbers.length == 6) {
+          state.ctm = multiplyMatrices(numbers, state.ctm);
+        }
+        break;
+      case "w":
+        state.lineWidth = numbers.length > 0 ? numbers[0] : state.lineWidth;
+        break;
+      case "g":
+      case "rg":
+      case "k":
+      case "sc":
+      case "scn":
+        state.fillInk = getColorInk(operands);
+        break;
+      case "G":
+      case "RG":
+      case "K":
+      case "SC":
+      case "SCN":
+        state.strokeInk = getColorInk(operands);
+        break;
+      case "cs":
+        // the initial colour of every colour space is black (or "no colour" for a pattern)
+        state.fillInk = 1;
+        break;
+      case "CS":
+        state.strokeInk = 1;
+        break;
+      case "m":
+        if (numbers.length == 2) {
+          subpathStart = addPathPoint(numbers[0], numbers[1], false);
+        }
+        break;
+      case "l":
+        if (numbers.length == 2) {
+          addPathPoint(numbers[0], numbers[1], true);
+        }
+        break;
+      case "c":
+      case "v":
+      case "y":
+        // the length of a curve is approximated with the distance of its end points,
+        // the control points are part of the bounding box
+        for (let i = 0; i + 1 < numbers.length; i += 2) {
+          addPathPoint(numbers[i], numbers[i + 1], i + 2 == numbers.length);
+        }
+        break;
+      case "h":
+        if (subpathStart && currentPoint) {
+          pathLength += Math.hypot(subpathStart[0] - currentPoint[0], subpathStart[1] - currentPoint[1]);
+          currentPoint = subpathStart;
+        }
+        break;
+      case "re":
+        if (numbers.length == 4) {
+          const [ x, y, w, h ] = numbers;
+          subpathStart = addPathPoint(x, y, false);
+          addPathPoint(x + w, y, true);
+          addPathPoint(x + w, y + h, true);
+          addPathPoint(x, y + h, true);
+          addPathPoint(x, y, true);
+        }
+        break;
+      case "f":
+      case "F":
+      case "f*":
+        paintPath(true, false);
+        break;
+      case "S":
+      case "s":
+        paintPath(false, true);
+        break;
+      case "B":
+      case "B*":
+      case "b":
+      case "b*":
+        paintPath(true, true);
+        break;
+      case "n":
+        paintPath(false, false);
+        break;
+      case "sh":
+        // a shading fills the current clipping path, which is not tracked,
+        // so (to be on the safe side) it's considered to cover the whole page
+        ink += (pageBox.right - pageBox.left) * (pageBox.top - pageBox.bottom);
+        break;
+      case "BT":
+        textMatrix = [ 1, 0, 0, 1, 0, 0 ];
+        textLineMatrix = [ 1, 0, 0, 1, 0, 0 ];
+        break;
+      case "Tf":
+        if (numbers.length == 1 && operands[0] && operands[0].name) {
+          state.fontSize = numbers[0];
+          const font = lookupResource(context, resources, "Font", operands[0].name);
+          state.bytesPerGlyph = font instanceof PDFDict && font.get(PDFName.of("Subtype")) === PDFName.of("Type0") ? 2 : 1;
+        }
+        break;
+      case "Tr":
+        state.textRenderMode = numbers.length > 0 ? numbers[0] : 0;
+        break;
+      case "Tz":
+        state.horizontalScale = numbers.length > 0 ? numbers[0] / 100 : 1;
+        break;
+      case "TL":
+        leading = numbers.length > 0 ? numbers[0] : 0;
+        break;
+      case "Tm":
+        if (numbers.length == 6) {
+          textLineMatrix = numbers;
+          textMatrix = numbers;
+        }
+        break;
+      case "Td":
+        if (numbers.length == 2) {
+          nextLine(numbers[0], numbers[1]);
+        }
+        break;
+      case "TD":
+        if (numbers.length == 2) {
+          leading = -numbers[1];
+          nextLine(numbers[0], numbers[1]);
+        }
+        break;
+      case "T*":
+        nextLine(0, -leading);
+        break;
+      case "Tj":
+        if (operands[0] && typeof operands[0].stringLength === "number") {
+          showText(operands[0].stringLength);
+        }
+        break;
+      case "'":
+      case "\"":
+        nextLine(0, -leading);
+        if (operands.length > 0 && typeof operands[operands.length - 1].stringLength === "number") {
+          showText(operands[operands.length - 1].stringLength);
+        }
+        break;
+      case "TJ":
+        if (Array.isArray(operands[0])) {
+          showText(operands[0].reduce((sum, x) => sum + (typeof x.stringLength === "number" ? x.stringLength : 0), 0));
+        }
+        break;
+      case "EI": {
+        // an inline image paints the unit square
+        const corners = [ [ 0, 0 ], [ 1, 0 ], [ 1, 1 ], [ 0, 1 ] ].map(([ x, y ]) => transformPoint(state.ctm, x, y));
+        ink += getClippedBoxArea(corners, pageBox);
+        break;
+      }
+      case "Do": {
+        if (!operands[0] || !operands[0].name) {
+          break;
+        }
+        const xObject = lookupResource(context, resources, "XObject", operands[0].name);
+        if (!(xObject instanceof PDFStream)) {
+          break;
+        }
+        const subtype = xObject.dict.get(PDFName.of("Subtype"));
+        if (subtype === PDFName.of("Image")) {
+          // an image paints the unit square (the colour of an image mask is the fill colour)
+          const isMask = String(xObject.dict.get(PDFName.of("ImageMask"))) === "true";
+          const corners = [ [ 0, 0 ], [ 1, 0 ], [ 1, 1 ], [ 0, 1 ] ].map(([ x, y ]) => transformPoint(state.ctm, x, y));
+          ink += getClippedBoxArea(corners, pageBox) * (isMask ? state.fillInk : 1);
+        } else if (subtype === PDFName.of("Form") && depth < MAX_FORM_DEPTH) {
+          const matrix = xObject.dict.lookupMaybe(PDFName.of("Matrix"), PDFArray);
+          const formMatrix = matrix ? matrix.asArray().map((x) => context.lookup(x).asNumber()) : [ 1, 0, 0, 1, 0, 0 ];
+          const formResources = xObject.dict.lookupMaybe(PDFName.of("Resources"), PDFDict) || resources;
+          const formOperations = parseContentStream(getContentStreamBytes(xObject));
+          ink += estimateContentInk(context, formOperations, formResources, multiplyMatrices(formMatrix, state.ctm), pageBox, depth + 1);
+        }
+        break;
+      }
+    }
+  }
+  return ink;
+}
+
+// estimate the ink coverage of a page of the PDF document
+// (0: empty page, 1: fully covered with black, can be more than 1 for colourful pages,
+// see the description at the beginning of this file)
+export function estimateInkCoverage(pdfDoc, pageIndex) {
+  const page = pdfDoc.getPage(pageIndex);
+  const { x, y, width, height } = page.getMediaBox();
+  const pageBox = { left: x, bottom: y, right: x + width, top: y + height };
+  const pageArea = width * height;
+  if (!(pageArea > 0)) {
+    return 0;
+  }
+  const contents = page.node.Contents();
+  if (!contents) {
+    return 0;
+  }
+  const streams = contents instanceof PDFArray
+    ? contents.asArray().map((x) => pdfDoc.context.lookup(x))
+    : [ contents ];
+  const bytes = Buffer.concat(streams
+    .filter((stream) => stream instanceof PDFStream)
+    // the content streams of a page are concatenated (with a whitespace in between)
+    .flatMap((stream) => [ Buffer.from(getContentStreamBytes(stream)), Buffer.from("\n") ]));
+  const ink = estimateContentInk(pdfDoc.context, parseContentStream(bytes), page.node.Resources(), [ 1, 0, 0, 1, 0, 0 ], pageBox, 0);
+  return ink / pageArea;
+}
+
+// remove the pages of the merged PDF with an estimated ink coverage below the threshold
+// returns the number of removed pages
+export function removeBlankPages(pdfDoc, mergeInfo, threshold) {
+  let removedPageCount = 0;
+  const pageCount = pdfDoc.getPageCount();
+  for (let i = 0; i < pageCount; i++) {
+    let coverage = undefined;
+    try {
+      coverage = estimateInkCoverage(pdfDoc, i - removedPageCount);
+    } catch (err) {
+      logger.warn(`removeBlankPages(): failed to analyze page #${i}, keeping it: `, err);
+      continue;
+    }
+    logger.debug(`removeBlankPages(): page #${i} estimated ink coverage: ${coverage}`);
+    if (coverage < threshold) {
+      logger.verbose(`removeBlankPages(): removing page #${i} from the output (estimated ink coverage: ${coverage})`);
+      removeMergedPage(pdfDoc, mergeInfo, i - removedPageCount);
+      removedPageCount++;
+    }
+  }
+  logger.debug(`removeBlankPages(): removed ${removedPageCount} pages`);
+  return removedPageCount;
+}
+
+function buffer2string(input) {
+  let ret;
+  if (input !== null && input.constructor && input.constructor.name && input.constructor.name.toLowerCase() == "buffer") {
+    ret = input.toString();
+  } else {
+    ret = input;
+  }
+  return ret;
+}
+
+// remove the empty pages of the merged PDF based on the ink coverage reported by Ghostscript
+// for the saved PDF at pdfPath (i.e. the merged PDF has to be saved before calling this)
+// returns the number of removed pages and an exit code (zero if Ghostscript could be used)
+export function removeBlankPagesWithGhostscript(pdfDoc, mergeInfo, pdfPath, options) {
+  let exitCode = 0;
+  let removedPageCount = 0;
+  // https://ghostscript.readthedocs.io/en/latest/Devices.html#ink-coverage-output
+  // Ghostscript ink coverage output.
+  // The inkcov device considers each rendered pixel and whether it marks
+  // the C, M, Y or K channels. So the percentages are a measure of how many
+  // device pixels contain that ink.
+  const cmd = options.ghostscriptPath;
+  const cmdArgs = [ "-q", "-o", "-", "-sDEVICE=inkcov", pdfPath ];
+  logger.verbose(`removeBlankPagesWithGhostscript(): executing command: "${cmd} ${cmdArgs.join(" ")}"`);
+  const spawnResult = spawnSync(cmd, cmdArgs, {
+    stdio: "pipe"
+  });
+  if (spawnResult) {
+    if (spawnResult.stdout) {
+      spawnResult.stdout = buffer2string(spawnResult.stdout);
+    }
+    if (spawnResult.stderr) {
+      spawnResult.stderr = buffer2string(spawnResult.stderr);
+    }
+    if (spawnResult.output) {
+      spawnResult.output = spawnResult.output.map((x) => buffer2string(x));
+    }
+    if (spawnResult.status == 0 && typeof spawnResult.error == "undefined") {
+      if (spawnResult.stdout) {
+        logger.debug("removeBlankPagesWithGhostscript(): execution result: ", spawnResult);
+        const lines = spawnResult.stdout
+          .replaceAll(/^\s+/mg, "")
+          .split(/[\r\n]+/)
+        ;
+        for (let i = 0; i < lines.length; i++) {
+          const line = lines[i];
+          if (line.length > 0) {
+            const fields = line.split(/\s+/);
+            if (fields.length >= 4) {
+              let sum = 0;
+              for (let k = 0; k < 4; k++) {
+                const val = parseFloat(fields[k]);
+                if (!isNaN(val)) {
+                  sum += val;
+                } else {
+                  logger.error(`removeBlankPagesWithGhostscript(): in GS's output in line #${i} the field #${k} is not a number: "${line}"`);
+                  exitCode = 7;
+                  sum = -1;
+                  break;
+                }
+              }
+              logger.debug(`removeBlankPagesWithGhostscript(): page #${i} ink coverage sum: ${sum}`);
+              if (sum >= 0 && sum < options.pdfCleanupThreshold) {
+                logger.verbose(`removeBlankPagesWithGhostscript(): removing page #${i} from the output (ink coverage sum: ${sum})`);
+                removeMergedPage(pdfDoc, mergeInfo, i - removedPageCount);
+                removedPageCount++;
+              }
+            } else {
+              logger.debug(`removeBlankPagesWithGhostscript(): line #${i} in GS output doesn't have 4 or more fields`);
+            }
+          } else {
+            logger.debug(`removeBlankPagesWithGhostscript(): line #${i} in GS output is empty`);
+          }
+        };
+        logger.debug(`removeBlankPagesWithGhostscript(): removed ${removedPageCount} pages`);
+      } else {
+        logger.error("removeBlankPagesWithGhostscript(): executing Ghostscript failed, spawnSync() returned a result with empty stdout (this should not be possible)");
+        exitCode = 8;
+        logger.verbose("removeBlankPagesWithGhostscript(): child process details: ", { cmd: cmd, args: cmdArgs, result: spawnResult } );
+      }
+    } else {
+      logger.error(`removeBlankPagesWithGhostscript(): executing Ghostscript failed: exit status = ${spawnResult.status}`);
+      exitCode = 9;
+      if (spawnResult.error) {
+        logger.error(`removeBlankPagesWithGhostscript(): error code = ${spawnResult.error.code}, error message = "${spawnResult.error.message}"`);
+        exitCode = 10;
+        if (spawnResult.error.code == "ENOENT") {
+          logger.error(`removeBlankPagesWithGhostscript(): ${spawnResult.error.code} means that the file at the "${cmd}" path was not found on the PATH or it could not be executed`);
+          exitCode = 11;
+          logger.info("removeBlankPagesWithGhostscript(): you can specify a different path for Ghostscript by using the \"--ghostscript-path\" option or disable use of Ghostscript to remove empty pages by using the \"--no-pdf-cleanup\" option");
+        }
+      }
+      if (spawnResult.stdout && spawnResult.stdout.length > 0) {
+        logger.error(`removeBlankPagesWithGhostscript(): stdout = ${spawnResult.stdout}`);
+        exitCode = 12;
+      }
+      if (spawnResult.stderr && spawnResult.stderr.length > 0) {
+        logger.error(`removeBlankPagesWithGhostscript(): stderr = ${spawnResult.stderr}`);
+        exitCode = 13;
+      }
+      logger.info("removeBlankPagesWithGhostscript(): check \"https://nodejs.org/api/errors.html\" for description of error codes/messages that are not trivial (and/or set log level to \"verbose\" or higher to get more details on the error");
+      logger.verbose("removeBlankPagesWithGhostscript(): child process details: ", { cmd: cmd, args: cmdArgs, result: spawnResult } );
+    }
+  } else {
+    logger.error("removeBlankPagesWithGhostscript(): executing Ghostscript failed, spawnSync() returned empty result (this should not be possible)");
+    exitCode = 14;
+    logger.verbose("removeBlankPagesWithGhostscript(): child process details: ", { cmd: cmd, args: cmdArgs } );
+  }
+  return { removedPageCount: removedPageCount, exitCode: exitCode };
+}
@@ -0,0 +1,83 @@
+// logger
+import { loggers } from "winston";
+const logger = loggers.get("mainLogger");
+
+// Render completeness check of a page right before it's saved as PDF: the resource load errors
+// (see "--resource-http-error-allowed") don't tell whether something is actually missing from
+// the page (e.g. an image that was never requested, because its lazy loading never started).
+// The (visible) elements of the page are checked:
+// - "broken-image": an <img> that failed to load (its naturalWidth is 0) or is still loading
+// - "picture-source": the same for the <img> of a <picture>, with the <source> that was selected
+// - "lazy-placeholder": an <img> that still shows the placeholder of a lazy loader (its real
+//   source is still in a "data-src" / "data-srcset" attribute or it has the "lazyload" class)
+// - "video-poster": a <video> whose poster image can't be loaded
+// The issues are recorded in the manifest for the page (see recordPageDone()) and more than
+// "--render-issues-allowed" of them fail the attempt (i.e. the page is retried) at leniency 0.
+export const RENDER_ISSUE_BROKEN_IMAGE = "broken-image";
+export const RENDER_ISSUE_PICTURE_SOURCE = "picture-source";
+export const RENDER_ISSUE_LAZY_PLACEHOLDER = "lazy-placeholder";
+export const RENDER_ISSUE_VIDEO_POSTER = "video-poster";
+
+// the time (in milliseconds) the images that are still loading get to finish
+const IMAGE_LOAD_TIMEOUT = 5000;
+
+// the render issues of the page: [ { type, src }, ... ]
+export async function checkRenderCompleteness(browserPage) {
+  const issues = await browserPage.evaluate(async (types, imageLoadTimeout) => {
+    const isRendered = (element) => element.getClientRects().length > 0 && getComputedStyle(element).visibility !== "hidden";
+    const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+    const waitForImage = (image) => new Promise((resolve) => {
+      if (image.complete) {
+        resolve();
+        return;
+      }
+      image.addEventListener("load", () => resolve(), { once: true });
+      image.addEventListener("error", () => resolve(), { once: true });
+    });
+    const images = Array.from(document.querySelectorAll("img")).filter(isRendered);
+    // the images that are still loading get a bit more time (e.g. the ones that scrolling triggered)
+    await Promise.race([ Promise.all(images.map(waitForImage)), wait(imageLoadTimeout) ]);
+
+    const result = [];
+    for (const image of images) {
+      const src = image.currentSrc || image.getAttribute("src") || "";
+      const isPlaceholder = (image.dataset.src || image.dataset.srcset)
+        && (src.length == 0 || src.startsWith("data:") || !image.complete);
+      if (isPlaceholder || (image.classList.contains("lazyload") && !image.classList.contains("lazyloaded"))) {
+        result.push({ type: types.lazyPlaceholder, src: image.dataset.src || image.dataset.srcset || src });
+      } else if (!image.complete || image.naturalWidth == 0) {
+        // (an <img> without a source is not an image that went missing)
+        if (src.length == 0 && !image.getAttribute("srcset")) {
+          continue;
+        }
+        const inPicture = image.parentElement && image.parentElement.tagName.toUpperCase() === "PICTURE";
+        result.push({ type: inPicture ? types.pictureSource : types.brokenImage, src: src || image.getAttribute("srcset") });
+      }
+    }
+    const videos = Array.from(document.querySelectorAll("video[poster]")).filter(isRendered);
+    await Promise.all(videos.map(async (video) => {
+      const poster = new Image();
+      poster.src = video.poster;
+      await Promise.race([ waitForImage(poster), wait(imageLoadTimeout) ]);
+      if (!poster.complete || poster.naturalWidth == 0) {
+        result.push({ type: types.videoPoster, src: video.poster });
+      }
+    }));
+    return result;
+  }, {
+    brokenImage: RENDER_ISSUE_BROKEN_IMAGE,
+    pictureSource: RENDER_ISSUE_PICTURE_SOURCE,
+    lazyPlaceholder: RENDER_ISSUE_LAZY_PLACEHOLDER,
+    videoPoster: RENDER_ISSUE_VIDEO_POSTER
+  }, IMAGE_LOAD_TIMEOUT);
+  issues.forEach((issue) => logger.verbose(`checkRenderCompleteness(): ${issue.type}: ${issue.src}`));
+  return issues;
+}
+
+// a short description of the render issues (for the logs and the error messages),
+// e.g. "2 broken-image, 1 video-poster"
+export function describeRenderIssues(issues) {
+  const counts = new Map();
+  issues.forEach((issue) => counts.set(issue.type, (counts.get(issue.type) || 0) + 1));
+  return Array.from(counts.entries(), ([ type, count ]) => `${count} ${type}`).join(", ");
+}
@@ -0,0 +1,122 @@
+// Node.js builtin packages
+import { createHash } from "node:crypto";
+
+// 3rd-party packages
+// PDF generator (to merge Chromium generated PDFs into a single PDF)
+import { PDFArray, PDFDict, PDFName, PDFObjectCopier, PDFPage, PDFRef, PDFStream } from "pdf-lib";
+
+// Deduplication of the shared resources of the articles (fonts, icons, warning pictograms, etc.)
+// while they are merged: every article PDF has its own copy of them, but an object of an article
+// that is identical to an object that is already in the merged PDF is not copied again, the pages
+// of the article refer to the one that is already there.
+// Identical means the same content (for streams the same raw bytes) and the same dictionary
+// entries, references are compared by the content of the referenced objects.
+const DEDUPLICATED_DICT_TYPES = [ "Font", "FontDescriptor" ];
+// back references (e.g. to the page tree) are not followed while hashing
+const IGNORED_KEYS = [ "Parent", "P", "Length" ];
+
+// the deduplication index of a merged PDF (the references are valid only in that document)
+export function createDedupIndex() {
+  return {
+    // hash of an object -> reference of the object in the merged PDF
+    refs: new Map(),
+    dedupedObjectCount: 0,
+    dedupedByteCount: 0
+  };
+}
+
+function digest(text) {
+  return createHash("sha1").update(text).digest("hex");
+}
+
+// a string that identifies the content of an object (the referenced objects are hashed
+// recursively, the hashes of the references are memoized in "memo")
+export function hashPdfObject(context, object, memo, visiting = new Set()) {
+  if (object instanceof PDFRef) {
+    if (memo.has(object)) {
+      return memo.get(object);
+    }
+    if (visiting.has(object)) {
+      // (a reference cycle, the object is identified by its reference, i.e. it's never a duplicate)
+      return `cycle:${object.toString()}`;
+    }
+    visiting.add(object);
+    const hash = "ref:" + digest(hashPdfObject(context, context.lookup(object), memo, visiting));
+    visiting.delete(object);
+    memo.set(object, hash);
+    return hash;
+  }
+  if (object instanceof PDFStream) {
+    return "stream:" + hashPdfObject(context, object.dict, memo, visiting) + ":" + createHash("sha1").update(object.getContents()).digest("hex");
+  }
+  if (object instanceof PDFDict) {
+    const entries = object.entries()
+      .filter(([ key ]) => !IGNORED_KEYS.includes(key.decodeText()))
+      .map(([ key, value ]) => `${key.toString()} ${hashPdfObject(context, value, memo, visiting)}`)
+      .sort();
+    return `<<${entries.join(" ")}>>`;
+  }
+  if (object instanceof PDFArray) {
+    return `[${object.asArray().map((value) => hashPdfObject(context, value, memo, visiting)).join(" ")}]`;
+  }
+  return object ? object.toString() : "null";
+}
+
+// the references of the content streams of the pages (they're unique to their pages)
+function getContentStreamRefs(pdfDoc) {
+  const refs = new Set();
+  for (const page of pdfDoc.getPages()) {
+    const contents = page.node.get(PDFName.of("Contents"));
+    const contentRefs = contents instanceof PDFArray ? contents.asArray() : [ contents ];
+    contentRefs.filter((ref) => ref instanceof PDFRef).forEach((ref) => refs.add(ref));
+  }
+  return refs;
+}
+
+// the objects of a document that are deduplicated: [ reference, object, hash ]
+// (the content streams of the pages only if "includeContentStreams" is true)
+export function getDedupCandidates(pdfDoc, includeContentStreams = false) {
+  const contentStreamRefs = includeContentStreams ? new Set() : getContentStreamRefs(pdfDoc);
+  const memo = new Map();
+  const candidates = [];
+  for (const [ ref, object ] of pdfDoc.context.enumerateIndirectObjects()) {
+    const isCandidate = object instanceof PDFStream
+      ? !contentStreamRefs.has(ref)
+      : object instanceof PDFDict && object.get(PDFName.of("Type")) instanceof PDFName && DEDUPLICATED_DICT_TYPES.includes(object.get(PDFName.of("Type")).decodeText());
+    if (isCandidate) {
+      candidates.push([ ref, object, hashPdfObject(pdfDoc.context, ref, memo) ]);
+    }
+  }
+  return candidates;
+}
+
+// copy all the pages of "srcDoc" into "destDoc" (like PDFDocument.copyPages()), but the objects that
+// are already in "destDoc" (according to the deduplication index) are not copied again,
+// returns the copied pages (they still have to be added to "destDoc")
+export async function copyPagesDeduplicated(destDoc, srcDoc, dedupIndex) {
+  await srcDoc.flush();
+  const copier = PDFObjectCopier.for(srcDoc.context, destDoc.context);
+  const candidates = getDedupCandidates(srcDoc);
+  const newCandidates = [];
+  for (const [ ref, object, hash ] of candidates) {
+    if (dedupIndex.refs.has(hash)) {
+      // the copier takes the already copied object for the reference
+      copier.traversedObjects.set(ref, dedupIndex.refs.get(hash));
+      dedupIndex.dedupedObjectCount++;
+      dedupIndex.dedupedByteCount += object instanceof PDFStream ? object.getContentsSize() : 0;
+    } else {
+      newCandidates.push([ ref, hash ]);
+    }
+  }
+  const copiedPages = srcDoc.getPages().map((srcPage) => {
+    const copiedPage = copier.copy(srcPage.node);
+    return PDFPage.of(copiedPage, destDoc.context.register(copiedPage), destDoc);
+  });
+  // only the objects that were actually copied (i.e. used by the pages) can be re-used
+  for (const [ ref, hash ] of newCandidates) {
+    if (copier.traversedObjects.has(ref) && !dedupIndex.refs.has(hash)) {
+      dedupIndex.refs.set(hash, copier.traversedObjects.get(ref));
+    }
+  }
+  return copiedPages;
+}
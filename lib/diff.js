@@ -0,0 +1,303 @@
+// Node.js builtin packages
+import { readFile, stat } from "node:fs/promises";
+import { dirname, join } from "node:path";
+
+// Dependencies from this package
+import { getPdfPath, getTextPath } from "./generator.js";
+import { MANIFEST_FILENAME, PAGE_DONE } from "./manifest.js";
+
+// logger
+import { loggers } from "winston";
+const logger = loggers.get("mainLogger");
+
+// Compare two runs (i.e. two "--pdf-dir" directories with their manifests) and report the
+// added, removed and changed articles. Articles are compared by the plain text version
+// saved by generatePagePdf() (the PDFs themselves differ in every run, e.g. their creation date).
+
+export const DIFF_FORMATS = [ "markdown", "html" ];
+const CONTEXT_LINES = 3;
+// above this (number of old lines * number of new lines) we don't try to find the
+// longest common subsequence, the whole article is reported as replaced
+const MAX_DIFF_MATRIX_SIZE = 25000000;
+
+// load the manifest of a run (from a "--pdf-dir" directory or a manifest file)
+async function loadRun(path) {
+  const pathStat = await stat(path);
+  const manifestPath = pathStat.isDirectory() ? join(path, MANIFEST_FILENAME) : path;
+  const manifest = JSON.parse(await readFile(manifestPath, "utf8"));
+  if (!manifest || !Array.isArray(manifest.urls) || typeof manifest.pages !== "object") {
+    throw new Error(`loadRun(): ${manifestPath} is not a manifest of a pdfgen4vcman run`);
+  }
+  logger.verbose(`loadRun(): loaded manifest from ${manifestPath} with ${manifest.urls.length} URLs`);
+  return { manifestPath: manifestPath, pdfDir: dirname(manifestPath), manifest: manifest };
+}
+
+function collectTitles(nodes, titles) {
+  for (const node of nodes || []) {
+    if (node.url && node.title) {
+      titles.set(node.url, node.title);
+    }
+    collectTitles(node.children, titles);
+  }
+  return titles;
+}
+
+// The URLs of different model years of the same manual usually differ only in the path
+// of the ToC page (e.g. ".../xc90/24w46/..." vs. ".../xc90/25w17/..."), so articles are
+// matched by their URL relative to the URL of the ToC page (if possible).
+function getArticleKey(url, tocUrl) {
+  const base = tocUrl ? tocUrl.replace(/\/+$/, "") : undefined;
+  if (base && url.startsWith(base)) {
+    return url.substring(base.length);
+  }
+  return url;
+}
+
+async function loadArticles(run) {
+  const titles = collectTitles(run.manifest.tocTree, new Map());
+  const articles = new Map();
+  for (const url of run.manifest.urls) {
+    const page = run.manifest.pages[url];
+    let text = undefined;
+    if (page && page.status === PAGE_DONE) {
+      try {
+        text = await readFile(getTextPath(getPdfPath(run.pdfDir, url)), "utf8");
+      } catch (err) {
+        logger.verbose(`loadArticles(): there's no text for ${url} in ${run.pdfDir}`);
+      }
+    }
+    articles.set(getArticleKey(url, run.manifest.tocUrl), { url: url, title: titles.get(url) || url, text: text });
+  }
+  return articles;
+}
+
+// (an empty text has no lines, not a single empty line)
+function splitLines(text) {
+  return text.length == 0 ? [] : text.replaceAll("\r\n", "\n").split("\n").map((line) => line.trimEnd());
+}
+
+// line based diff (via the longest common subsequence)
+// returns a list of operations: { type: " " | "-" | "+", line: <string> }
+export function diffLines(oldLines, newLines) {
+  // common prefix and suffix don't need the (quadratic) LCS matrix
+  let prefix = 0;
+  while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (suffix < oldLines.length - prefix && suffix < newLines.length - prefix
+    && oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]) {
+    suffix++;
+  }
+  const oldMiddle = oldLines.slice(prefix, oldLines.length - suffix);
+  const newMiddle = newLines.slice(prefix, newLines.length - suffix);
+  const ops = oldLines.slice(0, prefix).map((line) => ({ type: " ", line: line }));
+
+  const n = oldMiddle.length;
+  const m = newMiddle.length;
+  if (n * m > MAX_DIFF_MATRIX_SIZE) {
+    oldMiddle.forEach((line) => ops.push({ type: "-", line: line }));
+    newMiddle.forEach((line) => ops.push({ type: "+", line: line }));
+  } else {
+    // lcs[i * (m + 1) + j] = length of the LCS of oldMiddle[i..] and newMiddle[j..]
+    const lcs = new Uint32Array((n + 1) * (m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * (m + 1) + j] = oldMiddle[i] === newMiddle[j]
+          ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+          : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && oldMiddle[i] === newMiddle[j]) {
+        ops.push({ type: " ", line: oldMiddle[i] });
+        i++;
+        j++;
+      } else if (j < m && (i == n || lcs[i * (m + 1) + j + 1] > lcs[(i + 1) * (m + 1) + j])) {
+        ops.push({ type: "+", line: newMiddle[j] });
+        j++;
+      } else {
+        ops.push({ type: "-", line: oldMiddle[i] });
+        i++;
+      }
+    }
+  }
+
+  oldLines.slice(oldLines.length - suffix).forEach((line) => ops.push({ type: " ", line: line }));
+  return ops;
+}
+
+// unified diff (with "@@ -l,s +l,s @@" hunk headers) of two texts, empty string if they're equal
+export function unifiedDiff(oldText, newText, contextLines = CONTEXT_LINES) {
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+  const changeIndices = ops.map((op, idx) => op.type !== " " ? idx : -1).filter((idx) => idx >= 0);
+  if (changeIndices.length == 0) {
+    return "";
+  }
+  // group the changes into hunks (changes closer than 2 * context lines share a hunk)
+  const hunks = [];
+  for (const idx of changeIndices) {
+    const last = hunks[hunks.length - 1];
+    if (last && idx - last.end - 1 <= 2 * contextLines) {
+      last.end = idx;
+    } else {
+      hunks.push({ start: idx, end: idx });
+    }
+  }
+  // line numbers (1-based) of the old and new text at every operation
+  const oldLineNumbers = [];
+  const newLineNumbers = [];
+  let oldLineNumber = 1;
+  let newLineNumber = 1;
+  for (const op of ops) {
+    oldLineNumbers.push(oldLineNumber);
+    newLineNumbers.push(newLineNumber);
+    if (op.type !== "+") {
+      oldLineNumber++;
+    }
+    if (op.type !== "-") {
+      newLineNumber++;
+    }
+  }
+  const output = [];
+  for (const hunk of hunks) {
+    const from = Math.max(0, hunk.start - contextLines);
+    const to = Math.min(ops.length - 1, hunk.end + contextLines);
+    const hunkOps = ops.slice(from, to + 1);
+    const oldCount = hunkOps.filter((op) => op.type !== "+").length;
+    const newCount = hunkOps.filter((op) => op.type !== "-").length;
+    const oldStart = oldCount > 0 ? oldLineNumbers[from] : oldLineNumbers[from] - 1;
+    const newStart = newCount > 0 ? newLineNumbers[from] : newLineNumbers[from] - 1;
+    output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    hunkOps.forEach((op) => output.push(op.type + op.line));
+  }
+  return output.join("\n");
+}
+
+// compare the articles of two runs
+export async function compareRuns(oldPath, newPath) {
+  const oldRun = await loadRun(oldPath);
+  const newRun = await loadRun(newPath);
+  const oldArticles = await loadArticles(oldRun);
+  const newArticles = await loadArticles(newRun);
+  const report = {
+    old: { path: oldRun.manifestPath, tocUrl: oldRun.manifest.tocUrl, title: oldRun.manifest.tocTitle, createdAt: oldRun.manifest.createdAt },
+    new: { path: newRun.manifestPath, tocUrl: newRun.manifest.tocUrl, title: newRun.manifest.tocTitle, createdAt: newRun.manifest.createdAt },
+    added: [],
+    removed: [],
+    changed: [],
+    incomparable: [],
+    unchangedCount: 0
+  };
+  for (const [ key, newArticle ] of newArticles) {
+    const oldArticle = oldArticles.get(key);
+    if (!oldArticle) {
+      report.added.push(newArticle);
+    } else if (typeof oldArticle.text === "undefined" || typeof newArticle.text === "undefined") {
+      report.incomparable.push(newArticle);
+    } else {
+      const diff = unifiedDiff(oldArticle.text, newArticle.text);
+      if (diff.length > 0 || oldArticle.title !== newArticle.title) {
+        report.changed.push({ url: newArticle.url, title: newArticle.title, oldTitle: oldArticle.title, diff: diff });
+      } else {
+        report.unchangedCount++;
+      }
+    }
+  }
+  for (const [ key, oldArticle ] of oldArticles) {
+    if (!newArticles.has(key)) {
+      report.removed.push(oldArticle);
+    }
+  }
+  logger.verbose(`compareRuns(): added: ${report.added.length}, removed: ${report.removed.length}, changed: ${report.changed.length}, unchanged: ${report.unchangedCount}, incomparable: ${report.incomparable.length}`);
+  return report;
+}
+
+function escapeHtml(str) {
+  return String(str)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll("\"", "&quot;");
+}
+
+function renderRunDescription(run) {
+  return `${run.title || run.tocUrl} (${run.tocUrl}, generated at ${run.createdAt})`;
+}
+
+export function renderMarkdown(report) {
+  const lines = [];
+  const escapeMd = (str) => String(str).replaceAll(/([\\`*_[\]<>])/g, "\\$1");
+  const articleLink = (article) => `[${escapeMd(article.title)}](${article.url})`;
+  lines.push("# Manual changes", "");
+  lines.push(`- old: ${escapeMd(renderRunDescription(report.old))}`);
+  lines.push(`- new: ${escapeMd(renderRunDescription(report.new))}`, "");
+  lines.push(`Added: ${report.added.length}, removed: ${report.removed.length}, changed: ${report.changed.length}, unchanged: ${report.unchangedCount}, could not be compared: ${report.incomparable.length}`, "");
+  const listSection = (heading, articles) => {
+    if (articles.length > 0) {
+      lines.push(`## ${heading}`, "");
+      articles.forEach((article) => lines.push(`- ${articleLink(article)}`));
+      lines.push("");
+    }
+  };
+  listSection("Added articles", report.added);
+  listSection("Removed articles", report.removed);
+  if (report.changed.length > 0) {
+    lines.push("## Changed articles", "");
+    for (const article of report.changed) {
+      lines.push(`### ${articleLink(article)}`, "");
+      if (article.oldTitle !== article.title) {
+        lines.push(`Title changed from "${escapeMd(article.oldTitle)}".`, "");
+      }
+      if (article.diff.length > 0) {
+        // the fence has to be longer than any backtick sequence in the diff
+        const longestBackticks = Math.max(0, ...(article.diff.match(/`+/g) || []).map((x) => x.length));
+        const fence = "`".repeat(Math.max(3, longestBackticks + 1));
+        lines.push(fence + "diff", article.diff, fence, "");
+      }
+    }
+  }
+  listSection("Articles that could not be compared (no text was saved for them)", report.incomparable);
+  return lines.join("\n");
+}
+
+export function renderHtml(report) {
+  const articleLink = (article) => `<a href="${escapeHtml(article.url)}">${escapeHtml(article.title)}</a>`;
+  const parts = [];
+  parts.push("<!DOCTYPE html>", "<html>", "<head>", "<meta charset=\"UTF-8\">", "<title>Manual changes</title>");
+  parts.push("<style>pre { background: #f6f8fa; padding: 0.5em; overflow-x: auto; } .add { background: #e6ffec; } .del { background: #ffebe9; } .hunk { color: #57606a; }</style>");
+  parts.push("</head>", "<body>", "<h1>Manual changes</h1>", "<ul>");
+  parts.push(`<li>old: ${escapeHtml(renderRunDescription(report.old))}</li>`);
+  parts.push(`<li>new: ${escapeHtml(renderRunDescription(report.new))}</li>`, "</ul>");
+  parts.push(`<p>Added: ${report.added.length}, removed: ${report.removed.length}, changed: ${report.changed.length}, unchanged: ${report.unchangedCount}, could not be compared: ${report.incomparable.length}</p>`);
+  const listSection = (heading, articles) => {
+    if (articles.length > 0) {
+      parts.push(`<h2>${heading}</h2>`, "<ul>");
+      articles.forEach((article) => parts.push(`<li>${articleLink(article)}</li>`));
+      parts.push("</ul>");
+    }
+  };
+  listSection("Added articles", report.added);
+  listSection("Removed articles", report.removed);
+  if (report.changed.length > 0) {
+    parts.push("<h2>Changed articles</h2>");
+    for (const article of report.changed) {
+      parts.push(`<h3>${articleLink(article)}</h3>`);
+      if (article.oldTitle !== article.title) {
+        parts.push(`<p>Title changed from "${escapeHtml(article.oldTitle)}".</p>`);
+      }
+      if (article.diff.length > 0) {
+        const diffLines = article.diff.split("\n").map((line) => {
+          const cssClass = line.startsWith("@@") ? "hunk" : line.startsWith("+") ? "add" : line.startsWith("-") ? "del" : "";
+          return cssClass ? `<span class="${cssClass}">${escapeHtml(line)}</span>` : escapeHtml(line);
+        });
+        parts.push(`<pre>${diffLines.join("\n")}</pre>`);
+      }
+    }
+  }
+  listSection("Articles that could not be compared (no text was saved for them)", report.incomparable);
+  parts.push("</body>", "</html>", "");
+  return parts.join("\n");
+}
@@ -0,0 +1,25 @@
+// logger
+import { loggers } from "winston";
+const logger = loggers.get("mainLogger");
+
+// Progress events emitted on the "events" option (an EventEmitter) of generateManual()
+// and generatePdfs(). See the "Library usage" section of the README for the payloads.
+export const EVENT_TOC_COLLECTED = "tocCollected";
+export const EVENT_PAGE_STARTED = "pageStarted";
+export const EVENT_PAGE_RETRY = "pageRetry";
+export const EVENT_PAGE_FAILED = "pageFailed";
+export const EVENT_PAGE_DONE = "pageDone";
+export const EVENT_MERGE_DONE = "mergeDone";
+
+// emit an event if there's an emitter in the options
+// (an exception thrown by a listener must not break the PDF generation)
+export function emitEvent(options, eventName, payload) {
+  if (!options || !options.events || typeof options.events.emit !== "function") {
+    return;
+  }
+  try {
+    options.events.emit(eventName, payload);
+  } catch (err) {
+    logger.warn(`emitEvent(): a listener of the "${eventName}" event threw an error: `, err);
+  }
+}
@@ -0,0 +1,311 @@
+// Node.js builtin packages
+import { access, copyFile, mkdir, readFile, writeFile } from "node:fs/promises";
+import { dirname, extname, join } from "node:path";
+import { URL } from "node:url";
+import { createHash } from "node:crypto";
+
+// Dependencies from this package
+import { createZip } from "./zip.js";
+
+// logger
+import { loggers } from "winston";
+const logger = loggers.get("mainLogger");
+
+// Besides the PDF, the cleaned up article content can be exported for e-readers and phones
+// - "html": a self-contained static HTML site (index.html + one page per article)
+// - "epub": an EPUB 3 book
+// While a page is processed by generatePagePdf(), captureArticle() saves the cleaned up article
+// (as XHTML) next to the PDF of the page and the images of the article into the "assets" subdirectory
+// (content-addressed, so images shared by articles are stored only once).
+// After all pages are done, exportManual() packages them in the order of the ToC.
+export const EXPORT_FORMATS = [ "html", "epub" ];
+
+const IMAGE_EXTENSIONS = {
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/gif": ".gif",
+  "image/webp": ".webp",
+  "image/svg+xml": ".svg",
+  "image/avif": ".avif"
+};
+const IMAGE_MEDIA_TYPES = Object.fromEntries(Object.entries(IMAGE_EXTENSIONS).map(([ mediaType, ext ]) => [ ext, mediaType ]));
+
+const IMAGE_PLACEHOLDER_PREFIX = "pdfgen4vcman-image-";
+
+// the placeholder of the images that could not be exported (a grey box with a cross)
+const MISSING_IMAGE = `<svg xmlns="http://www.w3.org/2000/svg" width="120" height="80" viewBox="0 0 120 80">
+<rect x="1" y="1" width="118" height="78" fill="#f2f2f2" stroke="#ccc" stroke-width="2"/>
+<path d="M1 1L119 79M119 1L1 79" stroke="#ccc" stroke-width="2"/>
+</svg>
+`;
+
+// the CSS used for both the static HTML site and the EPUB book
+const STYLESHEET = `body { font-family: sans-serif; line-height: 1.4; margin: 0 auto; max-width: 48em; padding: 0 1em; }
+img, svg { height: auto; max-width: 100%; }
+table { border-collapse: collapse; }
+td, th { border: 1px solid #ccc; padding: 0.2em 0.4em; vertical-align: top; }
+nav.pager { border-top: 1px solid #ccc; display: flex; justify-content: space-between; margin: 2em 0 1em 0; padding-top: 0.5em; }
+nav ol { list-style: none; padding-left: 1.2em; }
+`;
+
+// the path of the captured article data of a page (next to the PDF of the page)
+export function getExportDataPath(pdfPath) {
+  return pdfPath.replace(/\.pdf$/, "") + ".json";
+}
+
+function escapeXml(str) {
+  return String(str)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll("\"", "&quot;");
+}
+
+// save an image into the assets directory (named after the hash of its content) and return its name
+async function saveAsset(assetsDir, data, ext) {
+  const assetName = createHash("sha1").update(data).digest("hex") + ext;
+  const assetPath = join(assetsDir, assetName);
+  try {
+    await access(assetPath);
+  } catch (err) {
+    await writeFile(assetPath, data);
+  }
+  return assetName;
+}
+
+// capture the (already cleaned up) article of the page and the images it uses
+// capturedImages is a Map (image URL -> Promise of { mimeType, data }) filled
+// by the "response" handler of the browser page
+// contentSelectors are the selectors of the article's content element (the first match is used)
+export async function captureArticle(browserPage, pageUrl, pdfPath, capturedImages, contentSelectors) {
+  const start = Date.now();
+  const article = await browserPage.evaluate((placeholderPrefix, contentSelectors) => {
+    const root = contentSelectors.map((selector) => document.querySelector(selector)).find((element) => element) || document.body;
+    const heading = root.querySelector("h1") || document.querySelector("body h1");
+    const copy = root.cloneNode(true);
+    // remember the URL of the image that is actually displayed (i.e. currentSrc from a srcset)
+    const originalImages = root.querySelectorAll("img");
+    copy.querySelectorAll("img").forEach((img, idx) => {
+      const original = originalImages[idx];
+      img.setAttribute("data-pdfgen4vcman-src", original ? original.currentSrc || original.src : img.src);
+    });
+    copy.querySelectorAll("script, noscript, style, link, template, button, iframe, video, audio, source").forEach((element) => {
+      element.remove();
+    });
+    copy.querySelectorAll("[style]").forEach((element) => {
+      element.removeAttribute("style");
+    });
+    const images = [];
+    copy.querySelectorAll("img").forEach((img) => {
+      const src = img.getAttribute("data-pdfgen4vcman-src");
+      [ "data-pdfgen4vcman-src", "srcset", "sizes", "loading", "decoding", "fetchpriority" ].forEach((attr) => img.removeAttribute(attr));
+      if (src && src.length > 0) {
+        img.setAttribute("src", placeholderPrefix + images.length);
+        images.push(src);
+      } else {
+        img.remove();
+      }
+    });
+    return Promise.resolve({
+      title: heading ? heading.textContent.trim() : document.title,
+      lang: document.documentElement.lang || undefined,
+      body: new XMLSerializer().serializeToString(copy),
+      images: images
+    });
+  }, IMAGE_PLACEHOLDER_PREFIX, contentSelectors);
+
+  const assetsDir = join(dirname(pdfPath), "assets");
+  await mkdir(assetsDir, { recursive: true });
+  const assets = [];
+  let body = article.body;
+  for (let i = 0; i < article.images.length; i++) {
+    const src = article.images[i];
+    const image = capturedImages && capturedImages.has(src) ? await capturedImages.get(src) : undefined;
+    let assetName = undefined;
+    if (image && image.data && image.data.length > 0) {
+      const mimeType = (image.mimeType || "").split(";")[0].trim().toLowerCase();
+      let ext = IMAGE_EXTENSIONS[mimeType];
+      if (!ext) {
+        ext = extname(new URL(src).pathname).toLowerCase();
+      }
+      if (IMAGE_MEDIA_TYPES[ext]) {
+        assetName = await saveAsset(assetsDir, image.data, ext);
+      } else {
+        logger.warn(`captureArticle(): unsupported image type "${mimeType}" for ${src} on ${pageUrl}, replacing it with a placeholder`);
+      }
+    } else {
+      logger.warn(`captureArticle(): image was not captured from the network, replacing it with a placeholder: ${src} on ${pageUrl}`);
+    }
+    // the exported articles must not refer to online resources (an EPUB book would have
+    // to declare them), so an image that we don't have is replaced with a local placeholder
+    if (typeof assetName === "undefined") {
+      assetName = await saveAsset(assetsDir, MISSING_IMAGE, ".svg");
+    }
+    if (!assets.includes(assetName)) {
+      assets.push(assetName);
+    }
+    body = body.replaceAll(`"${IMAGE_PLACEHOLDER_PREFIX}${i}"`, `"../assets/${assetName}"`);
+  }
+
+  const exportDataPath = getExportDataPath(pdfPath);
+  await writeFile(exportDataPath, JSON.stringify({ url: pageUrl, title: article.title, lang: article.lang, body: body, assets: assets }));
+  logger.verbose(`captureArticle(): saved article with ${assets.length} images to ${exportDataPath} in ${ (Date.now() - start) / 1000 }s`);
+}
+
+// render the nested list of the ToC tree (only the nodes that have exported pages)
+function renderNavList(nodes, fileByUrl, pathPrefix) {
+  const items = [];
+  for (const node of nodes) {
+    const childList = renderNavList(node.children || [], fileByUrl, pathPrefix);
+    const title = escapeXml(node.title || "");
+    if (node.url && fileByUrl.has(node.url)) {
+      items.push(`<li><a href="${pathPrefix}${fileByUrl.get(node.url)}">${title}</a>${childList}</li>`);
+    } else if (childList.length > 0) {
+      items.push(`<li><span>${title}</span>${childList}</li>`);
+    }
+  }
+  return items.length > 0 ? `<ol>${items.join("")}</ol>` : "";
+}
+
+function renderNav(title, pages, mergeInfo, pathPrefix) {
+  const fileByUrl = new Map(pages.map((page) => [ page.url, page.file ]));
+  let list = mergeInfo && mergeInfo.tocTree ? renderNavList(mergeInfo.tocTree, fileByUrl, pathPrefix) : "";
+  if (list.length == 0) {
+    // no ToC hierarchy (e.g. "--no-toc"), so a flat list of the pages will do
+    list = `<ol>${pages.map((page) => `<li><a href="${pathPrefix}${page.file}">${escapeXml(page.title)}</a></li>`).join("")}</ol>`;
+  }
+  return `<h1>${escapeXml(title)}</h1>${list}`;
+}
+
+// the same (polyglot) markup is used for both formats, but the EPUB book gets an XML declaration
+// and the namespace of the EPUB specific attributes (e.g. "epub:type")
+function renderDocument(title, lang, stylesheetHref, body, isEpub) {
+  const xmlDeclaration = isEpub ? "<?xml version=\"1.0\" encoding=\"UTF-8\"?>\n" : "";
+  const epubNamespace = isEpub ? " xmlns:epub=\"http://www.idpf.org/2007/ops\"" : "";
+  return `${xmlDeclaration}<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml"${epubNamespace} lang="${escapeXml(lang)}" xml:lang="${escapeXml(lang)}">
+<head>
+<meta charset="UTF-8"/>
+<title>${escapeXml(title)}</title>
+<link rel="stylesheet" type="text/css" href="${stylesheetHref}"/>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+// load the captured article data of the pages (in ToC order)
+async function loadExportPages(pages, ext) {
+  const loadedPages = [];
+  for (const page of pages) {
+    let data = undefined;
+    try {
+      data = JSON.parse(await readFile(page.dataPath, "utf8"));
+    } catch (err) {
+      logger.warn(`loadExportPages(): no captured article for ${page.url} (it was probably rendered by a run without the export option, use "--force-save" to render it again), skipping it`);
+      continue;
+    }
+    loadedPages.push(Object.assign(data, {
+      assetsDir: join(dirname(page.dataPath), "assets"),
+      file: "page-" + String(loadedPages.length + 1).padStart(4, "0") + ext
+    }));
+  }
+  return loadedPages;
+}
+
+async function exportHtmlSite(outputPath, title, lang, pages, mergeInfo) {
+  await mkdir(join(outputPath, "pages"), { recursive: true });
+  await mkdir(join(outputPath, "assets"), { recursive: true });
+  await writeFile(join(outputPath, "style.css"), STYLESHEET);
+  await writeFile(join(outputPath, "index.html"), renderDocument(title, lang, "style.css", `<nav>${renderNav(title, pages, mergeInfo, "pages/")}</nav>`, false));
+  for (let i = 0; i < pages.length; i++) {
+    const page = pages[i];
+    const pager = [
+      i > 0 ? `<a href="${pages[i - 1].file}">&lt; ${escapeXml(pages[i - 1].title)}</a>` : "<span></span>",
+      `<a href="../index.html">${escapeXml(title)}</a>`,
+      i < pages.length - 1 ? `<a href="${pages[i + 1].file}">${escapeXml(pages[i + 1].title)} &gt;</a>` : "<span></span>"
+    ].join("");
+    const body = `${page.body}\n<nav class="pager">${pager}</nav>`;
+    await writeFile(join(outputPath, "pages", page.file), renderDocument(page.title, page.lang || lang, "../style.css", body, false));
+    for (const asset of page.assets) {
+      await copyFile(join(page.assetsDir, asset), join(outputPath, "assets", asset));
+    }
+  }
+}
+
+async function exportEpub(outputPath, title, lang, pages, mergeInfo, tocUrl, generatedAt) {
+  const entries = [
+    { name: "mimetype", data: "application/epub+zip", store: true },
+    { name: "META-INF/container.xml", data: `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles>
+<rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+</rootfiles>
+</container>
+` },
+    { name: "OEBPS/style.css", data: STYLESHEET },
+    { name: "OEBPS/nav.xhtml", data: renderDocument(title, lang, "style.css", `<nav epub:type="toc" id="toc">${renderNav(title, pages, mergeInfo, "pages/")}</nav>`, true) }
+  ];
+  const manifestItems = [
+    "<item id=\"nav\" href=\"nav.xhtml\" media-type=\"application/xhtml+xml\" properties=\"nav\"/>",
+    "<item id=\"css\" href=\"style.css\" media-type=\"text/css\"/>"
+  ];
+  const spineItems = [ "<itemref idref=\"nav\"/>" ];
+  const addedAssets = new Set();
+  for (let i = 0; i < pages.length; i++) {
+    const page = pages[i];
+    const id = `page-${i + 1}`;
+    entries.push({ name: `OEBPS/pages/${page.file}`, data: renderDocument(page.title, page.lang || lang, "../style.css", page.body, true) });
+    const properties = page.body.includes("<svg") ? " properties=\"svg\"" : "";
+    manifestItems.push(`<item id="${id}" href="pages/${page.file}" media-type="application/xhtml+xml"${properties}/>`);
+    spineItems.push(`<itemref idref="${id}"/>`);
+    for (const asset of page.assets) {
+      if (!addedAssets.has(asset)) {
+        addedAssets.add(asset);
+        entries.push({ name: `OEBPS/assets/${asset}`, data: await readFile(join(page.assetsDir, asset)) });
+        manifestItems.push(`<item id="asset-${addedAssets.size}" href="assets/${asset}" media-type="${IMAGE_MEDIA_TYPES[extname(asset)]}"/>`);
+      }
+    }
+  }
+  // a stable identifier for the same manual (derived from the URL of the ToC page)
+  const hash = createHash("md5").update(tocUrl || title).digest("hex");
+  const uuid = `${hash.substring(0, 8)}-${hash.substring(8, 12)}-${hash.substring(12, 16)}-${hash.substring(16, 20)}-${hash.substring(20, 32)}`;
+  entries.splice(2, 0, { name: "OEBPS/content.opf", data: `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="bookid" xml:lang="${escapeXml(lang)}">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="bookid">urn:uuid:${uuid}</dc:identifier>
+<dc:title>${escapeXml(title)}</dc:title>
+<dc:language>${escapeXml(lang)}</dc:language>
+${tocUrl ? `<dc:source>${escapeXml(tocUrl)}</dc:source>\n` : ""}<meta property="dcterms:modified">${generatedAt.toISOString().replace(/\.[0-9]+Z$/, "Z")}</meta>
+</metadata>
+<manifest>
+${manifestItems.join("\n")}
+</manifest>
+<spine>
+${spineItems.join("\n")}
+</spine>
+</package>
+` });
+  await writeFile(outputPath, createZip(entries));
+}
+
+// package the captured articles of the pages (in the given order) in the given format
+// pages: [ { url: <page URL>, dataPath: <path of the captured article data> }, ... ]
+export async function exportManual(format, outputPath, pages, mergeInfo) {
+  logger.verbose(`exportManual(): exporting ${pages.length} pages in "${format}" format to ${outputPath}`);
+  const start = Date.now();
+  const loadedPages = await loadExportPages(pages, format == "epub" ? ".xhtml" : ".html");
+  if (loadedPages.length == 0) {
+    throw new Error("exportManual(): none of the pages has a captured article, there's nothing to export");
+  }
+  const title = (mergeInfo && mergeInfo.tocTitle) || loadedPages[0].title;
+  const lang = loadedPages.find((page) => page.lang) ? loadedPages.find((page) => page.lang).lang : "en";
+  if (format == "epub") {
+    await exportEpub(outputPath, title, lang, loadedPages, mergeInfo, mergeInfo ? mergeInfo.tocUrl : undefined, new Date());
+  } else {
+    await exportHtmlSite(outputPath, title, lang, loadedPages, mergeInfo);
+  }
+  logger.verbose(`exportManual(): export finished in ${ (Date.now() - start) / 1000 }s`);
+}
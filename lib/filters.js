@@ -0,0 +1,148 @@
+// Node.js builtin packages
+import { readFile } from "node:fs/promises";
+
+// logger
+import { loggers } from "winston";
+const logger = loggers.get("mainLogger");
+
+// Filters for generating only a part of the manual (e.g. the "Driver support" and "Charging"
+// chapters). The filters are applied to the page URLs collected from the ToC page:
+// - includeChapter / excludeChapter: chapter titles (case insensitively, at any level of the
+//   ToC, "Parent > Child" selects a sub-chapter of a given chapter only), a chapter selects
+//   all the articles below it
+// - includeUrl / excludeUrl: regular expressions for the URLs
+// - urlList: an explicit list of URLs (see loadUrlList())
+// A page is kept if it's selected by any of the "include" filters (or if there are none)
+// and by none of the "exclude" filters.
+const CHAPTER_PATH_SEPARATOR = ">";
+
+export function hasPageFilters(options) {
+  return [ options.includeChapter, options.excludeChapter, options.includeUrl, options.excludeUrl ].some((filter) => filter && filter.length > 0)
+    || Array.isArray(options.urlList);
+}
+
+// the filters of the options in JSON form (null if there are none), they're recorded in the
+// manifest, so a resumed run can tell if the ToC page was rendered with other filters
+export function describePageFilters(options) {
+  if (!hasPageFilters(options)) {
+    return null;
+  }
+  const getSources = (patterns) => (patterns || []).map((pattern) => pattern instanceof RegExp ? pattern.source : String(pattern));
+  return {
+    includeChapter: [ ...(options.includeChapter || []) ],
+    excludeChapter: [ ...(options.excludeChapter || []) ],
+    includeUrl: getSources(options.includeUrl),
+    excludeUrl: getSources(options.excludeUrl),
+    urlList: Array.isArray(options.urlList) ? [ ...options.urlList ] : null
+  };
+}
+
+// a URL list file has one URL per line (relative URLs are relative to the URL of the ToC page),
+// empty lines and lines starting with "#" are ignored
+export async function loadUrlList(path) {
+  return (await readFile(path, "utf8")).split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line.length > 0 && !line.startsWith("#"));
+}
+
+// URLs are compared without their fragment (e.g. "#warnings")
+function normalizeUrl(url, baseUrl) {
+  try {
+    const parsedUrl = new URL(url, baseUrl);
+    parsedUrl.hash = "";
+    return parsedUrl.href;
+  } catch (err) {
+    return url;
+  }
+}
+
+function parseChapterPath(chapterPath) {
+  return chapterPath.split(CHAPTER_PATH_SEPARATOR).map((title) => title.replaceAll(/\s+/g, " ").trim().toLowerCase());
+}
+
+// whether the titles of a chapter path (i.e. the titles from the top level down to an article)
+// contain the titles of a "Parent > Child" filter as a continuous sequence
+function matchesChapterPath(titles, filterTitles) {
+  for (let end = filterTitles.length - 1; end < titles.length; end++) {
+    if (filterTitles.every((title, index) => titles[end - filterTitles.length + 1 + index] === title)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// URL -> chapter paths of the URL (an article may be listed in multiple chapters)
+function collectChapterPaths(nodes, titles, chapterPaths) {
+  for (const node of nodes || []) {
+    const nodeTitles = titles.concat([ (node.title || "").toLowerCase() ]);
+    if (node.url) {
+      const url = normalizeUrl(node.url);
+      chapterPaths.set(url, (chapterPaths.get(url) || []).concat([ nodeTitles ]));
+    }
+    collectChapterPaths(node.children, nodeTitles, chapterPaths);
+  }
+  return chapterPaths;
+}
+
+// the page URLs (in their original order) that are selected by the filters of the options
+export function filterPageUrls(pageUrls, tocTree, tocUrl, options) {
+  const chapterPaths = collectChapterPaths(tocTree, [], new Map());
+  const urlList = Array.isArray(options.urlList) ? new Set(options.urlList.map((url) => normalizeUrl(url, tocUrl))) : undefined;
+  const includeChapters = (options.includeChapter || []).map(parseChapterPath);
+  const excludeChapters = (options.excludeChapter || []).map(parseChapterPath);
+  const includeUrls = options.includeUrl || [];
+  const excludeUrls = options.excludeUrl || [];
+  const hasIncludeFilters = includeChapters.length > 0 || includeUrls.length > 0 || typeof urlList !== "undefined";
+  // indexes of the chapter filters that matched any page
+  const matchedIncludes = new Set();
+  const matchedExcludes = new Set();
+
+  // (every filter is checked for every page, so the filters that matched nothing can be reported)
+  const isInChapters = (url, chapters, matchedIndexes) => {
+    let matched = false;
+    chapters.forEach((chapter, index) => {
+      if ((chapterPaths.get(url) || []).some((titles) => matchesChapterPath(titles, chapter))) {
+        matchedIndexes.add(index);
+        matched = true;
+      }
+    });
+    return matched;
+  };
+  const selectedUrls = pageUrls.filter((pageUrl) => {
+    const url = normalizeUrl(pageUrl);
+    const inIncludedChapter = isInChapters(url, includeChapters, matchedIncludes);
+    const inExcludedChapter = isInChapters(url, excludeChapters, matchedExcludes);
+    const included = !hasIncludeFilters
+      || inIncludedChapter
+      || (typeof urlList !== "undefined" && urlList.has(url))
+      || includeUrls.some((regexp) => regexp.test(pageUrl));
+    const excluded = inExcludedChapter || excludeUrls.some((regexp) => regexp.test(pageUrl));
+    return included && !excluded;
+  });
+
+  // a chapter title with a typo would silently select nothing
+  for (const [ optionName, chapters, matchedIndexes ] of [ [ "--include-chapter", options.includeChapter, matchedIncludes ], [ "--exclude-chapter", options.excludeChapter, matchedExcludes ] ]) {
+    (chapters || []).forEach((chapter, index) => {
+      if (!matchedIndexes.has(index)) {
+        logger.warn(`filterPageUrls(): the chapter "${chapter}" (specified with ${optionName}) has no pages in the table-of-contents`);
+      }
+    });
+  }
+  logger.verbose(`filterPageUrls(): ${selectedUrls.length} of ${pageUrls.length} page URLs are selected by the filters`);
+  return selectedUrls;
+}
+
+// the chapter hierarchy of the ToC with only the articles of the given URLs
+// (and the chapters that have any of them)
+export function pruneTocTree(tocTree, pageUrls) {
+  const selectedUrls = new Set(pageUrls.map((url) => normalizeUrl(url)));
+  const pruneNodes = (nodes) => (nodes || []).flatMap((node) => {
+    const children = pruneNodes(node.children);
+    if (children.length == 0 && !(node.url && selectedUrls.has(normalizeUrl(node.url)))) {
+      return [];
+    }
+    return [ Object.assign({}, node, { children: children }) ];
+  });
+  return pruneNodes(tocTree);
+}
+
@@ -0,0 +1,122 @@
+// Node.js builtin packages
+import { mkdir, writeFile } from "node:fs/promises";
+import { basename, join } from "node:path";
+
+// logger
+import { loggers } from "winston";
+const logger = loggers.get("mainLogger");
+
+// Forensics bundle of a failed page attempt: when generatePagePdf() fails, a directory is saved
+// into the "--forensics-dir" directory (by default the "forensics" subdirectory of "--pdf-dir")
+// with everything needed to diagnose the failure after the fact:
+// - "screenshot.png": a full-page screenshot of the page at the time of the failure
+// - "dom.html": the serialised DOM of the page (i.e. after the DOM modifications done so far)
+// - "failure.json": the URL, the attempt, the stage of generatePagePdf() that failed (see the
+//   FAILURE_STAGE_* constants), the error message, the failing resources (with their HTTP
+//   status codes or network errors), the browser console messages and the "pageerror" events,
+//   the classified JavaScript errors (see page-errors.js) and the render issues (see completeness.js)
+// The diagnostics of a page (see createPageDiagnostics()) are collected by the event handlers
+// of the page (see newBrowserPage() in generator.js) and are reset before every attempt.
+export const FAILURE_STAGE_GOTO = "goto";
+export const FAILURE_STAGE_SCROLL = "scroll";
+export const FAILURE_STAGE_IDLE_WAIT = "idle-wait";
+export const FAILURE_STAGE_TOC = "toc";
+export const FAILURE_STAGE_DOM_CLEANUP = "dom-cleanup";
+export const FAILURE_STAGE_CAPTURE = "capture";
+export const FAILURE_STAGE_SCRIPT_ERROR = "script-error";
+export const FAILURE_STAGE_ERROR_TEXT = "error-text";
+export const FAILURE_STAGE_RENDER_CHECK = "render-check";
+export const FAILURE_STAGE_PDF = "pdf";
+
+export const FORENSICS_DIRNAME = "forensics";
+
+// (a page that logs in a loop shouldn't eat up the memory)
+const MAX_DIAGNOSTIC_ENTRIES = 500;
+// the time (in milliseconds) the screenshot and the DOM serialisation get (the page might be hanging)
+const CAPTURE_TIMEOUT = 30000;
+
+export function createPageDiagnostics() {
+  return {
+    consoleMessages: [],
+    pageErrors: [],
+    failedResources: [],
+    droppedCount: 0
+  };
+}
+
+function addEntry(diagnostics, list, entry) {
+  if (list.length >= MAX_DIAGNOSTIC_ENTRIES) {
+    diagnostics.droppedCount++;
+    return;
+  }
+  list.push(Object.assign({ time: new Date().toISOString() }, entry));
+}
+
+// record a message of the browser console (a ConsoleMessage of Puppeteer)
+export function recordConsoleMessage(diagnostics, message) {
+  const location = message.location();
+  addEntry(diagnostics, diagnostics.consoleMessages, {
+    type: message.type(),
+    text: message.text(),
+    location: location && location.url ? `${location.url}:${location.lineNumber}:${location.columnNumber}` : undefined
+  });
+}
+
+// record an uncaught exception of the page (the "pageerror" event of Puppeteer)
+export function recordPageErrorEvent(diagnostics, error) {
+  addEntry(diagnostics, diagnostics.pageErrors, {
+    message: error && error.message ? error.message : String(error),
+    stack: error && error.stack ? error.stack : undefined
+  });
+}
+
+// record a failing resource: an HTTP error ("status") or a network error ("errorText"),
+// "counted" tells whether it counts as a resource load error (see "--resource-http-error-allowed")
+export function recordFailedResource(diagnostics, url, status, errorText, counted) {
+  addEntry(diagnostics, diagnostics.failedResources, { url: url, status: status, errorText: errorText, counted: counted });
+}
+
+// the directory of the forensics bundle of an attempt, e.g. "page_<hash>.attempt-2"
+// (named after the PDF of the page, so it's easy to match the bundles to the manifest entries)
+export function getForensicsBundlePath(forensicsDir, pdfPath, attempt) {
+  return join(forensicsDir, `${basename(pdfPath).replace(/\.pdf$/, "")}.attempt-${attempt}`);
+}
+
+function withTimeout(promise, description) {
+  let timeoutID;
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timeoutID = setTimeout(() => reject(new Error(`${description} timed out`)), CAPTURE_TIMEOUT);
+    })
+  ]).finally(() => clearTimeout(timeoutID));
+}
+
+// save the forensics bundle of a failed attempt, returns the path of the bundle
+// (the screenshot and the DOM are best effort, e.g. the page might have crashed)
+export async function saveForensicsBundle(bundlePath, browserPage, failure, diagnostics) {
+  await mkdir(bundlePath, { recursive: true });
+  const captureErrors = [];
+  try {
+    await withTimeout(browserPage.screenshot({ path: join(bundlePath, "screenshot.png"), fullPage: true }), "the screenshot");
+  } catch (err) {
+    logger.verbose(`saveForensicsBundle(): could not take a screenshot of the page: ${err.message}`);
+    captureErrors.push(`screenshot: ${err.message}`);
+  }
+  try {
+    await writeFile(join(bundlePath, "dom.html"), await withTimeout(browserPage.content(), "the DOM serialisation"));
+  } catch (err) {
+    logger.verbose(`saveForensicsBundle(): could not serialise the DOM of the page: ${err.message}`);
+    captureErrors.push(`dom: ${err.message}`);
+  }
+  const report = Object.assign({}, failure, {
+    savedAt: new Date().toISOString(),
+    failedResources: diagnostics ? diagnostics.failedResources : [],
+    consoleMessages: diagnostics ? diagnostics.consoleMessages : [],
+    pageErrors: diagnostics ? diagnostics.pageErrors : [],
+    droppedDiagnostics: diagnostics ? diagnostics.droppedCount : 0,
+    captureErrors: captureErrors
+  });
+  await writeFile(join(bundlePath, "failure.json"), JSON.stringify(report, null, 2));
+  return bundlePath;
+}
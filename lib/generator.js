@@ -1,6 +1,6 @@
 // Node.js builtin packages
-import { access, mkdir, readFile, rm } from "node:fs/promises";
-import { join } from "node:path";
+import { access, mkdir, readFile, rm, writeFile } from "node:fs/promises";
+import { join, resolve as resolvePath } from "node:path";
 import { URL } from "node:url";
 import { createHash } from "node:crypto";
 
@@ -11,29 +11,136 @@ import { PDFDocument } from "pdf-lib";
 import { loggers } from "winston";
 const logger = loggers.get("mainLogger");
 
-// use network proxies in a round-robin manner
-// (i.e. every call to getNextProxy() gets the next proxy in the list)
-function getNextProxy(currentIndex, proxies) {
-  let ret = undefined;
-  if (proxies && proxies.length > 0 && currentIndex < proxies.length) {
-    let newIndex = currentIndex + 1;
-    if (newIndex >= proxies.length) {
-      newIndex = 0;
+// Dependencies from this package
+import { PAGE_DONE, recordPageAttempt, recordPageDone, recordPageError, saveManifest } from "./manifest.js";
+import { captureArticle } from "./export.js";
+import { getProfile } from "./profile.js";
+import { EVENT_PAGE_DONE, EVENT_PAGE_FAILED, EVENT_PAGE_RETRY, EVENT_PAGE_STARTED, emitEvent } from "./events.js";
+import { flushNetworkStore, getStoredResponse, openNetworkStore, recordResponse } from "./network-store.js";
+import { filterPageUrls, hasPageFilters } from "./filters.js";
+import { copyPagesDeduplicated } from "./dedup.js";
+import { createThrottle, describeThrottleState, observeResponse, waitForTurn } from "./throttle.js";
+import { acquireProxy, createProxyPool, recordProxyAttempt, recordProxyResponse, redactProxyOptions } from "./proxies.js";
+import { checkRenderCompleteness, describeRenderIssues } from "./completeness.js";
+import {
+  FAILURE_STAGE_CAPTURE,
+  FAILURE_STAGE_DOM_CLEANUP,
+  FAILURE_STAGE_ERROR_TEXT,
+  FAILURE_STAGE_GOTO,
+  FAILURE_STAGE_IDLE_WAIT,
+  FAILURE_STAGE_PDF,
+  FAILURE_STAGE_RENDER_CHECK,
+  FAILURE_STAGE_SCRIPT_ERROR,
+  FAILURE_STAGE_SCROLL,
+  FAILURE_STAGE_TOC,
+  createPageDiagnostics,
+  getForensicsBundlePath,
+  recordConsoleMessage,
+  recordFailedResource,
+  recordPageErrorEvent,
+  saveForensicsBundle
+} from "./forensics.js";
+import {
+  PAGE_ERROR_RETRY,
+  PAGE_ERROR_SOURCE_CONSOLE,
+  PAGE_ERROR_SOURCE_PAGEERROR,
+  PAGE_ERROR_WARN,
+  addScriptError,
+  classifyPageError,
+  describeScriptError,
+  parsePageErrorRules
+} from "./page-errors.js";
+
+// create the object that collects information about the merged document
+// (e.g. the ToC hierarchy and the first page of each URL) for post-processing (e.g. outline)
+export function createMergeInfo() {
+  return {
+    tocUrl: undefined,
+    tocTitle: undefined,
+    // the language of the ToC page (its "lang" attribute)
+    tocLanguage: undefined,
+    tocTree: undefined,
+    // the page URLs of the ToC page selected by the filters (if any, see filterPageUrls())
+    selectedUrls: undefined,
+    // URL -> index of the first page of the URL in the merged PDF
+    urlPageIndex: new Map(),
+    outlineRefs: [],
+    // link annotations that point to pages of the merged PDF (see resolveInternalLinks())
+    internalLinks: [],
+    // the first page and the title of the printed table of contents (see addPrintedToc())
+    printedTocPageIndex: undefined,
+    printedTocTitle: undefined
+  };
+}
+
+// remove a page from the merged PDF and keep the page indices in mergeInfo consistent
+export function removeMergedPage(pdfDoc, mergeInfo, pageIndex) {
+  pdfDoc.removePage(pageIndex);
+  // pdf-lib (1.17.1) doesn't invalidate its page cache in removePage(), so getPage()/getPages()
+  // would return the removed page (and shifted indices) afterwards
+  if (pdfDoc.pageCache) {
+    pdfDoc.pageCache.invalidate();
+  }
+  if (mergeInfo) {
+    for (const [ url, idx ] of mergeInfo.urlPageIndex) {
+      if (idx > pageIndex) {
+        mergeInfo.urlPageIndex.set(url, idx - 1);
+      }
     }
-    ret = { proxy: proxies[currentIndex], index: newIndex };
   }
-  return ret;
 }
 
-async function appendPdf(destDocument, srcPath) {
+// insert a new (empty) page into the merged PDF and keep the page indices in mergeInfo consistent
+export function insertMergedPage(pdfDoc, mergeInfo, pageIndex, size) {
+  const page = pdfDoc.insertPage(pageIndex, size);
+  if (mergeInfo) {
+    for (const [ url, idx ] of mergeInfo.urlPageIndex) {
+      if (idx >= pageIndex) {
+        mergeInfo.urlPageIndex.set(url, idx + 1);
+      }
+    }
+  }
+  return page;
+}
+
+// the path of the (intermediary) PDF for a page URL in the "--pdf-dir" directory
+export function getPdfPath(pdfDir, pageUrl) {
+  const urlHash = createHash("md5").update(pageUrl).digest("hex");
+  return join(pdfDir, "page_" + urlHash + ".pdf");
+}
+
+// the path of the plain text version of a page (next to the PDF of the page)
+export function getTextPath(pdfPath) {
+  return pdfPath.replace(/\.pdf$/, "") + ".txt";
+}
+
+// the path of the title and headings of a page (next to the PDF of the page, see search.js)
+export function getHeadingsPath(pdfPath) {
+  return pdfPath.replace(/\.pdf$/, "") + ".headings.json";
+}
+
+// append all pages of a PDF file to the merged PDF and return the number of appended pages
+// (with a deduplication index the objects that are already in the merged PDF are re-used, see dedup.js)
+export async function appendPdf(destDocument, srcPath, mergeInfo, pageUrl, dedupIndex) {
   logger.verbose(`appendPdf(): srcPath = ${srcPath}`);
   const srcBytes = await readFile(srcPath);
   const srcDoc = await PDFDocument.load(srcBytes);
-  const srcIndeces = srcDoc.getPageIndices();
-  const srcPages = await destDocument.copyPages(srcDoc, srcIndeces);
+  const srcPages = dedupIndex
+    ? await copyPagesDeduplicated(destDocument, srcDoc, dedupIndex)
+    : await destDocument.copyPages(srcDoc, srcDoc.getPageIndices());
+  if (mergeInfo && srcPages.length > 0) {
+    mergeInfo.urlPageIndex.set(pageUrl, destDocument.getPageCount());
+  }
   srcPages.forEach((srcPage) => {
     destDocument.addPage(srcPage);
   });
+  return srcPages.length;
+}
+
+// the number of pages of a PDF file
+export async function countPdfPages(pdfPath) {
+  const pdfDoc = await PDFDocument.load(await readFile(pdfPath), { updateMetadata: false });
+  return pdfDoc.getPageCount();
 }
 
 // We've to scroll through the entire page so dynamically loaded elements are also loaded.
@@ -96,25 +203,117 @@ function parseBrowserArgOptions(prefix, opts) {
   return parsedArgs;
 }
 
-// TODO Get rid of the "resourceLoadErrorCounter" global variable.
-// Is it possible to do it while keeping the code "lean"?
-// (I.e. not passing this as an object through zillion function calls)
-let resourceLoadErrorCounter = 0;
+// number of significant resource loading errors (see the "response" handler in newBrowserPage())
+// since the start of the current page load, kept separately for each browser page
+// (i.e. for each worker, see generatePdfs())
+const resourceLoadErrorCounters = new WeakMap();
+
+function getResourceLoadErrorCount(browserPage) {
+  return resourceLoadErrorCounters.get(browserPage) || 0;
+}
+
+// images received by the browser page since the start of the current page load
+// (image URL -> Promise of { mimeType, data }), only collected if an export format
+// was requested (see captureArticle())
+const capturedImages = new WeakMap();
+
+// requests that were answered from the replay store (they're not recorded again)
+const replayedRequests = new WeakSet();
+// the pages that got a throttling response (see throttle.js)
+const throttledPages = new WeakSet();
+// the proxy of a browser (see proxies.js)
+const browserProxies = new WeakMap();
+// the console messages, page errors and failing resources of the current page load
+// of a browser page (for the forensics bundle of a failed attempt, see forensics.js)
+const pageDiagnostics = new WeakMap();
+// the classified JavaScript errors of the current page load of a browser page (see page-errors.js)
+const pageScriptErrors = new WeakMap();
+
+// classify a JavaScript error of the page and keep it (unless it's ignored)
+function handleScriptError(browserPage, run, source, text) {
+  const scriptError = classifyPageError(run.pageErrorRules, source, text);
+  if (scriptError.action === PAGE_ERROR_RETRY) {
+    logger.warn(`handleScriptError(): ${describeScriptError(scriptError)} (the attempt will fail)`);
+  } else if (scriptError.action === PAGE_ERROR_WARN) {
+    logger.warn(`handleScriptError(): ${describeScriptError(scriptError)}`);
+  } else {
+    logger.debug(`handleScriptError(): ignored ${describeScriptError(scriptError)}`);
+  }
+  const scriptErrors = pageScriptErrors.get(browserPage);
+  if (scriptErrors) {
+    addScriptError(scriptErrors, scriptError);
+  }
+}
+
+// answer an intercepted request of the browser from the replay store (see "--replay"),
+// a request that is not in the store (or whose response can't be read from it) fails or
+// is loaded from the network with "--replay-fallback"
+// (every request has to be resolved, otherwise the page hangs until the timeout)
+export async function replayRequest(request, run, options) {
+  if (request.isInterceptResolutionHandled()) {
+    return;
+  }
+  const requestUrl = request.url();
+  try {
+    if (!/^https?:/i.test(requestUrl)) {
+      await request.continue();
+      return;
+    }
+    let storedResponse = undefined;
+    try {
+      storedResponse = await getStoredResponse(run.replayStore, request.method(), requestUrl);
+    } catch (err) {
+      // e.g. the body of the response is missing from the store
+      logger.warn(`replayRequest(): could not read the response for ${requestUrl} from the replay store: ${err.message}`);
+    }
+    if (storedResponse) {
+      logger.debug(`replayRequest(): replaying ${requestUrl}, status: ${storedResponse.status}`);
+      replayedRequests.add(request);
+      run.replayStore.replayedCount++;
+      await request.respond(storedResponse);
+    } else {
+      run.replayStore.missedCount++;
+      // a missing page is more interesting than e.g. a missing tracking pixel
+      const logLevel = request.resourceType() === "document" ? "warn" : "verbose";
+      if (options.replayFallback) {
+        logger.log(logLevel, `replayRequest(): ${requestUrl} is not in the replay store, loading it from the network`);
+        await request.continue();
+      } else {
+        logger.log(logLevel, `replayRequest(): ${requestUrl} is not in the replay store, failing the request`);
+        await request.abort("internetdisconnected");
+      }
+    }
+  } catch (err) {
+    // e.g. the page was closed in the meantime
+    logger.debug(`replayRequest(): could not handle the request for ${requestUrl}: ${err.message}`);
+    if (!request.isInterceptResolutionHandled()) {
+      await request.abort("failed").catch(() => {});
+    }
+  }
+}
 
 // helper function to set up a new browser instance (if there's none yet) and a new page (i.e. tab)
-async function newBrowserPage(puppeteer, userDir, options, startNew, proxyIndex, isLastURL, currentPage) {
-  logger.verbose(`newBrowserPage(): userDir = ${userDir}`);
+// note: the run (see generatePdfs()) is shared by all workers:
+//   - run.proxyPool: every newly launched browser gets the next healthy proxy of the pool
+//     (it's acquired before any await, so concurrently launched browsers get different proxies)
+//   - run.recordStore and run.replayStore: the network stores of "--record" and "--replay"
+//   - run.throttle: the back-off of the hosts is updated by the responses (see throttle.js)
+async function newBrowserPage(puppeteer, worker, options, startNew, run, isLastURL, currentPage) {
+  logger.verbose(`newBrowserPage(): userDir = ${worker.userDir}`);
   if (options.keepBrowser && isLastURL) {
     logger.verbose("newBrowserPage(): keepBrowser option was specified and this is/was the last URL to be processed, so skipping");
-    return { browserPage: currentPage, proxyIndex: proxyIndex};
+    return { browserPage: currentPage };
   }
-  const retObj = { browserPage: undefined, proxyIndex: proxyIndex }
+  const retObj = { browserPage: undefined };
   if (startNew) {
     const browserArgs = [];
-    const proxyObj = getNextProxy(proxyIndex, options.proxy);
-    if (typeof proxyObj !== "undefined" && proxyObj.proxy && proxyObj.proxy.length > 0) {
-      retObj.proxyIndex = proxyObj.index;
-      browserArgs.push(`--proxy-server=${proxyObj.proxy}`);
+    const proxy = acquireProxy(run.proxyPool);
+    if (proxy) {
+      browserArgs.push(`--proxy-server=${proxy.server}`);
+    }
+    if (worker.diskCacheDir) {
+      // (outside of the browser profile, so it's kept when the profile is deleted)
+      browserArgs.push(`--disk-cache-dir=${worker.diskCacheDir}`);
     }
     browserArgs.push(...parseBrowserArgOptions("-", options.browserShortOption));
     browserArgs.push(...parseBrowserArgOptions("--", options.browserLongOption));
@@ -123,11 +322,14 @@ async function newBrowserPage(puppeteer, userDir, options, startNew, proxyIndex,
       defaultViewport: null,
       headless: options.headless === true,
       acceptInsecureCerts: options.insecure === true,
-      userDataDir: userDir
+      userDataDir: worker.userDir
     };
     logger.info("newBrowserPage(): launching new browser instance");
     logger.verbose("newBrowserPage(): launch() options:", launchOpts);
     const browser = await puppeteer.launch(launchOpts);
+    if (proxy) {
+      browserProxies.set(browser, proxy);
+    }
     const version = await browser.version();
     logger.verbose(`newBrowserPage(): browser version: ${version}`);
     if (!options.userAgent || options.userAgent.length == 0) {
@@ -146,9 +348,48 @@ async function newBrowserPage(puppeteer, userDir, options, startNew, proxyIndex,
     retObj.browserPage = await browser.newPage();
   }
 
+  const browserProxy = browserProxies.get(retObj.browserPage.browser());
+  if (browserProxy && typeof browserProxy.username !== "undefined") {
+    // (the credentials of the proxy are not part of "--proxy-server")
+    await retObj.browserPage.authenticate({ username: browserProxy.username, password: browserProxy.password });
+  }
+
   logger.verbose(`newBrowserPage(): setting userAgent to: ${options.userAgent}`);
   await retObj.browserPage.setUserAgent(options.userAgent);
 
+  // serve the requests from the network store recorded with "--record"
+  // (what's not in the store either fails or is loaded from the network with "--replay-fallback")
+  if (run.replayStore) {
+    await retObj.browserPage.setRequestInterception(true);
+    retObj.browserPage.on("request", (request) => replayRequest(request, run, options));
+  }
+
+  // collected for the forensics bundle of a failed attempt,
+  // the JavaScript errors of the page are classified as well (see page-errors.js)
+  retObj.browserPage.on("console", (message) => {
+    const diagnostics = pageDiagnostics.get(retObj.browserPage);
+    if (diagnostics) {
+      recordConsoleMessage(diagnostics, message);
+    }
+    if (message.type() === "error") {
+      handleScriptError(retObj.browserPage, run, PAGE_ERROR_SOURCE_CONSOLE, message.text());
+    }
+  });
+  retObj.browserPage.on("pageerror", (error) => {
+    const diagnostics = pageDiagnostics.get(retObj.browserPage);
+    if (diagnostics) {
+      recordPageErrorEvent(diagnostics, error);
+    }
+    handleScriptError(retObj.browserPage, run, PAGE_ERROR_SOURCE_PAGEERROR, error && error.message ? error.message : String(error));
+  });
+  retObj.browserPage.on("requestfailed", (request) => {
+    const diagnostics = pageDiagnostics.get(retObj.browserPage);
+    if (diagnostics) {
+      const failure = request.failure();
+      recordFailedResource(diagnostics, request.url(), undefined, failure ? failure.errorText : undefined, false);
+    }
+  });
+
   // monitor for any "significant" error responses and determine
   // whether we consider the page load successful or not
   retObj.browserPage.on("response", async (response) => {
@@ -161,7 +402,36 @@ async function newBrowserPage(puppeteer, userDir, options, startNew, proxyIndex,
     const parsedResponseUrl = new URL(responseUrl);
     if ([ "http:", "https:" ].includes(parsedResponseUrl.protocol)) {
       const responseStatusCode = response.status();
+      if (run.throttle && !replayedRequests.has(response.request())
+        && observeResponse(run.throttle, responseUrl, responseStatusCode, response.headers())) {
+        throttledPages.add(retObj.browserPage);
+      }
+      if (browserProxy && !replayedRequests.has(response.request()) && !response.fromCache()) {
+        recordProxyResponse(browserProxy, responseStatusCode, responseTime);
+      }
+      const pageImages = capturedImages.get(retObj.browserPage);
+      if (pageImages && response.ok() && response.request().resourceType() === "image") {
+        // the body has to be requested right away (it's not available after the page navigated away)
+        pageImages.set(responseUrl, response.buffer().then(
+          (data) => ({ mimeType: response.headers()["content-type"], data: data }),
+          (e) => {
+            logger.debug(`page.on("response"): could not get the body of ${responseUrl}: ${e.message}`);
+            return undefined;
+          }
+        ));
+      }
+      if (run.recordStore && !replayedRequests.has(response.request())) {
+        recordResponse(run.recordStore, response);
+      }
       const responseFromCache = response.fromCache();
+      const diagnostics = pageDiagnostics.get(retObj.browserPage);
+      if (diagnostics && responseStatusCode >= 400) {
+        const hostname = parsedResponseUrl.hostname;
+        const isCounted = options.resourceHttpError.includes(responseStatusCode)
+          && options.resourceHttpErrorDomainSuffix.some((x) => hostname.endsWith(x))
+          && !options.resourceHttpErrorUrlException.some((x) => x.test(responseUrl));
+        recordFailedResource(diagnostics, responseUrl, responseStatusCode, undefined, isCounted);
+      }
       if (!options.resourceHttpError.includes(responseStatusCode)) {
         logger.debug(`page.on("response"): URL = ${responseUrl}, status: ${responseStatusCode} (fromCache: ${responseFromCache}, responseTime: ${responseTime} ms)`);
       } else {
@@ -171,7 +441,7 @@ async function newBrowserPage(puppeteer, userDir, options, startNew, proxyIndex,
             logger.verbose(`page.on("response"): response for ${responseUrl} was not OK, but URL is on the regexp exception list, status: ${responseStatusCode} (fromCache: ${responseFromCache}, responseTime: ${responseTime} ms)`);
           } else {
             logger.error(`page.on("response"): error for ${responseUrl}, status: ${responseStatusCode} (fromCache: ${responseFromCache}, responseTime: ${responseTime} ms)`);
-            resourceLoadErrorCounter++;
+            resourceLoadErrorCounters.set(retObj.browserPage, getResourceLoadErrorCount(retObj.browserPage) + 1);
           }
         } else {
           logger.verbose(`page.on("response"): response for ${responseUrl} was not OK, but domain suffix is not on the watch-for-errors list, status: ${responseStatusCode} (fromCache: ${responseFromCache}, responseTime: ${responseTime} ms)`);
@@ -274,97 +544,295 @@ async function cleanupBrowser(browserPage, userDir, options, isLastURL) {
   }
 }
 
-// generate PDFs for a set of URLs
+// save the forensics bundle of a failed attempt into the "--forensics-dir" directory
+// (if any), returns the path of the bundle (or undefined)
+async function saveAttemptForensics(browserPage, pageUrl, pdfPath, attempt, retObj, options) {
+  if (!options.forensics || !options.forensicsDir) {
+    return undefined;
+  }
+  const bundlePath = getForensicsBundlePath(options.forensicsDir, pdfPath, attempt);
+  try {
+    await saveForensicsBundle(bundlePath, browserPage, {
+      url: pageUrl,
+      attempt: attempt,
+      stage: retObj.failureStage,
+      error: retObj.errorMessage,
+      renderIssues: retObj.renderIssues,
+      scriptErrors: pageScriptErrors.get(browserPage) || []
+    }, pageDiagnostics.get(browserPage));
+    logger.error(`saveAttemptForensics(): attempt #${attempt} for ${pageUrl} failed at the "${retObj.failureStage}" stage, forensics bundle: ${bundlePath}`);
+    return bundlePath;
+  } catch (err) {
+    logger.error(`saveAttemptForensics(): could not save the forensics bundle for ${pageUrl} to ${bundlePath}: `, err);
+    return undefined;
+  }
+}
+
+// process URLs from the shared queue of generatePdfs() with a single browser (page) until
+// the queue is empty or another worker has failed
 // use intelligent caching (e.g. if a PDF already exists, we won't generate it again by default)
 // apply intelligent retries in case an error occurs (e.g. a server-side throttling, etc.)
-export async function generatePdfs(puppeteer, pageURLs, userDir, pdfDir, pdfDoc, options, isToCPage) {
-  logger.verbose(`generatePdfs(): start, isToCPage = ${isToCPage},`, { options: options, pageURLs: pageURLs});
-
-  let retURLs = undefined;
+// if a (content) page fails even after all retries, it's recorded as a failure and we carry on
+async function runWorker(puppeteer, worker, run, pageURLs, pdfDir, options, isToCPage, manifest) {
+  logger.verbose(`runWorker(): worker #${worker.id} start, userDir = ${worker.userDir}`);
   let pageLoadErrorCounter = 0;
   let pageGenerationCounter = 0;
-  let rejectInProgress = false;
+  let isLastURL = false;
 
-  let { browserPage, proxyIndex } = await newBrowserPage(puppeteer, userDir, options, true, 0, false);
+  ({ browserPage: worker.browserPage } = await newBrowserPage(puppeteer, worker, options, true, run, false));
 
-  try {
-    const lastURLIdx = pageURLs.length > 0 ? pageURLs.length - 1 : 0;
-    for (let pageURLIdx = 0; pageURLIdx < pageURLs.length; pageURLIdx++) {
-      const isLastURL = pageURLIdx == lastURLIdx;
-      const pageUrl = pageURLs[pageURLIdx];
-      for (let pdfGenCounter = 1; ; pdfGenCounter++) {
-        const urlHash = createHash("md5").update(pageUrl).digest("hex");
-        const pdfFilename = "page_" + urlHash + ".pdf";
-        const pdfPath = join(pdfDir, pdfFilename);
-        let pdfExists = false;
-        try {
-          await access(pdfPath);
-          pdfExists = true;
-        } catch (pdfAccessError) {
-          // don't care, just swallow the exception
-        } finally {
-          if (pdfExists && !isToCPage && options.force !== true) {
-            logger.verbose(`generatePdfs(): PDF already exists for ${pageUrl} (and is not a ToC page), re-using it: ${pdfPath}`);
-            await appendPdf(pdfDoc, pdfPath);
-            break;
-          } else {
-            logger.info(`generatePdfs(): attempt #${pdfGenCounter} for ${pageUrl}`);
-            const retObj = await generatePagePdf(pageUrl, pdfPath, browserPage, options, isToCPage);
-            pageGenerationCounter++;
-            if (retObj.pageLoadError) {
-              if (options.retries == 0 || pdfGenCounter < options.retries) {
-                logger.verbose(`generatePdfs(): will retry ${pageUrl}`);
-              } else {
-                // we've run out of retries, the PDF for this URL could not be generated successfully
-                rejectInProgress = true;
-                // cleaning up resources (e.g. closing browser, etc.)
-                await cleanupBrowser(browserPage, userDir, options, isLastURL);
-                return Promise.reject(new Error(`generatePdfs(): failed to load page at ${pageUrl} after ${options.retries} retries`));
-              }
-              pageLoadErrorCounter++;
-              // we'll retry this page generation, but with a clean new browser profile and instance
-              await cleanupBrowser(browserPage, userDir, options, isLastURL);
-              if ((options.proxy && (options.proxy.length == 0 || pageLoadErrorCounter >= options.proxy.length) || !options.proxy) && options.waitTime > 0) {
-                // we wait a couple of seconds if we've used up our entire proxy pool
-                // for retries of this page (or if there's no proxy at all)
-                pageLoadErrorCounter = 0;
-                logger.info(`generatePdfs(): too many HTTP errors, waiting for ${options.waitTime}s.`);
-                await new Promise(resolve => setTimeout(resolve, options.waitTime * 1000));
-                logger.verbose("generatePdfs(): wait is over");
-              }
-              ({ browserPage, proxyIndex } = await newBrowserPage(puppeteer, userDir, options, true, proxyIndex, isLastURL));
-            } else {
-              // page and PDF generation were successful, so we
-              // - open a new browser tab
-              // - reset the error counter to zero
-              // - append the generated PDF to the combined (output) PDF
-              const newBrowserIsNeeded = options.newBrowserPerUrls && options.newBrowserPerUrls > 0 && pageGenerationCounter % options.newBrowserPerUrls == 0;
-              if (newBrowserIsNeeded) {
-                logger.verbose(`generatePdfs(): trying to close the browser, because pageGenerationCounter is ${pageGenerationCounter} and newBrowserPerUrls is ${options.newBrowserPerUrls}`);
-                await cleanupBrowser(browserPage, userDir, options, isLastURL);
-              }
-              ({ browserPage, proxyIndex } = await newBrowserPage(puppeteer, userDir, options, newBrowserIsNeeded, proxyIndex, isLastURL, browserPage));
-              retURLs = retObj.pageURLs;
-              pageLoadErrorCounter = 0;
-              logger.verbose(`generatePdfs(): PDF generation for ${pageUrl} was successful.`);
-              await appendPdf(pdfDoc, pdfPath);
-              break;
-            }
+  const lastURLIdx = pageURLs.length > 0 ? pageURLs.length - 1 : 0;
+  while (typeof run.failure === "undefined" && run.nextURLIdx < pageURLs.length) {
+    if (options.signal && options.signal.aborted) {
+      // the run was cancelled (see generateManual()), the remaining URLs are not processed
+      logger.info(`runWorker(): worker #${worker.id}, the run was cancelled`);
+      run.failure = new Error("the PDF generation was cancelled");
+      break;
+    }
+    const pageURLIdx = run.nextURLIdx++;
+    isLastURL = pageURLIdx == lastURLIdx;
+    const pageUrl = pageURLs[pageURLIdx];
+    for (let pdfGenCounter = 1; ; pdfGenCounter++) {
+      const pdfPath = getPdfPath(pdfDir, pageUrl);
+      let pdfExists = false;
+      try {
+        await access(pdfPath);
+        pdfExists = true;
+      } catch (pdfAccessError) {
+        // don't care, just swallow the exception
+      }
+      if (pdfExists && !isToCPage && options.forceSave !== true) {
+        logger.verbose(`runWorker(): PDF already exists for ${pageUrl} (and is not a ToC page), re-using it: ${pdfPath}`);
+        await run.pdfReady(pageURLIdx, { pdfPath: pdfPath, elapsedMs: 0 });
+        break;
+      }
+      // the back-off of the throttled hosts and the pacing of the page loads
+      await waitForTurn(run.throttle, pageUrl, options.signal);
+      if (options.signal && options.signal.aborted) {
+        logger.info(`runWorker(): worker #${worker.id}, the run was cancelled`);
+        run.failure = new Error("the PDF generation was cancelled");
+        break;
+      }
+      logger.info(`runWorker(): worker #${worker.id}, attempt #${pdfGenCounter} for ${pageUrl}`);
+      emitEvent(options, EVENT_PAGE_STARTED, { url: pageUrl, index: pageURLIdx, total: pageURLs.length, attempt: pdfGenCounter, worker: worker.id, isToCPage: isToCPage });
+      if (manifest) {
+        recordPageAttempt(manifest, pageUrl);
+        await saveManifest(pdfDir, manifest);
+      }
+      const attemptStart = Date.now();
+      const retObj = await generatePagePdf(pageUrl, pdfPath, worker.browserPage, options, isToCPage);
+      const attemptElapsed = Date.now() - attemptStart;
+      const attemptProxy = browserProxies.get(worker.browserPage.browser());
+      if (attemptProxy) {
+        recordProxyAttempt(run.proxyPool, attemptProxy, !retObj.pageLoadError);
+      }
+      pageGenerationCounter++;
+      if (retObj.pageLoadError) {
+        const isFinalAttempt = options.retries != 0 && pdfGenCounter >= options.retries;
+        const forensicsPath = await saveAttemptForensics(worker.browserPage, pageUrl, pdfPath, pdfGenCounter, retObj, options);
+        if (manifest) {
+          recordPageError(manifest, pageUrl, retObj.errorMessage, attemptElapsed, isFinalAttempt, retObj.renderIssues);
+          await saveManifest(pdfDir, manifest);
+        }
+        if (isFinalAttempt) {
+          // we've run out of retries, the PDF for this URL could not be generated successfully
+          const failureMessage = `generatePdfs(): failed to load page at ${pageUrl} after ${options.retries} retries`;
+          if (isToCPage) {
+            // there's nothing to carry on with without the ToC page
+            // (the other workers finish their current URL and stop)
+            run.failure = new Error(failureMessage);
+            worker.isLastURL = isLastURL;
+            return;
           }
+          logger.error(`${failureMessage}, skipping it`);
+          run.failedURLs.push(pageUrl);
+          emitEvent(options, EVENT_PAGE_FAILED, { url: pageUrl, index: pageURLIdx, total: pageURLs.length, attempts: pdfGenCounter, error: retObj.errorMessage, stage: retObj.failureStage, forensics: forensicsPath });
+          await run.pdfReady(pageURLIdx, { failed: true });
+        } else {
+          logger.verbose(`runWorker(): will retry ${pageUrl}`);
+          emitEvent(options, EVENT_PAGE_RETRY, { url: pageUrl, index: pageURLIdx, total: pageURLs.length, attempt: pdfGenCounter, error: retObj.errorMessage, stage: retObj.failureStage, forensics: forensicsPath, isToCPage: isToCPage });
         }
+        pageLoadErrorCounter++;
+        if (throttledPages.has(worker.browserPage) && (!options.proxy || options.proxy.length == 0)) {
+          // a new browser wouldn't get another proxy, so against throttling it's enough to wait
+          // for the back-off of the host (see waitForTurn()) and retry in a new tab
+          logger.verbose(`runWorker(): ${pageUrl} was throttled, retrying in a new tab after the back-off (${describeThrottleState(run.throttle)})`);
+          ({ browserPage: worker.browserPage } = await newBrowserPage(puppeteer, worker, options, false, run, isLastURL, worker.browserPage));
+        } else {
+          // we'll retry this page generation, but with a clean new browser profile and instance
+          await cleanupBrowser(worker.browserPage, worker.userDir, options, isLastURL);
+          if ((options.proxy && (options.proxy.length == 0 || pageLoadErrorCounter >= options.proxy.length) || !options.proxy) && options.waitTime > 0) {
+            // we wait a couple of seconds if we've used up our entire proxy pool
+            // for retries of this page (or if there's no proxy at all)
+            pageLoadErrorCounter = 0;
+            logger.info(`runWorker(): too many HTTP errors, waiting for ${options.waitTime}s.`);
+            await new Promise(resolve => setTimeout(resolve, options.waitTime * 1000));
+            logger.verbose("runWorker(): wait is over");
+          }
+          ({ browserPage: worker.browserPage } = await newBrowserPage(puppeteer, worker, options, true, run, isLastURL));
+        }
+        if (isFinalAttempt) {
+          break;
+        }
+      } else {
+        // page and PDF generation were successful, so we
+        // - open a new browser tab
+        // - reset the error counter to zero
+        // - append the generated PDF to the combined (output) PDF
+        const newBrowserIsNeeded = options.newBrowserPerUrls && options.newBrowserPerUrls > 0 && pageGenerationCounter % options.newBrowserPerUrls == 0;
+        if (newBrowserIsNeeded) {
+          logger.verbose(`runWorker(): trying to close the browser, because pageGenerationCounter is ${pageGenerationCounter} and newBrowserPerUrls is ${options.newBrowserPerUrls}`);
+          await cleanupBrowser(worker.browserPage, worker.userDir, options, isLastURL);
+        }
+        ({ browserPage: worker.browserPage } = await newBrowserPage(puppeteer, worker, options, newBrowserIsNeeded, run, isLastURL, worker.browserPage));
+        pageLoadErrorCounter = 0;
+        logger.verbose(`runWorker(): PDF generation for ${pageUrl} was successful.`);
+        await run.pdfReady(pageURLIdx, { pdfPath: pdfPath, retObj: retObj, elapsedMs: attemptElapsed });
+        break;
       }
-      logger.info(`generatePdfs(): progress: ${pageURLIdx+1} of ${pageURLs.length} URLs`);
     }
-  } finally {
-    // TODO
-    // No idea how to do this "nicely", but if we start messing around with new Promises
-    // while a Promise was already rejected, then we'll end up with an unhandledReject error.
-    // The rejectInProgress flag's purpose is to avoid this scenario.
-    // Imho this is a poor man's solution, there must be a better way.
-    if (!rejectInProgress) {
+  }
+  worker.isLastURL = isLastURL;
+  logger.verbose(`runWorker(): worker #${worker.id} end`);
+}
+
+// Pass the results of the indices 0, 1, 2, ... to "consume(index, result)" strictly in this order
+// and one at a time, no matter in which order they become ready (e.g. the PDFs rendered by the
+// workers of generatePdfs()). "ready(index, result)" returns a promise that is resolved once the
+// results that are ready in order are consumed, "done" is the promise of the last one.
+export function createOrderedQueue(count, consume) {
+  const results = new Array(count);
+  const queue = {
+    nextIdx: 0,
+    done: Promise.resolve(),
+    ready: (index, result) => {
+      results[index] = result;
+      queue.done = queue.done.then(async () => {
+        while (queue.nextIdx < count && typeof results[queue.nextIdx] !== "undefined") {
+          await consume(queue.nextIdx, results[queue.nextIdx]);
+          results[queue.nextIdx] = null;
+          queue.nextIdx++;
+        }
+      });
+      return queue.done;
+    }
+  };
+  return queue;
+}
+
+// generate PDFs for a set of URLs
+// The URLs are processed by "options.concurrency" number of workers (each with its own browser
+// instance, user profile directory and proxy of the pool), but the generated PDFs are
+// appended to the combined PDF (if "pdfDoc" is specified) in the order of the URLs.
+// Without "pdfDoc" the PDFs are only saved into "pdfDir" (and recorded in the manifest), so they
+// can be merged at the end (see mergeVolumes() in manual.js), i.e. the merged document is not kept
+// in memory while the pages are rendered.
+// (mergeInfo and manifest are optional, see createMergeInfo() and createManifest())
+// The proxies are taken from the proxy pool in "options.proxyPool" (see proxies.js), so the
+// health of the proxies is tracked over multiple calls, or from "options.proxy" without it.
+// The run can be cancelled with an AbortSignal in "options.signal": the workers finish the URL
+// they're working on and the returned promise is rejected.
+export async function generatePdfs(puppeteer, pageURLs, userDir, pdfDir, pdfDoc, options, isToCPage, mergeInfo, manifest) {
+  logger.verbose(`generatePdfs(): start, isToCPage = ${isToCPage},`, { options: redactProxyOptions(options), pageURLs: pageURLs});
+
+  let retURLs = undefined;
+  // appending is serialized and done strictly in the order of the URLs
+  const appendQueue = createOrderedQueue(pageURLs.length, async (pageURLIdx, result) => {
+    const pageUrl = pageURLs[pageURLIdx];
+    const { pdfPath, retObj, elapsedMs, failed } = result;
+    if (failed) {
+      return;
+    }
+    if (retObj) {
+      retURLs = retObj.pageURLs;
+      if (isToCPage && mergeInfo) {
+        mergeInfo.tocUrl = pageUrl;
+        mergeInfo.tocTitle = retObj.tocTitle;
+        mergeInfo.tocLanguage = retObj.tocLanguage;
+        mergeInfo.tocTree = retObj.tocTree;
+        mergeInfo.selectedUrls = retObj.selectedURLs;
+      }
+    }
+    const pageCount = pdfDoc ? await appendPdf(pdfDoc, pdfPath, mergeInfo, pageUrl) : await countPdfPages(pdfPath);
+    if (manifest && (retObj || !manifest.pages[pageUrl] || manifest.pages[pageUrl].status !== PAGE_DONE)) {
+      await recordPageDone(manifest, pageUrl, pdfPath, pageCount, elapsedMs, retObj ? retObj.renderIssues : undefined);
+      await saveManifest(pdfDir, manifest);
+    }
+    logger.info(`generatePdfs(): progress: ${pageURLIdx + 1} of ${pageURLs.length} URLs`);
+    emitEvent(options, EVENT_PAGE_DONE, { url: pageUrl, index: pageURLIdx, done: pageURLIdx + 1, total: pageURLs.length, cached: !retObj, pageCount: pageCount, isToCPage: isToCPage });
+  });
+  const run = {
+    nextURLIdx: 0,
+    failure: undefined,
+    failedURLs: [],
+    proxyPool: options.proxyPool || createProxyPool(options.proxy, options),
+    recordStore: undefined,
+    replayStore: undefined,
+    throttle: createThrottle(options),
+    pageErrorRules: parsePageErrorRules(options.pageErrorRule),
+    // called by the workers once the PDF for a URL is available
+    pdfReady: appendQueue.ready
+  };
+
+  // "--record" and "--replay" may use the same directory (e.g. to add what was missing
+  // from the store with "--replay-fallback"), in which case they share the store
+  const isSharedStore = options.record && options.replay && resolvePath(options.record) === resolvePath(options.replay);
+  if (options.replay) {
+    run.replayStore = await openNetworkStore(options.replay, isSharedStore);
+  }
+  if (options.record) {
+    run.recordStore = isSharedStore ? run.replayStore : await openNetworkStore(options.record, true);
+  }
+
+  const concurrency = Math.max(1, Math.min(options.concurrency || 1, pageURLs.length));
+  const workers = [];
+  for (let i = 0; i < concurrency; i++) {
+    // with multiple workers every worker gets its own browser profile directory
+    const workerUserDir = concurrency > 1 ? join(userDir, `worker-${i}`) : userDir;
+    if (concurrency > 1) {
+      await mkdir(workerUserDir, { recursive: true });
+    }
+    // (and its own disk cache, Chromium can't share one between concurrent instances)
+    const workerDiskCacheDir = options.diskCacheDir ? join(options.diskCacheDir, `worker-${i}`) : undefined;
+    workers.push({ id: i, userDir: workerUserDir, diskCacheDir: workerDiskCacheDir, browserPage: undefined, isLastURL: false });
+  }
+
+  await Promise.all(workers.map(async (worker) => {
+    try {
+      await runWorker(puppeteer, worker, run, pageURLs, pdfDir, options, isToCPage, manifest);
+    } catch (err) {
+      logger.error(`generatePdfs(): worker #${worker.id} failed with an error: `, err);
+      if (typeof run.failure === "undefined") {
+        run.failure = err;
+      }
+    } finally {
       // cleaning up resources (e.g. closing browser, etc.)
-      await cleanupBrowser(browserPage, userDir, options, true);
+      if (worker.browserPage) {
+        await cleanupBrowser(worker.browserPage, worker.userDir, options, worker.isLastURL);
+      }
     }
+  }));
+  await appendQueue.done;
+
+  if (run.recordStore) {
+    await flushNetworkStore(run.recordStore);
+    logger.info(`generatePdfs(): recorded ${run.recordStore.recordedCount} responses into ${run.recordStore.directory}`);
+  }
+  if (run.replayStore) {
+    logger.info(`generatePdfs(): replayed ${run.replayStore.replayedCount} responses from ${run.replayStore.directory}, ${run.replayStore.missedCount} requests were not in the store`);
+  }
+
+  if (run.throttle.throttledCount > 0 || run.throttle.waitedMs > 0) {
+    logger.info(`generatePdfs(): ${run.throttle.throttledCount} throttling responses, waited ${Math.round(run.throttle.waitedMs / 1000)}s in total for the back-off of the hosts and the pacing of the pages`);
+  }
+
+  if (typeof run.failure !== "undefined") {
+    return Promise.reject(run.failure);
+  }
+
+  if (run.failedURLs.length > 0) {
+    logger.error(`generatePdfs(): failed to generate PDF for ${run.failedURLs.length} of ${pageURLs.length} URLs:`);
+    run.failedURLs.forEach((url) => logger.error(`generatePdfs(): - ${url}`));
   }
 
   logger.verbose("generatePdfs(): end");
@@ -372,16 +840,16 @@ export async function generatePdfs(puppeteer, pageURLs, userDir, pdfDir, pdfDoc,
   return retURLs;
 }
 
-async function catchResourceLoadErrors(options, functionParam) {
-  const errorsBefore = resourceLoadErrorCounter;
+async function catchResourceLoadErrors(browserPage, options, functionParam) {
+  const errorsBefore = getResourceLoadErrorCount(browserPage);
   let ret = false;
   try {
     await functionParam();
-    const errorsAfter = resourceLoadErrorCounter;
+    const errorsAfter = getResourceLoadErrorCount(browserPage);
     ret = errorsAfter - errorsBefore >= 0 && errorsAfter > options.resourceHttpErrorAllowed;
     logger.debug(`catchResourceLoadErrors(): resourceLoadErrors=${errorsAfter - errorsBefore}, ret=${ret}`);
   } catch(err) {
-    const errorsAfter = resourceLoadErrorCounter;
+    const errorsAfter = getResourceLoadErrorCount(browserPage);
     ret = errorsAfter - errorsBefore >= 0 && errorsAfter > options.resourceHttpErrorAllowed;
     logger.debug(`catchResourceLoadErrors(): resourceLoadErrors=${errorsAfter - errorsBefore}, ret=${ret}`);
     logger.error("catchResourceLoadErrors(): error while executing function, ", err);
@@ -392,16 +860,24 @@ async function catchResourceLoadErrors(options, functionParam) {
 
 // generate a PDF for a single URL
 async function generatePagePdf(pageUrl, pdfFilePath, browserPage, options, isToCPage) {
-  const retObj = { pageURLs: [], pageLoadError: false };
+  const retObj = { pageURLs: [], tocTitle: undefined, tocLanguage: undefined, tocTree: undefined, selectedURLs: undefined, renderIssues: undefined, pageLoadError: false, errorMessage: undefined, failureStage: undefined };
+  const profile = getProfile(options);
+  // the stage of the page generation (recorded in the forensics bundle if the attempt fails)
+  let stage = FAILURE_STAGE_GOTO;
 
   try {
     logger.verbose("generatePagePdf(): goto() start");
     const start = Date.now();
-    resourceLoadErrorCounter = 0;
+    resourceLoadErrorCounters.set(browserPage, 0);
+    pageDiagnostics.set(browserPage, createPageDiagnostics());
+    pageScriptErrors.set(browserPage, []);
+    if (options.export && !isToCPage) {
+      capturedImages.set(browserPage, new Map());
+    }
     
     // navigate to the given URL (on the currently open browser tab)
     // note: while goto() is in progress, we're continuously monitoring
-    //       the state of `resourceLoadErrorCounter` and if a URL loading error is detected,
+    //       the resource load error counter of the page and if a URL loading error is detected,
     //       we shut down the goto() operation by executing a "window.stop()"
     //       on the browser page (that is being loaded).
     //       We can win some time this way if we don't wait for all other resources
@@ -415,8 +891,9 @@ async function generatePagePdf(pageUrl, pdfFilePath, browserPage, options, isToC
       new Promise((resolve) => {
         watcherResolve = resolve;
         intervalID = setInterval(() => {
-          logger.debug(`generatePagePdf(): goto() progress watcher invoked, resourceLoadErrorCounter = ${resourceLoadErrorCounter}`);
-          if (resourceLoadErrorCounter > options.resourceHttpErrorAllowed || pageGotoError) {
+          const resourceLoadErrorCount = getResourceLoadErrorCount(browserPage);
+          logger.debug(`generatePagePdf(): goto() progress watcher invoked, resourceLoadErrorCount = ${resourceLoadErrorCount}`);
+          if (resourceLoadErrorCount > options.resourceHttpErrorAllowed || pageGotoError) {
             pageGotoError = true;
             logger.debug("generatePagePdf(): goto() progress watcher: pageLoadError detected");
             clearInterval(intervalID);
@@ -484,11 +961,16 @@ async function generatePagePdf(pageUrl, pdfFilePath, browserPage, options, isToC
         `
       });
     }
+    for (const css of profile.css) {
+      logger.debug("generatePagePdf(): adding CSS of the site profile to page");
+      await browserPage.addStyleTag({ content: css });
+    }
 
     // we've to scroll to the end of the page so dynamically loaded elements and code
     // are triggered before the PDF generation
     // (this is necessary to make sure that there's time for everything to load properly)
-    const scrollToPageBottomError = await catchResourceLoadErrors(options, async () => {
+    stage = FAILURE_STAGE_SCROLL;
+    const scrollToPageBottomError = await catchResourceLoadErrors(browserPage, options, async () => {
       await scrollToPageBottom(browserPage, 50);
     });
 
@@ -498,7 +980,8 @@ async function generatePagePdf(pageUrl, pdfFilePath, browserPage, options, isToC
     
     logger.verbose("generatePagePdf(): waiting for network requests to go idle after we scrolled to the bottom");
     const start2 = Date.now();
-    const waitForIdleAfterScrollError = await catchResourceLoadErrors(options, async () => {
+    stage = FAILURE_STAGE_IDLE_WAIT;
+    const waitForIdleAfterScrollError = await catchResourceLoadErrors(browserPage, options, async () => {
       await browserPage.waitForNetworkIdle({ concurrency: options.idleConcurrency, timeout: options.timeout });
     });
     logger.verbose(`generatePagePdf(): wait is finished in ${ (Date.now() - start2) / 1000 }s`);
@@ -510,19 +993,20 @@ async function generatePagePdf(pageUrl, pdfFilePath, browserPage, options, isToC
     logger.verbose("generatePagePdf(): DOM manipulations start");
 
     if (isToCPage === true) {
+      stage = FAILURE_STAGE_TOC;
       logger.verbose("generatePagePdf(): collecting page URLs from the table-of-contents page");
-      const tocLinkCollectionError = await catchResourceLoadErrors(options, async () => {
+      const tocLinkCollectionError = await catchResourceLoadErrors(browserPage, options, async () => {
         const start3 = Date.now();
-        retObj.pageURLs = await browserPage.evaluate(() => {
+        retObj.pageURLs = await browserPage.evaluate((linkSelector) => {
           // collect all page links from the table-of-contents page
           const urls = [];
-          document.querySelectorAll("body section#ownersmanual > ul a").forEach((anchor) => {
+          document.querySelectorAll(linkSelector).forEach((anchor) => {
             if (anchor && anchor.href && anchor.href.length > 0) {
               urls.push(anchor.href);
             }
           });
           return Promise.resolve(urls);
-        });
+        }, profile.toc.linkSelector);
         logger.verbose(`generatePagePdf(): collected ${retObj.pageURLs.length} urls from the table-of-contents page`);
         retObj.pageURLs = retObj.pageURLs.filter((url) => {
           const parsedUrl = new URL(url);
@@ -537,47 +1021,99 @@ async function generatePagePdf(pageUrl, pdfFilePath, browserPage, options, isToC
         throw new Error(`generatePagePdf(): there was an error while collecting links from the table-of-contents page at ${pageUrl}`);
       }
 
+      logger.verbose("generatePagePdf(): collecting the chapter hierarchy from the table-of-contents page");
+      const tocTreeCollectionError = await catchResourceLoadErrors(browserPage, options, async () => {
+        const start3 = Date.now();
+        ({ title: retObj.tocTitle, language: retObj.tocLanguage, tree: retObj.tocTree } = await browserPage.evaluate((listSelector, titleSelector) => {
+          // The ToC is a tree of nested lists: chapter -> sub-chapter -> article.
+          // The title of a list item is its own text (without the text of its nested lists)
+          // and its URL is the href of its own anchor (if it has one, i.e. it's an article).
+          const walkList = (list) => {
+            const nodes = [];
+            for (const item of list.children) {
+              if (item.tagName.toUpperCase() !== "LI") {
+                continue;
+              }
+              const nestedLists = Array.from(item.querySelectorAll("ul")).filter((ul) => ul.parentElement.closest("li") === item);
+              const ownAnchor = Array.from(item.querySelectorAll("a")).find((a) => a.closest("li") === item);
+              const itemCopy = item.cloneNode(true);
+              itemCopy.querySelectorAll("ul").forEach((ul) => ul.remove());
+              const children = [];
+              nestedLists.forEach((ul) => children.push(...walkList(ul)));
+              nodes.push({
+                title: itemCopy.textContent.replaceAll(/\s+/g, " ").trim(),
+                url: ownAnchor && ownAnchor.href && ownAnchor.href.length > 0 ? ownAnchor.href : undefined,
+                children: children
+              });
+            }
+            return nodes;
+          };
+          const rootList = document.querySelector(listSelector);
+          const heading = document.querySelector(titleSelector);
+          return Promise.resolve({
+            title: heading ? heading.textContent.trim() : undefined,
+            language: document.documentElement.lang || undefined,
+            tree: rootList ? walkList(rootList) : []
+          });
+        }, profile.toc.listSelector, profile.toc.titleSelector));
+        logger.verbose(`generatePagePdf(): collected ${retObj.tocTree.length} top level chapters from the table-of-contents page`);
+        logger.verbose(`generatePagePdf(): collecting the chapter hierarchy finished in ${ (Date.now() - start3) / 1000 }s`);
+      });
+
+      if (options.leniency <= 7 && tocTreeCollectionError) {
+        throw new Error(`generatePagePdf(): there was an error while collecting the chapter hierarchy from the table-of-contents page at ${pageUrl}`);
+      }
+
+      // the ToC page lists only what's in the document if just a part of the manual is generated
+      // (e.g. "--include-chapter"), the list items without any of the selected URLs are removed
+      // (the selection is passed on in mergeInfo, so the filters are applied only once, see selectPageUrls())
+      const selectedURLs = hasPageFilters(options) ? filterPageUrls(retObj.pageURLs, retObj.tocTree, pageUrl, options) : null;
+      retObj.selectedURLs = selectedURLs || undefined;
+
       logger.verbose("generatePagePdf(): modifying DOM of a table-of-contents page");
       const chapterExpansionStart = Date.now();
-      const tocModificationError = await catchResourceLoadErrors(options, async() => {
-        await browserPage.evaluate((titleCaptionStr) => {
+      const tocModificationError = await catchResourceLoadErrors(browserPage, options, async() => {
+        await browserPage.evaluate((titleCaptionStr, toc, selectedURLs) => {
+          if (selectedURLs) {
+            const withoutFragment = (url) => url.split("#")[0];
+            const selected = new Set(selectedURLs.map(withoutFragment));
+            const rootList = document.querySelector(toc.listSelector);
+            if (rootList) {
+              rootList.querySelectorAll("li").forEach((item) => {
+                if (!Array.from(item.querySelectorAll("a")).some((anchor) => selected.has(withoutFragment(anchor.href)))) {
+                  item.remove();
+                }
+              });
+            }
+          }
           if (titleCaptionStr && titleCaptionStr.length > 0) {
             // add a text below the page title
-            const titles = document.querySelectorAll("body h1[class^=\"heading\"]");
+            const titles = document.querySelectorAll(toc.titleSelector);
             if (titles.length > 0) {
               const paragraph = document.createElement("p");
               paragraph.innerText = "(" + titleCaptionStr + ")";
               titles[0].parentNode.appendChild(paragraph);
             }
           }
-          // DIVs under the <section> element contain unnecessary stuff.
+          // remove unnecessary stuff
           // e.g. search box and "Show other documents to download"
-          // We get rid of them.
-          document.querySelectorAll("body section#ownersmanual > div").forEach((element) => {
-            element.remove();
+          toc.removeSelectors.forEach((selector) => {
+            document.querySelectorAll(selector).forEach((element) => {
+              element.remove();
+            });
           });
           // expand all chapters and remove the button afterwards
-          document.querySelectorAll("body section#ownersmanual > ul li button").forEach((button) => {
+          document.querySelectorAll(toc.expandButtonSelector).forEach((button) => {
             button.click();
             button.remove();
           });
           // apply a more compact look to the ToC
-          document.querySelectorAll("body section#ownersmanual > ul > li > div").forEach((element) => {
-              element.style.padding = "0.25rem 0";
-          });
-          document.querySelectorAll("body section#ownersmanual > ul > li > ul").forEach((element) => {
-            element.style.padding = "0.2rem 0 1rem 0";
-          });
-          [
-            "body section#ownersmanual > ul ul li",
-            "body section#ownersmanual > ul ul li div",
-            "body section#ownersmanual > ul ul li a"
-          ].forEach((selector) => {
+          toc.styles.forEach(({ selector, style }) => {
             document.querySelectorAll(selector).forEach((element) => {
-              element.style.padding = "0.2rem 0";
-            })
+              Object.assign(element.style, style);
+            });
           });
-        }, options.titleCaption);
+        }, options.titleCaption, profile.toc, selectedURLs);
       });
       logger.verbose(`generatePagePdf(): table-of-contents page modification finished in ${ (Date.now() - chapterExpansionStart) / 1000 }s`);
 
@@ -589,14 +1125,12 @@ async function generatePagePdf(pageUrl, pdfFilePath, browserPage, options, isToC
     // removing a couple of probably unwanted sections
     // e.g. "Related articles", "More in this topic"
     // (this is optional, some people might prefer to have these in the PDF as well)
+    stage = FAILURE_STAGE_DOM_CLEANUP;
     if (!isToCPage && options.links !== true) {
-      const relatedRemovalError = await catchResourceLoadErrors(options, async() => {
-        const sectionRemovalLogs = await browserPage.evaluate(() => {
+      const relatedRemovalError = await catchResourceLoadErrors(browserPage, options, async() => {
+        const sectionRemovalLogs = await browserPage.evaluate((relatedSelectors) => {
           const logs = [];
-          [
-            "body div[class^=\"ArticlePageLayout\"][class*=\"relatedArticles\"]",
-            "body div:has(> div[class^=\"TitleCardList\"][class*=\"container\"])"
-          ].forEach((selector) => {
+          relatedSelectors.forEach((selector) => {
             const elements = document.querySelectorAll(selector);
             logs.push(`found and removed ${elements.length} elements for the "${selector}" selector`);
             elements.forEach((element) => {
@@ -604,7 +1138,7 @@ async function generatePagePdf(pageUrl, pdfFilePath, browserPage, options, isToC
             });
           });
           return Promise.resolve(logs);
-        });
+        }, profile.article.relatedSelectors);
         sectionRemovalLogs.forEach((log) => {
           logger.verbose(`generatePagePdf(): ${log}`);
         });
@@ -616,10 +1150,15 @@ async function generatePagePdf(pageUrl, pdfFilePath, browserPage, options, isToC
     }
 
     const anchorToSpanStart = Date.now();
-    const hyperlinkConversionError = await catchResourceLoadErrors(options, async() => {
-      await browserPage.evaluate(() => {
+    const hyperlinkConversionError = await catchResourceLoadErrors(browserPage, options, async() => {
+      await browserPage.evaluate((keepHyperlinks) => {
         // replacing anchor tags with span tags since we don't need hyperlinks in a PDF
+        // (unless hyperlinks were requested, in which case only the anchors that can't be
+        // followed from a PDF are replaced, the rest are turned into PDF links by Chromium)
         document.querySelectorAll("a").forEach((anchor) => {
+          if (keepHyperlinks && anchor.href && /^https?:/i.test(anchor.href)) {
+            return;
+          }
           const span = document.createElement("span");
           if (anchor.className) {
             span.className = anchor.className;
@@ -631,7 +1170,7 @@ async function generatePagePdf(pageUrl, pdfFilePath, browserPage, options, isToC
           span.innerHTML = anchor.innerHTML;
           anchor.parentNode.replaceChild(span, anchor);
         });
-      });
+      }, options.hyperlinks === true);
     });
     logger.verbose(`generatePagePdf(): replacement of anchor tags finished in ${ (Date.now() - anchorToSpanStart) / 1000 }s`);
 
@@ -649,37 +1188,50 @@ async function generatePagePdf(pageUrl, pdfFilePath, browserPage, options, isToC
     //   https://developer.onetrust.com/onetrust/docs/javascript-api
     //   And we remove the lingering overlay manually, because OneTrust.Close() doesn't seem to work
     //   as advertised.
-    const onetrustError = await catchResourceLoadErrors(options, async() => {
-      const onetrustLogs = await browserPage.evaluate(() => {
+    // the consent handlers of the site profile are applied in order:
+    // - "onetrust": reject all cookies via OneTrust's API and remove the "removeSelectors" elements
+    // - "click": click the "selectors" elements (e.g. a "Reject all" button)
+    // - "remove": remove the "selectors" elements
+    const onetrustError = await catchResourceLoadErrors(browserPage, options, async() => {
+      const onetrustLogs = await browserPage.evaluate((consentHandlers) => {
         let logs = [];
-        if (window.OneTrust) {
-          if (window.OneTrust.RejectAll) {
-            try {
-              OneTrust.RejectAll();
-              logs.push("OneTrust.RejectAll() was successful.");
-              if (OneTrust.Close) {
+        for (const handler of consentHandlers) {
+          if (handler.type == "click" || handler.type == "remove") {
+            (handler.selectors || []).forEach((selector) => {
+              const elements = document.querySelectorAll(selector);
+              logs.push(`consent handler "${handler.type}" found ${elements.length} elements for the "${selector}" selector`);
+              elements.forEach((element) => handler.type == "click" ? element.click() : element.remove());
+            });
+          } else if (handler.type == "onetrust") {
+            if (window.OneTrust) {
+              if (window.OneTrust.RejectAll) {
                 try {
-                  OneTrust.Close();
-                  logs.push("generatePagePdf(): OneTrust.Close() was successful.");
-                } catch (onetrustCloseErr) {
-                  logs.push("generatePagePdf(): OneTrust.Close() threw an error:", onetrustCloseErr);
+                  OneTrust.RejectAll();
+                  logs.push("OneTrust.RejectAll() was successful.");
+                  if (OneTrust.Close) {
+                    try {
+                      OneTrust.Close();
+                      logs.push("generatePagePdf(): OneTrust.Close() was successful.");
+                    } catch (onetrustCloseErr) {
+                      logs.push("generatePagePdf(): OneTrust.Close() threw an error:", onetrustCloseErr);
+                    }
+                  }
+                  (handler.removeSelectors || []).forEach((selector) => {
+                    document.querySelectorAll(selector).forEach((element) => element.remove());
+                  });
+                } catch (onetrustRejectAllErr) {
+                  logs.push("generatePagePdf(): OneTrust.RejectAll() threw an error:", onetrustRejectAllErr);
                 }
+              } else {
+                logs.push("generatePagePdf(): OneTrust detected, but has no RejectAll() function");
               }
-              const cookieBannerHost = document.querySelector("body #cookie-banner-host");
-              if (cookieBannerHost) {
-                cookieBannerHost.remove();
-              }
-            } catch (onetrustRejectAllErr) {
-              logs.push("generatePagePdf(): OneTrust.RejectAll() threw an error:", onetrustRejectAllErr);
+            } else {
+              logs.push("generatePagePdf(): no OneTrust object was detected");
             }
-          } else {
-            logs.push("generatePagePdf(): OneTrust detected, but has no RejectAll() function");
           }
-        } else {
-          logs.push("generatePagePdf(): no OneTrust object was detected");
         }
         return Promise.resolve(logs);
-      });
+      }, profile.consentHandlers);
       onetrustLogs.forEach((log) => {
         logger.verbose(`generatePagePdf(): ${log}`);
       });
@@ -690,14 +1242,12 @@ async function generatePagePdf(pageUrl, pdfFilePath, browserPage, options, isToC
     }
 
     logger.verbose("generatePagePdf(): removing not useful page elements");
-    const pageElementRemovalError = await catchResourceLoadErrors(options, async() => {
+    const pageElementRemovalError = await catchResourceLoadErrors(browserPage, options, async() => {
       // removing a couple of sections which are not useful in a PDF
-      const unusefulRemovalLogs = await browserPage.evaluate((isToCPage) => {
+      const unusefulRemovalLogs = await browserPage.evaluate((isToCPage, removeSelectors, article) => {
         const result = [];
-        [
-          "body #site-nav-embed", // header
-          "body #site-footer-embed", // footer
-        ].forEach((selector) => {
+        // e.g. header and footer
+        removeSelectors.forEach((selector) => {
           const elements = document.querySelectorAll(selector);
           if (elements.length > 0) {
             elements.forEach((element) => {
@@ -708,9 +1258,8 @@ async function generatePagePdf(pageUrl, pdfFilePath, browserPage, options, isToC
           }
         });
         if (!isToCPage) {
-          [
-            "body nav ~ div > div:has(> hr)", // horizontal ruler at the bottom of main page content
-          ].forEach((selector) => {
+          // e.g. horizontal ruler at the bottom of main page content
+          article.removeSelectors.forEach((selector) => {
             const elements = document.querySelectorAll(selector);
             if (elements.length > 0) {
               elements.forEach((element) => {
@@ -726,9 +1275,13 @@ async function generatePagePdf(pageUrl, pdfFilePath, browserPage, options, isToC
           //   thus we try to wait for it at most 5 seconds (i.e. 50 * 100ms).
           // This is not ideal, but I couldn't tell what the exact trigger is,
           // i.e. what should we check or wait for.
-          const articleSelector = "body article";
+          const banner = article.signInBanner;
+          if (!banner) {
+            return Promise.resolve(result);
+          }
+          const articleSelector = banner.articleSelector;
           return new Promise((resolve) => {
-            let articleCheckCount = 50;
+            let articleCheckCount = banner.maxChecks;
             const intervalID = setInterval(() => {
               const articles = Array.from(document.querySelectorAll(articleSelector));
               if (articles.length > 0) {
@@ -753,14 +1306,14 @@ async function generatePagePdf(pageUrl, pdfFilePath, browserPage, options, isToC
                         && article.previousElementSibling.tagName.toUpperCase() == "DIV"
                       ) {
                         const buttonCount = article.previousElementSibling.querySelectorAll("button").length;
-                        if (buttonCount == 1) {
+                        if (buttonCount == banner.buttonCount) {
                           result.push(`looking for "${articleSelector}" selector (${articleCheckCount}), found a matching element and removed it`);
                           article.previousElementSibling.remove();
                           clearInterval(intervalID);
                           resolve(result);
                         } else {
-                          if (buttonCount == 0) {
-                            result.push(`looking for "${articleSelector}" selector (${articleCheckCount}), previousElementSibling doesn't have a button`);
+                          if (buttonCount < banner.buttonCount) {
+                            result.push(`looking for "${articleSelector}" selector (${articleCheckCount}), previousElementSibling doesn't have enough buttons (${buttonCount})`);
                           } else {
                             result.push(`looking for "${articleSelector}" selector (${articleCheckCount}), previousElementSibling has too many buttons (${buttonCount})`);
                           }
@@ -782,12 +1335,12 @@ async function generatePagePdf(pageUrl, pdfFilePath, browserPage, options, isToC
                 clearInterval(intervalID);
                 resolve(result);
               }
-            }, 100);
+            }, banner.checkInterval);
           });
         } else {
           return Promise.resolve(result);
         }
-      }, isToCPage);
+      }, isToCPage, profile.removeSelectors, profile.article);
       unusefulRemovalLogs.forEach((log) => {
         logger.verbose(`generatePagePdf(): ${log}`);
       });
@@ -798,7 +1351,7 @@ async function generatePagePdf(pageUrl, pdfFilePath, browserPage, options, isToC
     }
 
     // Iframes with a non-empty "src" are usually 3rd party stuff that we don't need in a PDF.
-    const iframeRemovalError = await catchResourceLoadErrors(options, async() => {
+    const iframeRemovalError = await catchResourceLoadErrors(browserPage, options, async() => {
       const iframeSrcs = await browserPage.evaluate(() => {
         const result = [];
         document.querySelectorAll("body iframe").forEach((iframe) => {
@@ -818,6 +1371,45 @@ async function generatePagePdf(pageUrl, pdfFilePath, browserPage, options, isToC
       throw new Error(`generatePagePdf(): there was an error after iframe removal from ${pageUrl}`);
     }
 
+    // the DOM is cleaned up, so this is what we want to export besides the PDF
+    stage = FAILURE_STAGE_CAPTURE;
+    if (options.export && !isToCPage && typeof pdfFilePath !== "undefined") {
+      logger.verbose("generatePagePdf(): capturing the article for export");
+      try {
+        await captureArticle(browserPage, pageUrl, pdfFilePath, capturedImages.get(browserPage), profile.article.contentSelectors);
+      } finally {
+        capturedImages.delete(browserPage);
+      }
+    }
+
+    // a plain text version of the article (to compare the content of different runs, see diff.js)
+    // and its headings (only for the text export and the search index, see search.js)
+    // (the PDF doesn't need them, so a failure is only logged)
+    if (!isToCPage && typeof pdfFilePath !== "undefined" && (options.saveText || options.textExport || options.searchIndex)) {
+      try {
+        const article = await browserPage.evaluate((contentSelectors) => {
+          const root = contentSelectors.map((selector) => document.querySelector(selector)).find((element) => element) || document.body;
+          const headings = Array.from(root.querySelectorAll("h1, h2, h3, h4, h5, h6"), (heading) => ({
+            level: parseInt(heading.tagName.substring(1), 10),
+            text: heading.innerText.replaceAll(/\s+/g, " ").trim()
+          })).filter((heading) => heading.text.length > 0);
+          const firstHeading = headings.find((heading) => heading.level == 1);
+          return {
+            text: root.innerText,
+            title: firstHeading ? firstHeading.text : document.title,
+            headings: headings
+          };
+        }, profile.article.contentSelectors);
+        await writeFile(getTextPath(pdfFilePath), article.text);
+        if (options.textExport || options.searchIndex) {
+          await writeFile(getHeadingsPath(pdfFilePath), JSON.stringify({ title: article.title, headings: article.headings }));
+        }
+        logger.verbose(`generatePagePdf(): saved the text of the article (${article.text.length} characters, ${article.headings.length} headings)`);
+      } catch (err) {
+        logger.warn(`generatePagePdf(): could not save the text of ${pageUrl}: ${err.message}`);
+      }
+    }
+
     // We're now pretty much finished and ready to save the page as a PDF.
     // The browserPage.pdf() call (by default) waits for all fonts to be loaded,
     // but according to documentation:
@@ -828,7 +1420,8 @@ async function generatePagePdf(pageUrl, pdfFilePath, browserPage, options, isToC
     logger.verbose("generatePagePdf(): bringing page/tab to front");
     browserPage.bringToFront();
     
-    const waitForIdleAfterDomModificationsError = await catchResourceLoadErrors(options, async() => {
+    stage = FAILURE_STAGE_IDLE_WAIT;
+    const waitForIdleAfterDomModificationsError = await catchResourceLoadErrors(browserPage, options, async() => {
       logger.verbose("generatePagePdf(): waiting for network requests to go idle after DOM manipulations");
       const start4 = Date.now();
       await browserPage.waitForNetworkIdle({ concurrency: options.idleConcurrency, timeout: options.timeout });
@@ -839,6 +1432,15 @@ async function generatePagePdf(pageUrl, pdfFilePath, browserPage, options, isToC
       throw new Error(`generatePagePdf(): there was an error while waiting for network requests to go idle after DOM manipulations for ${pageUrl}`);
     }
 
+    // the JavaScript errors that trigger a retry (e.g. a failed hydration) are the actual cause
+    // of the error banners the page error text patterns look for, so they're checked first
+    stage = FAILURE_STAGE_SCRIPT_ERROR;
+    const retryErrors = (pageScriptErrors.get(browserPage) || []).filter((x) => x.action === PAGE_ERROR_RETRY);
+    if (retryErrors.length > 0) {
+      throw new Error(`generatePagePdf(): found ${retryErrors.length} JavaScript errors before PDF rendering, e.g. ${describeScriptError(retryErrors[0])}`);
+    }
+
+    stage = FAILURE_STAGE_ERROR_TEXT;
     if (options.pageErrorTextPattern && options.pageErrorTextPattern.length > 0) {
       for (const text of options.pageErrorTextPattern) {
         const searchString = text.replaceAll("'", "");
@@ -851,13 +1453,30 @@ async function generatePagePdf(pageUrl, pdfFilePath, browserPage, options, isToC
       };
     }
 
+    // missing images, lazy loading placeholders, etc. (see completeness.js)
+    stage = FAILURE_STAGE_RENDER_CHECK;
+    if (options.renderCheck) {
+      logger.verbose("generatePagePdf(): checking whether the page is rendered completely");
+      retObj.renderIssues = await checkRenderCompleteness(browserPage);
+      if (retObj.renderIssues.length > options.renderIssuesAllowed) {
+        const message = `the page is not rendered completely (${describeRenderIssues(retObj.renderIssues)}) for ${pageUrl}`;
+        if (options.leniency == 0) {
+          throw new Error(`generatePagePdf(): ${message}`);
+        }
+        logger.warn(`generatePagePdf(): ${message}, saving it anyway because of the leniency`);
+      } else if (retObj.renderIssues.length > 0) {
+        logger.verbose(`generatePagePdf(): ${retObj.renderIssues.length} render issues are allowed (${describeRenderIssues(retObj.renderIssues)})`);
+      }
+    }
+
     // save PDF of the page
+    stage = FAILURE_STAGE_PDF;
     logger.verbose("generatePagePdf(): generating PDF");
     if (typeof pdfFilePath !== "undefined") {
       const start = Date.now();
       try {
         await browserPage.pdf({
-          displayHeaderFooter: options.displayHeaderFooter === true,
+          displayHeaderFooter: options.pdfDisplayHeaderFooter === true,
           path: pdfFilePath,
           format: options.pdfPageSize,
           margin: {
@@ -891,8 +1510,10 @@ async function generatePagePdf(pageUrl, pdfFilePath, browserPage, options, isToC
     // at this stage we consider the page-to-PDF process a success
     logger.verbose("generatePagePdf(): pdf generation was a success");
   } catch (pageError) {
-    logger.error(`generatePagePdf(): error for ${pageUrl}: ${pageError.message}`);
+    logger.error(`generatePagePdf(): error for ${pageUrl} (stage: ${stage}): ${pageError.message}`);
     retObj.pageLoadError = true;
+    retObj.errorMessage = pageError.message;
+    retObj.failureStage = stage;
   }
 
   logger.verbose("generatePagePdf(): end");
@@ -0,0 +1,83 @@
+// Node.js builtin packages
+import { URL } from "node:url";
+
+// 3rd-party packages
+// PDF generator (to merge Chromium generated PDFs into a single PDF)
+import { PDFArray, PDFDict, PDFName, PDFNull } from "pdf-lib";
+// logger
+import { loggers } from "winston";
+const logger = loggers.get("mainLogger");
+
+// links in articles don't always look exactly like the URLs collected from the ToC page
+// (e.g. a fragment or a trailing slash), so we compare them in a normalized form
+function normalizeLinkUrl(url) {
+  try {
+    const parsedUrl = new URL(url);
+    parsedUrl.hash = "";
+    if (parsedUrl.pathname.length > 1 && parsedUrl.pathname.endsWith("/")) {
+      parsedUrl.pathname = parsedUrl.pathname.slice(0, -1);
+    }
+    return parsedUrl.toString();
+  } catch (err) {
+    return url;
+  }
+}
+
+// collect the link annotations with an URI action (i.e. the hyperlinks preserved by Chromium)
+// that point to a page in the merged PDF
+function collectInternalLinks(pdfDoc, normalizedPageIndex) {
+  const links = [];
+  for (const page of pdfDoc.getPages()) {
+    const annots = page.node.lookupMaybe(PDFName.of("Annots"), PDFArray);
+    if (!annots) {
+      continue;
+    }
+    for (let i = 0; i < annots.size(); i++) {
+      const annot = annots.lookupMaybe(i, PDFDict);
+      if (!annot || annot.get(PDFName.of("Subtype")) !== PDFName.of("Link")) {
+        continue;
+      }
+      const action = annot.lookupMaybe(PDFName.of("A"), PDFDict);
+      if (!action || action.get(PDFName.of("S")) !== PDFName.of("URI")) {
+        continue;
+      }
+      const uri = action.lookup(PDFName.of("URI"));
+      if (!uri || typeof uri.decodeText !== "function") {
+        continue;
+      }
+      const url = normalizeLinkUrl(uri.decodeText());
+      if (normalizedPageIndex.has(url)) {
+        links.push({ annot: annot, url: url });
+      }
+    }
+  }
+  return links;
+}
+
+// turn hyperlinks that point to pages of the manual into internal (GoTo) links
+// that jump to the first page of the given article in the merged PDF,
+// other hyperlinks are kept as external (URI) links
+// note: calling this multiple times re-targets the already converted links
+//   (e.g. after empty pages have been removed from the document)
+export function resolveInternalLinks(pdfDoc, mergeInfo) {
+  const normalizedPageIndex = new Map();
+  for (const [ url, idx ] of mergeInfo.urlPageIndex) {
+    normalizedPageIndex.set(normalizeLinkUrl(url), idx);
+  }
+  const newLinks = collectInternalLinks(pdfDoc, normalizedPageIndex);
+  logger.verbose(`resolveInternalLinks(): found ${newLinks.length} new links to pages of the manual`);
+  mergeInfo.internalLinks.push(...newLinks);
+
+  const pageCount = pdfDoc.getPageCount();
+  let resolvedCount = 0;
+  for (const link of mergeInfo.internalLinks) {
+    const pageIndex = normalizedPageIndex.get(link.url);
+    if (typeof pageIndex === "undefined" || pageIndex >= pageCount) {
+      continue;
+    }
+    link.annot.delete(PDFName.of("A"));
+    link.annot.set(PDFName.of("Dest"), pdfDoc.context.obj([ pdfDoc.getPage(pageIndex).ref, PDFName.of("XYZ"), PDFNull, PDFNull, PDFNull ]));
+    resolvedCount++;
+  }
+  logger.verbose(`resolveInternalLinks(): ${resolvedCount} links point to pages of the merged PDF`);
+}
@@ -0,0 +1,141 @@
+// Node.js builtin packages
+import { readFile, rename, writeFile } from "node:fs/promises";
+import { basename, join } from "node:path";
+import { createHash } from "node:crypto";
+
+// logger
+import { loggers } from "winston";
+const logger = loggers.get("mainLogger");
+
+// The manifest is a JSON file in the "--pdf-dir" directory that records the state of a run:
+// - the ToC URL, title and chapter hierarchy
+// - the page filters the ToC page was rendered with (see describePageFilters())
+// - the list of page URLs (in ToC order)
+// - the status of each page (attempts, last error, timings, the generated PDF and its hash,
+//   the render issues of the last attempt, see completeness.js)
+// It allows to resume an interrupted run without re-rendering the ToC page and
+// to report the pages that could not be generated.
+export const MANIFEST_FILENAME = "manifest.json";
+const MANIFEST_VERSION = 1;
+
+// page statuses
+export const PAGE_PENDING = "pending";
+export const PAGE_IN_PROGRESS = "in-progress";
+export const PAGE_DONE = "done";
+export const PAGE_FAILED = "failed";
+
+// manifest writes are serialized per manifest (workers might update it concurrently)
+const saveQueues = new WeakMap();
+
+export function createManifest(tocUrl) {
+  const now = new Date().toISOString();
+  return {
+    version: MANIFEST_VERSION,
+    tocUrl: tocUrl,
+    tocTitle: null,
+    tocLanguage: null,
+    tocTree: null,
+    pageFilters: null,
+    urls: [],
+    createdAt: now,
+    updatedAt: now,
+    pages: {}
+  };
+}
+
+// returns undefined if there's no (usable) manifest in the directory
+export async function loadManifest(pdfDir) {
+  const manifestPath = join(pdfDir, MANIFEST_FILENAME);
+  let manifest = undefined;
+  try {
+    manifest = JSON.parse(await readFile(manifestPath, "utf8"));
+  } catch (err) {
+    logger.verbose(`loadManifest(): could not read manifest at ${manifestPath}: ${err.message}`);
+    return undefined;
+  }
+  if (!manifest || manifest.version !== MANIFEST_VERSION || !Array.isArray(manifest.urls) || typeof manifest.pages !== "object") {
+    logger.warn(`loadManifest(): the manifest at ${manifestPath} is not in a supported format, ignoring it`);
+    return undefined;
+  }
+  logger.verbose(`loadManifest(): loaded manifest from ${manifestPath} with ${manifest.urls.length} URLs`);
+  return manifest;
+}
+
+export function saveManifest(pdfDir, manifest) {
+  const manifestPath = join(pdfDir, MANIFEST_FILENAME);
+  const previousSave = saveQueues.get(manifest) || Promise.resolve();
+  const save = previousSave.then(async () => {
+    manifest.updatedAt = new Date().toISOString();
+    // write to a temporary file first, so an interrupted run can't leave a truncated manifest behind
+    const tmpPath = manifestPath + ".tmp";
+    await writeFile(tmpPath, JSON.stringify(manifest, null, 2));
+    await rename(tmpPath, manifestPath);
+    logger.debug(`saveManifest(): saved manifest to ${manifestPath}`);
+  }).catch((err) => {
+    logger.error(`saveManifest(): failed to save manifest to ${manifestPath}: `, err);
+  });
+  saveQueues.set(manifest, save);
+  return save;
+}
+
+function getPageEntry(manifest, pageUrl) {
+  if (!manifest.pages[pageUrl]) {
+    manifest.pages[pageUrl] = {
+      status: PAGE_PENDING,
+      attempts: 0,
+      lastError: null,
+      startedAt: null,
+      finishedAt: null,
+      durationMs: 0,
+      pdfFile: null,
+      pdfHash: null,
+      pageCount: null,
+      renderIssues: []
+    };
+  }
+  return manifest.pages[pageUrl];
+}
+
+export function recordPageAttempt(manifest, pageUrl) {
+  const entry = getPageEntry(manifest, pageUrl);
+  entry.status = PAGE_IN_PROGRESS;
+  entry.attempts++;
+  if (!entry.startedAt) {
+    entry.startedAt = new Date().toISOString();
+  }
+}
+
+// (renderIssues: the render issues of the attempt, if the page got as far as the check)
+export function recordPageError(manifest, pageUrl, errorMessage, elapsedMs, isFinal, renderIssues) {
+  const entry = getPageEntry(manifest, pageUrl);
+  entry.status = isFinal ? PAGE_FAILED : PAGE_IN_PROGRESS;
+  entry.lastError = errorMessage;
+  if (renderIssues) {
+    entry.renderIssues = renderIssues;
+  }
+  entry.durationMs += elapsedMs;
+  if (isFinal) {
+    entry.finishedAt = new Date().toISOString();
+  }
+}
+
+// (renderIssues: the render issues of the page, undefined for a PDF of a previous run)
+export async function recordPageDone(manifest, pageUrl, pdfPath, pageCount, elapsedMs, renderIssues) {
+  const entry = getPageEntry(manifest, pageUrl);
+  entry.status = PAGE_DONE;
+  entry.lastError = null;
+  if (renderIssues) {
+    entry.renderIssues = renderIssues;
+  }
+  entry.durationMs += elapsedMs;
+  entry.finishedAt = new Date().toISOString();
+  entry.pdfFile = basename(pdfPath);
+  entry.pdfHash = createHash("sha256").update(await readFile(pdfPath)).digest("hex");
+  entry.pageCount = pageCount;
+}
+
+export function getFailedPages(manifest) {
+  return manifest.urls
+    .filter((url) => manifest.pages[url] && manifest.pages[url].status === PAGE_FAILED)
+    .map((url) => Object.assign({ url: url }, manifest.pages[url]));
+}
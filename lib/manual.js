@@ -0,0 +1,598 @@
+// Node.js builtin packages
+import { access, mkdtemp, readFile, rm, stat, writeFile } from "node:fs/promises";
+import { accessSync, rmSync } from "node:fs";
+import { join, parse } from "node:path";
+import { tmpdir } from "node:os";
+import process from "node:process";
+import { isDeepStrictEqual } from "node:util";
+
+// 3rd-party packages
+// allow use of "extra" plugins
+import puppeteer from "puppeteer-extra";
+// the Stealth plugin is required to avoid CDN anti-scraping techniques
+// (i.e. puppeteer and headless browser detection -> HTTP 403 responses)
+import pluginStealth from "puppeteer-extra-plugin-stealth";
+// PDF generator (to merge Chromium generated PDFs into a single PDF)
+import { PDFDocument, StandardFonts } from "pdf-lib";
+// logger
+import { loggers } from "winston";
+const logger = loggers.get("mainLogger");
+
+// Dependencies from this package
+import { appendPdf, countPdfPages, createMergeInfo, generatePdfs, getPdfPath } from "./generator.js";
+import { PAGE_DONE, createManifest, getFailedPages, loadManifest, saveManifest } from "./manifest.js";
+import { exportManual, getExportDataPath } from "./export.js";
+import { addOutline } from "./outline.js";
+import { resolveInternalLinks } from "./links.js";
+import { DEFAULT_FILENAME, resolveOptions } from "./options.js";
+import { createProfile, loadProfile } from "./profile.js";
+import { PDF_CLEANUP_GHOSTSCRIPT, removeBlankPages, removeBlankPagesWithGhostscript } from "./blank-pages.js";
+import { EVENT_MERGE_DONE, EVENT_TOC_COLLECTED, emitEvent } from "./events.js";
+import { FORENSICS_DIRNAME } from "./forensics.js";
+import { parsePageErrorRules } from "./page-errors.js";
+import { buildSearchIndex, collectSearchDocuments, saveSearchIndex, writeTextExport } from "./search.js";
+import { describePageFilters, filterPageUrls, hasPageFilters, loadUrlList, pruneTocTree } from "./filters.js";
+import { PRINTED_TOC_NONE, addPrintedToc, createTextSanitizer } from "./printed-toc.js";
+import { getStamps, stampPages } from "./stamps.js";
+import { addMetadata } from "./metadata.js";
+import { getPdfaIncompatibleOptions } from "./pdfa.js";
+import { createDedupIndex } from "./dedup.js";
+import { SPLIT_NONE, SPLIT_SIZE, getVolumePath, planVolumes } from "./volumes.js";
+import { optimizePdf } from "./optimize.js";
+import { createProxyPool, loadProxyList, logProxyStats, redactProxyOptions } from "./proxies.js";
+
+export const EXIT_CODE_CANCELLED = 18;
+
+// the temporary directories of the runs in progress (see cleanupTemporaryDirectories())
+const temporaryDirectories = new Set();
+let stealthPluginRegistered = false;
+
+// delete the temporary directories of all runs in progress
+// (synchronous, so it can be called from signal and exception handlers)
+export function cleanupTemporaryDirectories() {
+  for (const directory of temporaryDirectories) {
+    try {
+      accessSync(directory);
+      logger.verbose(`cleanupTemporaryDirectories(): deleting temporary directory: ${directory}`);
+      rmSync(directory, { recursive: true, force: true });
+    } catch (err) {
+      logger.verbose(`cleanupTemporaryDirectories(): temporary directory was not found (so not deleting): ${directory}`);
+    }
+  }
+  temporaryDirectories.clear();
+}
+
+// create a temporary directory that is deleted by cleanupTemporaryDirectories()
+export async function createTemporaryDirectory(prefix) {
+  const directory = await mkdtemp(join(tmpdir(), prefix));
+  temporaryDirectories.add(directory);
+  return directory;
+}
+
+// return the given directory (after checking that it exists) or create a temporary one
+async function prepareDirectory(path, optionName, prefix, description) {
+  if (typeof path !== "undefined") {
+    try {
+      await access(path);
+      return path;
+    } catch (err) {
+      logger.error(`prepareDirectory(): the path specified with ${optionName} does not exist: ${path}`);
+      throw err;
+    }
+  }
+  try {
+    return await createTemporaryDirectory(prefix);
+  } catch (err) {
+    logger.error(`prepareDirectory(): failed to create temporary directory for ${description}, `, err);
+    throw err;
+  }
+}
+
+// delete a directory created by createTemporaryDirectory() (other directories are left alone)
+export async function removeTemporaryDirectory(directory) {
+  if (temporaryDirectories.delete(directory)) {
+    logger.verbose(`removeTemporaryDirectory(): deleting temporary directory: ${directory}`);
+    await rm(directory, { recursive: true, force: true });
+  }
+}
+
+function isCancelled(options) {
+  if (options.signal && options.signal.aborted) {
+    logger.info("generateManual(): the run was cancelled");
+    return true;
+  }
+  return false;
+}
+
+// add the outline and resolve the internal links (as requested by the options) and set the metadata
+function finalizeMergedPdf(pdfDoc, mergeInfo, url, options) {
+  if (options.outline) {
+    addOutline(pdfDoc, mergeInfo);
+  }
+  if (options.hyperlinks) {
+    resolveInternalLinks(pdfDoc, mergeInfo);
+  }
+  addMetadata(pdfDoc, mergeInfo, url, options);
+}
+
+// Generate the PDF of a Volvo user manual: render the ToC page (unless "toc" is false),
+// render all the pages it links to, merge them into a single PDF, add the outline and
+// remove the empty pages.
+// The options are the same as the commandline options (in camelCase, e.g. "pdfDir" for "--pdf-dir"),
+// everything that is not specified gets the same default as on the commandline
+// (see getDefaultOptions()). The "profile" option is either the path of a site profile
+// or a (partial) profile object (see profile.js), the "urlList" option is either the path of a URL list
+// file or a list of URLs (see filters.js). An EventEmitter can be passed in "options.events" to receive
+// progress events (see events.js) and an AbortSignal in "options.signal" to cancel the run.
+// The time of the generation (in the metadata of the PDF, see metadata.js) is "options.generatedAt"
+// (a Date or an ISO string, the start of the run by default).
+// The PDF is written to "options.output" if it's specified, otherwise it's returned as bytes.
+// Resolves to an object with:
+// - exitCode: zero on success, otherwise the code the commandline tool would exit with
+//   (EXIT_CODE_CANCELLED if the run was cancelled)
+// - output: the path of the written PDF (if "options.output" was specified), the path of the first
+//   volume if the manual was split into volumes (see "options.split" and volumes.js)
+// - volumes: the volumes of the manual: [ { output, pageCount, pageUrls }, ... ] (a single one if it's not split)
+// - pdfBytes: the bytes of the PDF (if "options.output" was not specified)
+// - pageCount: number of pages in the PDF
+// - pageUrls: the URLs of the pages (in the order of the ToC)
+// - failedPages: the pages that could not be generated even after all retries (see getFailedPages())
+// - exportPath: the path of the HTML/EPUB export (if "options.export" was specified)
+export async function generateManual(url, userOptions) {
+  const options = resolveOptions(userOptions);
+  logger.verbose("generateManual(): parameters: ", { url: url, options: redactProxyOptions(options) } );
+
+  if (typeof options.profile === "string") {
+    try {
+      options.profile = await loadProfile(options.profile);
+    } catch (err) {
+      logger.error(`generateManual(): failed to load the site profile specified with --profile: ${options.profile}`);
+      throw err;
+    }
+  } else if (options.profile) {
+    options.profile = createProfile(options.profile, "the site profile in the options");
+  }
+
+  try {
+    // an invalid "--stamp" should be reported before the pages are generated (not hours later)
+    getStamps(options);
+  } catch (err) {
+    logger.error(`generateManual(): ${err.message}`);
+    throw err;
+  }
+
+  const pdfaIncompatibleOptions = options.pdfa ? getPdfaIncompatibleOptions(options) : [];
+  if (pdfaIncompatibleOptions.length > 0) {
+    const message = `the options ${pdfaIncompatibleOptions.join(", ")} use fonts that can't be embedded, they can't be used together with --pdfa`;
+    logger.error(`generateManual(): ${message}`);
+    throw new Error(message);
+  }
+
+  if (options.split && options.split != SPLIT_NONE && !options.output) {
+    const message = "the manual can be split into volumes only if the \"output\" option is specified";
+    logger.error(`generateManual(): ${message}`);
+    throw new Error(message);
+  }
+
+  if (options.imageDpi > 0 && !options.optimize) {
+    const message = "the images can be downsampled only if the \"optimize\" option is specified";
+    logger.error(`generateManual(): ${message}`);
+    throw new Error(message);
+  }
+
+  try {
+    // (the rules are parsed again by generatePdfs(), this is to fail before the browser is started)
+    parsePageErrorRules(options.pageErrorRule);
+  } catch (err) {
+    logger.error(`generateManual(): ${err.message}`);
+    throw err;
+  }
+
+  // the time of the generation (in the metadata of the PDF)
+  const generatedAt = new Date(options.generatedAt || Date.now());
+  if (isNaN(generatedAt.getTime())) {
+    const message = `the "generatedAt" option is not a valid date: ${options.generatedAt}`;
+    logger.error(`generateManual(): ${message}`);
+    throw new Error(message);
+  }
+  options.generatedAt = generatedAt;
+
+  if (typeof options.urlList === "string") {
+    try {
+      options.urlList = await loadUrlList(options.urlList);
+    } catch (err) {
+      logger.error(`generateManual(): failed to load the URL list specified with --url-list: ${options.urlList}`);
+      throw err;
+    }
+  }
+
+  if (options.proxyFile) {
+    try {
+      options.proxy = [ ...(options.proxy || []), ...await loadProxyList(options.proxyFile) ];
+    } catch (err) {
+      logger.error(`generateManual(): failed to load the proxy list specified with --proxy-file: ${options.proxyFile}`);
+      throw err;
+    }
+  }
+  try {
+    // (the health of the proxies is tracked over the whole run, see proxies.js)
+    options.proxyPool = createProxyPool(options.proxy, options);
+  } catch (err) {
+    logger.error(`generateManual(): ${err.message}`);
+    throw err;
+  }
+
+  if (!stealthPluginRegistered) {
+    // to avoid CDN anti-scraping measures (HTTP 403 responses)
+    puppeteer.use(pluginStealth());
+    stealthPluginRegistered = true;
+  }
+
+  const userDirectory = await prepareDirectory(options.userDir, "--user-dir", "pdfgen4vcman-userDir-", "Chromium userDir");
+  let pdfDirectory = undefined;
+  try {
+    pdfDirectory = await prepareDirectory(options.pdfDir, "--pdf-dir", "pdfgen4vcman-pdfDir-", "intermediary PDF files");
+    return await generateManualInDirectories(url, options, userDirectory, pdfDirectory);
+  } finally {
+    // only the directories created for this run (a temporary directory in the options, e.g. the
+    // shared browser profile of a batch, belongs to the caller)
+    if (typeof options.userDir === "undefined") {
+      await removeTemporaryDirectory(userDirectory);
+    }
+    if (pdfDirectory && typeof options.pdfDir === "undefined") {
+      await removeTemporaryDirectory(pdfDirectory);
+    }
+  }
+}
+
+// the page URLs of the ToC to be processed: the ones selected by the filters (see filters.js)
+// and at most "--toc-limit" of them
+// (the chapter hierarchy is pruned too, so e.g. the outline has only the selected chapters)
+function selectPageUrls(pageUrls, tocUrl, mergeInfo, options) {
+  let selectedUrls = pageUrls;
+  if (hasPageFilters(options)) {
+    // (the filters were applied when the ToC page was rendered, unless it's re-used by "--resume")
+    selectedUrls = mergeInfo.selectedUrls || filterPageUrls(pageUrls, mergeInfo.tocTree, tocUrl, options);
+    mergeInfo.tocTree = pruneTocTree(mergeInfo.tocTree, selectedUrls);
+    logger.info(`generateManual(): ${selectedUrls.length} of ${pageUrls.length} page URLs are selected by the filters`);
+  }
+  if (options.tocLimit > 0 && selectedUrls.length > 0) {
+    selectedUrls = selectedUrls.slice(0, options.tocLimit);
+  }
+  return selectedUrls;
+}
+
+// the printed ToC and the stamps use the standard PDF fonts, so their texts (e.g. the titles of
+// the ToC tree) are checked before the pages are generated, throws an error if a text can't be
+// printed (see createTextSanitizer())
+async function checkPrintableTexts(mergeInfo, options) {
+  const collectTitles = (nodes) => (nodes || []).flatMap((node) => [ node.title || "", ...collectTitles(node.children) ]);
+  const texts = [];
+  if (options.printedToc && options.printedToc != PRINTED_TOC_NONE) {
+    texts.push(options.printedTocTitle || "", mergeInfo.tocTitle || "", ...collectTitles(mergeInfo.tocTree));
+  }
+  for (const template of getStamps(options).values()) {
+    texts.push(template);
+    if (template.includes("{title}")) {
+      texts.push(mergeInfo.tocTitle || "");
+    }
+    if (template.includes("{chapter}") || template.includes("{article}")) {
+      texts.push(...collectTitles(mergeInfo.tocTree));
+    }
+    if (template.includes("{timestamp}")) {
+      texts.push(options.titleCaption || "");
+    }
+  }
+  if (texts.length > 0) {
+    // (all the standard fonts, except Symbol and ZapfDingbats, have the same character set)
+    const sanitize = createTextSanitizer(await (await PDFDocument.create()).embedFont(StandardFonts.Helvetica));
+    texts.forEach(sanitize);
+  }
+}
+
+// empty page removal, outline, internal links, printed ToC, stamps and metadata of a merged PDF,
+// which is written to "outputfile", returns the number of pages of the final PDF
+// (the PDF is saved once, except if Ghostscript removes empty pages or the printed ToC or the
+// stamps are added after the Ghostscript clean-up)
+export async function postProcessMergedPdf(pdfDoc, mergeInfo, url, outputfile, options, result) {
+  const useGhostscript = options.pdfCleanup && options.pdfCleanupBackend == PDF_CLEANUP_GHOSTSCRIPT;
+  const addsPrintedToc = options.printedToc && options.printedToc != PRINTED_TOC_NONE;
+  const addsStamps = getStamps(options).size > 0;
+  if (options.pdfCleanup && !useGhostscript) {
+    logger.info("generateManual(): cleaning up empty pages");
+    const removedPageCount = removeBlankPages(pdfDoc, mergeInfo, options.pdfCleanupThreshold);
+    logger.info(`generateManual(): removed ${removedPageCount} empty pages`);
+  }
+  if (options.optimize) {
+    logger.info("generateManual(): optimizing the merged PDF");
+    await optimizePdf(pdfDoc, options);
+  }
+
+  let isSaved = false;
+  if (useGhostscript && process.platform != "linux") {
+    logger.warn("generateManual(): empty pages are removed with Ghostscript only on Linux, skipping the clean-up");
+  } else if (useGhostscript) {
+    // Ghostscript measures the ink coverage of the saved PDF, so it's saved before the printed ToC
+    // and the stamps are added (the stamps would make an empty page non-empty)
+    finalizeMergedPdf(pdfDoc, mergeInfo, url, options);
+    await writeFile(outputfile, await pdfDoc.save());
+    logger.info(`generateManual(): saved combined PDF to "${outputfile}"`);
+    logger.info("generateManual(): cleaning up empty pages with Ghostscript");
+    const cleanupResult = removeBlankPagesWithGhostscript(pdfDoc, mergeInfo, outputfile, options);
+    if (cleanupResult.exitCode != 0) {
+      result.exitCode = cleanupResult.exitCode;
+    }
+    logger.info(`generateManual(): removed ${cleanupResult.removedPageCount} empty pages`);
+    isSaved = cleanupResult.removedPageCount == 0;
+  }
+
+  // the page numbers are final only after the empty pages were removed
+  let pagesChanged = false;
+  if (addsPrintedToc) {
+    logger.info("generateManual(): adding the printed table of contents");
+    const printedTocPageCount = await addPrintedToc(pdfDoc, mergeInfo, options);
+    logger.info(`generateManual(): added a printed table of contents of ${printedTocPageCount} pages`);
+    pagesChanged = pagesChanged || printedTocPageCount > 0;
+  }
+  if (addsStamps) {
+    logger.info("generateManual(): stamping the running headers and footers onto the pages");
+    const stampedPageCount = await stampPages(pdfDoc, mergeInfo, options);
+    pagesChanged = pagesChanged || stampedPageCount > 0;
+  }
+  if (!isSaved || pagesChanged) {
+    // (the bookmarks and internal links have to point to the pages that remained)
+    finalizeMergedPdf(pdfDoc, mergeInfo, url, options);
+    await writeFile(outputfile, await pdfDoc.save());
+    logger.info(isSaved ? `generateManual(): updated "${outputfile}" with the printed table of contents and/or the running headers and footers` : `generateManual(): saved combined PDF to "${outputfile}"`);
+  }
+  return pdfDoc.getPageCount();
+}
+
+// the merge information of a volume: the ToC page (if it's in the volume) and the chapters of its pages
+function createVolumeMergeInfo(mergeInfo, volumeUrls, volumeNumber, volumeCount) {
+  const volumeMergeInfo = createMergeInfo();
+  volumeMergeInfo.tocUrl = volumeUrls.includes(mergeInfo.tocUrl) ? mergeInfo.tocUrl : undefined;
+  volumeMergeInfo.tocTitle = mergeInfo.tocTitle ? `${mergeInfo.tocTitle} (${volumeNumber}/${volumeCount})` : undefined;
+  volumeMergeInfo.tocLanguage = mergeInfo.tocLanguage;
+  volumeMergeInfo.tocTree = mergeInfo.tocTree ? pruneTocTree(mergeInfo.tocTree, volumeUrls) : undefined;
+  return volumeMergeInfo;
+}
+
+// Merge the PDFs of the URLs (from the pdfDirectory, in the given order) into the output PDF or
+// into volumes (see volumes.js) and post-process them, one volume at a time, so only one volume
+// is in memory at a time. The shared resources of the articles (fonts, images) are stored only
+// once in a volume (see dedup.js).
+// Returns the volumes: [ { output, pageUrls, pageCount, mergeInfo }, ... ]
+async function mergeVolumes(mergedUrls, mergeInfo, url, outputfile, pdfDirectory, options, result) {
+  const contentUrls = mergedUrls.filter((pageUrl) => pageUrl !== mergeInfo.tocUrl);
+  const pdfSizes = new Map();
+  if (options.split == SPLIT_SIZE) {
+    for (const pageUrl of contentUrls) {
+      pdfSizes.set(pageUrl, (await stat(getPdfPath(pdfDirectory, pageUrl))).size);
+    }
+  }
+  const volumeUrls = planVolumes(contentUrls, mergeInfo.tocTree, pdfSizes, options);
+  if (mergeInfo.tocUrl && mergedUrls.includes(mergeInfo.tocUrl)) {
+    if (volumeUrls.length == 0) {
+      volumeUrls.push([]);
+    }
+    volumeUrls[0].unshift(mergeInfo.tocUrl);
+  }
+  if (volumeUrls.length > 1) {
+    logger.info(`generateManual(): splitting the manual into ${volumeUrls.length} volumes`);
+  }
+
+  const volumes = [];
+  for (const [ volumeIdx, urls ] of volumeUrls.entries()) {
+    const output = volumeUrls.length > 1 ? getVolumePath(outputfile, volumeIdx + 1, volumeUrls.length) : outputfile;
+    // (a single volume keeps the merge information of the run, e.g. for the export)
+    const volumeMergeInfo = volumeUrls.length > 1 ? createVolumeMergeInfo(mergeInfo, urls, volumeIdx + 1, volumeUrls.length) : mergeInfo;
+    const pdfDoc = await PDFDocument.create();
+    const dedupIndex = createDedupIndex();
+    for (const pageUrl of urls) {
+      await appendPdf(pdfDoc, getPdfPath(pdfDirectory, pageUrl), volumeMergeInfo, pageUrl, dedupIndex);
+    }
+    logger.info(`generateManual(): merged ${urls.length} PDFs into ${pdfDoc.getPageCount()} pages, ${dedupIndex.dedupedObjectCount} shared objects (${Math.round(dedupIndex.dedupedByteCount / 1024)} KiB) are stored only once`);
+    const pageCount = pdfDoc.getPageCount() > 0 ? await postProcessMergedPdf(pdfDoc, volumeMergeInfo, url, output, options, result) : 0;
+    volumes.push({ output: output, pageUrls: urls, pageCount: pageCount, mergeInfo: volumeMergeInfo });
+  }
+  return volumes;
+}
+
+async function generateManualInDirectories(url, options, userDirectory, pdfDirectory) {
+  const result = {
+    exitCode: 0,
+    output: undefined,
+    pdfBytes: undefined,
+    pageCount: 0,
+    pageUrls: [],
+    volumes: [],
+    failedPages: [],
+    exportPath: undefined
+  };
+  // the forensics bundles of the failed attempts (see forensics.js) are kept next to the PDFs,
+  // unless the PDFs are in a temporary directory
+  if (options.forensics && typeof options.forensicsDir === "undefined" && typeof options.pdfDir !== "undefined") {
+    options.forensicsDir = join(pdfDirectory, FORENSICS_DIRNAME);
+  }
+  // Ghostscript needs a file, so without "options.output" the PDF is saved in the pdfDirectory
+  const outputfile = options.output || join(pdfDirectory, "combined.pdf");
+
+  const mergeInfo = createMergeInfo();
+
+  let pageUrls = undefined;
+  let manifest = undefined;
+  if (options.resume) {
+    manifest = await loadManifest(pdfDirectory);
+    if (typeof manifest === "undefined") {
+      logger.warn("generateManual(): --resume was specified, but there's no manifest in the --pdf-dir directory, starting from scratch");
+    } else if (manifest.tocUrl !== url) {
+      logger.warn(`generateManual(): --resume was specified, but the manifest in the --pdf-dir directory belongs to a different URL (${manifest.tocUrl}), starting from scratch`);
+      manifest = undefined;
+    } else if (options.toc === true && !isDeepStrictEqual(manifest.pageFilters || null, describePageFilters(options))) {
+      // the ToC page lists only the selected chapters (the PDFs of the pages are re-used)
+      logger.info("generateManual(): the page filters are not the same as in the interrupted run, rendering the table-of-contents page again");
+    } else if (options.toc === true) {
+      // the ToC page was rendered (and its URLs were collected) by the interrupted run already
+      try {
+        // (the PDF of the ToC page is merged at the end, but it has to be there)
+        await countPdfPages(getPdfPath(pdfDirectory, url));
+        mergeInfo.tocUrl = url;
+        mergeInfo.tocTitle = manifest.tocTitle;
+        mergeInfo.tocLanguage = manifest.tocLanguage || undefined;
+        mergeInfo.tocTree = manifest.tocTree;
+        pageUrls = manifest.urls;
+        logger.info(`generateManual(): resuming with the ${pageUrls.length} page URLs of the manifest`);
+      } catch (err) {
+        logger.warn("generateManual(): --resume was specified, but the PDF of the ToC page could not be loaded, starting from scratch: ", err);
+        manifest = undefined;
+      }
+    }
+  }
+  if (typeof manifest === "undefined") {
+    manifest = createManifest(url);
+  }
+
+  if (options.toc === true && typeof pageUrls !== "undefined") {
+    emitEvent(options, EVENT_TOC_COLLECTED, { url: url, title: mergeInfo.tocTitle, pageUrls: pageUrls, resumed: true });
+    pageUrls = selectPageUrls(pageUrls, url, mergeInfo, options);
+  } else if (options.toc === true) {
+    logger.info("generateManual(): generating the ToC page");
+    try {
+      pageUrls = await generatePdfs(puppeteer, [ url ], userDirectory, pdfDirectory, null, options, true, mergeInfo, manifest).catch(e => {
+        logger.error("generateManual(): PDF generation for ToC page failed with a rejection: ", e);
+        result.exitCode = 3;
+      });
+    } catch (err) {
+      logger.error("generateManual(): PDF generation for ToC page failed with an error: ", err);
+      result.exitCode = 4;
+    }
+    logger.info(`generateManual(): number of page URLs in ToC: ${pageUrls ? pageUrls.length : 0}`);
+    if (pageUrls) {
+      manifest.tocTitle = mergeInfo.tocTitle;
+      manifest.tocLanguage = mergeInfo.tocLanguage || null;
+      manifest.tocTree = mergeInfo.tocTree;
+      manifest.pageFilters = describePageFilters(options);
+      manifest.urls = pageUrls;
+      await saveManifest(pdfDirectory, manifest);
+      emitEvent(options, EVENT_TOC_COLLECTED, { url: url, title: mergeInfo.tocTitle, pageUrls: pageUrls, resumed: false });
+    }
+    if (pageUrls) {
+      pageUrls = selectPageUrls(pageUrls, url, mergeInfo, options);
+    }
+  } else {
+    logger.info("generateManual(): no ToC page, generating directly a single content page");
+    pageUrls = [ url ];
+    manifest.urls = pageUrls;
+    await saveManifest(pdfDirectory, manifest);
+  }
+
+  if (isCancelled(options)) {
+    result.exitCode = EXIT_CODE_CANCELLED;
+    return result;
+  }
+
+  logger.info(`generateManual(): number of page URLs to be processed: ${pageUrls ? pageUrls.length : 0}`);
+  if (pageUrls && pageUrls.length == 0 && hasPageFilters(options)) {
+    logger.error("generateManual(): none of the pages of the table-of-contents is selected by the filters");
+    result.exitCode = 21;
+    return result;
+  }
+  if (!pageUrls || pageUrls.length == 0) {
+    return result;
+  }
+  try {
+    await checkPrintableTexts(mergeInfo, options);
+  } catch (err) {
+    logger.error(`generateManual(): can't add the printed table of contents or the stamps, ${err.message}`);
+    result.exitCode = 22;
+    return result;
+  }
+  result.pageUrls = pageUrls;
+
+  try {
+    await generatePdfs(puppeteer, pageUrls, userDirectory, pdfDirectory, null, options, false, mergeInfo, manifest);
+  } catch (err) {
+    if (isCancelled(options)) {
+      result.exitCode = EXIT_CODE_CANCELLED;
+    } else {
+      logger.error("generateManual(): PDF generation for page URLs failed: ", err);
+      result.exitCode = 5;
+    }
+    return result;
+  } finally {
+    logProxyStats(options.proxyPool);
+  }
+
+  // the pages are merged from the PDFs in the pdfDirectory (the ToC page and the pages that
+  // were generated, i.e. not the failed ones)
+  const mergedUrls = (mergeInfo.tocUrl ? [ mergeInfo.tocUrl ] : [])
+    .concat(pageUrls.filter((pageUrl) => pageUrl !== mergeInfo.tocUrl && manifest.pages[pageUrl] && manifest.pages[pageUrl].status === PAGE_DONE));
+  const volumes = await mergeVolumes(mergedUrls, mergeInfo, url, outputfile, pdfDirectory, options, result);
+  result.pageCount = volumes.reduce((pageCount, volume) => pageCount + volume.pageCount, 0);
+  if (result.pageCount > 0) {
+    emitEvent(options, EVENT_MERGE_DONE, { pageCount: result.pageCount, urlCount: pageUrls.length, volumeCount: volumes.length });
+    result.volumes = volumes.map((volume) => ({ output: options.output ? volume.output : undefined, pageCount: volume.pageCount, pageUrls: volume.pageUrls }));
+    if (options.output) {
+      result.output = volumes[0].output;
+    } else {
+      result.pdfBytes = await readFile(outputfile);
+      await rm(outputfile, { force: true });
+    }
+  } else {
+    logger.error("generateManual(): no pages were produced in the combined PDF");
+    result.exitCode = 15;
+  }
+
+  if (options.export) {
+    const parsedOutput = parse(options.output || DEFAULT_FILENAME);
+    const exportPath = options.exportPath || join(parsedOutput.dir, parsedOutput.name + (options.export == "epub" ? ".epub" : "_html"));
+    logger.info(`generateManual(): exporting the manual in "${options.export}" format`);
+    try {
+      const exportPages = pageUrls.map((pageUrl) => ({ url: pageUrl, dataPath: getExportDataPath(getPdfPath(pdfDirectory, pageUrl)) }));
+      await exportManual(options.export, exportPath, exportPages, mergeInfo);
+      result.exportPath = exportPath;
+      logger.info(`generateManual(): saved the "${options.export}" export to "${exportPath}"`);
+    } catch (err) {
+      logger.error("generateManual(): the export failed: ", err);
+      result.exitCode = 17;
+    }
+  }
+
+  // the page numbers are final only after the empty pages were removed
+  if ((options.textExport || options.searchIndex) && result.pageCount > 0) {
+    try {
+      // (with multiple volumes the page numbers are the ones in the volume of the article)
+      const documents = [];
+      for (const [ volumeIdx, volume ] of volumes.entries()) {
+        documents.push(...await collectSearchDocuments(volume.pageUrls, pdfDirectory, volume.mergeInfo, volume.pageCount, volumes.length > 1 ? volumeIdx + 1 : undefined));
+      }
+      if (options.textExport) {
+        await writeTextExport(options.textExport, documents);
+        logger.info(`generateManual(): saved the text of ${documents.length} articles to "${options.textExport}"`);
+      }
+      if (options.searchIndex) {
+        await saveSearchIndex(options.searchIndex, buildSearchIndex(documents, mergeInfo.tocTitle, mergeInfo.tocUrl));
+        logger.info(`generateManual(): saved the search index of ${documents.length} articles to "${options.searchIndex}"`);
+      }
+    } catch (err) {
+      logger.error("generateManual(): the text export or the search index could not be saved: ", err);
+      result.exitCode = 19;
+    }
+  }
+
+  // pages that failed even after all retries are left out of the combined PDF
+  result.failedPages = getFailedPages(manifest).filter((page) => pageUrls.includes(page.url));
+  if (result.failedPages.length > 0) {
+    logger.error(`generateManual(): the combined PDF is missing ${result.failedPages.length} pages that could not be generated:`);
+    result.failedPages.forEach((page) => {
+      logger.error(`generateManual(): - ${page.url} (attempts: ${page.attempts}, last error: ${page.lastError})`);
+    });
+    logger.info("generateManual(): you can retry the failed pages by running again with the same \"--pdf-dir\" and the \"--resume\" option");
+    if (result.exitCode == 0) {
+      result.exitCode = 16;
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,188 @@
+// Node.js builtin packages
+import { createHash } from "node:crypto";
+import { readFileSync } from "node:fs";
+
+// 3rd-party packages
+// PDF generator (to merge Chromium generated PDFs into a single PDF)
+import { PDFHexString, PDFName, PDFString } from "pdf-lib";
+// logger
+import { loggers } from "winston";
+const logger = loggers.get("mainLogger");
+
+// Dependencies from this package
+import { applyPdfa } from "./pdfa.js";
+
+// The document information (title, subject, keywords, dates, etc.) and the XMP metadata of the
+// merged PDF. Most of it comes from the ToC page: its title and language and its URL, which has
+// the market, the model and the model year of the manual, e.g.
+// https://www.volvocars.com/uk/support/car/xc90-twin-engine/15w46/manual
+const TOOL_NAME = "pdfgen4vcman";
+const TOOL_VERSION = JSON.parse(readFileSync(new URL("../package.json", import.meta.url), "utf8")).version;
+const TOOL_HOMEPAGE = "https://github.com/muzso/pdfgen4vcman";
+// the namespace of the manual specific XMP properties
+const XMP_NAMESPACE = "https://github.com/muzso/pdfgen4vcman/ns/manual/1.0/";
+const XMP_PREFIX = "vcman";
+const XMP_PROPERTIES = [
+  [ "sourceUrl", "The URL of the table-of-contents page of the online manual" ],
+  [ "market", "The market of the manual (e.g. uk)" ],
+  [ "model", "The car model of the manual (e.g. xc40)" ],
+  [ "modelYear", "The model year of the manual (e.g. 2026 or 15w46)" ]
+];
+
+// market, model and model year from the URL of a manual page
+// (the properties are undefined if the URL doesn't follow the pattern)
+export function parseManualUrl(url) {
+  const details = { market: undefined, model: undefined, modelYear: undefined };
+  try {
+    const segments = new URL(url).pathname.split("/").filter((segment) => segment.length > 0);
+    const supportIdx = segments.findIndex((segment, idx) => segment == "support" && segments[idx + 1] == "car");
+    if (supportIdx >= 0) {
+      details.market = supportIdx > 0 ? segments[supportIdx - 1] : undefined;
+      details.model = segments[supportIdx + 2];
+      details.modelYear = segments[supportIdx + 3];
+    }
+  } catch (err) {
+    logger.verbose(`parseManualUrl(): not a valid URL: ${url}`);
+  }
+  return details;
+}
+
+// "xc90-twin-engine" -> "XC90 Twin Engine"
+export function formatModelName(model) {
+  return model.split(/[-_]+/).filter((word) => word.length > 0)
+    .map((word) => /[0-9]/.test(word) ? word.toUpperCase() : word.charAt(0).toUpperCase() + word.slice(1))
+    .join(" ");
+}
+
+// the metadata of the merged PDF
+// (the generation time is "options.generatedAt", its fraction of a second is dropped, since
+// the date in the document information has only seconds)
+export function collectMetadata(mergeInfo, url, options) {
+  const sourceUrl = mergeInfo.tocUrl || url;
+  const { market, model, modelYear } = parseManualUrl(sourceUrl);
+  const modelName = model ? formatModelName(model) : undefined;
+  const edition = [ modelName ? "Volvo " + modelName : undefined, modelYear ].filter((part) => part).join(" ");
+  const title = [ mergeInfo.tocTitle, edition ].filter((part) => part && part.length > 0).join(" – ");
+  const generatedAt = new Date(options.generatedAt || Date.now());
+  generatedAt.setUTCMilliseconds(0);
+  return {
+    title: title.length > 0 ? title : sourceUrl,
+    subject: `Unofficial PDF of the online user manual at ${sourceUrl}`,
+    keywords: [ "Volvo", modelName, modelYear, market, mergeInfo.tocLanguage ].filter((keyword) => keyword),
+    language: mergeInfo.tocLanguage,
+    creator: `${TOOL_NAME} ${TOOL_VERSION} (${TOOL_HOMEPAGE})`,
+    producer: `${TOOL_NAME} ${TOOL_VERSION} with pdf-lib`,
+    generatedAt: generatedAt,
+    sourceUrl: sourceUrl,
+    market: market,
+    model: model,
+    modelYear: modelYear
+  };
+}
+
+function escapeXml(text) {
+  return String(text).replaceAll("&", "&amp;").replaceAll("<", "&lt;").replaceAll(">", "&gt;").replaceAll("\"", "&quot;");
+}
+
+// the XMP packet of the metadata (with the PDF/A identification if "pdfa" is true), the manual
+// specific properties are described by a PDF/A extension schema (required for custom properties)
+export function renderXmp(metadata, documentId, pdfa) {
+  const date = metadata.generatedAt.toISOString().replace(/\.[0-9]+Z$/, "Z");
+  const uuid = documentId.replace(/^(.{8})(.{4})(.{4})(.{4})(.{12})$/, "$1-$2-$3-$4-$5");
+  const properties = [
+    "<dc:format>application/pdf</dc:format>",
+    `<dc:title><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(metadata.title)}</rdf:li></rdf:Alt></dc:title>`,
+    `<dc:description><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(metadata.subject)}</rdf:li></rdf:Alt></dc:description>`,
+    `<dc:subject><rdf:Bag>${metadata.keywords.map((keyword) => `<rdf:li>${escapeXml(keyword)}</rdf:li>`).join("")}</rdf:Bag></dc:subject>`,
+    `<dc:source>${escapeXml(metadata.sourceUrl)}</dc:source>`,
+    `<xmp:CreatorTool>${escapeXml(metadata.creator)}</xmp:CreatorTool>`,
+    `<xmp:CreateDate>${date}</xmp:CreateDate>`,
+    `<xmp:ModifyDate>${date}</xmp:ModifyDate>`,
+    `<xmp:MetadataDate>${date}</xmp:MetadataDate>`,
+    `<pdf:Producer>${escapeXml(metadata.producer)}</pdf:Producer>`,
+    `<pdf:Keywords>${escapeXml(metadata.keywords.join(" "))}</pdf:Keywords>`,
+    `<xmpMM:DocumentID>uuid:${uuid}</xmpMM:DocumentID>`,
+    `<xmpMM:InstanceID>uuid:${uuid}</xmpMM:InstanceID>`
+  ];
+  if (metadata.language) {
+    properties.push(`<dc:language><rdf:Bag><rdf:li>${escapeXml(metadata.language)}</rdf:li></rdf:Bag></dc:language>`);
+  }
+  for (const [ name ] of XMP_PROPERTIES) {
+    if (metadata[name]) {
+      properties.push(`<${XMP_PREFIX}:${name}>${escapeXml(metadata[name])}</${XMP_PREFIX}:${name}>`);
+    }
+  }
+  if (pdfa) {
+    properties.push("<pdfaid:part>2</pdfaid:part>", "<pdfaid:conformance>B</pdfaid:conformance>");
+  }
+  const extensionSchema = `<pdfaExtension:schemas><rdf:Bag><rdf:li rdf:parseType="Resource">
+<pdfaSchema:schema>${TOOL_NAME} manual properties</pdfaSchema:schema>
+<pdfaSchema:namespaceURI>${XMP_NAMESPACE}</pdfaSchema:namespaceURI>
+<pdfaSchema:prefix>${XMP_PREFIX}</pdfaSchema:prefix>
+<pdfaSchema:property><rdf:Seq>
+${XMP_PROPERTIES.map(([ name, description ]) => `<rdf:li rdf:parseType="Resource"><pdfaProperty:name>${name}</pdfaProperty:name><pdfaProperty:valueType>Text</pdfaProperty:valueType><pdfaProperty:category>external</pdfaProperty:category><pdfaProperty:description>${escapeXml(description)}</pdfaProperty:description></rdf:li>`).join("\n")}
+</rdf:Seq></pdfaSchema:property>
+</rdf:li></rdf:Bag></pdfaExtension:schemas>`;
+  return `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+<rdf:Description rdf:about=""
+ xmlns:dc="http://purl.org/dc/elements/1.1/"
+ xmlns:xmp="http://ns.adobe.com/xap/1.0/"
+ xmlns:pdf="http://ns.adobe.com/pdf/1.3/"
+ xmlns:xmpMM="http://ns.adobe.com/xap/1.0/mm/"
+ xmlns:pdfaid="http://www.aiim.org/pdfa/ns/id/"
+ xmlns:pdfaExtension="http://www.aiim.org/pdfa/ns/extension/"
+ xmlns:pdfaSchema="http://www.aiim.org/pdfa/ns/schema#"
+ xmlns:pdfaProperty="http://www.aiim.org/pdfa/ns/property#"
+ xmlns:${XMP_PREFIX}="${XMP_NAMESPACE}">
+${properties.join("\n")}
+${extensionSchema}
+</rdf:Description>
+</rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+}
+
+// set the document information, the language, the file identifier and the XMP metadata of the
+// merged PDF (and make it PDF/A-2b style if "options.pdfa" is true, see pdfa.js),
+// can be called multiple times (e.g. before every save of the merged PDF)
+export function addMetadata(pdfDoc, mergeInfo, url, options) {
+  const metadata = collectMetadata(mergeInfo, url, options);
+  pdfDoc.setTitle(metadata.title, { showInWindowTitleBar: true });
+  pdfDoc.setSubject(metadata.subject);
+  pdfDoc.setKeywords(metadata.keywords);
+  pdfDoc.setCreator(metadata.creator);
+  pdfDoc.setProducer(metadata.producer);
+  pdfDoc.setCreationDate(metadata.generatedAt);
+  pdfDoc.setModificationDate(metadata.generatedAt);
+  if (metadata.language) {
+    pdfDoc.setLanguage(metadata.language);
+  }
+  const infoDict = pdfDoc.getInfoDict();
+  for (const [ key, value ] of [ [ "SourceURL", metadata.sourceUrl ], [ "Market", metadata.market ], [ "Model", metadata.model ], [ "ModelYear", metadata.modelYear ] ]) {
+    if (value) {
+      infoDict.set(PDFName.of(key), PDFString.of(value));
+    }
+  }
+
+  // the file identifier (required by PDF/A) is derived from the source and the time of the generation
+  const documentId = createHash("md5").update(`${metadata.sourceUrl}\n${metadata.generatedAt.toISOString()}`).digest("hex");
+  pdfDoc.context.trailerInfo.ID = pdfDoc.context.obj([ PDFHexString.of(documentId), PDFHexString.of(documentId) ]);
+
+  // the XMP metadata stream is not compressed, so it can be found by tools that don't parse the PDF
+  // (pdf-lib would turn a string into bytes character by character, the XMP packet is UTF-8)
+  const xmpStream = pdfDoc.context.stream(new TextEncoder().encode(renderXmp(metadata, documentId, options.pdfa)), { Type: "Metadata", Subtype: "XML" });
+  const existingRef = pdfDoc.catalog.get(PDFName.of("Metadata"));
+  if (existingRef) {
+    pdfDoc.context.assign(existingRef, xmpStream);
+  } else {
+    pdfDoc.catalog.set(PDFName.of("Metadata"), pdfDoc.context.register(xmpStream));
+  }
+
+  if (options.pdfa) {
+    applyPdfa(pdfDoc);
+  }
+  logger.verbose(`addMetadata(): set the metadata of the PDF: "${metadata.title}" (${metadata.sourceUrl})${options.pdfa ? ", PDF/A-2b style" : ""}`);
+  return metadata;
+}
@@ -0,0 +1,133 @@
+// Node.js builtin packages
+import { appendFile, mkdir, readFile, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { createHash } from "node:crypto";
+
+// logger
+import { loggers } from "winston";
+const logger = loggers.get("mainLogger");
+
+// The network store is a directory with the responses recorded with "--record" that can be
+// served to the browser with "--replay" (instead of downloading everything again):
+// - bodies/<sha256>: the response bodies (content-addressed, i.e. a script or image that is
+//   used by every page is stored only once)
+// - index.jsonl: one line per recorded response ({ method, url, status, headers, body, recordedAt }),
+//   append-only (workers record concurrently), the last line of a URL wins
+export const NETWORK_STORE_INDEX = "index.jsonl";
+const BODIES_DIR = "bodies";
+// headers that don't apply to a replayed response (the bodies are stored decoded)
+const SKIPPED_HEADERS = [ "content-encoding", "content-length", "transfer-encoding", "connection", "keep-alive", "set-cookie" ];
+
+function getEntryKey(method, url) {
+  return method.toUpperCase() + " " + url;
+}
+
+// open a network store (created if it doesn't exist and "create" is true, i.e. for recording),
+// the entries recorded so far are loaded
+export async function openNetworkStore(directory, create) {
+  if (create) {
+    await mkdir(join(directory, BODIES_DIR), { recursive: true });
+  }
+  const store = {
+    directory: directory,
+    entries: new Map(),
+    // body writes and index appends in progress (see flushNetworkStore())
+    pending: new Set(),
+    recordedCount: 0,
+    replayedCount: 0,
+    missedCount: 0
+  };
+  let lines = [];
+  try {
+    lines = (await readFile(join(directory, NETWORK_STORE_INDEX), "utf8")).split("\n");
+  } catch (err) {
+    if (!create) {
+      logger.warn(`openNetworkStore(): there's no network store in ${directory}, nothing can be replayed from it`);
+    } else {
+      logger.verbose(`openNetworkStore(): no index in ${directory} yet`);
+    }
+  }
+  for (const line of lines) {
+    if (line.trim().length == 0) {
+      continue;
+    }
+    try {
+      const entry = JSON.parse(line);
+      store.entries.set(getEntryKey(entry.method, entry.url), entry);
+    } catch (err) {
+      // e.g. the last line of an interrupted run
+      logger.warn(`openNetworkStore(): skipping a broken line in the index of ${directory}`);
+    }
+  }
+  logger.verbose(`openNetworkStore(): opened network store at ${directory} with ${store.entries.size} responses`);
+  return store;
+}
+
+function trackWrite(store, promise) {
+  store.pending.add(promise);
+  promise.finally(() => store.pending.delete(promise));
+}
+
+// whether a response is worth recording: successful GET requests (but not partial content, e.g. videos)
+// and redirects (so the page URLs that are redirected can be replayed too)
+function isRecordable(method, status, headers) {
+  if (method.toUpperCase() !== "GET") {
+    return false;
+  }
+  return (status >= 200 && status < 300 && status != 206) || ([ 301, 302, 303, 307, 308 ].includes(status) && headers["location"]);
+}
+
+// record a puppeteer HTTPResponse (the body has to be requested right away, i.e. in the
+// "response" handler, it's not available after the page navigated away)
+export function recordResponse(store, response) {
+  const request = response.request();
+  const status = response.status();
+  const headers = response.headers();
+  if (!isRecordable(request.method(), status, headers)) {
+    return;
+  }
+  const bodyPromise = status >= 300 ? Promise.resolve(Buffer.alloc(0)) : response.buffer();
+  trackWrite(store, bodyPromise.then(async (body) => {
+    const hash = createHash("sha256").update(body).digest("hex");
+    try {
+      await writeFile(join(store.directory, BODIES_DIR, hash), body, { flag: "wx" });
+    } catch (err) {
+      if (err.code !== "EEXIST") {
+        throw err;
+      }
+    }
+    const entry = {
+      method: request.method().toUpperCase(),
+      url: response.url(),
+      status: status,
+      headers: Object.fromEntries(Object.entries(headers).filter(([ name ]) => !SKIPPED_HEADERS.includes(name.toLowerCase()))),
+      body: hash,
+      recordedAt: new Date().toISOString()
+    };
+    store.entries.set(getEntryKey(entry.method, entry.url), entry);
+    await appendFile(join(store.directory, NETWORK_STORE_INDEX), JSON.stringify(entry) + "\n");
+    store.recordedCount++;
+  }).catch((err) => {
+    logger.debug(`recordResponse(): could not record ${response.url()}: ${err.message}`);
+  }));
+}
+
+// the response to replay for a request (or undefined if it was not recorded)
+export async function getStoredResponse(store, method, url) {
+  const entry = store.entries.get(getEntryKey(method, url));
+  if (!entry) {
+    return undefined;
+  }
+  return {
+    status: entry.status,
+    headers: entry.headers,
+    body: await readFile(join(store.directory, BODIES_DIR, entry.body))
+  };
+}
+
+// wait for the recordings in progress
+export async function flushNetworkStore(store) {
+  while (store.pending.size > 0) {
+    await Promise.allSettled(Array.from(store.pending));
+  }
+}
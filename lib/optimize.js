@@ -0,0 +1,302 @@
+// Node.js builtin packages
+import { deflateSync, inflateSync } from "node:zlib";
+
+// 3rd-party packages
+// PDF generator (to merge Chromium generated PDFs into a single PDF)
+import { PDFArray, PDFDict, PDFName, PDFNumber, PDFRawStream, PDFRef, PDFStream } from "pdf-lib";
+// logger
+import { loggers } from "winston";
+const logger = loggers.get("mainLogger");
+
+// Dependencies from this package
+import { getContentStreamBytes, multiplyMatrices, parseContentStream } from "./blank-pages.js";
+import { getDedupCandidates } from "./dedup.js";
+
+// Optimisation of the merged PDF (in-process, without Ghostscript), see "--optimize":
+// - the identical streams (images, font programs, form XObjects, content streams) and font
+//   dictionaries are stored only once (the merge stores the shared objects of the articles only
+//   once already, but not the duplicates within an article, see dedup.js)
+// - fonts are not subset: Chromium embeds only the glyphs used by the article, so the fonts of
+//   the articles are different subsets of the same fonts, they can be merged only if they're
+//   identical (merging different subsets would need a font parser)
+// - with "--image-dpi" the raster images are downsampled to the given resolution (based on the
+//   largest size they're displayed at) and recompressed, but only the Flate compressed (or
+//   uncompressed) images with 8 bits per component, JPEG images can't be decoded here, so they
+//   are kept as they are
+
+// an image is downsampled only if it has at least 1.5 times the pixels needed for the resolution
+// (like Ghostscript's default "DownsampleThreshold")
+const DOWNSAMPLE_THRESHOLD = 1.5;
+// form XObjects can be nested, but not indefinitely
+const MAX_FORM_DEPTH = 10;
+const FONT_FILE_KEYS = [ "FontFile", "FontFile2", "FontFile3" ];
+const COLOR_SPACE_COMPONENTS = { DeviceGray: 1, CalGray: 1, DeviceRGB: 3, CalRGB: 3, Lab: 3, DeviceCMYK: 4 };
+
+// the (approximate) size of the saved PDF: the size of its objects (without the cross-reference table)
+export function estimatePdfSize(pdfDoc) {
+  return pdfDoc.context.enumerateIndirectObjects()
+    .reduce((size, [ ref, object ]) => size + ref.sizeInBytes() + object.sizeInBytes() + "obj\nendobj\n".length, 0);
+}
+
+// the number of (different) embedded font programs
+function countFontPrograms(pdfDoc) {
+  const refs = new Set();
+  for (const [ , object ] of pdfDoc.context.enumerateIndirectObjects()) {
+    if (object instanceof PDFDict && object.get(PDFName.of("Type")) === PDFName.of("FontDescriptor")) {
+      FONT_FILE_KEYS.map((key) => object.get(PDFName.of(key))).filter((ref) => ref instanceof PDFRef).forEach((ref) => refs.add(ref));
+    }
+  }
+  return refs.size;
+}
+
+// replace the references of the (direct and nested) values of an object
+function replaceReferences(object, replacements) {
+  if (object instanceof PDFStream) {
+    replaceReferences(object.dict, replacements);
+  } else if (object instanceof PDFDict) {
+    for (const [ key, value ] of object.entries()) {
+      if (value instanceof PDFRef) {
+        if (replacements.has(value)) {
+          object.set(key, replacements.get(value));
+        }
+      } else {
+        replaceReferences(value, replacements);
+      }
+    }
+  } else if (object instanceof PDFArray) {
+    for (let i = 0; i < object.size(); i++) {
+      const value = object.get(i);
+      if (value instanceof PDFRef) {
+        if (replacements.has(value)) {
+          object.set(i, replacements.get(value));
+        }
+      } else {
+        replaceReferences(value, replacements);
+      }
+    }
+  }
+}
+
+// store the identical objects only once, returns the number of removed objects
+export function deduplicateObjects(pdfDoc) {
+  const kept = new Map();
+  const replacements = new Map();
+  for (const [ ref, , hash ] of getDedupCandidates(pdfDoc, true)) {
+    if (kept.has(hash)) {
+      replacements.set(ref, kept.get(hash));
+    } else {
+      kept.set(hash, ref);
+    }
+  }
+  if (replacements.size == 0) {
+    return 0;
+  }
+  for (const ref of replacements.keys()) {
+    pdfDoc.context.delete(ref);
+  }
+  for (const [ , object ] of pdfDoc.context.enumerateIndirectObjects()) {
+    replaceReferences(object, replacements);
+  }
+  return replacements.size;
+}
+
+function lookupXObjectRef(resources, name) {
+  const xObjects = resources ? resources.lookupMaybe(PDFName.of("XObject"), PDFDict) : undefined;
+  return xObjects ? xObjects.get(PDFName.of(name)) : undefined;
+}
+
+// the largest size (in points) the images are displayed at: image reference -> { width, height }
+function collectImageSizes(context, operations, resources, initialCtm, sizes, depth) {
+  let ctm = initialCtm;
+  const ctmStack = [];
+  for (const { operator, operands } of operations) {
+    if (operator == "q") {
+      ctmStack.push(ctm);
+    } else if (operator == "Q") {
+      ctm = ctmStack.length > 0 ? ctmStack.pop() : ctm;
+    } else if (operator == "cm") {
+      const numbers = operands.filter((x) => typeof x === "number");
+      ctm = numbers.length == 6 ? multiplyMatrices(numbers, ctm) : ctm;
+    } else if (operator == "Do" && operands[0] && operands[0].name) {
+      const ref = lookupXObjectRef(resources, operands[0].name);
+      const xObject = context.lookup(ref);
+      if (!(ref instanceof PDFRef) || !(xObject instanceof PDFStream)) {
+        continue;
+      }
+      const subtype = xObject.dict.get(PDFName.of("Subtype"));
+      if (subtype === PDFName.of("Image")) {
+        // an image paints the unit square
+        const size = sizes.get(ref) || { width: 0, height: 0 };
+        size.width = Math.max(size.width, Math.hypot(ctm[0], ctm[1]));
+        size.height = Math.max(size.height, Math.hypot(ctm[2], ctm[3]));
+        sizes.set(ref, size);
+      } else if (subtype === PDFName.of("Form") && depth < MAX_FORM_DEPTH) {
+        const matrix = xObject.dict.lookupMaybe(PDFName.of("Matrix"), PDFArray);
+        const formMatrix = matrix ? matrix.asArray().map((x) => context.lookup(x).asNumber()) : [ 1, 0, 0, 1, 0, 0 ];
+        const formResources = xObject.dict.lookupMaybe(PDFName.of("Resources"), PDFDict) || resources;
+        const formOperations = parseContentStream(getContentStreamBytes(xObject));
+        collectImageSizes(context, formOperations, formResources, multiplyMatrices(formMatrix, ctm), sizes, depth + 1);
+      }
+    }
+  }
+  return sizes;
+}
+
+function collectPageImageSizes(pdfDoc) {
+  const sizes = new Map();
+  for (const page of pdfDoc.getPages()) {
+    const contents = page.node.Contents();
+    if (!contents) {
+      continue;
+    }
+    const streams = contents instanceof PDFArray
+      ? contents.asArray().map((x) => pdfDoc.context.lookup(x))
+      : [ contents ];
+    const bytes = Buffer.concat(streams
+      .filter((stream) => stream instanceof PDFStream)
+      .flatMap((stream) => [ Buffer.from(getContentStreamBytes(stream)), Buffer.from("\n") ]));
+    collectImageSizes(pdfDoc.context, parseContentStream(bytes), page.node.Resources(), [ 1, 0, 0, 1, 0, 0 ], sizes, 0);
+  }
+  return sizes;
+}
+
+// the number of colour components of an image (undefined for the colour spaces that can't be averaged, e.g. Indexed)
+function getImageComponents(dict) {
+  const colorSpace = dict.lookup(PDFName.of("ColorSpace"));
+  if (colorSpace instanceof PDFName) {
+    return COLOR_SPACE_COMPONENTS[colorSpace.decodeText()];
+  }
+  if (colorSpace instanceof PDFArray && colorSpace.size() > 0) {
+    const family = colorSpace.lookup(0);
+    if (family === PDFName.of("ICCBased")) {
+      const profile = colorSpace.lookup(1);
+      const components = profile instanceof PDFStream ? profile.dict.lookup(PDFName.of("N")) : undefined;
+      return components instanceof PDFNumber ? components.asNumber() : undefined;
+    }
+    return family instanceof PDFName ? COLOR_SPACE_COMPONENTS[family.decodeText()] : undefined;
+  }
+  return undefined;
+}
+
+// the filter of an image stream: undefined (no filter), "FlateDecode", "DCTDecode", etc.
+function getImageFilter(dict) {
+  const filter = dict.lookup(PDFName.of("Filter"));
+  if (filter instanceof PDFArray) {
+    return filter.size() == 1 && filter.lookup(0) instanceof PDFName ? filter.lookup(0).decodeText() : "(multiple filters)";
+  }
+  return filter instanceof PDFName ? filter.decodeText() : undefined;
+}
+
+// downsample the pixels (8 bits per component) by averaging the source pixels of every target pixel
+export function resamplePixels(pixels, width, height, components, newWidth, newHeight) {
+  const result = new Uint8Array(newWidth * newHeight * components);
+  const sums = new Float64Array(components);
+  for (let y = 0; y < newHeight; y++) {
+    const y0 = Math.floor(y * height / newHeight);
+    const y1 = Math.max(y0 + 1, Math.floor((y + 1) * height / newHeight));
+    for (let x = 0; x < newWidth; x++) {
+      const x0 = Math.floor(x * width / newWidth);
+      const x1 = Math.max(x0 + 1, Math.floor((x + 1) * width / newWidth));
+      sums.fill(0);
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0; sx < x1; sx++) {
+          const offset = (sy * width + sx) * components;
+          for (let c = 0; c < components; c++) {
+            sums[c] += pixels[offset + c];
+          }
+        }
+      }
+      const count = (y1 - y0) * (x1 - x0);
+      const resultOffset = (y * newWidth + x) * components;
+      for (let c = 0; c < components; c++) {
+        result[resultOffset + c] = Math.round(sums[c] / count);
+      }
+    }
+  }
+  return result;
+}
+
+// downsample an image (and its soft mask) to the resolution for the size it's displayed at,
+// returns "downsampled", "kept" (it has no more pixels than needed), "jpeg" or "unsupported"
+function downsampleImage(context, ref, displaySize, dpi, processedRefs) {
+  const image = context.lookup(ref);
+  if (processedRefs.has(ref) || !(image instanceof PDFRawStream)) {
+    return "kept";
+  }
+  processedRefs.add(ref);
+  const dict = image.dict;
+  const filter = getImageFilter(dict);
+  if (filter == "DCTDecode") {
+    return "jpeg";
+  }
+  const width = dict.lookup(PDFName.of("Width"), PDFNumber).asNumber();
+  const height = dict.lookup(PDFName.of("Height"), PDFNumber).asNumber();
+  const bitsPerComponent = dict.lookup(PDFName.of("BitsPerComponent"));
+  const decodeParms = dict.lookup(PDFName.of("DecodeParms"));
+  const components = getImageComponents(dict);
+  if ((filter && filter != "FlateDecode") || decodeParms || typeof components === "undefined"
+    || !(bitsPerComponent instanceof PDFNumber) || bitsPerComponent.asNumber() != 8) {
+    return "unsupported";
+  }
+  // the number of pixels needed for the resolution (the aspect ratio is kept)
+  const scale = Math.max(displaySize.width * dpi / 72 / width, displaySize.height * dpi / 72 / height);
+  if (scale * DOWNSAMPLE_THRESHOLD > 1) {
+    return "kept";
+  }
+  const newWidth = Math.max(1, Math.round(width * scale));
+  const newHeight = Math.max(1, Math.round(height * scale));
+  let pixels = undefined;
+  try {
+    pixels = filter ? inflateSync(image.getContents()) : image.getContents();
+  } catch (err) {
+    logger.debug(`optimizePdf(): could not decompress the image ${ref.toString()}: `, err);
+    return "unsupported";
+  }
+  if (pixels.length < width * height * components) {
+    return "unsupported";
+  }
+  const contents = deflateSync(resamplePixels(pixels, width, height, components, newWidth, newHeight), { level: 9 });
+  dict.set(PDFName.of("Width"), PDFNumber.of(newWidth));
+  dict.set(PDFName.of("Height"), PDFNumber.of(newHeight));
+  dict.set(PDFName.of("Filter"), PDFName.of("FlateDecode"));
+  context.assign(ref, PDFRawStream.of(dict, contents));
+  // the soft mask is displayed at the same size (its dimensions don't have to match the image's)
+  const softMaskRef = dict.get(PDFName.of("SMask"));
+  if (softMaskRef instanceof PDFRef) {
+    downsampleImage(context, softMaskRef, displaySize, dpi, processedRefs);
+  }
+  return "downsampled";
+}
+
+// downsample the images displayed on the pages to the given resolution (dots per inch),
+// returns the number of images per result of downsampleImage()
+export function downsampleImages(pdfDoc, dpi) {
+  const counts = { downsampled: 0, kept: 0, jpeg: 0, unsupported: 0 };
+  const processedRefs = new Set();
+  for (const [ ref, displaySize ] of collectPageImageSizes(pdfDoc)) {
+    counts[downsampleImage(pdfDoc.context, ref, displaySize, dpi, processedRefs)]++;
+  }
+  return counts;
+}
+
+// optimise the merged PDF (see the description at the beginning of this file),
+// returns the statistics: { sizeBefore, sizeAfter, dedupedObjectCount, fontProgramCountBefore, fontProgramCountAfter, images }
+export async function optimizePdf(pdfDoc, options) {
+  await pdfDoc.flush();
+  const sizeBefore = estimatePdfSize(pdfDoc);
+  const fontProgramCountBefore = countFontPrograms(pdfDoc);
+  const dedupedObjectCount = deduplicateObjects(pdfDoc);
+  const fontProgramCountAfter = countFontPrograms(pdfDoc);
+  logger.info(`optimizePdf(): removed ${dedupedObjectCount} duplicate objects, ${fontProgramCountAfter} of the ${fontProgramCountBefore} embedded fonts remained`);
+  let images = undefined;
+  if (options.imageDpi > 0) {
+    images = downsampleImages(pdfDoc, options.imageDpi);
+    logger.info(`optimizePdf(): downsampled ${images.downsampled} images to ${options.imageDpi} DPI, ${images.jpeg} JPEG images and ${images.unsupported} images of other formats could not be downsampled`);
+    if (images.jpeg > 0) {
+      logger.warn(`optimizePdf(): ${images.jpeg} JPEG images were kept at their resolution, "--image-dpi" downsamples only the Flate compressed images`);
+    }
+  }
+  const sizeAfter = estimatePdfSize(pdfDoc);
+  logger.info(`optimizePdf(): the estimated size of the PDF was reduced from ${Math.round(sizeBefore / 1024)} KiB to ${Math.round(sizeAfter / 1024)} KiB`);
+  return { sizeBefore, sizeAfter, dedupedObjectCount, fontProgramCountBefore, fontProgramCountAfter, images };
+}
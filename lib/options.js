@@ -0,0 +1,211 @@
+// 3rd-party packages
+// PDF generator (to merge Chromium generated PDFs into a single PDF)
+import { PageSizes } from "pdf-lib";
+
+// defaults for the options of generateManual() and the commandline options
+// (see description at the end of bin/pdfgen4vcman-cli.js or by using the "--help" commandline option)
+export const DEFAULT_TIMEOUT = 60000;
+export const DEFAULT_IDLE_CONCURRENCY = 2;
+export const DEFAULT_RETRIES = 5;
+export const DEFAULT_PROXIES = [];
+export const DEFAULT_PROXY_MAX_FAILURES = 3;
+export const DEFAULT_PROXY_COOLDOWN = 600;
+export const DEFAULT_PDF_TIMEOUT = 60000;
+export const DEFAULT_PDF_CLEANUP_THRESHOLD = 0.008;
+export const DEFAULT_TOC_LIMIT = 0;
+export const DEFAULT_WAIT_TIME = 0;
+export const DEFAULT_PAGES_PER_MINUTE = 0;
+export const DEFAULT_BACKOFF_BASE = 5;
+export const DEFAULT_BACKOFF_MAX = 300;
+export const DEFAULT_FILENAME = "manual.pdf";
+export const DEFAULT_USER_AGENT = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) {VERSION} Safari/537.36";
+export const DEFAULT_LOG_LEVEL = "info";
+const DEFAULT_RESOURCE_HTTP_4xx_RETRY_STATUS_CODES = Array.from(Array(100).keys(), (x) => x + 400).filter((x) => ![ 401, 404, 407 ].includes(x))
+const HTTP_4xx_STATUS_CODES = Array.from(Array(100).keys(), (x) => x + 400)
+const HTTP_5xx_STATUS_CODES = Array.from(Array(100).keys(), (x) => x + 500)
+export const DEFAULT_RESOURCE_HTTP_RETRY_STATUS_CODES = DEFAULT_RESOURCE_HTTP_4xx_RETRY_STATUS_CODES.concat(HTTP_5xx_STATUS_CODES);
+export const DEFAULT_PAGE_HTTP_RETRY_STATUS_CODES = HTTP_4xx_STATUS_CODES.concat(HTTP_5xx_STATUS_CODES);
+export const DEFAULT_RESOURCE_HTTP_ERROR_DOMAIN_SUFFIXES = [ ".volvocars.com" ];
+export const DEFAULT_RESOURCE_HTTP_ERROR_URL_EXCEPTIONS = [ new RegExp("^https?://[^/:]+\\.volvocars\\.com/api/site-navigation/location/predictions"), new RegExp("\\.(mp4|mov)$") ];
+export const DEFAULT_RESOURCE_HTTP_ERROR_ALLOWED = 1;
+export const PAGE_SIZES = Object.keys(PageSizes);
+export const DEFAULT_PAGE_SIZE = "A4";
+export const DEFAULT_LENIENCY = 0;
+export const DEFAULT_RENDER_ISSUES_ALLOWED = 0;
+export const DEFAULT_URL_DOMAINS = [ ".volvocars.com" ];
+export const DEFAULT_NEW_BROWSER_PER_URLS = 100;
+export const DEFAULT_CONCURRENCY = 1;
+// the defaults for "--browser-long-option" come from here:
+// - https://www.browserless.io/blog/puppeteer-print
+// - https://github.com/puppeteer/puppeteer/issues/2410
+export const DEFAULT_BROWSER_LONG_OPTIONS = [ "font-render-hinting,none", "force-color-profile,generic-rgb" ];
+export const DEFAULT_BROWSER_SHORT_OPTIONS = [];
+export const DEFAULT_GHOSTSCRIPT_PATH = "gs";
+export const DEFAULT_PDF_CLEANUP_BACKEND = "builtin";
+export const DEFAULT_PDF_TOP_BOTTOM_MARGIN = 50;
+export const DEFAULT_PDF_LEFT_RIGHT_MARGIN = 0;
+export const DEFAULT_PRINTED_TOC = "none";
+export const DEFAULT_PRINTED_TOC_TITLE = "Contents";
+export const DEFAULT_STAMP_FONT = "Helvetica";
+export const DEFAULT_STAMP_FONT_SIZE = 8;
+export const DEFAULT_STAMP_MARGIN = 24;
+export const DEFAULT_SPLIT = "none";
+export const DEFAULT_SPLIT_SIZE = 50;
+export const DEFAULT_IMAGE_DPI = 0;
+// note: sometimes javascript on VolvoCars manual pages collapse due to some bug/error
+// The error message usually is: "Application error: a client-side exception has occurred while loading www.volvocars.com (see the browser console for more information)."
+// Looking for the "client-side" text is a good marker that such a problem occured.
+export const DEFAULT_PAGE_ERROR_TEXT_PATTERNS = [ "client-side", "server-side" ];
+// the classification rules of the JavaScript errors of the pages (see page-errors.js, the last
+// matching rule wins): the uncaught exceptions are logged, but only a failed hydration or a
+// chunk that couldn't be loaded (i.e. the causes of the above error message) trigger a retry
+export const DEFAULT_PAGE_ERROR_RULES = [ "warn,pageerror,.", "retry,hydration,.", "retry,pageerror,ChunkLoadError|Loading (CSS )?chunk \\S+ failed" ];
+
+// return the given (or the current) date & time in "YYYY-MM-DD HH:MI:SS" format (in GMT timezone)
+export function getFormattedTimestamp(date) {
+  const now = date || new Date();
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth() + 1;
+  const day = now.getUTCDate();
+  const hour = now.getUTCHours();
+  const minutes = now.getUTCMinutes();
+  const seconds = now.getUTCSeconds();
+  const timestampStr = year + "-" + String(month).padStart(2, "0") + "-" + String(day).padStart(2, "0")
+    + " "
+    + String(hour).padStart(2, "0") + ":" + String(minutes).padStart(2, "0") + ":" + String(seconds).padStart(2, "0")
+  ;
+  return timestampStr;
+}
+
+// the options object (with the same keys as the commandline options produce) with all the defaults,
+// i.e. what the commandline interface would use if no option was specified
+// (except for "output", which is left undefined, see generateManual())
+export function getDefaultOptions() {
+  return {
+    urlDomainSuffix: [ ...DEFAULT_URL_DOMAINS ],
+    output: undefined,
+    proxy: [ ...DEFAULT_PROXIES ],
+    proxyFile: undefined,
+    proxyMaxFailures: DEFAULT_PROXY_MAX_FAILURES,
+    proxyCooldown: DEFAULT_PROXY_COOLDOWN,
+    userAgent: undefined,
+    defaultUserAgent: DEFAULT_USER_AGENT,
+    browserLongOption: [ ...DEFAULT_BROWSER_LONG_OPTIONS ],
+    browserShortOption: [ ...DEFAULT_BROWSER_SHORT_OPTIONS ],
+    timeout: DEFAULT_TIMEOUT,
+    toc: true,
+    tocLimit: DEFAULT_TOC_LIMIT,
+    includeChapter: [],
+    excludeChapter: [],
+    includeUrl: [],
+    excludeUrl: [],
+    urlList: undefined,
+    headless: true,
+    insecure: false,
+    hyphenation: false,
+    links: false,
+    hyperlinks: false,
+    retries: DEFAULT_RETRIES,
+    pageHttpError: DEFAULT_PAGE_HTTP_RETRY_STATUS_CODES,
+    resourceHttpError: DEFAULT_RESOURCE_HTTP_RETRY_STATUS_CODES,
+    resourceHttpErrorDomainSuffix: [ ...DEFAULT_RESOURCE_HTTP_ERROR_DOMAIN_SUFFIXES ],
+    resourceHttpErrorUrlException: [ ...DEFAULT_RESOURCE_HTTP_ERROR_URL_EXCEPTIONS ],
+    resourceHttpErrorAllowed: DEFAULT_RESOURCE_HTTP_ERROR_ALLOWED,
+    userDir: undefined,
+    diskCacheDir: undefined,
+    pdfDir: undefined,
+    pdfCleanup: true,
+    pdfCleanupThreshold: DEFAULT_PDF_CLEANUP_THRESHOLD,
+    pdfCleanupBackend: DEFAULT_PDF_CLEANUP_BACKEND,
+    ghostscriptPath: DEFAULT_GHOSTSCRIPT_PATH,
+    pdfOmitBackground: false,
+    pdfPrintBackground: true,
+    pdfTopBottomMargin: DEFAULT_PDF_TOP_BOTTOM_MARGIN,
+    pdfLeftRightMargin: DEFAULT_PDF_LEFT_RIGHT_MARGIN,
+    outline: true,
+    printedToc: DEFAULT_PRINTED_TOC,
+    printedTocTitle: DEFAULT_PRINTED_TOC_TITLE,
+    pdfDisplayHeaderFooter: false,
+    stampPages: false,
+    stamp: [],
+    stampFont: DEFAULT_STAMP_FONT,
+    stampFontSize: DEFAULT_STAMP_FONT_SIZE,
+    stampMargin: DEFAULT_STAMP_MARGIN,
+    pdfa: false,
+    split: DEFAULT_SPLIT,
+    splitSize: DEFAULT_SPLIT_SIZE,
+    optimize: false,
+    imageDpi: DEFAULT_IMAGE_DPI,
+    generatedAt: undefined,
+    resume: false,
+    forceSave: false,
+    waitTime: DEFAULT_WAIT_TIME,
+    pagesPerMinute: DEFAULT_PAGES_PER_MINUTE,
+    backoffBase: DEFAULT_BACKOFF_BASE,
+    backoffMax: DEFAULT_BACKOFF_MAX,
+    pdfTimeout: DEFAULT_PDF_TIMEOUT,
+    titleCaption: getFormattedTimestamp() + " GMT",
+    leniency: DEFAULT_LENIENCY,
+    renderCheck: true,
+    renderIssuesAllowed: DEFAULT_RENDER_ISSUES_ALLOWED,
+    forensics: true,
+    forensicsDir: undefined,
+    newBrowserPerUrls: DEFAULT_NEW_BROWSER_PER_URLS,
+    concurrency: DEFAULT_CONCURRENCY,
+    export: undefined,
+    exportPath: undefined,
+    pdfPageSize: DEFAULT_PAGE_SIZE,
+    idleConcurrency: DEFAULT_IDLE_CONCURRENCY,
+    pageErrorTextPattern: [ ...DEFAULT_PAGE_ERROR_TEXT_PATTERNS ],
+    pageErrorRule: [ ...DEFAULT_PAGE_ERROR_RULES ],
+    keepBrowser: false,
+    profile: undefined,
+    record: undefined,
+    replay: undefined,
+    replayFallback: false,
+    saveText: false,
+    textExport: undefined,
+    searchIndex: undefined
+  };
+}
+
+// options that contain regular expressions (they're strings in JSON, e.g. in a job of the HTTP service)
+const REGEXP_OPTIONS = [ "resourceHttpErrorUrlException", "includeUrl", "excludeUrl" ];
+
+// turn options parsed from JSON into generateManual() options (only the known options are
+// accepted, see getDefaultOptions(), except for the "reservedOptions"), throws an error for
+// an option that is not accepted
+export function parseJsonOptions(jsonOptions, reservedOptions) {
+  const knownOptions = Object.keys(getDefaultOptions());
+  const parsedOptions = {};
+  for (const [ key, value ] of Object.entries(jsonOptions || {})) {
+    if (!knownOptions.includes(key) || (reservedOptions || []).includes(key)) {
+      throw new Error(`option "${key}" is not supported`);
+    }
+    if (REGEXP_OPTIONS.includes(key)) {
+      parsedOptions[key] = [].concat(value).map((x) => new RegExp(x));
+    } else {
+      parsedOptions[key] = value;
+    }
+  }
+  return parsedOptions;
+}
+
+// merge the given options with the defaults
+// (the HTTP status code lists are replaced by the defaults if they're empty,
+// this is how the commandline options have always worked)
+export function resolveOptions(options) {
+  const resolved = getDefaultOptions();
+  for (const [ key, value ] of Object.entries(options || {})) {
+    if (typeof value !== "undefined") {
+      resolved[key] = value;
+    }
+  }
+  if (!resolved.pageHttpError || resolved.pageHttpError.length == 0) {
+    resolved.pageHttpError = DEFAULT_PAGE_HTTP_RETRY_STATUS_CODES;
+  }
+  if (!resolved.resourceHttpError || resolved.resourceHttpError.length == 0) {
+    resolved.resourceHttpError = DEFAULT_RESOURCE_HTTP_RETRY_STATUS_CODES;
+  }
+  return resolved;
+}
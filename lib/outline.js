@@ -0,0 +1,109 @@
+// 3rd-party packages
+// PDF generator (to merge Chromium generated PDFs into a single PDF)
+import { PDFHexString, PDFName, PDFNull, PDFNumber } from "pdf-lib";
+// logger
+import { loggers } from "winston";
+const logger = loggers.get("mainLogger");
+
+// Turn the ToC tree (collected from the table-of-contents page) into a tree of
+// outline entries that point to pages of the merged PDF.
+// A node without a page of its own (e.g. a chapter) points to the first page of
+// its first descendant that made it into the merged PDF.
+// Nodes that don't have any pages in the merged PDF (e.g. due to "--toc-limit")
+// are skipped.
+function buildOutlineEntries(nodes, urlPageIndex, pageCount) {
+  const entries = [];
+  for (const node of nodes) {
+    const children = buildOutlineEntries(node.children || [], urlPageIndex, pageCount);
+    let pageIndex = undefined;
+    if (node.url && urlPageIndex.has(node.url) && urlPageIndex.get(node.url) < pageCount) {
+      pageIndex = urlPageIndex.get(node.url);
+    } else if (children.length > 0) {
+      pageIndex = children[0].pageIndex;
+    }
+    if (typeof pageIndex !== "undefined") {
+      entries.push({ title: node.title || "", pageIndex: pageIndex, children: children });
+    }
+  }
+  return entries;
+}
+
+// register the outline items of one level (and their descendants) in the PDF context
+// and return the refs of the items (in the same order as the entries)
+function registerOutlineItems(pdfDoc, entries, parentRef, createdRefs) {
+  const refs = entries.map(() => pdfDoc.context.nextRef());
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    const pageRef = pdfDoc.getPage(entry.pageIndex).ref;
+    const item = pdfDoc.context.obj({
+      Title: PDFHexString.fromText(entry.title),
+      Parent: parentRef,
+      Dest: [ pageRef, PDFName.of("XYZ"), PDFNull, PDFNull, PDFNull ]
+    });
+    if (i > 0) {
+      item.set(PDFName.of("Prev"), refs[i - 1]);
+    }
+    if (i < entries.length - 1) {
+      item.set(PDFName.of("Next"), refs[i + 1]);
+    }
+    if (entry.children.length > 0) {
+      const childRefs = registerOutlineItems(pdfDoc, entry.children, refs[i], createdRefs);
+      item.set(PDFName.of("First"), childRefs[0]);
+      item.set(PDFName.of("Last"), childRefs[childRefs.length - 1]);
+      // a negative count means that the item is closed (collapsed) by default
+      item.set(PDFName.of("Count"), PDFNumber.of(-entry.children.length));
+    }
+    pdfDoc.context.assign(refs[i], item);
+    createdRefs.push(refs[i]);
+  }
+  return refs;
+}
+
+// remove the outline that was added by a previous addOutline() call
+function removeOutline(pdfDoc, mergeInfo) {
+  if (mergeInfo.outlineRefs.length > 0) {
+    logger.verbose(`removeOutline(): removing ${mergeInfo.outlineRefs.length} outline objects`);
+    mergeInfo.outlineRefs.forEach((ref) => pdfDoc.context.delete(ref));
+    mergeInfo.outlineRefs = [];
+    pdfDoc.catalog.delete(PDFName.of("Outlines"));
+  }
+}
+
+// add an outline (i.e. bookmarks) to the merged PDF
+// based on the ToC tree and the first page of each URL (see appendPdf())
+// note: calling this multiple times replaces the previously added outline
+//   (e.g. after empty pages have been removed from the document)
+export function addOutline(pdfDoc, mergeInfo) {
+  removeOutline(pdfDoc, mergeInfo);
+  if (!mergeInfo.tocTree || mergeInfo.tocTree.length == 0) {
+    logger.verbose("addOutline(): there's no ToC tree, skipping outline generation");
+    return;
+  }
+  const pageCount = pdfDoc.getPageCount();
+  const entries = buildOutlineEntries(mergeInfo.tocTree, mergeInfo.urlPageIndex, pageCount);
+  if (mergeInfo.tocUrl && mergeInfo.urlPageIndex.has(mergeInfo.tocUrl)) {
+    // the table-of-contents page itself gets a bookmark too (titled after the manual)
+    entries.unshift({ title: mergeInfo.tocTitle || "", pageIndex: mergeInfo.urlPageIndex.get(mergeInfo.tocUrl), children: [] });
+  }
+  if (typeof mergeInfo.printedTocPageIndex !== "undefined" && mergeInfo.printedTocPageIndex < pageCount) {
+    // the printed table of contents follows the ToC page (or replaces it)
+    const printedTocEntry = { title: mergeInfo.printedTocTitle || mergeInfo.tocTitle || "", pageIndex: mergeInfo.printedTocPageIndex, children: [] };
+    const position = entries.findIndex((entry) => entry.pageIndex >= mergeInfo.printedTocPageIndex);
+    entries.splice(position >= 0 ? position : entries.length, 0, printedTocEntry);
+  }
+  if (entries.length == 0) {
+    logger.verbose("addOutline(): none of the ToC entries has a page in the document, skipping outline generation");
+    return;
+  }
+  const outlinesRef = pdfDoc.context.nextRef();
+  const itemRefs = registerOutlineItems(pdfDoc, entries, outlinesRef, mergeInfo.outlineRefs);
+  pdfDoc.context.assign(outlinesRef, pdfDoc.context.obj({
+    Type: "Outlines",
+    First: itemRefs[0],
+    Last: itemRefs[itemRefs.length - 1],
+    Count: PDFNumber.of(entries.length)
+  }));
+  mergeInfo.outlineRefs.push(outlinesRef);
+  pdfDoc.catalog.set(PDFName.of("Outlines"), outlinesRef);
+  logger.verbose(`addOutline(): added an outline with ${mergeInfo.outlineRefs.length - 1} items`);
+}
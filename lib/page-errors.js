@@ -0,0 +1,80 @@
+// Classification of the JavaScript errors of a page (see newBrowserPage() in generator.js):
+// the uncaught exceptions ("pageerror" events) and the "console.error()" messages of the page
+// are classified by the rules of "--page-error-rule", so a crashed page (e.g. a failed
+// hydration of Next.js) is retried even if the error banner is not rendered (see
+// "--page-error-text-pattern"). A rule is "<action>,<source>,<regular expression>":
+// - action: "ignore" (only logged at debug level), "warn" (logged as a warning) or "retry"
+//   (the attempt fails right before PDF rendering, i.e. the page is retried)
+// - source: "pageerror", "console", "hydration" (a hydration failure reported by either, see
+//   HYDRATION_ERROR_PATTERN) or "*" (any of them)
+// - the regular expression is matched against the error message
+// The rules are evaluated in order and the last matching rule wins, so the rules added to
+// the default list (see DEFAULT_PAGE_ERROR_RULES in options.js) override the defaults.
+export const PAGE_ERROR_IGNORE = "ignore";
+export const PAGE_ERROR_WARN = "warn";
+export const PAGE_ERROR_RETRY = "retry";
+export const PAGE_ERROR_ACTIONS = [ PAGE_ERROR_IGNORE, PAGE_ERROR_WARN, PAGE_ERROR_RETRY ];
+
+export const PAGE_ERROR_SOURCE_PAGEERROR = "pageerror";
+export const PAGE_ERROR_SOURCE_CONSOLE = "console";
+export const PAGE_ERROR_SOURCE_HYDRATION = "hydration";
+const PAGE_ERROR_SOURCES = [ PAGE_ERROR_SOURCE_PAGEERROR, PAGE_ERROR_SOURCE_CONSOLE, PAGE_ERROR_SOURCE_HYDRATION, "*" ];
+
+// the messages of React (and Next.js) about a failed hydration
+// (the production builds report the minified errors #418, #419, #421, #422, #423 and #425)
+export const HYDRATION_ERROR_PATTERN = /hydration failed|error while hydrating|does not match server-rendered HTML|did not match\. Server:|Minified React error #4(18|19|21|22|23|25)\b/i;
+
+// the errors kept per action (a page that throws in a loop shouldn't eat up the memory),
+// so a flood of warnings can't push out an error that triggers a retry
+const MAX_SCRIPT_ERRORS = 100;
+
+// parse a rule: { action, source, pattern }
+export function parsePageErrorRule(spec) {
+  const firstComma = spec.indexOf(",");
+  const secondComma = firstComma >= 0 ? spec.indexOf(",", firstComma + 1) : -1;
+  if (secondComma < 0) {
+    throw new Error(`invalid page error rule (expected "<action>,<source>,<regular expression>"): ${spec}`);
+  }
+  const action = spec.substring(0, firstComma).trim();
+  const source = spec.substring(firstComma + 1, secondComma).trim();
+  if (!PAGE_ERROR_ACTIONS.includes(action)) {
+    throw new Error(`invalid page error rule, the action must be one of ${PAGE_ERROR_ACTIONS.join(", ")}: ${spec}`);
+  }
+  if (!PAGE_ERROR_SOURCES.includes(source)) {
+    throw new Error(`invalid page error rule, the source must be one of ${PAGE_ERROR_SOURCES.join(", ")}: ${spec}`);
+  }
+  return { action: action, source: source, pattern: new RegExp(spec.substring(secondComma + 1), "i") };
+}
+
+export function parsePageErrorRules(specs) {
+  return (specs || []).map(parsePageErrorRule);
+}
+
+// classify an error of the page: { source, text, action }
+// ("source" is "pageerror" or "console", it becomes "hydration" for a hydration failure)
+export function classifyPageError(rules, source, text) {
+  const actualSource = HYDRATION_ERROR_PATTERN.test(text) ? PAGE_ERROR_SOURCE_HYDRATION : source;
+  let action = PAGE_ERROR_IGNORE;
+  for (const rule of rules) {
+    if ((rule.source === "*" || rule.source === actualSource) && rule.pattern.test(text)) {
+      action = rule.action;
+    }
+  }
+  return { source: actualSource, text: text, action: action };
+}
+
+// add a classified error to the errors of the current page load (the ignored ones are not kept)
+export function addScriptError(scriptErrors, scriptError) {
+  if (scriptError.action === PAGE_ERROR_IGNORE) {
+    return;
+  }
+  if (scriptErrors.filter((x) => x.action === scriptError.action).length < MAX_SCRIPT_ERRORS) {
+    scriptErrors.push(scriptError);
+  }
+}
+
+// a short description of an error (for the logs and the error messages)
+export function describeScriptError(scriptError) {
+  const firstLine = scriptError.text.split("\n")[0];
+  return `[${scriptError.source}] ${firstLine.length > 200 ? firstLine.substring(0, 200) + "..." : firstLine}`;
+}
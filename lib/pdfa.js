@@ -0,0 +1,165 @@
+// 3rd-party packages
+// PDF generator (to merge Chromium generated PDFs into a single PDF)
+import { PDFDict, PDFName, PDFNumber, PDFString } from "pdf-lib";
+// logger
+import { loggers } from "winston";
+const logger = loggers.get("mainLogger");
+
+// PDF/A-2b style output (for archiving): besides the XMP metadata with the PDF/A identification
+// (see metadata.js) the document gets an sRGB output intent (with an embedded ICC profile), every
+// annotation is made printable and the fonts that are not embedded are reported.
+// Note: the result is not validated (e.g. by veraPDF), so it's "PDF/A-2b style" only.
+export const PDFA_OUTPUT_CONDITION = "sRGB IEC61966-2.1";
+// the standard PDF fonts used by pdf-lib are not embedded (there's no font program for them)
+export const PDFA_INCOMPATIBLE_OPTIONS = [ "printedToc", "stampPages", "stamp" ];
+
+// D50 adapted sRGB primaries and the D50 white point (as in the sRGB profiles of ICC)
+const D50_WHITE_POINT = [ 0.9642, 1.0, 0.8249 ];
+const SRGB_PRIMARIES = [ [ 0.4361, 0.2225, 0.0139 ], [ 0.3851, 0.7169, 0.0971 ], [ 0.1431, 0.0606, 0.7141 ] ];
+const SRGB_CURVE_POINTS = 1024;
+// annotation flags (PDF 32000-1:2008, 12.5.3)
+const ANNOT_FLAG_INVISIBLE = 1;
+const ANNOT_FLAG_HIDDEN = 2;
+const ANNOT_FLAG_PRINT = 4;
+const ANNOT_FLAG_NOVIEW = 32;
+
+// the options that can't be used together with "--pdfa"
+export function getPdfaIncompatibleOptions(options) {
+  return PDFA_INCOMPATIBLE_OPTIONS.filter((name) => {
+    const value = options[name];
+    return Array.isArray(value) ? value.length > 0 : value && value != "none";
+  });
+}
+
+function asciiBytes(text) {
+  return Array.from(text, (char) => char.charCodeAt(0) & 0x7f);
+}
+
+function uint32Bytes(value) {
+  return [ (value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff ];
+}
+
+function s15Fixed16Bytes(value) {
+  return uint32Bytes(Math.round(value * 65536) >>> 0);
+}
+
+function padTo4(bytes) {
+  while (bytes.length % 4 != 0) {
+    bytes.push(0);
+  }
+  return bytes;
+}
+
+// a minimal ICC (version 2.1) display profile of the sRGB color space:
+// description, copyright, white point, primaries and the sRGB tone curve (shared by the channels)
+export function createSrgbIccProfile() {
+  const description = asciiBytes(PDFA_OUTPUT_CONDITION).concat([ 0 ]);
+  const tagData = [
+    [ [ "desc" ], padTo4(asciiBytes("desc").concat(uint32Bytes(0), uint32Bytes(description.length), description, uint32Bytes(0), uint32Bytes(0), [ 0, 0, 0 ], new Array(67).fill(0))) ],
+    [ [ "cprt" ], padTo4(asciiBytes("text").concat(uint32Bytes(0), asciiBytes("No copyright, use freely"), [ 0 ])) ],
+    [ [ "wtpt" ], asciiBytes("XYZ ").concat(uint32Bytes(0), ...D50_WHITE_POINT.map(s15Fixed16Bytes)) ],
+    ...[ "rXYZ", "gXYZ", "bXYZ" ].map((signature, index) => [ [ signature ], asciiBytes("XYZ ").concat(uint32Bytes(0), ...SRGB_PRIMARIES[index].map(s15Fixed16Bytes)) ]),
+    [ [ "rTRC", "gTRC", "bTRC" ], padTo4(asciiBytes("curv").concat(uint32Bytes(0), uint32Bytes(SRGB_CURVE_POINTS), ...Array.from(Array(SRGB_CURVE_POINTS).keys(), (i) => {
+      const value = i / (SRGB_CURVE_POINTS - 1);
+      const linear = value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+      const encoded = Math.round(linear * 65535);
+      return [ encoded >> 8, encoded & 0xff ];
+    }))) ]
+  ];
+  const tagCount = tagData.reduce((count, [ signatures ]) => count + signatures.length, 0);
+  const tagTable = uint32Bytes(tagCount);
+  const data = [];
+  let offset = 128 + 4 + tagCount * 12;
+  for (const [ signatures, bytes ] of tagData) {
+    for (const signature of signatures) {
+      tagTable.push(...asciiBytes(signature), ...uint32Bytes(offset), ...uint32Bytes(bytes.length));
+    }
+    data.push(...bytes);
+    offset += bytes.length;
+  }
+  const header = [].concat(
+    uint32Bytes(offset), uint32Bytes(0), uint32Bytes(0x02100000), asciiBytes("mntr"), asciiBytes("RGB "), asciiBytes("XYZ "),
+    // creation date: 2000-01-01 00:00:00 (so the profile is the same byte by byte in every run)
+    [ 0x07, 0xd0, 0, 1, 0, 1, 0, 0, 0, 0, 0, 0 ],
+    asciiBytes("acsp"), uint32Bytes(0), uint32Bytes(0), uint32Bytes(0), uint32Bytes(0), new Array(8).fill(0), uint32Bytes(0),
+    ...D50_WHITE_POINT.map(s15Fixed16Bytes), uint32Bytes(0), new Array(44).fill(0)
+  );
+  return Uint8Array.from(header.concat(tagTable, data));
+}
+
+// add the sRGB output intent to the document (unless it has one already)
+function addOutputIntent(pdfDoc) {
+  if (pdfDoc.catalog.has(PDFName.of("OutputIntents"))) {
+    return;
+  }
+  const context = pdfDoc.context;
+  const profileRef = context.register(context.flateStream(createSrgbIccProfile(), { N: 3 }));
+  const outputIntent = context.obj({
+    Type: "OutputIntent",
+    S: "GTS_PDFA1",
+    OutputConditionIdentifier: PDFString.of(PDFA_OUTPUT_CONDITION),
+    Info: PDFString.of(PDFA_OUTPUT_CONDITION),
+    RegistryName: PDFString.of("http://www.color.org"),
+    DestOutputProfile: profileRef
+  });
+  pdfDoc.catalog.set(PDFName.of("OutputIntents"), context.obj([ context.register(outputIntent) ]));
+}
+
+// every annotation (except popups) has to be printable and visible
+function makeAnnotationsPrintable(pdfDoc) {
+  let changedCount = 0;
+  for (const page of pdfDoc.getPages()) {
+    const annots = page.node.Annots();
+    for (let i = 0; annots && i < annots.size(); i++) {
+      const annot = annots.lookup(i);
+      if (!(annot instanceof PDFDict) || annot.get(PDFName.of("Subtype")) === PDFName.of("Popup")) {
+        continue;
+      }
+      const flagsObject = annot.lookup(PDFName.of("F"));
+      const flags = flagsObject instanceof PDFNumber ? flagsObject.asNumber() : 0;
+      const newFlags = (flags | ANNOT_FLAG_PRINT) & ~(ANNOT_FLAG_INVISIBLE | ANNOT_FLAG_HIDDEN | ANNOT_FLAG_NOVIEW);
+      if (newFlags != flags) {
+        annot.set(PDFName.of("F"), PDFNumber.of(newFlags));
+        changedCount++;
+      }
+    }
+  }
+  return changedCount;
+}
+
+// the names of the fonts of the document without an embedded font program
+export function findUnembeddedFonts(pdfDoc) {
+  const fontNames = new Set();
+  for (const [ , object ] of pdfDoc.context.enumerateIndirectObjects()) {
+    if (!(object instanceof PDFDict) || object.get(PDFName.of("Type")) !== PDFName.of("Font")) {
+      continue;
+    }
+    // Type0 fonts are checked through their descendant (CID) fonts, Type3 fonts are made of content streams
+    const subtype = object.get(PDFName.of("Subtype"));
+    if (subtype === PDFName.of("Type0") || subtype === PDFName.of("Type3")) {
+      continue;
+    }
+    const descriptor = object.lookup(PDFName.of("FontDescriptor"));
+    const embedded = descriptor instanceof PDFDict && [ "FontFile", "FontFile2", "FontFile3" ].some((key) => descriptor.has(PDFName.of(key)));
+    if (!embedded) {
+      const baseFont = object.get(PDFName.of("BaseFont"));
+      fontNames.add(baseFont instanceof PDFName ? baseFont.decodeText() : "(unnamed)");
+    }
+  }
+  return Array.from(fontNames);
+}
+
+// make the document PDF/A-2b style (the XMP metadata with the PDF/A identification is added by
+// addMetadata()), can be called multiple times (e.g. before every save of the merged PDF)
+export function applyPdfa(pdfDoc) {
+  addOutputIntent(pdfDoc);
+  const changedCount = makeAnnotationsPrintable(pdfDoc);
+  if (changedCount > 0) {
+    logger.verbose(`applyPdfa(): made ${changedCount} annotations printable`);
+  }
+  const unembeddedFonts = findUnembeddedFonts(pdfDoc);
+  if (unembeddedFonts.length > 0) {
+    logger.warn(`applyPdfa(): the PDF is not PDF/A conformant, these fonts are not embedded: ${unembeddedFonts.join(", ")}`);
+  }
+  return unembeddedFonts;
+}
@@ -0,0 +1,210 @@
+// 3rd-party packages
+// PDF generator (to merge Chromium generated PDFs into a single PDF)
+import { LineCapStyle, PDFName, PDFNull, PageSizes, StandardFonts, rgb } from "pdf-lib";
+// logger
+import { loggers } from "winston";
+const logger = loggers.get("mainLogger");
+
+// Dependencies from this package
+import { insertMergedPage, removeMergedPage } from "./generator.js";
+
+// The printed table of contents: pages composed with pdf-lib (after the empty pages were removed,
+// so the page numbers are final) that list the chapters and articles of the ToC tree with their
+// page numbers and dotted leaders. The entries are links to the pages they list.
+// - "append": the printed ToC follows the rendered ToC page (i.e. the web page)
+// - "replace": the printed ToC takes the place of the rendered ToC page
+export const PRINTED_TOC_NONE = "none";
+export const PRINTED_TOC_APPEND = "append";
+export const PRINTED_TOC_REPLACE = "replace";
+export const PRINTED_TOC_MODES = [ PRINTED_TOC_NONE, PRINTED_TOC_APPEND, PRINTED_TOC_REPLACE ];
+
+const MARGIN = 56;
+const HEADING_FONT_SIZE = 18;
+const SUBTITLE_FONT_SIZE = 11;
+const CHAPTER_FONT_SIZE = 11;
+const ENTRY_FONT_SIZE = 10;
+const LINE_HEIGHT = 1.6;
+const INDENT = 14;
+// the leader dots are placed on a grid (so they line up from line to line)
+const LEADER_SPACING = 5;
+const LEADER_DOT_SIZE = 0.9;
+// gap between the title and the leader and between the leader and the page number
+const LEADER_GAP = 6;
+const TEXT_COLOR = rgb(0.1, 0.1, 0.1);
+const LEADER_COLOR = rgb(0.55, 0.55, 0.55);
+
+// the entries of the printed ToC (in the order of the ToC tree) with the index of the page they
+// point to, a chapter points to the first page of its first article that is in the document
+// (similar to the outline, see buildOutlineEntries())
+function collectEntries(nodes, level, urlPageIndex, pageCount, entries) {
+  for (const node of nodes || []) {
+    const entry = { title: node.title || "", level: level, pageIndex: undefined };
+    entries.push(entry);
+    const firstChildEntry = entries.length;
+    collectEntries(node.children, level + 1, urlPageIndex, pageCount, entries);
+    if (node.url && urlPageIndex.has(node.url) && urlPageIndex.get(node.url) < pageCount) {
+      entry.pageIndex = urlPageIndex.get(node.url);
+    } else {
+      const firstChild = entries.slice(firstChildEntry).find((child) => child.level == level + 1 && typeof child.pageIndex !== "undefined");
+      entry.pageIndex = firstChild ? firstChild.pageIndex : undefined;
+    }
+  }
+  return entries;
+}
+
+// the standard PDF fonts can encode only the WinAnsi character set, the other characters
+// lose their diacritics (e.g. "ő" -> "o"), a text with characters that can't be printed even
+// without their diacritics (e.g. a Greek or Chinese title) is rejected with an error
+// (embedding a Unicode font would need fontkit, which is not a dependency of this package)
+export function createTextSanitizer(font) {
+  const characterSet = new Set(font.getCharacterSet());
+  return (text) => {
+    const unprintableChars = new Set();
+    const sanitized = Array.from(text.replaceAll(/\s+/g, " ").trim(), (char) => {
+      if (characterSet.has(char.codePointAt(0))) {
+        return char;
+      }
+      const base = char.normalize("NFKD").replaceAll(/\p{M}/gu, "");
+      if (base.length > 0 && Array.from(base).every((baseChar) => characterSet.has(baseChar.codePointAt(0)))) {
+        return base;
+      }
+      unprintableChars.add(char);
+      return char;
+    }).join("");
+    if (unprintableChars.size > 0) {
+      throw new Error(`the text "${text}" has characters that can't be printed with the standard PDF fonts (only the Latin-1 characters are supported): ${Array.from(unprintableChars).join(" ")}`);
+    }
+    return sanitized;
+  };
+}
+
+// shorten a title (with an ellipsis) to fit the given width
+export function fitText(text, font, size, maxWidth) {
+  if (font.widthOfTextAtSize(text, size) <= maxWidth) {
+    return text;
+  }
+  let fitted = text;
+  while (fitted.length > 0 && font.widthOfTextAtSize(fitted + "…", size) > maxWidth) {
+    fitted = fitted.slice(0, -1);
+  }
+  return fitted.trimEnd() + "…";
+}
+
+function addLink(pdfDoc, page, rect, targetPageRef) {
+  const annotRef = pdfDoc.context.register(pdfDoc.context.obj({
+    Type: "Annot",
+    Subtype: "Link",
+    Rect: rect,
+    Border: [ 0, 0, 0 ],
+    Dest: [ targetPageRef, PDFName.of("XYZ"), PDFNull, PDFNull, PDFNull ]
+  }));
+  page.node.addAnnot(annotRef);
+}
+
+// the pages of the rendered ToC page in the merged PDF: [ first page index, number of pages ]
+function getRenderedTocPages(pdfDoc, mergeInfo) {
+  if (!mergeInfo.tocUrl || !mergeInfo.urlPageIndex.has(mergeInfo.tocUrl)) {
+    return [ 0, 0 ];
+  }
+  const tocPageIndex = mergeInfo.urlPageIndex.get(mergeInfo.tocUrl);
+  const nextPageIndex = Math.min(pdfDoc.getPageCount(), ...Array.from(mergeInfo.urlPageIndex.values()).filter((idx) => idx > tocPageIndex));
+  return [ tocPageIndex, nextPageIndex - tocPageIndex ];
+}
+
+// compose the printed ToC and insert it into the merged PDF (see the modes above),
+// returns the number of pages of the printed ToC
+export async function addPrintedToc(pdfDoc, mergeInfo, options) {
+  if (!mergeInfo.tocTree || mergeInfo.tocTree.length == 0) {
+    logger.warn("addPrintedToc(): there's no chapter hierarchy (i.e. no ToC page), skipping the printed table of contents");
+    return 0;
+  }
+
+  let [ insertIndex, renderedTocPageCount ] = getRenderedTocPages(pdfDoc, mergeInfo);
+  if (options.printedToc == PRINTED_TOC_REPLACE) {
+    logger.verbose(`addPrintedToc(): removing the ${renderedTocPageCount} pages of the rendered ToC page`);
+    for (let i = 0; i < renderedTocPageCount; i++) {
+      removeMergedPage(pdfDoc, mergeInfo, insertIndex);
+    }
+    mergeInfo.urlPageIndex.delete(mergeInfo.tocUrl);
+  } else {
+    insertIndex += renderedTocPageCount;
+  }
+
+  const entries = collectEntries(mergeInfo.tocTree, 0, mergeInfo.urlPageIndex, pdfDoc.getPageCount(), [])
+    .filter((entry) => typeof entry.pageIndex !== "undefined");
+  if (entries.length == 0) {
+    logger.warn("addPrintedToc(): none of the ToC entries has a page in the document, skipping the printed table of contents");
+    return 0;
+  }
+
+  const regularFont = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const boldFont = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+  const sanitize = createTextSanitizer(regularFont);
+  const [ pageWidth, pageHeight ] = PageSizes[options.pdfPageSize] || PageSizes.A4;
+  const contentWidth = pageWidth - 2 * MARGIN;
+
+  // lay out the lines first, the page numbers depend on the number of pages of the printed ToC
+  const lines = [ { text: sanitize(options.printedTocTitle || ""), font: boldFont, size: HEADING_FONT_SIZE, indent: 0, entry: undefined } ];
+  if (mergeInfo.tocTitle) {
+    lines.push({ text: sanitize(mergeInfo.tocTitle), font: regularFont, size: SUBTITLE_FONT_SIZE, indent: 0, entry: undefined });
+  }
+  lines.push({ text: "", font: regularFont, size: SUBTITLE_FONT_SIZE, indent: 0, entry: undefined });
+  for (const entry of entries) {
+    const isChapter = entry.level == 0;
+    lines.push({ text: sanitize(entry.title), font: isChapter ? boldFont : regularFont, size: isChapter ? CHAPTER_FONT_SIZE : ENTRY_FONT_SIZE, indent: entry.level * INDENT, entry: entry, spaceBefore: isChapter && entry !== entries[0] });
+  }
+  const pages = [];
+  let y = 0;
+  for (const line of lines) {
+    const lineHeight = line.size * LINE_HEIGHT + (line.spaceBefore ? line.size * 0.6 : 0);
+    if (pages.length == 0 || y - lineHeight < MARGIN) {
+      pages.push([]);
+      y = pageHeight - MARGIN;
+    }
+    y -= lineHeight;
+    pages[pages.length - 1].push(Object.assign(line, { y: y }));
+  }
+
+  // the pages at and after the insertion point are shifted by the printed ToC
+  const getPageNumber = (pageIndex) => pageIndex + 1 + (pageIndex >= insertIndex ? pages.length : 0);
+  const targetPageRefs = new Map(entries.map((entry) => [ entry, pdfDoc.getPage(entry.pageIndex).ref ]));
+  pages.forEach((pageLines, pageOffset) => {
+    const page = insertMergedPage(pdfDoc, mergeInfo, insertIndex + pageOffset, [ pageWidth, pageHeight ]);
+    // pdf-lib adds a font resource to the page whenever the font is switched,
+    // so the texts of the page are drawn grouped by their font
+    const texts = [];
+    for (const line of pageLines) {
+      const x = MARGIN + line.indent;
+      if (!line.entry) {
+        texts.push({ text: line.text, x: x, y: line.y, size: line.size, font: line.font });
+        continue;
+      }
+      const pageNumber = String(getPageNumber(line.entry.pageIndex));
+      const numberWidth = line.font.widthOfTextAtSize(pageNumber, line.size);
+      const numberX = MARGIN + contentWidth - numberWidth;
+      const title = fitText(line.text, line.font, line.size, numberX - x - 2 * LEADER_GAP - 3 * LEADER_SPACING);
+      const titleEnd = x + line.font.widthOfTextAtSize(title, line.size);
+      texts.push({ text: title, x: x, y: line.y, size: line.size, font: line.font });
+      texts.push({ text: pageNumber, x: numberX, y: line.y, size: line.size, font: line.font });
+      // the leader is a dotted line (round caps of zero length dashes)
+      const leaderStart = MARGIN + Math.ceil((titleEnd + LEADER_GAP - MARGIN) / LEADER_SPACING) * LEADER_SPACING;
+      const leaderEnd = numberX - LEADER_GAP;
+      if (leaderEnd > leaderStart) {
+        page.drawLine({ start: { x: leaderStart, y: line.y + 1 }, end: { x: leaderEnd, y: line.y + 1 }, thickness: LEADER_DOT_SIZE, color: LEADER_COLOR, dashArray: [ 0, LEADER_SPACING ], lineCap: LineCapStyle.Round });
+      }
+      addLink(pdfDoc, page, [ x, line.y - line.size * 0.3, MARGIN + contentWidth, line.y + line.size ], targetPageRefs.get(line.entry));
+    }
+    for (const font of [ boldFont, regularFont ]) {
+      const fontTexts = texts.filter((text) => text.font === font && text.text.length > 0);
+      if (fontTexts.length > 0) {
+        page.setFont(font);
+        fontTexts.forEach((text) => page.drawText(text.text, { x: text.x, y: text.y, size: text.size, color: TEXT_COLOR }));
+      }
+    }
+  });
+
+  mergeInfo.printedTocPageIndex = insertIndex;
+  mergeInfo.printedTocTitle = options.printedTocTitle;
+  logger.verbose(`addPrintedToc(): added a printed table of contents with ${entries.length} entries on ${pages.length} pages at page ${insertIndex + 1}`);
+  return pages.length;
+}
@@ -0,0 +1,108 @@
+// Node.js builtin packages
+import { readFileSync } from "node:fs";
+import { readFile } from "node:fs/promises";
+import { dirname, extname, join, resolve } from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+
+// logger
+import { loggers } from "winston";
+const logger = loggers.get("mainLogger");
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// A site profile describes the markup of the manual's website for generatePagePdf():
+// - toc: how to collect the page URLs and the chapter hierarchy from the table-of-contents page
+//   and how to make the ToC page printable (elements to remove, buttons to expand the chapters, styles)
+// - article: where the content of an article is and what to remove from it
+// - removeSelectors, css, consentHandlers: clean-up of every page (header/footer, CSS injections,
+//   cookie consent handling)
+// See profiles/volvocars.json (the default profile) for all the fields.
+// A profile loaded with "--profile" is merged into the default profile (objects are merged,
+// everything else, e.g. arrays, is replaced), so it's enough to specify what's different.
+export const PROFILE_VERSION = 1;
+export const CONSENT_HANDLER_TYPES = [ "onetrust", "click", "remove" ];
+
+export const DEFAULT_PROFILE = JSON.parse(readFileSync(join(__dirname, "profiles", "volvocars.json"), "utf8"));
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function mergeProfiles(base, override) {
+  const merged = Object.assign({}, base);
+  for (const [ key, value ] of Object.entries(override)) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeProfiles(base[key], value) : value;
+  }
+  return merged;
+}
+
+function checkString(profile, path, errors) {
+  const value = path.split(".").reduce((obj, key) => obj ? obj[key] : undefined, profile);
+  if (typeof value !== "string" || value.length == 0) {
+    errors.push(`"${path}" must be a non-empty string`);
+  }
+}
+
+function checkStringArray(profile, path, errors) {
+  const value = path.split(".").reduce((obj, key) => obj ? obj[key] : undefined, profile);
+  if (!Array.isArray(value) || value.some((x) => typeof x !== "string")) {
+    errors.push(`"${path}" must be an array of strings`);
+  }
+}
+
+// returns the list of problems (an empty list if the profile is OK)
+export function validateProfile(profile) {
+  const errors = [];
+  if (profile.version !== PROFILE_VERSION) {
+    errors.push(`"version" must be ${PROFILE_VERSION}`);
+  }
+  [ "toc.linkSelector", "toc.listSelector", "toc.titleSelector", "toc.expandButtonSelector" ].forEach((path) => checkString(profile, path, errors));
+  [ "css", "removeSelectors", "toc.removeSelectors", "article.contentSelectors", "article.relatedSelectors", "article.removeSelectors" ].forEach((path) => checkStringArray(profile, path, errors));
+  if (!Array.isArray(profile.toc && profile.toc.styles) || profile.toc.styles.some((x) => !isPlainObject(x) || typeof x.selector !== "string" || !isPlainObject(x.style))) {
+    errors.push("\"toc.styles\" must be an array of { selector, style } objects");
+  }
+  if (!Array.isArray(profile.consentHandlers) || profile.consentHandlers.some((x) => !isPlainObject(x) || !CONSENT_HANDLER_TYPES.includes(x.type))) {
+    errors.push(`"consentHandlers" must be an array of objects with a "type" of ${CONSENT_HANDLER_TYPES.map((x) => `"${x}"`).join(", ")}`);
+  }
+  const banner = profile.article && profile.article.signInBanner;
+  if (banner !== null && (!isPlainObject(banner) || typeof banner.articleSelector !== "string" || ![ "buttonCount", "maxChecks", "checkInterval" ].every((key) => Number.isInteger(banner[key])))) {
+    errors.push("\"article.signInBanner\" must be null or an object with an \"articleSelector\" and integer \"buttonCount\", \"maxChecks\" and \"checkInterval\" fields");
+  }
+  return errors;
+}
+
+// load a site profile from a JSON file or a JS module (with the profile as its default export)
+// and merge it into the default profile
+export async function loadProfile(path) {
+  let profile = undefined;
+  const extension = extname(path).toLowerCase();
+  if ([ ".js", ".mjs" ].includes(extension)) {
+    profile = (await import(pathToFileURL(resolve(path)).href)).default;
+  } else {
+    profile = JSON.parse(await readFile(path, "utf8"));
+  }
+  const merged = createProfile(profile, `the site profile at ${path}`);
+  logger.info(`loadProfile(): loaded site profile "${merged.name}" (revision: ${merged.revision}) from ${path}`);
+  return merged;
+}
+
+// merge a (partial) site profile into the default profile and validate the result
+// (throws an error if the profile is not valid)
+export function createProfile(profile, description) {
+  if (!isPlainObject(profile)) {
+    throw new Error(`${description} is not an object`);
+  }
+  const merged = mergeProfiles(DEFAULT_PROFILE, profile);
+  const errors = validateProfile(merged);
+  if (errors.length > 0) {
+    throw new Error(`${description} is not valid: ${errors.join(", ")}`);
+  }
+  return merged;
+}
+
+// the site profile to be used for a run (the default profile, unless a profile was loaded,
+// i.e. "options.profile" has to be a complete profile, see loadProfile() and createProfile())
+export function getProfile(options) {
+  return isPlainObject(options.profile) ? options.profile : DEFAULT_PROFILE;
+}
@@ -0,0 +1,223 @@
+// Node.js builtin packages
+import { readFile, writeFile } from "node:fs/promises";
+
+// logger
+import { loggers } from "winston";
+const logger = loggers.get("mainLogger");
+
+// Dependencies from this package
+import { getHeadingsPath, getPdfPath, getTextPath } from "./generator.js";
+
+// The text of the articles (saved next to their PDFs by generatePagePdf()) can be exported
+// as JSONL ("--text-export", one article per line) and turned into a search index
+// ("--search-index", a self-contained JSON file that the "search" command works with).
+// Every article is described with its URL, title, ToC path (the chapters it belongs to),
+// the number of its first page in the final PDF, its headings and its text.
+export const SEARCH_INDEX_VERSION = 1;
+export const SEARCH_OUTPUT_FORMATS = [ "text", "json" ];
+export const DEFAULT_SEARCH_LIMIT = 10;
+// a term in the title counts as much as 3 terms in the text (and in a heading as 2)
+const FIELD_WEIGHTS = { title: 3, headings: 2, text: 1 };
+// Okapi BM25 parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+// query terms at least this long also match the terms they're a prefix of (e.g. "charg" -> "charging"),
+// but such matches count less than exact matches
+const PREFIX_MIN_LENGTH = 3;
+const PREFIX_MATCH_WEIGHT = 0.5;
+const SNIPPET_LENGTH = 200;
+
+// lowercase words without diacritics (so e.g. "Fahrerunterstützung" is found by "fahrerunterstutzung" too)
+export function tokenize(text) {
+  const normalized = (text || "").toLowerCase().normalize("NFKD").replaceAll(/\p{M}/gu, "");
+  return (normalized.match(/[\p{L}\p{N}]+/gu) || []).filter((token) => token.length > 1);
+}
+
+// URL -> titles of the chapters the article belongs to (from the top level down)
+function collectTocPaths(nodes, path, tocPaths) {
+  for (const node of nodes || []) {
+    if (node.url && !tocPaths.has(node.url)) {
+      tocPaths.set(node.url, path);
+    }
+    collectTocPaths(node.children, node.title ? path.concat([ node.title ]) : path, tocPaths);
+  }
+  return tocPaths;
+}
+
+function collectTitles(nodes, titles) {
+  for (const node of nodes || []) {
+    if (node.url && node.title && !titles.has(node.url)) {
+      titles.set(node.url, node.title);
+    }
+    collectTitles(node.children, titles);
+  }
+  return titles;
+}
+
+// collect the articles of a run (in the order of the URLs) with their final page numbers
+// (the pages that are not in the merged PDF, e.g. failed ones, are left out), the articles get
+// the (1-based) number of their volume if it's specified (see volumes.js)
+export async function collectSearchDocuments(pageUrls, pdfDir, mergeInfo, pageCount, volume) {
+  const tocPaths = collectTocPaths(mergeInfo.tocTree, [], new Map());
+  const tocTitles = collectTitles(mergeInfo.tocTree, new Map());
+  const documents = [];
+  for (const url of pageUrls) {
+    const pageIndex = mergeInfo.urlPageIndex.get(url);
+    if (typeof pageIndex === "undefined" || pageIndex >= pageCount) {
+      logger.verbose(`collectSearchDocuments(): ${url} is not in the merged PDF, skipping it`);
+      continue;
+    }
+    const pdfPath = getPdfPath(pdfDir, url);
+    let text = "";
+    try {
+      text = await readFile(getTextPath(pdfPath), "utf8");
+    } catch (err) {
+      logger.warn(`collectSearchDocuments(): there's no text for ${url}, only its title is searchable`);
+    }
+    // the headings are missing for the PDFs generated by older versions (re-used from the "--pdf-dir")
+    let headingsData = { title: undefined, headings: [] };
+    try {
+      headingsData = JSON.parse(await readFile(getHeadingsPath(pdfPath), "utf8"));
+    } catch (err) {
+      logger.verbose(`collectSearchDocuments(): there are no headings for ${url}`);
+    }
+    const document = {
+      url: url,
+      title: tocTitles.get(url) || headingsData.title || url,
+      tocPath: tocPaths.get(url) || [],
+      page: pageIndex + 1,
+      headings: headingsData.headings.map((heading) => heading.text),
+      text: text
+    };
+    if (typeof volume !== "undefined") {
+      document.volume = volume;
+    }
+    documents.push(document);
+  }
+  return documents;
+}
+
+export async function writeTextExport(path, documents) {
+  await writeFile(path, documents.map((document) => JSON.stringify(document)).join("\n") + "\n");
+}
+
+// build an inverted index: term -> [ [ document index, weighted term frequency ], ... ]
+export function buildSearchIndex(documents, title, tocUrl) {
+  const terms = new Map();
+  const indexedDocuments = [];
+  let totalLength = 0;
+  documents.forEach((document, docIndex) => {
+    const frequencies = new Map();
+    const fields = { title: [ document.title ], headings: document.headings, text: [ document.text ] };
+    let length = 0;
+    for (const [ field, values ] of Object.entries(fields)) {
+      for (const token of values.flatMap(tokenize)) {
+        frequencies.set(token, (frequencies.get(token) || 0) + FIELD_WEIGHTS[field]);
+        length += FIELD_WEIGHTS[field];
+      }
+    }
+    for (const [ term, frequency ] of frequencies) {
+      if (!terms.has(term)) {
+        terms.set(term, []);
+      }
+      terms.get(term).push([ docIndex, frequency ]);
+    }
+    totalLength += length;
+    indexedDocuments.push(Object.assign({}, document, { length: length }));
+  });
+  return {
+    version: SEARCH_INDEX_VERSION,
+    title: title,
+    tocUrl: tocUrl,
+    createdAt: new Date().toISOString(),
+    averageLength: documents.length > 0 ? totalLength / documents.length : 0,
+    documents: indexedDocuments,
+    terms: Object.fromEntries(terms)
+  };
+}
+
+export async function saveSearchIndex(path, index) {
+  await writeFile(path, JSON.stringify(index));
+}
+
+export async function loadSearchIndex(path) {
+  const index = JSON.parse(await readFile(path, "utf8"));
+  if (!index || index.version !== SEARCH_INDEX_VERSION || !Array.isArray(index.documents) || typeof index.terms !== "object") {
+    throw new Error(`loadSearchIndex(): ${path} is not a search index of pdfgen4vcman (version ${SEARCH_INDEX_VERSION})`);
+  }
+  return index;
+}
+
+// a part of the text around the first occurrence of a query term
+function getSnippet(text, queryTokens) {
+  const flatText = text.replaceAll(/\s+/g, " ").trim();
+  const lowerText = flatText.toLowerCase();
+  const positions = queryTokens.map((token) => lowerText.indexOf(token)).filter((position) => position >= 0);
+  const position = positions.length > 0 ? Math.min(...positions) : 0;
+  const start = Math.max(0, position - SNIPPET_LENGTH / 4);
+  const snippet = flatText.substring(start, start + SNIPPET_LENGTH);
+  return (start > 0 ? "…" : "") + snippet + (start + SNIPPET_LENGTH < flatText.length ? "…" : "");
+}
+
+// the articles that contain all the terms of the query, the best matches first (Okapi BM25)
+export function searchIndex(index, query, limit) {
+  const queryTokens = Array.from(new Set(tokenize(query)));
+  if (queryTokens.length == 0) {
+    return [];
+  }
+  const documentCount = index.documents.length;
+  const allTerms = Object.keys(index.terms);
+  // document index -> { score, matchedTokens }
+  const matches = new Map();
+  for (const token of queryTokens) {
+    const termWeights = new Map([ [ token, 1 ] ]);
+    if (token.length >= PREFIX_MIN_LENGTH) {
+      allTerms.filter((term) => term !== token && term.startsWith(token)).forEach((term) => termWeights.set(term, PREFIX_MATCH_WEIGHT));
+    }
+    for (const [ term, weight ] of termWeights) {
+      const postings = index.terms[term];
+      if (!postings) {
+        continue;
+      }
+      const idf = Math.log(1 + (documentCount - postings.length + 0.5) / (postings.length + 0.5));
+      for (const [ docIndex, frequency ] of postings) {
+        const document = index.documents[docIndex];
+        const lengthRatio = index.averageLength > 0 ? document.length / index.averageLength : 1;
+        const score = weight * idf * frequency * (BM25_K1 + 1) / (frequency + BM25_K1 * (1 - BM25_B + BM25_B * lengthRatio));
+        if (!matches.has(docIndex)) {
+          matches.set(docIndex, { score: 0, matchedTokens: new Set() });
+        }
+        const match = matches.get(docIndex);
+        match.score += score;
+        match.matchedTokens.add(token);
+      }
+    }
+  }
+  return Array.from(matches.entries())
+    .filter(([ , match ]) => match.matchedTokens.size == queryTokens.length)
+    .sort(([ , a ], [ , b ]) => b.score - a.score)
+    .slice(0, limit > 0 ? limit : undefined)
+    .map(([ docIndex, match ]) => {
+      const document = index.documents[docIndex];
+      return {
+        url: document.url,
+        title: document.title,
+        tocPath: document.tocPath,
+        page: document.page,
+        volume: document.volume,
+        score: Math.round(match.score * 1000) / 1000,
+        snippet: getSnippet(document.text, queryTokens)
+      };
+    });
+}
+
+export function renderSearchHits(hits) {
+  if (hits.length == 0) {
+    return "no matches";
+  }
+  return hits.map((hit) => {
+    const location = hit.tocPath.length > 0 ? ` (${hit.tocPath.join(" > ")})` : "";
+    const volume = typeof hit.volume !== "undefined" ? `vol. ${hit.volume}, ` : "";
+    return `${volume}p. ${hit.page}: ${hit.title}${location}\n  ${hit.url}\n  ${hit.snippet}`;
+  }).join("\n\n");
+}
@@ -0,0 +1,463 @@
+// Node.js builtin packages
+import { createServer } from "node:http";
+import { createReadStream } from "node:fs";
+import { rm, stat } from "node:fs/promises";
+import { join } from "node:path";
+import { randomUUID } from "node:crypto";
+import { EventEmitter } from "node:events";
+
+// logger
+import { loggers } from "winston";
+const logger = loggers.get("mainLogger");
+
+// Dependencies from this package
+import { EXIT_CODE_CANCELLED, generateManual } from "./manual.js";
+import { parseJsonOptions } from "./options.js";
+import { EVENT_PAGE_DONE, EVENT_PAGE_FAILED, EVENT_TOC_COLLECTED } from "./events.js";
+
+// job statuses
+export const JOB_QUEUED = "queued";
+export const JOB_RUNNING = "running";
+export const JOB_DONE = "done";
+export const JOB_FAILED = "failed";
+export const JOB_CANCELLED = "cancelled";
+
+// the maximum size of a request body (i.e. the JSON of a new job)
+const MAX_REQUEST_BODY_SIZE = 1024 * 1024;
+// the options a client may set for a job (the rendering, layout and page selection options)
+// with the type of their values, everything else (e.g. the paths, the browser commandline
+// options or the external programs) is managed by the service
+const JOB_OPTION_TYPES = {
+  timeout: "integer",
+  toc: "boolean",
+  tocLimit: "integer",
+  includeChapter: "strings",
+  excludeChapter: "strings",
+  includeUrl: "strings",
+  excludeUrl: "strings",
+  urlList: "strings",
+  hyphenation: "boolean",
+  links: "boolean",
+  hyperlinks: "boolean",
+  retries: "integer",
+  resourceHttpErrorUrlException: "strings",
+  resourceHttpErrorAllowed: "integer",
+  pdfCleanup: "boolean",
+  pdfCleanupThreshold: "number",
+  pdfOmitBackground: "boolean",
+  pdfPrintBackground: "boolean",
+  pdfTopBottomMargin: "number",
+  pdfLeftRightMargin: "number",
+  outline: "boolean",
+  printedToc: "string",
+  printedTocTitle: "string",
+  pdfDisplayHeaderFooter: "boolean",
+  stampPages: "boolean",
+  stamp: "strings",
+  stampFont: "string",
+  stampFontSize: "number",
+  stampMargin: "number",
+  pdfa: "boolean",
+  optimize: "boolean",
+  imageDpi: "integer",
+  pdfTimeout: "integer",
+  titleCaption: "string",
+  leniency: "integer",
+  renderCheck: "boolean",
+  renderIssuesAllowed: "integer",
+  concurrency: "integer",
+  pdfPageSize: "string",
+  pageErrorTextPattern: "strings",
+  pageErrorRule: "strings",
+  profile: "object"
+};
+
+// the default of the maximum "concurrency" of a job (see createJobQueue())
+export const DEFAULT_MAX_PAGE_CONCURRENCY = 4;
+// the defaults of how long (in seconds) and how many finished jobs (and their PDFs) are kept
+// (see evictFinishedJobs())
+export const DEFAULT_JOB_TTL = 24 * 60 * 60;
+export const DEFAULT_MAX_FINISHED_JOBS = 100;
+// the bounds of the numeric options of a job (besides being non-negative), so a job can't retry
+// a page forever ("retries": 0 means unlimited retries) or wait for a page forever ("timeout": 0
+// means no timeout), the bounds of "concurrency" are set by the service (see createJobQueue())
+const MAX_JOB_TIMEOUT = 10 * 60 * 1000;
+const JOB_OPTION_BOUNDS = {
+  timeout: { min: 1000, max: MAX_JOB_TIMEOUT },
+  pdfTimeout: { min: 1000, max: MAX_JOB_TIMEOUT },
+  retries: { min: 1, max: 20 }
+};
+
+// check the value of an option of a job request against its type in JOB_OPTION_TYPES
+function isValidJobOptionValue(type, value) {
+  switch (type) {
+    case "boolean":
+      return typeof value === "boolean";
+    case "integer":
+      return Number.isSafeInteger(value) && value >= 0;
+    case "number":
+      return Number.isFinite(value) && value >= 0;
+    case "string":
+      return typeof value === "string";
+    case "strings":
+      return Array.isArray(value) && value.every((x) => typeof x === "string");
+    case "object":
+      return value !== null && typeof value === "object" && !Array.isArray(value);
+  }
+  return false;
+}
+
+const JOB_OPTION_TYPE_DESCRIPTIONS = {
+  boolean: "true or false",
+  integer: "a non-negative integer",
+  number: "a non-negative number",
+  string: "a string",
+  strings: "a list of strings",
+  object: "an object"
+};
+
+// turn the options of a job request into generateManual() options, throws an error for an
+// option that is not allowed or has a value of the wrong type or out of its bounds
+// (maxPageConcurrency: the maximum "concurrency" of a job)
+export function parseJobOptions(requestOptions, maxPageConcurrency = DEFAULT_MAX_PAGE_CONCURRENCY) {
+  if (typeof requestOptions === "undefined" || requestOptions === null) {
+    return {};
+  }
+  if (!isValidJobOptionValue("object", requestOptions)) {
+    throw new Error("the \"options\" of the job must be an object");
+  }
+  for (const [ key, value ] of Object.entries(requestOptions)) {
+    if (!Object.hasOwn(JOB_OPTION_TYPES, key)) {
+      throw new Error(`option "${key}" is not supported`);
+    }
+    if (!isValidJobOptionValue(JOB_OPTION_TYPES[key], value)) {
+      // e.g. "profile" is a site profile object (loading it from a path would allow to import
+      // any JS module on the machine) and "urlList" is a list of URLs (not a path)
+      throw new Error(`option "${key}" must be ${JOB_OPTION_TYPE_DESCRIPTIONS[JOB_OPTION_TYPES[key]]}`);
+    }
+    const bounds = key === "concurrency" ? { min: 1, max: maxPageConcurrency } : JOB_OPTION_BOUNDS[key];
+    if (bounds && (value < bounds.min || value > bounds.max)) {
+      throw new Error(`option "${key}" must be between ${bounds.min} and ${bounds.max}`);
+    }
+  }
+  // (all the allowed options are known options, this turns the patterns into RegExp objects)
+  return parseJsonOptions(requestOptions);
+}
+
+// check the URL of a job request, throws an error if it's not the URL of a web page
+// (the browser of the job would load e.g. a "file:" URL too and the client could download it as PDF)
+function checkJobUrl(url) {
+  let parsedUrl = undefined;
+  try {
+    parsedUrl = new URL(url);
+  } catch (err) {
+    throw new Error(`the "url" of the manual is not a valid URL: ${url}`);
+  }
+  if (parsedUrl.protocol !== "http:" && parsedUrl.protocol !== "https:") {
+    throw new Error(`the "url" of the manual must be an http or https URL: ${url}`);
+  }
+}
+
+// the public (JSON) representation of a job
+function describeJob(job) {
+  return {
+    id: job.id,
+    url: job.url,
+    status: job.status,
+    progress: job.progress,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    exitCode: job.exitCode,
+    error: job.error,
+    failedPages: job.failedPages
+  };
+}
+
+// Create a bounded job queue: at most "concurrency" jobs run at the same time (each with
+// generateManual(), i.e. its own browser instances, at most "maxPageConcurrency" of them)
+// and at most "limit" jobs wait in the queue.
+// The PDFs of the finished jobs are written to "jobsDir", the finished jobs are kept for
+// "jobTtl" seconds and at most "maxFinishedJobs" of them are kept (see evictFinishedJobs()).
+export function createJobQueue(jobsDir, concurrency, limit, maxPageConcurrency = DEFAULT_MAX_PAGE_CONCURRENCY, jobTtl = DEFAULT_JOB_TTL, maxFinishedJobs = DEFAULT_MAX_FINISHED_JOBS) {
+  const queue = {
+    jobsDir: jobsDir,
+    concurrency: Math.max(1, concurrency),
+    limit: limit,
+    maxPageConcurrency: Math.max(1, maxPageConcurrency),
+    jobTtl: jobTtl,
+    maxFinishedJobs: maxFinishedJobs,
+    jobs: new Map(),
+    waiting: [],
+    runningCount: 0
+  };
+  return queue;
+}
+
+// add a new job, returns undefined if the queue is full
+// (throws an error if the URL or the options of the job are not valid)
+export function enqueueJob(queue, url, requestOptions) {
+  checkJobUrl(url);
+  const options = parseJobOptions(requestOptions, queue.maxPageConcurrency);
+  if (queue.waiting.length >= queue.limit) {
+    return undefined;
+  }
+  const id = randomUUID();
+  const job = {
+    id: id,
+    url: url,
+    options: options,
+    status: JOB_QUEUED,
+    progress: { done: 0, failed: 0, total: 0 },
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    exitCode: null,
+    error: null,
+    failedPages: [],
+    outputPath: join(queue.jobsDir, `${id}.pdf`),
+    abortController: new AbortController()
+  };
+  queue.jobs.set(id, job);
+  queue.waiting.push(job);
+  logger.info(`enqueueJob(): job ${id} queued for ${url} (${queue.waiting.length} jobs waiting)`);
+  runNextJobs(queue);
+  return job;
+}
+
+// start waiting jobs while there are free slots
+function runNextJobs(queue) {
+  while (queue.runningCount < queue.concurrency && queue.waiting.length > 0) {
+    const job = queue.waiting.shift();
+    queue.runningCount++;
+    runJob(job).finally(() => {
+      queue.runningCount--;
+      runNextJobs(queue);
+      evictFinishedJobs(queue).catch((err) => {
+        logger.error("runNextJobs(): failed to delete the finished jobs: ", err);
+      });
+    });
+  }
+}
+
+async function runJob(job) {
+  job.status = JOB_RUNNING;
+  job.startedAt = new Date().toISOString();
+  logger.info(`runJob(): job ${job.id} started for ${job.url}`);
+
+  // the progress is fed by the same counters that generatePdfs() logs
+  const events = new EventEmitter();
+  events.on(EVENT_TOC_COLLECTED, ({ pageUrls }) => {
+    job.progress.total = pageUrls.length;
+  });
+  events.on(EVENT_PAGE_DONE, ({ total, isToCPage }) => {
+    if (!isToCPage) {
+      job.progress.done++;
+      job.progress.total = total;
+    }
+  });
+  events.on(EVENT_PAGE_FAILED, () => {
+    job.progress.failed++;
+  });
+
+  try {
+    const result = await generateManual(job.url, Object.assign({}, job.options, {
+      output: job.outputPath,
+      events: events,
+      signal: job.abortController.signal
+    }));
+    job.exitCode = result.exitCode;
+    job.failedPages = result.failedPages.map((page) => ({ url: page.url, attempts: page.attempts, lastError: page.lastError }));
+    if (result.exitCode == EXIT_CODE_CANCELLED) {
+      job.status = JOB_CANCELLED;
+    } else if (result.output) {
+      // a PDF with a couple of missing pages is still a result (see failedPages)
+      job.status = JOB_DONE;
+    } else {
+      job.status = JOB_FAILED;
+      job.error = `the PDF generation failed with exit code ${result.exitCode}`;
+    }
+  } catch (err) {
+    logger.error(`runJob(): job ${job.id} failed with an error: `, err);
+    job.status = job.abortController.signal.aborted ? JOB_CANCELLED : JOB_FAILED;
+    job.error = err.message;
+  }
+  job.finishedAt = new Date().toISOString();
+  logger.info(`runJob(): job ${job.id} finished with status "${job.status}"`);
+}
+
+// remove a finished job from the queue and delete its PDF
+async function deleteJob(queue, job) {
+  queue.jobs.delete(job.id);
+  await rm(job.outputPath, { force: true });
+}
+
+// delete the finished (done, failed or cancelled) jobs (with their PDFs) that finished more than
+// "jobTtl" seconds ago and the oldest ones beyond "maxFinishedJobs", so a long-running service
+// doesn't fill the memory and the disk
+// (it's called whenever a job finishes and before every request)
+export async function evictFinishedJobs(queue, now = Date.now()) {
+  const finishedJobs = Array.from(queue.jobs.values())
+    .filter((job) => [ JOB_DONE, JOB_FAILED, JOB_CANCELLED ].includes(job.status) && job.finishedAt !== null)
+    .sort((a, b) => Date.parse(a.finishedAt) - Date.parse(b.finishedAt));
+  const evictedJobs = finishedJobs.filter((job, idx) => idx < finishedJobs.length - queue.maxFinishedJobs
+    || Date.parse(job.finishedAt) + queue.jobTtl * 1000 <= now);
+  for (const job of evictedJobs) {
+    await deleteJob(queue, job);
+    logger.verbose(`evictFinishedJobs(): job ${job.id} (finished at ${job.finishedAt}) was deleted`);
+  }
+  if (evictedJobs.length > 0) {
+    logger.info(`evictFinishedJobs(): deleted ${evictedJobs.length} finished jobs`);
+  }
+}
+
+// cancel a queued or running job or delete a finished one (with its PDF)
+// returns the job (or undefined if there's no such job)
+export async function cancelJob(queue, id) {
+  const job = queue.jobs.get(id);
+  if (!job) {
+    return undefined;
+  }
+  if (job.status == JOB_QUEUED) {
+    queue.waiting.splice(queue.waiting.indexOf(job), 1);
+    job.status = JOB_CANCELLED;
+    job.finishedAt = new Date().toISOString();
+    logger.info(`cancelJob(): queued job ${id} was cancelled`);
+  } else if (job.status == JOB_RUNNING) {
+    // the workers finish the page they're working on, close their browsers and the job ends as "cancelled"
+    job.abortController.abort();
+    logger.info(`cancelJob(): cancelling running job ${id}`);
+  } else {
+    await deleteJob(queue, job);
+    logger.info(`cancelJob(): job ${id} was deleted`);
+  }
+  return job;
+}
+
+function sendJson(response, statusCode, body, headers) {
+  response.writeHead(statusCode, Object.assign({ "Content-Type": "application/json; charset=utf-8" }, headers || {}));
+  response.end(JSON.stringify(body, null, 2));
+}
+
+function readRequestBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_REQUEST_BODY_SIZE) {
+        reject(new Error("the request body is too large"));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    request.on("error", reject);
+  });
+}
+
+// the media type of a request (without parameters like the charset)
+function getMediaType(request) {
+  return (request.headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+}
+
+async function handleRequest(queue, request, response) {
+  await evictFinishedJobs(queue);
+  const path = new URL(request.url, "http://localhost").pathname.replace(/\/+$/, "");
+  const match = path.match(/^\/jobs(?:\/([^/]+)(\/pdf)?)?$/);
+  if (!match) {
+    sendJson(response, 404, { error: "not found" });
+    return;
+  }
+  const [ , id, pdf ] = match;
+
+  if (!id && request.method == "POST") {
+    // a web page can only send a JSON request after a CORS preflight (which this API doesn't
+    // answer), so a page that the user visits can't submit jobs to a local service
+    if (getMediaType(request) != "application/json") {
+      sendJson(response, 415, { error: "the request body must be JSON (\"Content-Type: application/json\")" });
+      return;
+    }
+    let body = undefined;
+    try {
+      body = JSON.parse(await readRequestBody(request));
+    } catch (err) {
+      sendJson(response, 400, { error: `invalid request body: ${err.message}` });
+      return;
+    }
+    if (!body || typeof body.url !== "string" || body.url.length == 0) {
+      sendJson(response, 400, { error: "the \"url\" of the manual is missing" });
+      return;
+    }
+    let job = undefined;
+    try {
+      job = enqueueJob(queue, body.url, body.options);
+    } catch (err) {
+      sendJson(response, 400, { error: err.message });
+      return;
+    }
+    if (!job) {
+      sendJson(response, 503, { error: "the job queue is full, try again later" });
+      return;
+    }
+    sendJson(response, 202, describeJob(job), { "Location": `/jobs/${job.id}` });
+  } else if (!id && request.method == "GET") {
+    sendJson(response, 200, Array.from(queue.jobs.values(), describeJob));
+  } else if (id && !pdf && request.method == "GET") {
+    const job = queue.jobs.get(id);
+    if (!job) {
+      sendJson(response, 404, { error: "no such job" });
+      return;
+    }
+    sendJson(response, 200, describeJob(job));
+  } else if (id && pdf && request.method == "GET") {
+    const job = queue.jobs.get(id);
+    if (!job) {
+      sendJson(response, 404, { error: "no such job" });
+      return;
+    }
+    if (job.status != JOB_DONE) {
+      sendJson(response, 409, { error: `the job is ${job.status}` });
+      return;
+    }
+    const fileStat = await stat(job.outputPath);
+    response.writeHead(200, {
+      "Content-Type": "application/pdf",
+      "Content-Length": fileStat.size,
+      "Content-Disposition": `attachment; filename="${job.id}.pdf"`
+    });
+    createReadStream(job.outputPath).pipe(response);
+  } else if (id && !pdf && request.method == "DELETE") {
+    const job = await cancelJob(queue, id);
+    if (!job) {
+      sendJson(response, 404, { error: "no such job" });
+      return;
+    }
+    sendJson(response, job.status == JOB_RUNNING ? 202 : 200, describeJob(job));
+  } else {
+    sendJson(response, 405, { error: "method not allowed" });
+  }
+}
+
+// start the HTTP API of the job queue, resolves to the (listening) server
+export function startServer(queue, host, port) {
+  const server = createServer((request, response) => {
+    logger.verbose(`startServer(): ${request.method} ${request.url}`);
+    handleRequest(queue, request, response).catch((err) => {
+      logger.error(`startServer(): failed to handle ${request.method} ${request.url}: `, err);
+      if (!response.headersSent) {
+        sendJson(response, 500, { error: err.message });
+      } else {
+        response.destroy();
+      }
+    });
+  });
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      logger.info(`startServer(): listening on http://${host}:${server.address().port}`);
+      resolve(server);
+    });
+  });
+}
@@ -0,0 +1,137 @@
+// 3rd-party packages
+// PDF generator (to merge Chromium generated PDFs into a single PDF)
+import { StandardFonts, rgb } from "pdf-lib";
+// logger
+import { loggers } from "winston";
+const logger = loggers.get("mainLogger");
+
+// Dependencies from this package
+import { createTextSanitizer, fitText } from "./printed-toc.js";
+
+// Running headers and footers ("stamps") on every page of the merged PDF. A stamp is a template
+// at one of the six positions of the page (e.g. "bottom-right={page} / {total}") with these variables:
+// - {page}: the number of the page (in the merged PDF, i.e. including the ToC pages)
+// - {total}: the number of pages of the merged PDF
+// - {title}: the title of the manual (from the ToC page)
+// - {chapter}: the (top level) chapter of the article on the page
+// - {article}: the title of the article on the page
+// - {timestamp}: the text of "--title-caption" (the time of the generation by default)
+export const STAMP_POSITIONS = [ "top-left", "top-center", "top-right", "bottom-left", "bottom-center", "bottom-right" ];
+export const STAMP_FONTS = Object.values(StandardFonts).filter((font) => ![ StandardFonts.Symbol, StandardFonts.ZapfDingbats ].includes(font));
+// the stamps of "--stamp-pages" (the ones specified with "--stamp" take precedence)
+export const DEFAULT_STAMPS = [ "top-left={title}", "top-right={chapter}", "bottom-left={timestamp}", "bottom-right={page} / {total}" ];
+const STAMP_VARIABLES = [ "page", "total", "title", "chapter", "article", "timestamp" ];
+const STAMP_COLOR = rgb(0.35, 0.35, 0.35);
+// the horizontal space between the stamps of the same row
+const STAMP_GAP = 12;
+
+// turn "<position>=<template>" stamp specifications into a position -> template map
+// (an empty template removes the stamp of the position), throws an error for an invalid specification
+export function parseStamps(specifications) {
+  const stamps = new Map();
+  for (const specification of specifications) {
+    const separatorIdx = specification.indexOf("=");
+    const position = separatorIdx >= 0 ? specification.substring(0, separatorIdx).trim() : specification;
+    if (!STAMP_POSITIONS.includes(position)) {
+      throw new Error(`parseStamps(): invalid stamp "${specification}", it should start with one of ${STAMP_POSITIONS.join(", ")} and a "="`);
+    }
+    const template = specification.substring(separatorIdx + 1);
+    const unknownVariable = Array.from(template.matchAll(/\{([^{}]*)\}/g), (match) => match[1]).find((name) => !STAMP_VARIABLES.includes(name));
+    if (typeof unknownVariable !== "undefined") {
+      throw new Error(`parseStamps(): invalid stamp "${specification}", there's no "{${unknownVariable}}" variable (the variables are: ${STAMP_VARIABLES.join(", ")})`);
+    }
+    if (template.length > 0) {
+      stamps.set(position, template);
+    } else {
+      stamps.delete(position);
+    }
+  }
+  return stamps;
+}
+
+// the stamps requested by the options ("--stamp-pages" and "--stamp")
+export function getStamps(options) {
+  return parseStamps((options.stampPages ? DEFAULT_STAMPS : []).concat(options.stamp || []));
+}
+
+// URL -> [ top level chapter title, article title ] (from the ToC tree)
+function collectArticleTitles(nodes, chapter, titles) {
+  for (const node of nodes || []) {
+    const nodeChapter = typeof chapter === "undefined" ? node.title : chapter;
+    if (node.url && !titles.has(node.url)) {
+      titles.set(node.url, [ nodeChapter || "", node.title || "" ]);
+    }
+    collectArticleTitles(node.children, nodeChapter, titles);
+  }
+  return titles;
+}
+
+// page index -> URL of the page (i.e. the URL with the closest first page at or before the page)
+function getPageUrls(pageCount, urlPageIndex) {
+  const firstPages = Array.from(urlPageIndex.entries()).sort(([ , a ], [ , b ]) => a - b);
+  const pageUrls = new Array(pageCount);
+  let current = -1;
+  for (let pageIndex = 0; pageIndex < pageCount; pageIndex++) {
+    while (current + 1 < firstPages.length && firstPages[current + 1][1] <= pageIndex) {
+      current++;
+    }
+    pageUrls[pageIndex] = current >= 0 ? firstPages[current][0] : undefined;
+  }
+  return pageUrls;
+}
+
+// stamp the running headers and footers onto every page of the merged PDF
+// (it has to be done after all pages were added and removed, so "{page}" and "{total}" are final),
+// returns the number of stamped pages
+// note: pdf-lib wraps the existing content of a page in a q/Q pair before drawing onto it, so the
+//   stamps are not affected by the graphics state (e.g. the transformation) left behind by Chromium
+export async function stampPages(pdfDoc, mergeInfo, options) {
+  const stamps = getStamps(options);
+  if (stamps.size == 0) {
+    return 0;
+  }
+  const font = await pdfDoc.embedFont(options.stampFont);
+  const sanitize = createTextSanitizer(font);
+  const fontSize = options.stampFontSize;
+  const margin = options.stampMargin;
+  const pageCount = pdfDoc.getPageCount();
+  const articleTitles = collectArticleTitles(mergeInfo.tocTree, undefined, new Map());
+  const pageUrls = getPageUrls(pageCount, mergeInfo.urlPageIndex);
+
+  pdfDoc.getPages().forEach((page, pageIndex) => {
+    const [ chapter, article ] = articleTitles.get(pageUrls[pageIndex]) || [ "", "" ];
+    const variables = {
+      page: String(pageIndex + 1),
+      total: String(pageCount),
+      title: mergeInfo.tocTitle || "",
+      chapter: chapter,
+      article: article,
+      timestamp: options.titleCaption || ""
+    };
+    const { width, height } = page.getSize();
+    // (the font is set only once, pdf-lib adds a font resource to the page whenever it's switched)
+    page.setFont(font);
+    for (const row of [ "top", "bottom" ]) {
+      const rowStamps = STAMP_POSITIONS.filter((position) => position.startsWith(row) && stamps.has(position));
+      // the stamps of a row share its width
+      const maxWidth = (width - 2 * margin) / Math.max(1, rowStamps.length) - STAMP_GAP;
+      const y = row == "top" ? height - margin - fontSize * 0.75 : margin;
+      for (const position of rowStamps) {
+        const text = fitText(sanitize(stamps.get(position).replaceAll(/\{([^{}]*)\}/g, (placeholder, name) => variables[name])), font, fontSize, maxWidth);
+        if (text.length == 0) {
+          continue;
+        }
+        const textWidth = font.widthOfTextAtSize(text, fontSize);
+        let x = margin;
+        if (position.endsWith("center")) {
+          x = (width - textWidth) / 2;
+        } else if (position.endsWith("right")) {
+          x = width - margin - textWidth;
+        }
+        page.drawText(text, { x: x, y: y, size: fontSize, color: STAMP_COLOR });
+      }
+    }
+  });
+  logger.verbose(`stampPages(): stamped ${stamps.size} running headers/footers onto ${pageCount} pages`);
+  return pageCount;
+}
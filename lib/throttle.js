@@ -0,0 +1,141 @@
+// Node.js builtin packages
+import { setTimeout as sleep } from "node:timers/promises";
+
+// logger
+import { loggers } from "winston";
+const logger = loggers.get("mainLogger");
+
+// Adaptive throttling of a run (shared by the workers of generatePdfs()):
+// - the responses of the pages are observed (see newBrowserPage() in generator.js): after a
+//   throttling response (HTTP 429 or 503, or any error with a "Retry-After" header) the host is
+//   backed off, for the time of the "Retry-After" header (in seconds or as an HTTP date) or with
+//   an exponential back-off with jitter ("--backoff-base" seconds, doubled after every throttling
+//   response, at most "--backoff-max" seconds), a successful response after the back-off resets it
+// - before loading a page, the workers wait until the back-off of the host of the page and of the
+//   hosts whose errors fail a page ("--resource-http-error-domain-suffix") is over
+// - the page loads are paced to at most "--pages-per-minute" (0: no limit), over all workers
+export const THROTTLING_STATUS_CODES = [ 429, 503 ];
+
+// the throttle of a run
+export function createThrottle(options) {
+  return {
+    // hostname -> { failures, backoffUntil }
+    hosts: new Map(),
+    // the earliest time the next page can be loaded (see "--pages-per-minute")
+    nextPageTime: 0,
+    throttledCount: 0,
+    waitedMs: 0,
+    backoffBaseMs: options.backoffBase * 1000,
+    backoffMaxMs: options.backoffMax * 1000,
+    pageIntervalMs: options.pagesPerMinute > 0 ? 60000 / options.pagesPerMinute : 0,
+    domainSuffixes: options.resourceHttpErrorDomainSuffix || [],
+    random: Math.random
+  };
+}
+
+// the value of a "Retry-After" header in milliseconds (undefined if it's not valid)
+export function parseRetryAfter(value, now = Date.now()) {
+  if (typeof value !== "string" || value.trim().length == 0) {
+    return undefined;
+  }
+  if (/^\s*\d+\s*$/.test(value)) {
+    return parseInt(value, 10) * 1000;
+  }
+  const date = Date.parse(value);
+  return isNaN(date) ? undefined : Math.max(0, date - now);
+}
+
+// the exponential back-off (with "equal jitter") after the given number of throttling responses
+export function getBackoffDelay(throttle, failures) {
+  const delay = Math.min(throttle.backoffMaxMs, throttle.backoffBaseMs * Math.pow(2, Math.max(0, failures - 1)));
+  return Math.round(delay / 2 + throttle.random() * delay / 2);
+}
+
+function getHostState(throttle, hostname) {
+  if (!throttle.hosts.has(hostname)) {
+    throttle.hosts.set(hostname, { failures: 0, backoffUntil: 0 });
+  }
+  return throttle.hosts.get(hostname);
+}
+
+// update the back-off of the host of a response, returns true if the response was a throttling response
+export function observeResponse(throttle, responseUrl, status, headers, now = Date.now()) {
+  const hostname = new URL(responseUrl).hostname;
+  const retryAfter = parseRetryAfter((headers || {})["retry-after"], now);
+  const isThrottling = THROTTLING_STATUS_CODES.includes(status) || (status >= 400 && typeof retryAfter !== "undefined");
+  if (!isThrottling) {
+    const hostState = throttle.hosts.get(hostname);
+    if (status < 400 && hostState && hostState.failures > 0 && now >= hostState.backoffUntil) {
+      logger.verbose(`observeResponse(): ${hostname} responds again, resetting its back-off`);
+      hostState.failures = 0;
+    }
+    return false;
+  }
+  throttle.throttledCount++;
+  const hostState = getHostState(throttle, hostname);
+  if (now < hostState.backoffUntil && typeof retryAfter === "undefined") {
+    // (the other responses of a throttled page don't extend the back-off)
+    return true;
+  }
+  hostState.failures++;
+  let delay = typeof retryAfter !== "undefined" ? retryAfter : getBackoffDelay(throttle, hostState.failures);
+  if (delay > throttle.backoffMaxMs) {
+    logger.warn(`observeResponse(): ${hostname} asked to wait ${Math.round(delay / 1000)}s (Retry-After), waiting only --backoff-max ${Math.round(throttle.backoffMaxMs / 1000)}s`);
+    delay = throttle.backoffMaxMs;
+  }
+  if (now + delay > hostState.backoffUntil) {
+    hostState.backoffUntil = now + delay;
+    const reason = typeof retryAfter !== "undefined" ? `Retry-After: ${(headers || {})["retry-after"]}` : `throttling response #${hostState.failures}`;
+    logger.warn(`observeResponse(): HTTP ${status} from ${hostname} (${reason}), backing off the host for ${Math.round(delay / 1000)}s`);
+  }
+  return true;
+}
+
+// a description of the hosts that are backed off (for the logs)
+export function describeThrottleState(throttle, now = Date.now()) {
+  const backedOff = Array.from(throttle.hosts.entries())
+    .filter(([ , hostState ]) => hostState.backoffUntil > now)
+    .map(([ hostname, hostState ]) => `${hostname}: ${Math.ceil((hostState.backoffUntil - now) / 1000)}s (${hostState.failures} throttling responses)`);
+  return backedOff.length > 0 ? backedOff.join(", ") : "no host is backed off";
+}
+
+// the hosts whose back-off delays loading the page
+function isRelevantHost(throttle, hostname, pageHostname) {
+  return hostname === pageHostname || throttle.domainSuffixes.some((x) => hostname.endsWith(x));
+}
+
+// the time (in milliseconds) to wait before loading the page,
+// the slot of the page in the pacing is taken (so concurrent workers get different slots)
+export function reservePageSlot(throttle, pageUrl, now = Date.now()) {
+  const pageHostname = new URL(pageUrl).hostname;
+  let readyTime = now;
+  for (const [ hostname, hostState ] of throttle.hosts.entries()) {
+    if (isRelevantHost(throttle, hostname, pageHostname)) {
+      readyTime = Math.max(readyTime, hostState.backoffUntil);
+    }
+  }
+  readyTime = Math.max(readyTime, throttle.nextPageTime);
+  if (throttle.pageIntervalMs > 0) {
+    throttle.nextPageTime = readyTime + throttle.pageIntervalMs;
+  }
+  return readyTime - now;
+}
+
+// wait until the page can be loaded (see reservePageSlot()), the wait ends early if the run is cancelled
+export async function waitForTurn(throttle, pageUrl, signal) {
+  const delay = reservePageSlot(throttle, pageUrl);
+  if (delay <= 0) {
+    return;
+  }
+  // (waiting for the pacing only is not worth an info message)
+  const logLevel = delay > throttle.pageIntervalMs ? "info" : "verbose";
+  logger.log(logLevel, `waitForTurn(): waiting ${Math.round(delay / 1000)}s before loading ${pageUrl} (${describeThrottleState(throttle)})`);
+  throttle.waitedMs += delay;
+  try {
+    await sleep(delay, undefined, { signal: signal });
+  } catch (err) {
+    if (err.name !== "AbortError") {
+      throw err;
+    }
+  }
+}
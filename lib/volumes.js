@@ -0,0 +1,80 @@
+// Node.js builtin packages
+import { join, parse } from "node:path";
+
+// logger
+import { loggers } from "winston";
+const logger = loggers.get("mainLogger");
+
+// Splitting the merged PDF into volumes (separate PDF files), e.g. for e-readers or for mail
+// attachments. The volumes are merged (and post-processed) one after the other, so only one of
+// them is in memory at a time.
+// - "none": a single PDF
+// - "chapter": a volume for every top level chapter of the ToC page
+// - "size": the articles are added to a volume until the total size of their PDFs reaches
+//   "--split-size" megabytes (an estimate, the shared resources of the articles are stored
+//   only once in the volume, see dedup.js)
+// The ToC page is the first page of the first volume. The volumes are written next to the
+// output, with the number of the volume in their name (e.g. "manual-01.pdf").
+export const SPLIT_NONE = "none";
+export const SPLIT_CHAPTER = "chapter";
+export const SPLIT_SIZE = "size";
+export const SPLIT_MODES = [ SPLIT_NONE, SPLIT_CHAPTER, SPLIT_SIZE ];
+
+// URL -> index of the top level chapter of the URL
+function collectTopLevelChapters(nodes, chapterIndex, chapters) {
+  (nodes || []).forEach((node, index) => {
+    const nodeChapterIndex = typeof chapterIndex === "undefined" ? index : chapterIndex;
+    if (node.url && !chapters.has(node.url)) {
+      chapters.set(node.url, nodeChapterIndex);
+    }
+    collectTopLevelChapters(node.children, nodeChapterIndex, chapters);
+  });
+  return chapters;
+}
+
+// split the page URLs (in their order) into volumes: [ [ url, ... ], ... ]
+// pdfSizes: URL -> size of the PDF of the URL (in bytes)
+export function planVolumes(pageUrls, tocTree, pdfSizes, options) {
+  if (options.split == SPLIT_CHAPTER) {
+    const chapters = collectTopLevelChapters(tocTree, undefined, new Map());
+    const volumes = [];
+    let currentChapter = undefined;
+    for (const url of pageUrls) {
+      // (the pages that are not in the ToC tree stay in the volume of the previous page)
+      const chapter = chapters.has(url) ? chapters.get(url) : currentChapter;
+      if (volumes.length == 0 || chapter !== currentChapter) {
+        volumes.push([]);
+        currentChapter = chapter;
+      }
+      volumes[volumes.length - 1].push(url);
+    }
+    return volumes;
+  }
+  if (options.split == SPLIT_SIZE) {
+    const maxSize = options.splitSize * 1024 * 1024;
+    const volumes = [];
+    let currentSize = 0;
+    for (const url of pageUrls) {
+      const size = pdfSizes.get(url) || 0;
+      if (volumes.length == 0 || (currentSize > 0 && currentSize + size > maxSize)) {
+        volumes.push([]);
+        currentSize = 0;
+      }
+      volumes[volumes.length - 1].push(url);
+      currentSize += size;
+    }
+    const oversizedCount = pageUrls.filter((url) => (pdfSizes.get(url) || 0) > maxSize).length;
+    if (oversizedCount > 0) {
+      logger.warn(`planVolumes(): ${oversizedCount} articles are larger than --split-size on their own, their volumes will be larger too`);
+    }
+    return volumes;
+  }
+  return pageUrls.length > 0 ? [ pageUrls ] : [];
+}
+
+// the path of a volume: the output path with the (1-based, zero padded) number of the volume
+export function getVolumePath(outputPath, volumeNumber, volumeCount) {
+  const parsedPath = parse(outputPath);
+  const digits = Math.max(2, String(volumeCount).length);
+  return join(parsedPath.dir, `${parsedPath.name}-${String(volumeNumber).padStart(digits, "0")}${parsedPath.ext}`);
+}
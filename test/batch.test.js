@@ -0,0 +1,65 @@
+// Node.js builtin packages
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+
+// Dependencies from this package
+import { fillTemplate, loadBatch } from "../lib/batch.js";
+
+describe("batch files", () => {
+  let directory = undefined;
+  const writeBatch = async (batch) => {
+    const path = join(directory, "batch.json");
+    await writeFile(path, JSON.stringify(batch));
+    return path;
+  };
+
+  before(async () => {
+    directory = await mkdtemp(join(tmpdir(), "pdfgen4vcman-test-batch-"));
+  });
+  after(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it("fills the templates", () => {
+    assert.equal(fillTemplate("https://x/{market}/{model}/manual", { market: "uk", model: "xc40" }), "https://x/uk/xc40/manual");
+    assert.throws(() => fillTemplate("{market}/{model}", { market: "uk" }), /variable "model"/);
+  });
+
+  it("expands the entries with the templates and merges the options", async () => {
+    const entries = await loadBatch(await writeBatch({
+      urlTemplate: "https://x/{market}/manual",
+      outputTemplate: "out/{market}.pdf",
+      options: { retries: 3, resourceHttpErrorUrlException: "\\.mp4$" },
+      entries: [
+        { market: "uk" },
+        { market: "se-sv", options: { retries: 10 } },
+        { name: "ex30 de", url: "https://y/manual", output: "ex30.pdf" }
+      ]
+    }));
+    assert.deepEqual(entries.map((entry) => [ entry.name, entry.url, entry.output ]), [
+      [ "uk", "https://x/uk/manual", "out/uk.pdf" ],
+      [ "se-sv", "https://x/se-sv/manual", "out/se-sv.pdf" ],
+      [ "ex30_de", "https://y/manual", "ex30.pdf" ]
+    ]);
+    assert.deepEqual(entries.map((entry) => entry.options.retries), [ 3, 10, 3 ]);
+    assert.ok(entries[0].options.resourceHttpErrorUrlException[0].test("video.mp4"));
+  });
+
+  it("accepts a plain list of entries", async () => {
+    const entries = await loadBatch(await writeBatch([ { url: "https://x/manual" } ]));
+    assert.equal(entries[0].name, "entry-1");
+    assert.equal(entries[0].output, "entry-1.pdf");
+  });
+
+  it("rejects invalid batch files", async () => {
+    await assert.rejects(loadBatch(await writeBatch({ entries: [] })), /has no "entries"/);
+    await assert.rejects(loadBatch(await writeBatch([ { market: "uk" } ])), /has no "url"/);
+    await assert.rejects(loadBatch(await writeBatch({ urlTemplate: "https://x/{market}", entries: [ { market: "uk" }, { market: "uk" } ] })), /multiple entries/);
+    await assert.rejects(loadBatch(await writeBatch({ options: { output: "x.pdf" }, entries: [ { url: "https://x" } ] })), /not supported/);
+    // (the disk cache is set by the batch)
+    await assert.rejects(loadBatch(await writeBatch([ { url: "https://x", options: { diskCacheDir: "cache" } } ])), /option "diskCacheDir" is not supported/);
+  });
+});
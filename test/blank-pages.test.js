@@ -0,0 +1,163 @@
+// Node.js builtin packages
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+// 3rd-party packages
+import { PDFDocument, PDFName, StandardFonts } from "pdf-lib";
+
+// Dependencies from this package
+import "./helpers.js";
+import { createMergeInfo } from "../lib/generator.js";
+import { estimateInkCoverage, parseContentStream, removeBlankPages } from "../lib/blank-pages.js";
+import { DEFAULT_PDF_CLEANUP_THRESHOLD } from "../lib/options.js";
+
+// the pages of the tests are 200 x 200 points, i.e. a coverage of 1 is 40000 square points of black
+const PAGE_SIZE = [ 200, 200 ];
+const PAGE_AREA = PAGE_SIZE[0] * PAGE_SIZE[1];
+
+// add a page with the given content stream (and XObjects and fonts as resources)
+function addPage(pdfDoc, content, xObjects, fonts) {
+  const page = pdfDoc.addPage(PAGE_SIZE);
+  if (typeof content !== "undefined") {
+    page.node.set(PDFName.of("Contents"), pdfDoc.context.register(pdfDoc.context.stream(content)));
+  }
+  for (const [ name, ref ] of Object.entries(xObjects || {})) {
+    page.node.setXObject(PDFName.of(name), ref);
+  }
+  for (const [ name, ref ] of Object.entries(fonts || {})) {
+    page.node.setFontDictionary(PDFName.of(name), ref);
+  }
+  return page;
+}
+
+// a 1 x 1 pixel gray image
+function createImage(pdfDoc) {
+  return pdfDoc.context.register(pdfDoc.context.stream(new Uint8Array([ 0 ]), {
+    Type: "XObject", Subtype: "Image", Width: 1, Height: 1, ColorSpace: "DeviceGray", BitsPerComponent: 8
+  }));
+}
+
+// a form XObject with the given content stream (and XObjects as resources)
+function createForm(pdfDoc, content, matrix, xObjects) {
+  const resources = { XObject: xObjects || {} };
+  return pdfDoc.context.register(pdfDoc.context.stream(content, {
+    Type: "XObject", Subtype: "Form", BBox: [ 0, 0, 200, 200 ], Matrix: matrix || [ 1, 0, 0, 1, 0, 0 ], Resources: resources
+  }));
+}
+
+describe("parseContentStream()", () => {
+  it("splits a content stream into operations", () => {
+    const operations = parseContentStream(Buffer.from([
+      "q 1 0 0 1 10 -2.5 cm /Im1 Do Q % a comment with an operator: f",
+      "BT /F1 12 Tf (a\\(b\\) \\050c) Tj <48656C 6C6F> Tj [ (ab) -250 (c) ] TJ ET",
+      "<< /MCID 0 >> BDC EMC",
+      "BI /W 1 /H 1 /BPC 8 /CS /G ID \x00EI\xff EI Q"
+    ].join("\n"), "latin1"));
+    assert.deepEqual(operations, [
+      { operator: "q", operands: [] },
+      { operator: "cm", operands: [ 1, 0, 0, 1, 10, -2.5 ] },
+      { operator: "Do", operands: [ { name: "Im1" } ] },
+      { operator: "Q", operands: [] },
+      { operator: "BT", operands: [] },
+      { operator: "Tf", operands: [ { name: "F1" }, 12 ] },
+      { operator: "Tj", operands: [ { stringLength: 7 } ] },
+      { operator: "Tj", operands: [ { stringLength: 5 } ] },
+      { operator: "TJ", operands: [ [ { stringLength: 2 }, -250, { stringLength: 1 } ] ] },
+      { operator: "ET", operands: [] },
+      { operator: "BDC", operands: [ { dict: true } ] },
+      { operator: "EMC", operands: [] },
+      { operator: "BI", operands: [] },
+      // (the "EI" in the binary data of the inline image doesn't end it)
+      { operator: "ID", operands: [ { name: "W" }, 1, { name: "H" }, 1, { name: "BPC" }, 8, { name: "CS" }, { name: "G" } ] },
+      { operator: "EI", operands: [] },
+      { operator: "Q", operands: [] }
+    ]);
+  });
+});
+
+describe("estimateInkCoverage()", () => {
+  it("finds no ink on a blank page", async () => {
+    const pdfDoc = await PDFDocument.create();
+    addPage(pdfDoc);
+    addPage(pdfDoc, "");
+    // (a path that is not painted and an invisible text)
+    addPage(pdfDoc, "0 0 200 200 re n BT 3 Tr 12 TL (hidden) Tj ET");
+    assert.deepEqual([ 0, 1, 2 ].map((i) => estimateInkCoverage(pdfDoc, i)), [ 0, 0, 0 ]);
+  });
+
+  it("estimates the ink of a text", async () => {
+    const pdfDoc = await PDFDocument.create();
+    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    addPage(pdfDoc, "BT /F1 12 Tf 10 100 Td (Hello world) Tj 0 -14 Td [ (Hello) -250 (world) ] TJ ET", {}, { F1: font.ref });
+    // 2 x 10-11 glyphs of 12 x 12 points, 10% of which is covered by ink
+    const coverage = estimateInkCoverage(pdfDoc, 0);
+    assert.ok(Math.abs(coverage - (11 + 10) * 12 * 12 * 0.1 / PAGE_AREA) < 1e-12, `coverage: ${coverage}`);
+  });
+
+  it("estimates the ink of an image", async () => {
+    const pdfDoc = await PDFDocument.create();
+    addPage(pdfDoc, "q 100 0 0 50 20 20 cm /Im1 Do Q", { Im1: createImage(pdfDoc) });
+    // (the part of an image outside of the page doesn't count)
+    addPage(pdfDoc, "q 100 0 0 50 150 20 cm /Im1 Do Q", { Im1: createImage(pdfDoc) });
+    assert.equal(estimateInkCoverage(pdfDoc, 0), 100 * 50 / PAGE_AREA);
+    assert.equal(estimateInkCoverage(pdfDoc, 1), 50 * 50 / PAGE_AREA);
+  });
+
+  it("weights the fills with their colours", async () => {
+    const pdfDoc = await PDFDocument.create();
+    addPage(pdfDoc, "1 1 1 rg 0 0 200 200 re f 1 g 0 0 200 200 re f 0 0 0 0 k 0 0 200 200 re f");
+    addPage(pdfDoc, "0 g 0 0 100 100 re f");
+    addPage(pdfDoc, "0.5 g 0 0 100 100 re f");
+    addPage(pdfDoc, "1 0 0 rg 0 0 100 100 re f");
+    assert.equal(estimateInkCoverage(pdfDoc, 0), 0);
+    assert.equal(estimateInkCoverage(pdfDoc, 1), 0.25);
+    assert.equal(estimateInkCoverage(pdfDoc, 2), 0.125);
+    // (red is magenta and yellow)
+    assert.equal(estimateInkCoverage(pdfDoc, 3), 0.5);
+  });
+
+  it("follows the nested form XObjects", async () => {
+    const pdfDoc = await PDFDocument.create();
+    const innerForm = createForm(pdfDoc, "0 g 0 0 100 100 re f");
+    const outerForm = createForm(pdfDoc, "/Fm2 Do", [ 0.5, 0, 0, 0.5, 0, 0 ], { Fm2: innerForm });
+    addPage(pdfDoc, "q 1 0 0 1 10 10 cm /Fm1 Do Q", { Fm1: outerForm });
+    assert.equal(estimateInkCoverage(pdfDoc, 0), 50 * 50 / PAGE_AREA);
+  });
+
+  it("stops following a form XObject that paints itself", async () => {
+    const pdfDoc = await PDFDocument.create();
+    const form = createForm(pdfDoc, "0 0 10 10 re f /Fm1 Do");
+    pdfDoc.context.lookup(form).dict.get(PDFName.of("Resources")).get(PDFName.of("XObject")).set(PDFName.of("Fm1"), form);
+    addPage(pdfDoc, "/Fm1 Do", { Fm1: form });
+    assert.equal(estimateInkCoverage(pdfDoc, 0), 10 * 10 * 10 / PAGE_AREA);
+  });
+});
+
+describe("removeBlankPages()", () => {
+  it("removes the pages below the threshold", async () => {
+    const pdfDoc = await PDFDocument.create();
+    // 320 square points is exactly the default threshold (0.008) of the page
+    addPage(pdfDoc, "0 0 16 20 re f");
+    addPage(pdfDoc, "0 0 11 29 re f");
+    assert.equal(16 * 20 / PAGE_AREA, DEFAULT_PDF_CLEANUP_THRESHOLD);
+    assert.equal(removeBlankPages(pdfDoc, undefined, DEFAULT_PDF_CLEANUP_THRESHOLD), 1);
+    assert.equal(pdfDoc.getPageCount(), 1);
+    assert.equal(estimateInkCoverage(pdfDoc, 0), DEFAULT_PDF_CLEANUP_THRESHOLD);
+  });
+
+  it("keeps the page indices of the URLs consistent", async () => {
+    const pdfDoc = await PDFDocument.create();
+    const mergeInfo = createMergeInfo();
+    const urls = [ "https://x/manual/a", "https://x/manual/b", "https://x/manual/c" ];
+    // a: pages 0-1 (the second one is blank), b: page 2 (blank), c: pages 3-4 (the first one is blank)
+    [ "0 0 100 100 re f", "", "", "", "0 0 100 100 re f" ].forEach((content) => addPage(pdfDoc, content));
+    mergeInfo.urlPageIndex.set(urls[0], 0);
+    mergeInfo.urlPageIndex.set(urls[1], 2);
+    mergeInfo.urlPageIndex.set(urls[2], 3);
+    assert.equal(removeBlankPages(pdfDoc, mergeInfo, DEFAULT_PDF_CLEANUP_THRESHOLD), 3);
+    assert.equal(pdfDoc.getPageCount(), 2);
+    // (the page of "b" was removed, it points to the page after it, just like "c")
+    assert.deepEqual(Array.from(mergeInfo.urlPageIndex), [ [ urls[0], 0 ], [ urls[1], 1 ], [ urls[2], 1 ] ]);
+    assert.deepEqual([ 0, 1 ].map((i) => estimateInkCoverage(pdfDoc, i)), [ 0.25, 0.25 ]);
+  });
+});
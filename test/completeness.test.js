@@ -0,0 +1,36 @@
+// Node.js builtin packages
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+// Dependencies from this package
+import "./helpers.js";
+import { RENDER_ISSUE_BROKEN_IMAGE, RENDER_ISSUE_LAZY_PLACEHOLDER, RENDER_ISSUE_VIDEO_POSTER, describeRenderIssues } from "../lib/completeness.js";
+import { createManifest, recordPageAttempt, recordPageError } from "../lib/manifest.js";
+
+const PAGE_URL = "https://www.volvocars.com/uk/support/car/xc90/article/abc";
+
+describe("describeRenderIssues()", () => {
+  it("counts the issues by type", () => {
+    assert.equal(describeRenderIssues([
+      { type: RENDER_ISSUE_BROKEN_IMAGE, src: "https://example.com/a.png" },
+      { type: RENDER_ISSUE_VIDEO_POSTER, src: "https://example.com/poster.jpg" },
+      { type: RENDER_ISSUE_BROKEN_IMAGE, src: "https://example.com/b.png" }
+    ]), "2 broken-image, 1 video-poster");
+    assert.equal(describeRenderIssues([]), "");
+  });
+});
+
+describe("render issues in the manifest", () => {
+  it("keeps the render issues of the last attempt that got as far as the check", () => {
+    const manifest = createManifest(PAGE_URL);
+    const issues = [ { type: RENDER_ISSUE_LAZY_PLACEHOLDER, src: "https://example.com/lazy.png" } ];
+    recordPageAttempt(manifest, PAGE_URL);
+    assert.deepEqual(manifest.pages[PAGE_URL].renderIssues, []);
+    recordPageError(manifest, PAGE_URL, "not rendered completely", 1000, false, issues);
+    assert.deepEqual(manifest.pages[PAGE_URL].renderIssues, issues);
+    // (an attempt that failed before the check)
+    recordPageAttempt(manifest, PAGE_URL);
+    recordPageError(manifest, PAGE_URL, "timeout", 1000, true, undefined);
+    assert.deepEqual(manifest.pages[PAGE_URL].renderIssues, issues);
+  });
+});
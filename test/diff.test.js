@@ -0,0 +1,90 @@
+// Node.js builtin packages
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+// Dependencies from this package
+import "./helpers.js";
+import { diffLines, renderHtml, renderMarkdown, unifiedDiff } from "../lib/diff.js";
+
+const LINES = Array.from({ length: 12 }, (x, i) => `line ${i + 1}`);
+
+// the operations of diffLines() in a compact form, e.g. [ " a", "-b", "+c" ]
+function diff(oldLines, newLines) {
+  return diffLines(oldLines, newLines).map((op) => op.type + op.line);
+}
+
+describe("diffLines()", () => {
+  it("keeps the identical inputs", () => {
+    assert.deepEqual(diff([ "a", "b", "a" ], [ "a", "b", "a" ]), [ " a", " b", " a" ]);
+    assert.deepEqual(diff([], []), []);
+  });
+
+  it("handles an empty side", () => {
+    assert.deepEqual(diff([], [ "a", "b" ]), [ "+a", "+b" ]);
+    assert.deepEqual(diff([ "a", "b" ], []), [ "-a", "-b" ]);
+  });
+
+  it("finds the changes at the start and at the end", () => {
+    assert.deepEqual(diff([ "a", "b", "c" ], [ "x", "b", "c" ]), [ "-a", "+x", " b", " c" ]);
+    assert.deepEqual(diff([ "a", "b", "c" ], [ "a", "b", "c", "d" ]), [ " a", " b", " c", "+d" ]);
+    assert.deepEqual(diff([ "a", "b", "c" ], [ "a", "b" ]), [ " a", " b", "-c" ]);
+  });
+
+  it("keeps the longest common subsequence in the middle", () => {
+    assert.deepEqual(diff([ "a", "b", "c", "d", "e" ], [ "a", "c", "x", "d", "e" ]), [ " a", "-b", " c", "+x", " d", " e" ]);
+  });
+});
+
+describe("unifiedDiff()", () => {
+  it("is empty for identical texts", () => {
+    assert.equal(unifiedDiff(LINES.join("\n"), LINES.join("\r\n")), "");
+    assert.equal(unifiedDiff("", ""), "");
+  });
+
+  it("groups the changes into hunks with context lines", () => {
+    const changed = [ ...LINES ];
+    changed[1] = "line two";
+    changed.splice(10, 0, "inserted");
+    assert.equal(unifiedDiff(LINES.join("\n"), changed.join("\n")), [
+      "@@ -1,5 +1,5 @@", " line 1", "-line 2", "+line two", " line 3", " line 4", " line 5",
+      "@@ -8,5 +8,6 @@", " line 8", " line 9", " line 10", "+inserted", " line 11", " line 12"
+    ].join("\n"));
+    assert.equal(unifiedDiff(LINES.join("\n"), changed.join("\n"), 1), [
+      "@@ -1,3 +1,3 @@", " line 1", "-line 2", "+line two", " line 3",
+      "@@ -10,2 +10,3 @@", " line 10", "+inserted", " line 11"
+    ].join("\n"));
+  });
+
+  it("numbers the hunks of an empty side from zero", () => {
+    assert.equal(unifiedDiff("", "a\nb"), "@@ -0,0 +1,2 @@\n+a\n+b");
+    assert.equal(unifiedDiff("a\nb", ""), "@@ -1,2 +0,0 @@\n-a\n-b");
+  });
+});
+
+describe("report renderers", () => {
+  const report = {
+    old: { tocUrl: "https://example.com/manual", title: "Manual 2025", createdAt: "2025-01-01T00:00:00.000Z" },
+    new: { tocUrl: "https://example.com/manual", title: "Manual 2026", createdAt: "2026-01-01T00:00:00.000Z" },
+    added: [ { url: "https://example.com/manual/new", title: "New <feature>" } ],
+    removed: [],
+    changed: [ { url: "https://example.com/manual/cable", title: "Cable", oldTitle: "Charging cable", diff: "@@ -1,1 +1,1 @@\n-use ```code```\n+use `code`" } ],
+    incomparable: [],
+    unchangedCount: 3
+  };
+
+  it("renders Markdown", () => {
+    const markdown = renderMarkdown(report);
+    assert.match(markdown, /Added: 1, removed: 0, changed: 1, unchanged: 3, could not be compared: 0/);
+    assert.match(markdown, /- \[New \\<feature\\>\]\(https:\/\/example.com\/manual\/new\)/);
+    assert.doesNotMatch(markdown, /Removed articles/);
+    assert.match(markdown, /Title changed from "Charging cable"\./);
+    // the fence is longer than the backticks in the diff
+    assert.match(markdown, /\n````diff\n@@ -1,1 \+1,1 @@\n-use ```code```\n\+use `code`\n````\n/);
+  });
+
+  it("renders HTML", () => {
+    const html = renderHtml(report);
+    assert.match(html, /<li><a href="https:\/\/example.com\/manual\/new">New &lt;feature&gt;<\/a><\/li>/);
+    assert.match(html, /<pre><span class="hunk">@@ -1,1 \+1,1 @@<\/span>\n<span class="del">-use ```code```<\/span>\n<span class="add">\+use `code`<\/span><\/pre>/);
+  });
+});
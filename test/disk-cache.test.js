@@ -0,0 +1,49 @@
+// Node.js builtin packages
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "node:fs/promises";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+
+// Dependencies from this package
+import "./helpers.js";
+import { generatePdfs } from "../lib/generator.js";
+import { resolveOptions } from "../lib/options.js";
+
+// a puppeteer that records the launch options and fails to start a browser
+function createFakePuppeteer(launches) {
+  return {
+    launch: async (launchOpts) => {
+      launches.push(launchOpts);
+      throw new Error("no browser here");
+    }
+  };
+}
+
+describe("disk cache of the browsers", () => {
+  let directory = undefined;
+
+  before(async () => {
+    directory = await mkdtemp(join(tmpdir(), "pdfgen4vcman-test-disk-cache-"));
+  });
+  after(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it("gives every worker its own disk cache outside of its browser profile", async () => {
+    const launches = [];
+    const diskCacheDir = join(directory, "cache");
+    const options = resolveOptions({ concurrency: 2, diskCacheDir: diskCacheDir });
+    await assert.rejects(generatePdfs(createFakePuppeteer(launches), [ "https://x/a", "https://x/b" ], directory, directory, null, options, false), /no browser here/);
+    const cacheArgs = launches.map((launchOpts) => launchOpts.args.filter((arg) => arg.startsWith("--disk-cache-dir=")));
+    assert.deepEqual(cacheArgs.sort(), [ [ `--disk-cache-dir=${join(diskCacheDir, "worker-0")}` ], [ `--disk-cache-dir=${join(diskCacheDir, "worker-1")}` ] ]);
+    assert.deepEqual(launches.map((launchOpts) => launchOpts.userDataDir).sort(), [ join(directory, "worker-0"), join(directory, "worker-1") ]);
+  });
+
+  it("leaves the disk cache in the browser profile by default", async () => {
+    const launches = [];
+    await assert.rejects(generatePdfs(createFakePuppeteer(launches), [ "https://x/a" ], directory, directory, null, resolveOptions(), false), /no browser here/);
+    assert.equal(launches.length, 1);
+    assert.ok(!launches[0].args.some((arg) => arg.startsWith("--disk-cache-dir=")));
+  });
+});
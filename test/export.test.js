@@ -0,0 +1,176 @@
+// Node.js builtin packages
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { mkdir, mkdtemp, readFile, readdir, rm, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import { crc32, inflateRawSync } from "node:zlib";
+
+// Dependencies from this package
+import "./helpers.js";
+import { captureArticle, exportManual, getExportDataPath } from "../lib/export.js";
+import { createZip } from "../lib/zip.js";
+
+const TOC_URL = "https://www.volvocars.com/uk/support/car/xc90/manual";
+const PAGE_URLS = [ `${TOC_URL}/article/charging-cable`, `${TOC_URL}/article/charging-times`, `${TOC_URL}/article/not-captured` ];
+
+// read the entries of a ZIP archive via its central directory, checking the local headers
+// and the checksums: [ { name, method, offset, data }, ... ] (in the order of the archive)
+function readZip(buffer) {
+  const endOffset = buffer.lastIndexOf(Buffer.from([ 0x50, 0x4b, 0x05, 0x06 ]));
+  assert.ok(endOffset >= 0, "no end of central directory record");
+  const count = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    assert.equal(buffer.readUInt32LE(offset), 0x02014b50);
+    const method = buffer.readUInt16LE(offset + 10);
+    const checksum = buffer.readUInt32LE(offset + 16);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString("utf8", offset + 46, offset + 46 + nameLength);
+    assert.equal(buffer.readUInt32LE(localOffset), 0x04034b50);
+    assert.equal(buffer.readUInt16LE(localOffset + 8), method);
+    assert.equal(buffer.readUInt32LE(localOffset + 14), checksum);
+    const dataOffset = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const compressed = buffer.subarray(dataOffset, dataOffset + compressedSize);
+    const data = method == 0 ? compressed : inflateRawSync(compressed);
+    assert.equal(data.length, size, `size of ${name}`);
+    assert.equal(crc32(data), checksum, `CRC-32 of ${name}`);
+    entries.push({ name: name, method: method, offset: localOffset, data: data });
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+  return entries;
+}
+
+describe("createZip()", () => {
+  it("round-trips the entries in the given order", () => {
+    const binary = Buffer.from(Array.from({ length: 1000 }, (x, i) => i % 251));
+    const entries = readZip(createZip([
+      { name: "mimetype", data: "application/epub+zip", store: true },
+      { name: "OEBPS/pages/árvíztűrő.xhtml", data: "<p>tükörfúrógép</p>".repeat(50) },
+      { name: "OEBPS/assets/image.bin", data: binary }
+    ]));
+    assert.deepEqual(entries.map((x) => [ x.name, x.method ]), [
+      [ "mimetype", 0 ],
+      [ "OEBPS/pages/árvíztűrő.xhtml", 8 ],
+      [ "OEBPS/assets/image.bin", 8 ]
+    ]);
+    assert.equal(entries[1].data.toString("utf8"), "<p>tükörfúrógép</p>".repeat(50));
+    assert.deepEqual(entries[2].data, binary);
+  });
+});
+
+describe("exportManual()", () => {
+  let directory = undefined;
+  let pages = undefined;
+  const mergeInfo = {
+    tocUrl: TOC_URL,
+    tocTitle: "Owner's manual",
+    tocTree: [ { title: "Charging", url: undefined, children: [
+      { title: "Charging cable", url: PAGE_URLS[0], children: [] },
+      { title: "Charging times", url: PAGE_URLS[1], children: [] }
+    ] } ]
+  };
+
+  before(async () => {
+    directory = await mkdtemp(join(tmpdir(), "pdfgen4vcman-test-export-"));
+    await mkdir(join(directory, "pdfs", "assets"), { recursive: true });
+    // the same image is used by both articles (it's stored only once)
+    await writeFile(join(directory, "pdfs", "assets", "0123abcd.png"), Buffer.from("not really a PNG"));
+    pages = PAGE_URLS.map((url, i) => ({ url: url, dataPath: join(directory, "pdfs", `page_${i}.json`) }));
+    await writeFile(pages[0].dataPath, JSON.stringify({ url: PAGE_URLS[0], title: "Charging cable", lang: "en-GB", body: "<h1>Charging cable</h1><img src=\"../assets/0123abcd.png\"/>", assets: [ "0123abcd.png" ] }));
+    await writeFile(pages[1].dataPath, JSON.stringify({ url: PAGE_URLS[1], title: "Charging times & <power>", lang: "en-GB", body: "<h1>Charging times</h1><img src=\"../assets/0123abcd.png\"/>", assets: [ "0123abcd.png" ] }));
+  });
+
+  after(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it("packages the articles as an EPUB container", async () => {
+    const outputPath = join(directory, "manual.epub");
+    await exportManual("epub", outputPath, pages, mergeInfo);
+    const buffer = await readFile(outputPath);
+    // the "mimetype" entry is the first one, stored uncompressed and without an extra field,
+    // so the media type is at a fixed offset (this is how the EPUB readers detect the format)
+    assert.equal(buffer.toString("ascii", 30, 38), "mimetype");
+    assert.equal(buffer.toString("ascii", 38, 58), "application/epub+zip");
+    const entries = readZip(buffer);
+    assert.deepEqual(entries[0], { name: "mimetype", method: 0, offset: 0, data: Buffer.from("application/epub+zip") });
+    assert.deepEqual(entries.map((x) => x.name), [
+      "mimetype",
+      "META-INF/container.xml",
+      "OEBPS/content.opf",
+      "OEBPS/style.css",
+      "OEBPS/nav.xhtml",
+      "OEBPS/pages/page-0001.xhtml",
+      "OEBPS/assets/0123abcd.png",
+      "OEBPS/pages/page-0002.xhtml"
+    ]);
+    const byName = new Map(entries.map((x) => [ x.name, x.data.toString("utf8") ]));
+    assert.match(byName.get("META-INF/container.xml"), /full-path="OEBPS\/content.opf"/);
+    const opf = byName.get("OEBPS/content.opf");
+    assert.match(opf, /<dc:title>Owner's manual<\/dc:title>/);
+    assert.match(opf, /<dc:language>en-GB<\/dc:language>/);
+    assert.match(opf, /<itemref idref="nav"\/>\n<itemref idref="page-1"\/>\n<itemref idref="page-2"\/>/);
+    assert.match(opf, /href="assets\/0123abcd.png" media-type="image\/png"/);
+    assert.match(byName.get("OEBPS/nav.xhtml"), /<li><span>Charging<\/span><ol><li><a href="pages\/page-0001.xhtml">Charging cable<\/a><\/li>/);
+    assert.match(byName.get("OEBPS/pages/page-0002.xhtml"), /^<\?xml .*\?>\n<!DOCTYPE html>/);
+    assert.match(byName.get("OEBPS/pages/page-0002.xhtml"), /<title>Charging times &amp; &lt;power&gt;<\/title>/);
+  });
+
+  it("exports the articles as a static HTML site", async () => {
+    const outputPath = join(directory, "site");
+    await exportManual("html", outputPath, pages, mergeInfo);
+    assert.deepEqual((await readdir(outputPath)).sort(), [ "assets", "index.html", "pages", "style.css" ]);
+    assert.deepEqual((await readdir(join(outputPath, "pages"))).sort(), [ "page-0001.html", "page-0002.html" ]);
+    assert.deepEqual(await readdir(join(outputPath, "assets")), [ "0123abcd.png" ]);
+    const firstPage = await readFile(join(outputPath, "pages", "page-0001.html"), "utf8");
+    assert.match(firstPage, /<nav class="pager"><span><\/span><a href="..\/index.html">Owner's manual<\/a><a href="page-0002.html">Charging times &amp; &lt;power&gt; &gt;<\/a><\/nav>/);
+  });
+
+  it("fails if none of the pages has a captured article", async () => {
+    await assert.rejects(exportManual("html", join(directory, "empty"), pages.slice(2), mergeInfo), /there's nothing to export/);
+  });
+});
+
+describe("captureArticle()", () => {
+  let directory = undefined;
+
+  before(async () => {
+    directory = await mkdtemp(join(tmpdir(), "pdfgen4vcman-test-capture-"));
+  });
+
+  after(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it("replaces the images that were not captured with a local placeholder", async () => {
+    const images = [ "https://x/photo.png", "https://x/missing.jpg", "https://x/photo.heic", "https://x/empty.gif" ];
+    // (the page was cleaned up and the images were replaced with placeholders in the browser)
+    const browserPage = {
+      evaluate: async () => ({
+        title: "Charging cable",
+        lang: "en-GB",
+        body: images.map((src, i) => `<img src="pdfgen4vcman-image-${i}" alt="${i}"/>`).join(""),
+        images: images
+      })
+    };
+    const capturedImages = new Map([
+      [ images[0], Promise.resolve({ mimeType: "image/png", data: Buffer.from("a PNG") }) ],
+      [ images[2], Promise.resolve({ mimeType: "image/heic", data: Buffer.from("a HEIC") }) ],
+      [ images[3], Promise.resolve({ mimeType: "image/gif", data: Buffer.alloc(0) }) ]
+    ]);
+    const pdfPath = join(directory, "page_0.pdf");
+    await captureArticle(browserPage, PAGE_URLS[0], pdfPath, capturedImages, [ "main" ]);
+    const article = JSON.parse(await readFile(getExportDataPath(pdfPath), "utf8"));
+    assert.equal(article.assets.length, 2);
+    assert.deepEqual(article.assets.map((asset) => asset.split(".")[1]), [ "png", "svg" ]);
+    assert.equal(article.body, [ 0, 1, 1, 1 ].map((asset, i) => `<img src="../assets/${article.assets[asset]}" alt="${i}"/>`).join(""));
+    assert.doesNotMatch(article.body, /https:/);
+    assert.deepEqual((await readdir(join(directory, "assets"))).sort(), article.assets.slice().sort());
+    assert.match(await readFile(join(directory, "assets", article.assets[1]), "utf8"), /^<svg /);
+  });
+});
@@ -0,0 +1,74 @@
+// Node.js builtin packages
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+// Dependencies from this package
+import { describePageFilters, filterPageUrls, hasPageFilters, pruneTocTree } from "../lib/filters.js";
+import { getDefaultOptions } from "../lib/options.js";
+
+const TOC_URL = "https://x/manual/";
+const URLS = [
+  "https://x/manual/driver-support/acc",
+  "https://x/manual/driver-support/parking/camera",
+  "https://x/manual/charging/cable",
+  "https://x/manual/charging/times"
+];
+const TOC_TREE = [
+  { title: "Driver support", url: undefined, children: [
+    { title: "Adaptive cruise control", url: URLS[0], children: [] },
+    { title: "Parking", url: undefined, children: [
+      { title: "Camera", url: URLS[1], children: [] }
+    ] }
+  ] },
+  { title: "Charging", url: undefined, children: [
+    { title: "Charging cable", url: URLS[2], children: [] },
+    { title: "Charging times", url: URLS[3] + "#overview", children: [] }
+  ] },
+  { title: "More information", url: undefined, children: [
+    { title: "Accessories", url: "https://y/catalogue", children: [] }
+  ] }
+];
+
+const filter = (filters) => filterPageUrls(URLS, TOC_TREE, TOC_URL, Object.assign(getDefaultOptions(), filters));
+
+describe("page filters", () => {
+  it("are not active by default", () => {
+    assert.equal(hasPageFilters(getDefaultOptions()), false);
+    assert.equal(hasPageFilters(Object.assign(getDefaultOptions(), { urlList: [] })), true);
+  });
+
+  it("select the articles of chapters case insensitively", () => {
+    assert.deepEqual(filter({ includeChapter: [ "charging" ] }), URLS.slice(2));
+    assert.deepEqual(filter({ includeChapter: [ "Parking", "Charging cable" ] }), URLS.slice(1, 3));
+  });
+
+  it("select sub-chapters of a given chapter with a chapter path", () => {
+    assert.deepEqual(filter({ includeChapter: [ "Driver support > Parking" ] }), [ URLS[1] ]);
+    assert.deepEqual(filter({ includeChapter: [ "Charging > Parking" ] }), []);
+  });
+
+  it("exclude chapters and URLs", () => {
+    assert.deepEqual(filter({ excludeChapter: [ "Driver support > Parking" ], excludeUrl: [ /\/times$/ ] }), [ URLS[0], URLS[2] ]);
+    assert.deepEqual(filter({ includeChapter: [ "Driver support" ], excludeChapter: [ "Parking" ] }), [ URLS[0] ]);
+  });
+
+  it("combine the include filters", () => {
+    assert.deepEqual(filter({ includeUrl: [ /\/acc$/ ], urlList: [ "charging/times", "https://x/manual/charging/cable#warnings" ] }), [ URLS[0], URLS[2], URLS[3] ]);
+  });
+
+  it("are described in JSON form for the manifest", () => {
+    assert.equal(describePageFilters(getDefaultOptions()), null);
+    const description = describePageFilters(Object.assign(getDefaultOptions(), { includeChapter: [ "Charging" ], excludeUrl: [ /\/times$/ ] }));
+    assert.deepEqual(JSON.parse(JSON.stringify(description)), { includeChapter: [ "Charging" ], excludeChapter: [], includeUrl: [], excludeUrl: [ "\\/times$" ], urlList: null });
+  });
+});
+
+describe("ToC pruning", () => {
+  it("keeps only the chapters of the selected articles", () => {
+    const tree = pruneTocTree(TOC_TREE, [ URLS[1], URLS[3] ]);
+    assert.deepEqual(tree.map((node) => node.title), [ "Driver support", "Charging" ]);
+    assert.deepEqual(tree[0].children.map((node) => node.title), [ "Parking" ]);
+    assert.deepEqual(tree[1].children.map((node) => node.title), [ "Charging times" ]);
+    assert.equal(TOC_TREE[0].children.length, 2);
+  });
+});
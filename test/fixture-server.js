@@ -0,0 +1,163 @@
+// Node.js builtin packages
+import { createServer } from "node:http";
+import { readFile } from "node:fs/promises";
+import { dirname, extname, join, normalize } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// A local stand-in for the manual pages at volvocars.com (anonymised and trimmed down copies of
+// the ToC and article pages in fixtures/site, with the same markup as far as the default site
+// profile is concerned).
+// - "/manual/" is the ToC page, "/manual/<chapter>/<article>" are the articles
+// - the "<!-- fixture:... -->" placeholders in the pages are replaced by the header, the footer
+//   and the OneTrust stub (unless they're switched off in "fixture.site")
+// - faults can be injected with rules in "fixture.faults" (see findFaultRule())
+// - every request is recorded in "fixture.requests"
+const SITE_DIR = join(__dirname, "fixtures", "site");
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".svg": "image/svg+xml"
+};
+const SNIPPETS = {
+  header: "<div id=\"site-nav-embed\"><span>Fixture Cars</span> <span>Shop</span> <span>Support</span></div>",
+  footer: "<div id=\"site-footer-embed\"><span>Fixture Cars</span> <span>Privacy</span> <span>Cookies</span></div>",
+  consent: "<script src=\"/assets/onetrust-stub.js\"></script>"
+};
+// the text the manual pages show when their javascript crashes (see "--page-error-text-pattern")
+export const CLIENT_SIDE_ERROR_TEXT = "Application error: a client-side exception has occurred (see the browser console for more information).";
+
+// the script that reports a failed hydration like the production build of React does
+export const HYDRATION_ERROR_SCRIPT = "setTimeout(() => { throw new Error(\"Minified React error #418; visit https://react.dev/errors/418 for the full message\"); }, 0);";
+
+export function getDefaultSite() {
+  return { header: true, footer: true, consent: true };
+}
+
+// A fault rule applies to the requests whose path is equal to (or matches the RegExp in) "path":
+// - status: respond with this HTTP status code (and "headers", e.g. "Retry-After") instead of the file
+// - delay: wait this many milliseconds before responding
+// - errorText: add this text to the page (e.g. CLIENT_SIDE_ERROR_TEXT)
+// - script: add this inline script to the page (e.g. one that throws an error, see HYDRATION_ERROR_SCRIPT)
+// - times: the rule applies only to the first "times" matching requests (default: all of them)
+function findFaultRule(fixture, path) {
+  const rule = fixture.faults.find((x) => (x.path instanceof RegExp ? x.path.test(path) : x.path === path)
+    && (typeof x.times === "undefined" || (x.hits || 0) < x.times));
+  if (rule) {
+    rule.hits = (rule.hits || 0) + 1;
+  }
+  return rule;
+}
+
+function getFilePath(path) {
+  let filePath = path.endsWith("/") ? path + "index.html" : path;
+  if (extname(filePath) === "") {
+    filePath += ".html";
+  }
+  filePath = normalize(join(SITE_DIR, filePath));
+  return filePath.startsWith(SITE_DIR) ? filePath : undefined;
+}
+
+async function handleRequest(fixture, request, response) {
+  const path = new URL(request.url, "http://localhost").pathname;
+  const rule = findFaultRule(fixture, path);
+  const record = { method: request.method, path: path, status: 200 };
+  fixture.requests.push(record);
+
+  if (rule && rule.delay) {
+    await new Promise((resolve) => setTimeout(resolve, rule.delay));
+  }
+  if (response.destroyed) {
+    // the browser gave up on the request (e.g. goto() timed out)
+    record.status = 0;
+    return;
+  }
+  if (path.startsWith("/__fixture/")) {
+    // beacons of the stubs (e.g. OneTrust.RejectAll() was called)
+    response.writeHead(204);
+    response.end();
+    return;
+  }
+  if (rule && rule.status) {
+    record.status = rule.status;
+    response.writeHead(rule.status, Object.assign({ "Content-Type": "text/plain; charset=utf-8" }, rule.headers || {}));
+    response.end(`fixture fault: HTTP ${rule.status}`);
+    return;
+  }
+
+  const filePath = getFilePath(path);
+  let content = undefined;
+  try {
+    content = await readFile(filePath);
+  } catch (err) {
+    record.status = 404;
+    response.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" });
+    response.end("not found");
+    return;
+  }
+  const extension = extname(filePath);
+  if (extension === ".html") {
+    let html = content.toString("utf8");
+    for (const [ name, snippet ] of Object.entries(SNIPPETS)) {
+      html = html.replace(`<!-- fixture:${name} -->`, fixture.site[name] ? snippet : "");
+    }
+    if (rule && rule.errorText) {
+      html = html.replace("</body>", `<div class="ErrorPage_message">${rule.errorText}</div>\n</body>`);
+    }
+    if (rule && rule.script) {
+      html = html.replace("</body>", `<script>${rule.script}</script>\n</body>`);
+    }
+    content = Buffer.from(html, "utf8");
+  }
+  response.writeHead(200, { "Content-Type": CONTENT_TYPES[extension] || "application/octet-stream", "Cache-Control": "no-store" });
+  response.end(content);
+}
+
+// start the fixture server on a random port of the loopback interface
+// (resolves to the fixture object, see stopFixtureServer() and resetFixture())
+export function startFixtureServer() {
+  const fixture = {
+    url: undefined,
+    server: undefined,
+    site: getDefaultSite(),
+    faults: [],
+    requests: []
+  };
+  fixture.server = createServer((request, response) => {
+    handleRequest(fixture, request, response).catch((err) => {
+      if (!response.headersSent) {
+        response.writeHead(500, { "Content-Type": "text/plain; charset=utf-8" });
+      }
+      response.end(err.message);
+    });
+  });
+  return new Promise((resolve, reject) => {
+    fixture.server.once("error", reject);
+    fixture.server.listen(0, "127.0.0.1", () => {
+      fixture.url = `http://127.0.0.1:${fixture.server.address().port}`;
+      resolve(fixture);
+    });
+  });
+}
+
+export function stopFixtureServer(fixture) {
+  return new Promise((resolve) => {
+    fixture.server.closeAllConnections();
+    fixture.server.close(() => resolve());
+  });
+}
+
+// remove the faults and the recorded requests and restore the default site (between tests)
+export function resetFixture(fixture) {
+  fixture.site = getDefaultSite();
+  fixture.faults = [];
+  fixture.requests = [];
+}
+
+// the number of requests for a path
+export function countRequests(fixture, path) {
+  return fixture.requests.filter((x) => x.path === path).length;
+}
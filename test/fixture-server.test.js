@@ -0,0 +1,82 @@
+// Node.js builtin packages
+import { after, afterEach, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+// Dependencies from this package
+import { CLIENT_SIDE_ERROR_TEXT, HYDRATION_ERROR_SCRIPT, countRequests, resetFixture, startFixtureServer, stopFixtureServer } from "./fixture-server.js";
+
+describe("fixture server", () => {
+  let fixture = undefined;
+
+  before(async () => {
+    fixture = await startFixtureServer();
+  });
+  after(async () => {
+    await stopFixtureServer(fixture);
+  });
+  afterEach(() => {
+    resetFixture(fixture);
+  });
+
+  it("serves the ToC page with the header, the footer and the OneTrust stub", async () => {
+    const response = await fetch(`${fixture.url}/manual/`);
+    assert.equal(response.status, 200);
+    const html = await response.text();
+    assert.match(html, /<section id="ownersmanual">/);
+    assert.match(html, /id="site-nav-embed"/);
+    assert.match(html, /id="site-footer-embed"/);
+    assert.match(html, /onetrust-stub\.js/);
+  });
+
+  it("leaves out the header, the footer and the OneTrust stub if they're switched off", async () => {
+    fixture.site = { header: false, footer: false, consent: false };
+    const html = await (await fetch(`${fixture.url}/manual/charging/charging-cable`)).text();
+    assert.match(html, /<article>/);
+    assert.doesNotMatch(html, /site-nav-embed|site-footer-embed|onetrust-stub/);
+  });
+
+  it("injects HTTP errors for the given number of requests", async () => {
+    fixture.faults.push({ path: "/assets/diagram.svg", status: 429, headers: { "Retry-After": "5" }, times: 2 });
+    const statuses = [];
+    for (let i = 0; i < 3; i++) {
+      const response = await fetch(`${fixture.url}/assets/diagram.svg`);
+      statuses.push(response.status);
+      if (response.status == 429) {
+        assert.equal(response.headers.get("retry-after"), "5");
+      }
+      await response.arrayBuffer();
+    }
+    assert.deepEqual(statuses, [ 429, 429, 200 ]);
+    assert.equal(countRequests(fixture, "/assets/diagram.svg"), 3);
+  });
+
+  it("matches fault rules with regular expressions", async () => {
+    fixture.faults.push({ path: /^\/manual\/charging\//, status: 503 });
+    assert.equal((await fetch(`${fixture.url}/manual/charging/charging-times`)).status, 503);
+    assert.equal((await fetch(`${fixture.url}/manual/driver-support/lane-keeping-aid`)).status, 200);
+  });
+
+  it("delays responses", async () => {
+    fixture.faults.push({ path: "/assets/site.css", delay: 300 });
+    const start = Date.now();
+    await (await fetch(`${fixture.url}/assets/site.css`)).text();
+    assert.ok(Date.now() - start >= 300);
+  });
+
+  it("injects the client-side error text", async () => {
+    fixture.faults.push({ path: "/manual/charging/charging-cable", errorText: CLIENT_SIDE_ERROR_TEXT });
+    const html = await (await fetch(`${fixture.url}/manual/charging/charging-cable`)).text();
+    assert.ok(html.includes(CLIENT_SIDE_ERROR_TEXT));
+  });
+
+  it("injects a script", async () => {
+    fixture.faults.push({ path: "/manual/charging/charging-cable", script: HYDRATION_ERROR_SCRIPT });
+    const html = await (await fetch(`${fixture.url}/manual/charging/charging-cable`)).text();
+    assert.ok(html.includes(`<script>${HYDRATION_ERROR_SCRIPT}</script>`));
+  });
+
+  it("doesn't serve files outside of the fixture site", async () => {
+    assert.equal((await fetch(`${fixture.url}/manual/../../fixture-server.js`)).status, 404);
+    assert.equal((await fetch(`${fixture.url}/manual/no-such-article`)).status, 404);
+  });
+});
@@ -0,0 +1,2 @@
+// the pages are rendered on the client side in real life, this just marks the page as hydrated
+document.documentElement.dataset.hydrated = "true";
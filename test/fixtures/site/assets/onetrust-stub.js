@@ -0,0 +1,14 @@
+// a stand-in for the OneTrust cookie consent SDK: it shows the overlay and reports the
+// RejectAll() call back to the fixture server (so the tests can check it)
+(() => {
+  const host = document.createElement("div");
+  host.id = "cookie-banner-host";
+  host.textContent = "We use cookies. Accept all / Reject all";
+  document.body.appendChild(host);
+  window.OneTrust = {
+    RejectAll: () => {
+      fetch("/__fixture/onetrust/reject-all", { method: "POST", keepalive: true });
+    },
+    Close: () => {}
+  };
+})();
@@ -0,0 +1,9 @@
+// expand/collapse the chapters of the table of contents
+document.querySelectorAll("#ownersmanual > ul li button").forEach((button) => {
+  button.addEventListener("click", () => {
+    const list = button.closest("li").querySelector("ul");
+    if (list) {
+      list.hidden = !list.hidden;
+    }
+  });
+});
@@ -0,0 +1,62 @@
+// Node.js builtin packages
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, readdir, rm } from "node:fs/promises";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+
+// Dependencies from this package
+import "./helpers.js";
+import { FAILURE_STAGE_IDLE_WAIT, createPageDiagnostics, getForensicsBundlePath, recordFailedResource, recordPageErrorEvent, saveForensicsBundle } from "../lib/forensics.js";
+
+const PAGE_URL = "https://www.volvocars.com/uk/support/car/xc90/article/abc";
+
+describe("forensics bundle", () => {
+  let directory = undefined;
+
+  before(async () => {
+    directory = await mkdtemp(join(tmpdir(), "pdfgen4vcman-test-forensics-"));
+  });
+
+  after(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it("is named after the PDF of the page and the attempt", () => {
+    assert.equal(getForensicsBundlePath("/tmp/forensics", "/tmp/pdfs/page_0123abcd.pdf", 2), join("/tmp/forensics", "page_0123abcd.attempt-2"));
+  });
+
+  it("keeps a limited number of diagnostics", () => {
+    const diagnostics = createPageDiagnostics();
+    for (let i = 0; i < 600; i++) {
+      recordFailedResource(diagnostics, `https://example.com/${i}.png`, 404, undefined, false);
+    }
+    assert.equal(diagnostics.failedResources.length, 500);
+    assert.equal(diagnostics.droppedCount, 100);
+  });
+
+  it("records the failure even if the page can't be captured", async () => {
+    const diagnostics = createPageDiagnostics();
+    recordFailedResource(diagnostics, "https://www.volvocars.com/image.jpg", 403, undefined, true);
+    recordFailedResource(diagnostics, "https://tracker.example.com/pixel", undefined, "net::ERR_CONNECTION_REFUSED", false);
+    recordPageErrorEvent(diagnostics, new Error("x is not defined"));
+    // (e.g. a crashed page: the screenshot fails, but the DOM is still there)
+    const browserPage = {
+      screenshot: () => Promise.reject(new Error("Target closed")),
+      content: () => Promise.resolve("<html><body>client-side exception</body></html>")
+    };
+    const bundlePath = join(directory, "page_0123abcd.attempt-1");
+    const failure = { url: PAGE_URL, attempt: 1, stage: FAILURE_STAGE_IDLE_WAIT, error: "timeout" };
+    assert.equal(await saveForensicsBundle(bundlePath, browserPage, failure, diagnostics), bundlePath);
+    assert.deepEqual((await readdir(bundlePath)).sort(), [ "dom.html", "failure.json" ]);
+    const report = JSON.parse(await readFile(join(bundlePath, "failure.json"), "utf8"));
+    assert.equal(report.stage, "idle-wait");
+    assert.equal(report.error, "timeout");
+    assert.deepEqual(report.failedResources.map((x) => [ x.url, x.status, x.errorText, x.counted ]), [
+      [ "https://www.volvocars.com/image.jpg", 403, undefined, true ],
+      [ "https://tracker.example.com/pixel", undefined, "net::ERR_CONNECTION_REFUSED", false ]
+    ]);
+    assert.equal(report.pageErrors[0].message, "x is not defined");
+    assert.deepEqual(report.captureErrors, [ "screenshot: Target closed" ]);
+  });
+});
@@ -0,0 +1,242 @@
+// Node.js builtin packages
+import { after, afterEach, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { access, mkdtemp, readFile, rm } from "node:fs/promises";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+
+// Dependencies from this package
+import { CLIENT_SIDE_ERROR_TEXT, HYDRATION_ERROR_SCRIPT, countRequests, resetFixture, startFixtureServer, stopFixtureServer } from "./fixture-server.js";
+import { createTestOptions, getEvents, probeBrowser, runGeneratePdfs } from "./helpers.js";
+import { EVENT_PAGE_DONE, EVENT_PAGE_FAILED, EVENT_PAGE_RETRY } from "../lib/events.js";
+
+const ARTICLE_PATHS = [
+  "/manual/driver-support/adaptive-cruise-control",
+  "/manual/driver-support/lane-keeping-aid",
+  "/manual/charging/charging-cable",
+  "/manual/charging/charging-times"
+];
+const SHORT_ARTICLE_PATH = ARTICLE_PATHS[2];
+const LONG_ARTICLE_PATH = ARTICLE_PATHS[3];
+
+// these tests drive a real (headless) browser against the fixture server
+const browserProblem = await probeBrowser();
+
+describe("generatePdfs() against the fixture server", { skip: browserProblem ? `no browser: ${browserProblem}` : false, timeout: 300000 }, () => {
+  let fixture = undefined;
+  const url = (path) => fixture.url + path;
+
+  before(async () => {
+    fixture = await startFixtureServer();
+  });
+  after(async () => {
+    await stopFixtureServer(fixture);
+  });
+  afterEach(() => {
+    resetFixture(fixture);
+  });
+
+  describe("ToC page", () => {
+    it("collects the article links (on the allowed domains only) and the chapter hierarchy", async () => {
+      const run = await runGeneratePdfs([ url("/manual/") ], createTestOptions(), true);
+      assert.equal(run.error, undefined);
+      assert.deepEqual(run.urls, ARTICLE_PATHS.map(url));
+      assert.equal(run.mergeInfo.tocTitle, "Owner's manual");
+      assert.deepEqual(run.mergeInfo.tocTree.map((x) => x.title), [ "Driver support", "Charging", "More information" ]);
+      assert.deepEqual(run.mergeInfo.tocTree[1].children.map((x) => x.url), ARTICLE_PATHS.slice(2).map(url));
+      assert.ok(run.pdfDoc.getPageCount() >= 1);
+    });
+
+    it("rejects if the ToC page fails after all retries", async () => {
+      fixture.faults.push({ path: "/manual/", status: 500 });
+      const run = await runGeneratePdfs([ url("/manual/") ], createTestOptions({ retries: 2 }), true);
+      assert.match(run.error.message, /failed to load page .* after 2 retries/);
+      assert.equal(countRequests(fixture, "/manual/"), 2);
+    });
+  });
+
+  describe("articles", () => {
+    it("merges the articles in the order of the URLs", async () => {
+      const run = await runGeneratePdfs(ARTICLE_PATHS.map(url), createTestOptions({ concurrency: 2 }), false);
+      assert.equal(run.error, undefined);
+      const done = getEvents(run, EVENT_PAGE_DONE);
+      assert.deepEqual(done.map((x) => x.url), ARTICLE_PATHS.map(url));
+      assert.equal(run.pdfDoc.getPageCount(), done.reduce((sum, x) => sum + x.pageCount, 0));
+      const firstPages = ARTICLE_PATHS.map((path) => run.mergeInfo.urlPageIndex.get(url(path)));
+      assert.deepEqual(firstPages, [ ...firstPages ].sort((a, b) => a - b));
+    });
+
+    it("renders a long article on more pages than a short one", async () => {
+      const run = await runGeneratePdfs([ url(SHORT_ARTICLE_PATH), url(LONG_ARTICLE_PATH) ], createTestOptions(), false);
+      const [ shortDone, longDone ] = getEvents(run, EVENT_PAGE_DONE);
+      assert.ok(shortDone.pageCount >= 1);
+      assert.ok(longDone.pageCount > shortDone.pageCount, `${longDone.pageCount} pages vs. ${shortDone.pageCount} pages`);
+    });
+
+    it("copes with a missing header, footer and cookie consent", async () => {
+      fixture.site = { header: false, footer: false, consent: false };
+      const run = await runGeneratePdfs([ url(SHORT_ARTICLE_PATH) ], createTestOptions(), false);
+      assert.equal(getEvents(run, EVENT_PAGE_DONE).length, 1);
+      assert.equal(getEvents(run, EVENT_PAGE_RETRY).length, 0);
+      assert.equal(countRequests(fixture, "/__fixture/onetrust/reject-all"), 0);
+    });
+
+    it("rejects the cookies via the OneTrust API", async () => {
+      const run = await runGeneratePdfs([ url(SHORT_ARTICLE_PATH) ], createTestOptions(), false);
+      assert.equal(getEvents(run, EVENT_PAGE_DONE).length, 1);
+      assert.equal(countRequests(fixture, "/__fixture/onetrust/reject-all"), 1);
+    });
+  });
+
+  describe("retries", () => {
+    it("retries a page that responds with an HTTP error", async () => {
+      fixture.faults.push({ path: SHORT_ARTICLE_PATH, status: 503, times: 2 });
+      const run = await runGeneratePdfs([ url(SHORT_ARTICLE_PATH) ], createTestOptions(), false);
+      assert.equal(getEvents(run, EVENT_PAGE_RETRY).length, 2);
+      assert.equal(getEvents(run, EVENT_PAGE_DONE).length, 1);
+      assert.equal(countRequests(fixture, SHORT_ARTICLE_PATH), 3);
+    });
+
+    it("retries a page that is too slow", async () => {
+      fixture.faults.push({ path: SHORT_ARTICLE_PATH, delay: 5000, times: 1 });
+      const run = await runGeneratePdfs([ url(SHORT_ARTICLE_PATH) ], createTestOptions({ timeout: 2000 }), false);
+      assert.equal(getEvents(run, EVENT_PAGE_RETRY).length, 1);
+      assert.equal(getEvents(run, EVENT_PAGE_DONE).length, 1);
+    });
+
+    it("retries a page that shows the client-side error text", async () => {
+      fixture.faults.push({ path: SHORT_ARTICLE_PATH, errorText: CLIENT_SIDE_ERROR_TEXT, times: 1 });
+      const run = await runGeneratePdfs([ url(SHORT_ARTICLE_PATH) ], createTestOptions(), false);
+      const retries = getEvents(run, EVENT_PAGE_RETRY);
+      assert.equal(retries.length, 1);
+      assert.match(retries[0].error, /page error text pattern "client-side"/);
+      assert.equal(getEvents(run, EVENT_PAGE_DONE).length, 1);
+    });
+
+    it("retries a page whose hydration failed, even without the error text", async () => {
+      fixture.faults.push({ path: SHORT_ARTICLE_PATH, script: HYDRATION_ERROR_SCRIPT, times: 1 });
+      const run = await runGeneratePdfs([ url(SHORT_ARTICLE_PATH) ], createTestOptions(), false);
+      const retries = getEvents(run, EVENT_PAGE_RETRY);
+      assert.equal(retries.length, 1);
+      assert.equal(retries[0].stage, "script-error");
+      assert.match(retries[0].error, /JavaScript errors .* \[hydration\] .*#418/);
+      assert.equal(getEvents(run, EVENT_PAGE_DONE).length, 1);
+    });
+
+    it("only warns about the JavaScript errors that are not classified for a retry", async () => {
+      fixture.faults.push({ path: SHORT_ARTICLE_PATH, script: "throw new Error(\"analytics is not defined\");" });
+      const run = await runGeneratePdfs([ url(SHORT_ARTICLE_PATH) ], createTestOptions(), false);
+      assert.equal(getEvents(run, EVENT_PAGE_RETRY).length, 0);
+      const ignored = await runGeneratePdfs([ url(SHORT_ARTICLE_PATH) ], createTestOptions({ pageErrorRule: [ "retry,pageerror,.", "ignore,*,analytics" ], retries: 1 }), false);
+      assert.equal(getEvents(ignored, EVENT_PAGE_DONE).length, 1);
+    });
+
+    it("leaves out a page that fails after all retries and carries on", async () => {
+      fixture.faults.push({ path: ARTICLE_PATHS[0], status: 403 });
+      const run = await runGeneratePdfs(ARTICLE_PATHS.slice(0, 2).map(url), createTestOptions({ retries: 2 }), false);
+      assert.equal(run.error, undefined);
+      const failed = getEvents(run, EVENT_PAGE_FAILED);
+      assert.equal(failed.length, 1);
+      assert.equal(failed[0].url, url(ARTICLE_PATHS[0]));
+      assert.equal(failed[0].attempts, 2);
+      assert.deepEqual(getEvents(run, EVENT_PAGE_DONE).map((x) => x.url), [ url(ARTICLE_PATHS[1]) ]);
+      assert.equal(run.mergeInfo.urlPageIndex.get(url(ARTICLE_PATHS[1])), 0);
+    });
+  });
+
+  describe("leniency", () => {
+    // a failing image is a resource load error on a watched domain
+    const brokenImage = () => fixture.faults.push({ path: "/assets/diagram.svg", status: 403 });
+
+    it("fails a page with a broken resource at leniency 0", async () => {
+      brokenImage();
+      const run = await runGeneratePdfs([ url(SHORT_ARTICLE_PATH) ], createTestOptions({ retries: 2 }), false);
+      assert.equal(getEvents(run, EVENT_PAGE_FAILED).length, 1);
+      assert.equal(run.pdfDoc.getPageCount(), 0);
+    });
+
+    it("tolerates the allowed number of resource errors", async () => {
+      brokenImage();
+      const run = await runGeneratePdfs([ url(SHORT_ARTICLE_PATH) ], createTestOptions({ resourceHttpErrorAllowed: 1, renderIssuesAllowed: 1 }), false);
+      assert.equal(getEvents(run, EVENT_PAGE_RETRY).length, 0);
+      assert.equal(getEvents(run, EVENT_PAGE_DONE).length, 1);
+    });
+
+    it("fails a page with a broken image even if the resource error is allowed", async () => {
+      brokenImage();
+      const run = await runGeneratePdfs([ url(SHORT_ARTICLE_PATH) ], createTestOptions({ retries: 2, resourceHttpErrorAllowed: 1 }), false);
+      assert.equal(getEvents(run, EVENT_PAGE_FAILED).length, 1);
+      assert.match(getEvents(run, EVENT_PAGE_FAILED)[0].error, /not rendered completely \(1 broken-image\)/);
+    });
+
+    it("ignores resource errors on domains that are not watched", async () => {
+      brokenImage();
+      const run = await runGeneratePdfs([ url(SHORT_ARTICLE_PATH) ], createTestOptions({ resourceHttpErrorDomainSuffix: [ ".volvocars.com" ], renderIssuesAllowed: 1 }), false);
+      assert.equal(getEvents(run, EVENT_PAGE_RETRY).length, 0);
+      assert.equal(getEvents(run, EVENT_PAGE_DONE).length, 1);
+    });
+
+    it("saves a forensics bundle for every failed attempt", async () => {
+      brokenImage();
+      const forensicsDir = await mkdtemp(join(tmpdir(), "pdfgen4vcman-test-forensics-"));
+      try {
+        const run = await runGeneratePdfs([ url(SHORT_ARTICLE_PATH) ], createTestOptions({ retries: 2, forensicsDir: forensicsDir }), false);
+        const retries = getEvents(run, EVENT_PAGE_RETRY);
+        const failed = getEvents(run, EVENT_PAGE_FAILED);
+        assert.equal(retries.length, 1);
+        assert.equal(failed.length, 1);
+        assert.notEqual(retries[0].forensics, failed[0].forensics);
+        const failure = JSON.parse(await readFile(join(failed[0].forensics, "failure.json"), "utf8"));
+        assert.equal(failure.url, url(SHORT_ARTICLE_PATH));
+        assert.equal(failure.attempt, 2);
+        assert.equal(failure.stage, "goto");
+        assert.ok(failure.failedResources.some((x) => x.url === url("/assets/diagram.svg") && x.status == 403 && x.counted));
+        await access(join(failed[0].forensics, "screenshot.png"));
+        await access(join(failed[0].forensics, "dom.html"));
+      } finally {
+        await rm(forensicsDir, { recursive: true, force: true });
+      }
+    });
+
+    it("generates the page with a broken resource at leniency 12", async () => {
+      brokenImage();
+      const run = await runGeneratePdfs([ url(SHORT_ARTICLE_PATH) ], createTestOptions({ leniency: 12 }), false);
+      assert.equal(getEvents(run, EVENT_PAGE_RETRY).length, 0);
+      assert.equal(getEvents(run, EVENT_PAGE_DONE).length, 1);
+      assert.ok(run.pdfDoc.getPageCount() >= 1);
+    });
+  });
+
+  describe("record and replay", () => {
+    let storeDir = undefined;
+
+    before(async () => {
+      storeDir = await mkdtemp(join(tmpdir(), "pdfgen4vcman-test-store-"));
+    });
+    after(async () => {
+      await rm(storeDir, { recursive: true, force: true });
+    });
+
+    it("renders a recorded page without the network", async () => {
+      const recording = await runGeneratePdfs([ url(SHORT_ARTICLE_PATH) ], createTestOptions({ record: storeDir }), false);
+      assert.equal(getEvents(recording, EVENT_PAGE_DONE).length, 1);
+      resetFixture(fixture);
+      // the website is "down", but nothing should reach it anyway
+      fixture.faults.push({ path: /.*/, status: 503 });
+      const replay = await runGeneratePdfs([ url(SHORT_ARTICLE_PATH) ], createTestOptions({ replay: storeDir }), false);
+      assert.equal(getEvents(replay, EVENT_PAGE_RETRY).length, 0);
+      assert.equal(getEvents(replay, EVENT_PAGE_DONE).length, 1);
+      assert.equal(fixture.requests.filter((x) => !x.path.startsWith("/__fixture/")).length, 0);
+      assert.equal(replay.pdfDoc.getPageCount(), recording.pdfDoc.getPageCount());
+    });
+
+    it("fails the pages that were not recorded, unless falling back to the network", async () => {
+      const replay = await runGeneratePdfs([ url(LONG_ARTICLE_PATH) ], createTestOptions({ replay: storeDir, retries: 1 }), false);
+      assert.equal(getEvents(replay, EVENT_PAGE_FAILED).length, 1);
+      assert.equal(countRequests(fixture, LONG_ARTICLE_PATH), 0);
+      const fallback = await runGeneratePdfs([ url(LONG_ARTICLE_PATH) ], createTestOptions({ replay: storeDir, replayFallback: true }), false);
+      assert.equal(getEvents(fallback, EVENT_PAGE_DONE).length, 1);
+      assert.equal(countRequests(fixture, LONG_ARTICLE_PATH), 1);
+    });
+  });
+});
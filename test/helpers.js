@@ -0,0 +1,88 @@
+// Node.js builtin packages
+import { EventEmitter } from "node:events";
+import { mkdtemp, rm } from "node:fs/promises";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import process from "node:process";
+
+// 3rd-party packages
+import puppeteer from "puppeteer";
+import { PDFDocument } from "pdf-lib";
+import { format, loggers, transports } from "winston";
+
+// Dependencies from this package
+import { createMergeInfo, generatePdfs } from "../lib/generator.js";
+import { DEFAULT_BROWSER_LONG_OPTIONS, resolveOptions } from "../lib/options.js";
+import { EVENT_MERGE_DONE, EVENT_PAGE_DONE, EVENT_PAGE_FAILED, EVENT_PAGE_RETRY, EVENT_PAGE_STARTED, EVENT_TOC_COLLECTED } from "../lib/events.js";
+
+// the log of the generator is silent, unless a level is set in TEST_LOG_LEVEL (e.g. "verbose")
+loggers.get("mainLogger").configure({
+  level: process.env.TEST_LOG_LEVEL || "error",
+  format: format.combine(format.timestamp(), format.simple()),
+  transports: [ new transports.Console({ silent: !process.env.TEST_LOG_LEVEL }) ]
+});
+
+// "no-sandbox" is needed to run Chromium as root (e.g. in a CI container)
+const BROWSER_LONG_OPTIONS = DEFAULT_BROWSER_LONG_OPTIONS.concat([ "no-sandbox" ]);
+
+// returns undefined if a browser can be launched, otherwise the reason why not
+// (the end-to-end tests are skipped without a browser)
+export async function probeBrowser() {
+  try {
+    const browser = await puppeteer.launch({ headless: true, args: BROWSER_LONG_OPTIONS.map((x) => "--" + x.replace(",", "=")) });
+    await browser.close();
+    return undefined;
+  } catch (err) {
+    return err.message.split("\n")[0];
+  }
+}
+
+// generatePdfs() options for the fixture server (short timeouts, no waiting between retries)
+export function createTestOptions(overrides) {
+  return resolveOptions(Object.assign({
+    urlDomainSuffix: [ "127.0.0.1" ],
+    resourceHttpErrorDomainSuffix: [ "127.0.0.1" ],
+    resourceHttpErrorAllowed: 0,
+    browserLongOption: BROWSER_LONG_OPTIONS,
+    timeout: 10000,
+    pdfTimeout: 20000,
+    retries: 3,
+    titleCaption: "fixture run"
+  }, overrides));
+}
+
+// run generatePdfs() in temporary directories and collect everything the tests assert on
+// (the promise is not rejected if generatePdfs() fails, the error is returned in "error")
+export async function runGeneratePdfs(pageUrls, options, isToCPage) {
+  const userDir = await mkdtemp(join(tmpdir(), "pdfgen4vcman-test-user-"));
+  const pdfDir = await mkdtemp(join(tmpdir(), "pdfgen4vcman-test-pdf-"));
+  const pdfDoc = await PDFDocument.create();
+  const mergeInfo = createMergeInfo();
+  const events = new EventEmitter();
+  const run = { urls: undefined, error: undefined, pdfDoc: pdfDoc, mergeInfo: mergeInfo, events: [] };
+  [ EVENT_TOC_COLLECTED, EVENT_PAGE_STARTED, EVENT_PAGE_RETRY, EVENT_PAGE_FAILED, EVENT_PAGE_DONE, EVENT_MERGE_DONE ].forEach((name) => {
+    events.on(name, (payload) => run.events.push({ name: name, payload: payload }));
+  });
+  try {
+    run.urls = await generatePdfs(puppeteer, pageUrls, userDir, pdfDir, pdfDoc, Object.assign({}, options, { events: events }), isToCPage, mergeInfo);
+  } catch (err) {
+    run.error = err;
+  } finally {
+    await rm(userDir, { recursive: true, force: true });
+    await rm(pdfDir, { recursive: true, force: true });
+  }
+  return run;
+}
+
+// the payloads of the collected events with the given name
+export function getEvents(run, name) {
+  return run.events.filter((x) => x.name === name).map((x) => x.payload);
+}
+
+// the texts drawn onto a page by pdf-lib (the standard fonts are written as hex strings)
+export function getDrawnTexts(pdfDoc, pageIndex) {
+  return pdfDoc.getPage(pageIndex).node.Contents().asArray()
+    .map((ref) => pdfDoc.context.lookup(ref))
+    .filter((stream) => typeof stream.getContentsString === "function")
+    .flatMap((stream) => Array.from(stream.getContentsString().matchAll(/<([0-9A-F]*)> Tj/g), (match) => Buffer.from(match[1], "hex").toString("latin1")));
+}
@@ -0,0 +1,84 @@
+// Node.js builtin packages
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+// 3rd-party packages
+import { PDFDocument, PDFName, PDFString } from "pdf-lib";
+
+// Dependencies from this package
+import "./helpers.js";
+import { createMergeInfo, removeMergedPage } from "../lib/generator.js";
+import { resolveInternalLinks } from "../lib/links.js";
+
+// add a link annotation with an URI action (like the ones Chromium keeps) to the page
+function addLink(pdfDoc, page, uri) {
+  const annot = pdfDoc.context.obj({
+    Type: "Annot",
+    Subtype: "Link",
+    Rect: [ 0, 0, 100, 10 ],
+    A: { S: "URI", URI: PDFString.of(uri) }
+  });
+  page.node.addAnnot(pdfDoc.context.register(annot));
+  return annot;
+}
+
+// the index of the destination page of an internal link or the URI of an external link
+function getTarget(pdfDoc, annot) {
+  const dest = annot.lookup(PDFName.of("Dest"));
+  if (dest) {
+    return pdfDoc.getPages().findIndex((page) => page.ref === dest.get(0));
+  }
+  return annot.lookup(PDFName.of("A")).lookup(PDFName.of("URI")).decodeText();
+}
+
+describe("resolveInternalLinks()", () => {
+  it("turns the links to the pages of the manual into internal links", async () => {
+    const pdfDoc = await PDFDocument.create();
+    const pages = [ 0, 1, 2 ].map(() => pdfDoc.addPage([ 200, 200 ]));
+    const mergeInfo = createMergeInfo();
+    mergeInfo.urlPageIndex.set("https://x/manual/acc", 1);
+    mergeInfo.urlPageIndex.set("https://x/manual/cable/", 2);
+    const links = [
+      addLink(pdfDoc, pages[0], "https://x/manual/acc"),
+      // (a fragment and a missing or extra trailing slash are the same page)
+      addLink(pdfDoc, pages[0], "https://x/manual/acc/#warning"),
+      addLink(pdfDoc, pages[1], "https://x/manual/cable"),
+      addLink(pdfDoc, pages[1], "https://x/manual/other"),
+      addLink(pdfDoc, pages[2], "https://www.volvocars.com/")
+    ];
+    resolveInternalLinks(pdfDoc, mergeInfo);
+    assert.deepEqual(links.map((link) => getTarget(pdfDoc, link)), [ 1, 1, 2, "https://x/manual/other", "https://www.volvocars.com/" ]);
+    assert.equal(mergeInfo.internalLinks.length, 3);
+    // (an internal link has no action)
+    assert.equal(links[0].get(PDFName.of("A")), undefined);
+  });
+
+  it("re-targets the converted links after pages were removed", async () => {
+    const pdfDoc = await PDFDocument.create();
+    const pages = [ 0, 1, 2, 3 ].map(() => pdfDoc.addPage([ 200, 200 ]));
+    const mergeInfo = createMergeInfo();
+    mergeInfo.urlPageIndex.set("https://x/manual/a", 0);
+    mergeInfo.urlPageIndex.set("https://x/manual/b", 2);
+    mergeInfo.urlPageIndex.set("https://x/manual/c", 3);
+    const links = [ addLink(pdfDoc, pages[0], "https://x/manual/b"), addLink(pdfDoc, pages[3], "https://x/manual/c") ];
+    resolveInternalLinks(pdfDoc, mergeInfo);
+    assert.deepEqual(links.map((link) => getTarget(pdfDoc, link)), [ 2, 3 ]);
+    // e.g. an empty page at the end of "a"
+    removeMergedPage(pdfDoc, mergeInfo, 1);
+    resolveInternalLinks(pdfDoc, mergeInfo);
+    assert.deepEqual(links.map((link) => getTarget(pdfDoc, link)), [ 1, 2 ]);
+    // (the converted links are not collected again)
+    assert.equal(mergeInfo.internalLinks.length, 2);
+  });
+
+  it("keeps the links of the pages that are not in the document", async () => {
+    const pdfDoc = await PDFDocument.create();
+    const page = pdfDoc.addPage([ 200, 200 ]);
+    const mergeInfo = createMergeInfo();
+    mergeInfo.urlPageIndex.set("https://x/manual/a", 0);
+    mergeInfo.urlPageIndex.set("https://x/manual/b", 1);
+    const link = addLink(pdfDoc, page, "https://x/manual/b");
+    resolveInternalLinks(pdfDoc, mergeInfo);
+    assert.equal(getTarget(pdfDoc, link), "https://x/manual/b");
+  });
+});
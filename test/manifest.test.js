@@ -0,0 +1,91 @@
+// Node.js builtin packages
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readdir, rm, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import { createHash } from "node:crypto";
+
+// Dependencies from this package
+import "./helpers.js";
+import { MANIFEST_FILENAME, PAGE_DONE, PAGE_FAILED, PAGE_IN_PROGRESS, createManifest, getFailedPages, loadManifest, recordPageAttempt, recordPageDone, recordPageError, saveManifest } from "../lib/manifest.js";
+
+const TOC_URL = "https://x/manual";
+const PAGE_URLS = [ "https://x/manual/a", "https://x/manual/b", "https://x/manual/c" ];
+
+describe("run manifest", () => {
+  let directory = undefined;
+
+  before(async () => {
+    directory = await mkdtemp(join(tmpdir(), "pdfgen4vcman-test-manifest-"));
+  });
+  after(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it("records the attempts, errors and results of the pages", async () => {
+    const manifest = createManifest(TOC_URL);
+    manifest.urls = PAGE_URLS;
+    const pdfPath = join(directory, "page_a.pdf");
+    await writeFile(pdfPath, "%PDF-1.7 a");
+
+    recordPageAttempt(manifest, PAGE_URLS[0]);
+    recordPageError(manifest, PAGE_URLS[0], "timeout", 1000, false, [ { type: "broken-image" } ]);
+    assert.equal(manifest.pages[PAGE_URLS[0]].status, PAGE_IN_PROGRESS);
+    recordPageAttempt(manifest, PAGE_URLS[0]);
+    await recordPageDone(manifest, PAGE_URLS[0], pdfPath, 3, 500, []);
+    const done = manifest.pages[PAGE_URLS[0]];
+    assert.deepEqual([ done.status, done.attempts, done.lastError, done.durationMs, done.pdfFile, done.pageCount, done.renderIssues ], [ PAGE_DONE, 2, null, 1500, "page_a.pdf", 3, [] ]);
+    assert.equal(done.pdfHash, createHash("sha256").update("%PDF-1.7 a").digest("hex"));
+    assert.ok(done.startedAt <= done.finishedAt);
+
+    for (let attempt = 1; attempt <= 2; attempt++) {
+      recordPageAttempt(manifest, PAGE_URLS[2]);
+      recordPageError(manifest, PAGE_URLS[2], `error #${attempt}`, 100, attempt == 2);
+    }
+    const failed = manifest.pages[PAGE_URLS[2]];
+    assert.deepEqual([ failed.status, failed.attempts, failed.lastError, failed.durationMs, failed.pdfFile ], [ PAGE_FAILED, 2, "error #2", 200, null ]);
+    assert.notEqual(failed.finishedAt, null);
+  });
+
+  it("lists the failed pages in the order of the URLs", () => {
+    const manifest = createManifest(TOC_URL);
+    manifest.urls = PAGE_URLS;
+    for (const url of [ PAGE_URLS[2], PAGE_URLS[0] ]) {
+      recordPageAttempt(manifest, url);
+      recordPageError(manifest, url, "HTTP 500", 10, true);
+    }
+    recordPageAttempt(manifest, PAGE_URLS[1]);
+    assert.deepEqual(getFailedPages(manifest).map((page) => [ page.url, page.attempts, page.lastError ]), [ [ PAGE_URLS[0], 1, "HTTP 500" ], [ PAGE_URLS[2], 1, "HTTP 500" ] ]);
+  });
+
+  it("is saved and loaded for a resumed run", async () => {
+    const manifest = createManifest(TOC_URL);
+    manifest.urls = PAGE_URLS;
+    manifest.tocTitle = "XC40 manual";
+    recordPageAttempt(manifest, PAGE_URLS[0]);
+    recordPageError(manifest, PAGE_URLS[0], "timeout", 10, true);
+    // (the saves are serialized, the last one wins)
+    const saves = [ saveManifest(directory, manifest) ];
+    manifest.tocLanguage = "en";
+    saves.push(saveManifest(directory, manifest));
+    await Promise.all(saves);
+    // (no temporary file is left behind)
+    assert.ok(!(await readdir(directory)).includes(`${MANIFEST_FILENAME}.tmp`));
+    const loaded = await loadManifest(directory);
+    assert.deepEqual(loaded, JSON.parse(JSON.stringify(manifest)));
+    assert.equal(loaded.tocLanguage, "en");
+    assert.deepEqual(getFailedPages(loaded).map((page) => page.url), [ PAGE_URLS[0] ]);
+  });
+
+  it("ignores a missing, broken or unsupported manifest", async () => {
+    assert.equal(await loadManifest(join(directory, "nothing")), undefined);
+    const manifestPath = join(directory, MANIFEST_FILENAME);
+    await writeFile(manifestPath, "{ \"version\": 1, \"urls\": [");
+    assert.equal(await loadManifest(directory), undefined);
+    await writeFile(manifestPath, JSON.stringify(Object.assign(createManifest(TOC_URL), { version: 2 })));
+    assert.equal(await loadManifest(directory), undefined);
+    await writeFile(manifestPath, JSON.stringify(Object.assign(createManifest(TOC_URL), { urls: null })));
+    assert.equal(await loadManifest(directory), undefined);
+  });
+});
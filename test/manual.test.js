@@ -0,0 +1,71 @@
+// Node.js builtin packages
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
+
+// Dependencies from this package
+import "./helpers.js";
+import { EVENT_PAGE_DONE, EVENT_TOC_COLLECTED, generateManual, getDefaultOptions } from "../index.js";
+import { emitEvent } from "../lib/events.js";
+import { DEFAULT_PAGE_HTTP_RETRY_STATUS_CODES, DEFAULT_RETRIES, parseJsonOptions, resolveOptions } from "../lib/options.js";
+
+describe("resolveOptions()", () => {
+  it("merges the options with the defaults", () => {
+    const options = resolveOptions({ retries: 2, hyperlinks: true, output: undefined });
+    assert.equal(options.retries, 2);
+    assert.equal(options.hyperlinks, true);
+    assert.equal(options.output, getDefaultOptions().output);
+    assert.equal(resolveOptions().retries, DEFAULT_RETRIES);
+  });
+
+  it("replaces the empty HTTP status code lists with the defaults", () => {
+    assert.deepEqual(resolveOptions({ pageHttpError: [] }).pageHttpError, DEFAULT_PAGE_HTTP_RETRY_STATUS_CODES);
+    assert.deepEqual(resolveOptions({ pageHttpError: [ 500 ] }).pageHttpError, [ 500 ]);
+  });
+
+  it("returns new lists for every call", () => {
+    resolveOptions().pageErrorTextPattern.push("changed");
+    assert.ok(!resolveOptions().pageErrorTextPattern.includes("changed"));
+  });
+});
+
+describe("parseJsonOptions()", () => {
+  it("accepts only the known options", () => {
+    assert.deepEqual(parseJsonOptions({ retries: 2, excludeUrl: "/old-" }), { retries: 2, excludeUrl: [ /\/old-/ ] });
+    assert.throws(() => parseJsonOptions({ retry: 2 }), /option "retry" is not supported/);
+    assert.throws(() => parseJsonOptions({ output: "x.pdf" }, [ "output" ]), /option "output" is not supported/);
+  });
+});
+
+describe("emitEvent()", () => {
+  it("emits the events on the emitter of the options", () => {
+    const events = new EventEmitter();
+    const payloads = [];
+    events.on(EVENT_PAGE_DONE, (payload) => payloads.push(payload));
+    emitEvent({ events: events }, EVENT_PAGE_DONE, { done: 1 });
+    // (without an emitter nothing happens)
+    emitEvent({}, EVENT_PAGE_DONE, { done: 2 });
+    emitEvent(undefined, EVENT_PAGE_DONE, { done: 3 });
+    assert.deepEqual(payloads, [ { done: 1 } ]);
+  });
+
+  it("doesn't let a listener break the generation", () => {
+    const events = new EventEmitter();
+    events.on(EVENT_TOC_COLLECTED, () => {
+      throw new Error("a broken listener");
+    });
+    assert.doesNotThrow(() => emitEvent({ events: events }, EVENT_TOC_COLLECTED, {}));
+  });
+});
+
+describe("generateManual()", () => {
+  // (these are checked before the browser is launched)
+  it("rejects the invalid options", async () => {
+    await assert.rejects(generateManual("https://x/manual", { split: "chapter" }), /split into volumes only if the "output" option is specified/);
+    await assert.rejects(generateManual("https://x/manual", { imageDpi: 150 }), /downsampled only if the "optimize" option is specified/);
+    await assert.rejects(generateManual("https://x/manual", { pdfa: true, printedToc: "append" }), /can't be used together with --pdfa/);
+    await assert.rejects(generateManual("https://x/manual", { generatedAt: "yesterday" }), /"generatedAt" option is not a valid date/);
+    await assert.rejects(generateManual("https://x/manual", { profile: { version: 2 } }), /"version" must be 1/);
+    await assert.rejects(generateManual("https://x/manual", { pageErrorRule: [ "panic,*,x" ] }), /panic/);
+  });
+});
@@ -0,0 +1,117 @@
+// Node.js builtin packages
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+
+// 3rd-party packages
+import { PDFDocument, PDFName, PDFRawStream, StandardFonts } from "pdf-lib";
+
+// Dependencies from this package
+import "./helpers.js";
+import { appendPdf, createMergeInfo } from "../lib/generator.js";
+import { createDedupIndex } from "../lib/dedup.js";
+import { SPLIT_CHAPTER, SPLIT_NONE, SPLIT_SIZE, getVolumePath, planVolumes } from "../lib/volumes.js";
+
+// an article PDF with a (shared) font, a (shared) pictogram and an image of its own
+async function createArticlePdf(ownPixel) {
+  const pdfDoc = await PDFDocument.create();
+  const page = pdfDoc.addPage([ 200, 200 ]);
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  page.drawText("Warning", { x: 10, y: 10, size: 10, font: font });
+  const createImage = (pixel) => pdfDoc.context.register(pdfDoc.context.stream(new Uint8Array([ pixel ]), {
+    Type: "XObject", Subtype: "Image", Width: 1, Height: 1, ColorSpace: "DeviceGray", BitsPerComponent: 8
+  }));
+  page.node.setXObject(PDFName.of("Pictogram"), createImage(128));
+  page.node.setXObject(PDFName.of("Photo"), createImage(ownPixel));
+  return await pdfDoc.save();
+}
+
+function countImages(pdfDoc) {
+  return pdfDoc.context.enumerateIndirectObjects()
+    .filter(([ , object ]) => object instanceof PDFRawStream && object.dict.get(PDFName.of("Subtype")) === PDFName.of("Image")).length;
+}
+
+describe("merging with deduplication", () => {
+  let directory = undefined;
+  const paths = [];
+
+  before(async () => {
+    directory = await mkdtemp(join(tmpdir(), "pdfgen4vcman-test-merge-"));
+    for (const [ index, pixel ] of [ 1, 2, 3 ].entries()) {
+      paths.push(join(directory, `article-${index}.pdf`));
+      await writeFile(paths[index], await createArticlePdf(pixel));
+    }
+  });
+
+  after(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it("stores the identical images and fonts of the articles only once", async () => {
+    const pdfDoc = await PDFDocument.create();
+    const mergeInfo = createMergeInfo();
+    const dedupIndex = createDedupIndex();
+    for (const [ index, path ] of paths.entries()) {
+      assert.equal(await appendPdf(pdfDoc, path, mergeInfo, `https://x/${index}`, dedupIndex), 1);
+    }
+    assert.equal(pdfDoc.getPageCount(), 3);
+    assert.deepEqual(Array.from(mergeInfo.urlPageIndex.values()), [ 0, 1, 2 ]);
+    // the pictogram once and the three photos
+    assert.equal(countImages(pdfDoc), 4);
+    // the pictogram and the font of the 2nd and the 3rd article
+    assert.equal(dedupIndex.dedupedObjectCount, 4);
+    const pictogramRefs = pdfDoc.getPages().map((page) => page.node.Resources().lookup(PDFName.of("XObject")).get(PDFName.of("Pictogram")));
+    assert.equal(new Set(pictogramRefs).size, 1);
+    const fontRefs = pdfDoc.getPages().map((page) => page.node.Resources().lookup(PDFName.of("Font")).values()[0]);
+    assert.equal(new Set(fontRefs).size, 1);
+
+    // the merged PDF is still valid
+    const loadedDoc = await PDFDocument.load(await pdfDoc.save());
+    assert.equal(loadedDoc.getPageCount(), 3);
+  });
+
+  it("copies everything without a deduplication index", async () => {
+    const pdfDoc = await PDFDocument.create();
+    for (const path of paths) {
+      await appendPdf(pdfDoc, path);
+    }
+    assert.equal(countImages(pdfDoc), 6);
+  });
+});
+
+describe("planVolumes()", () => {
+  const tocTree = [
+    { title: "Driver support", url: undefined, children: [ { title: "ACC", url: "https://x/acc", children: [] }, { title: "Pilot Assist", url: "https://x/pilot", children: [] } ] },
+    { title: "Charging", url: undefined, children: [ { title: "Cable", url: "https://x/cable", children: [] } ] }
+  ];
+  const pageUrls = [ "https://x/acc", "https://x/pilot", "https://x/extra", "https://x/cable" ];
+
+  it("puts every top level chapter into its own volume", () => {
+    assert.deepEqual(planVolumes(pageUrls, tocTree, new Map(), { split: SPLIT_CHAPTER }), [
+      [ "https://x/acc", "https://x/pilot", "https://x/extra" ],
+      [ "https://x/cable" ]
+    ]);
+  });
+
+  it("fills the volumes up to the maximum size", () => {
+    const megabyte = 1024 * 1024;
+    const sizes = new Map([ [ "https://x/acc", 2 * megabyte ], [ "https://x/pilot", 2 * megabyte ], [ "https://x/extra", 5 * megabyte ], [ "https://x/cable", megabyte ] ]);
+    assert.deepEqual(planVolumes(pageUrls, tocTree, sizes, { split: SPLIT_SIZE, splitSize: 4 }), [
+      [ "https://x/acc", "https://x/pilot" ],
+      [ "https://x/extra" ],
+      [ "https://x/cable" ]
+    ]);
+  });
+
+  it("keeps the pages together without splitting", () => {
+    assert.deepEqual(planVolumes(pageUrls, tocTree, new Map(), { split: SPLIT_NONE }), [ pageUrls ]);
+    assert.deepEqual(planVolumes([], tocTree, new Map(), { split: SPLIT_NONE }), []);
+  });
+
+  it("numbers the volume paths", () => {
+    assert.equal(getVolumePath(join("out", "manual.pdf"), 3, 12), join("out", "manual-03.pdf"));
+    assert.equal(getVolumePath("manual.pdf", 7, 120), "manual-007.pdf");
+  });
+});
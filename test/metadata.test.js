@@ -0,0 +1,139 @@
+// Node.js builtin packages
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+// 3rd-party packages
+import { PDFDict, PDFDocument, PDFName, PDFNumber, StandardFonts } from "pdf-lib";
+
+// Dependencies from this package
+import "./helpers.js";
+import { createMergeInfo } from "../lib/generator.js";
+import { getDefaultOptions } from "../lib/options.js";
+import { addMetadata, collectMetadata, formatModelName, parseManualUrl } from "../lib/metadata.js";
+import { PDFA_OUTPUT_CONDITION, createSrgbIccProfile, findUnembeddedFonts, getPdfaIncompatibleOptions } from "../lib/pdfa.js";
+
+const TOC_URL = "https://www.volvocars.com/uk/support/car/xc90-twin-engine/15w46/manual";
+const GENERATED_AT = new Date("2026-03-01T12:34:56.789Z");
+
+function createMergeInfoWithToc() {
+  const mergeInfo = createMergeInfo();
+  mergeInfo.tocUrl = TOC_URL;
+  mergeInfo.tocTitle = "Owner's manual";
+  mergeInfo.tocLanguage = "en-GB";
+  return mergeInfo;
+}
+
+function getXmp(pdfDoc) {
+  return new TextDecoder().decode(pdfDoc.context.lookup(pdfDoc.catalog.get(PDFName.of("Metadata"))).getContents());
+}
+
+describe("parseManualUrl()", () => {
+  it("returns the market, the model and the model year of a manual URL", () => {
+    assert.deepEqual(parseManualUrl(TOC_URL), { market: "uk", model: "xc90-twin-engine", modelYear: "15w46" });
+    assert.deepEqual(parseManualUrl("https://www.volvocars.com/se-sv/support/car/ex30/2026/article/abc"), { market: "se-sv", model: "ex30", modelYear: "2026" });
+  });
+
+  it("returns undefined properties for other URLs", () => {
+    assert.deepEqual(parseManualUrl("https://example.com/manual"), { market: undefined, model: undefined, modelYear: undefined });
+    assert.deepEqual(parseManualUrl("not a URL"), { market: undefined, model: undefined, modelYear: undefined });
+  });
+
+  it("formats the model names", () => {
+    assert.equal(formatModelName("xc90-twin-engine"), "XC90 Twin Engine");
+    assert.equal(formatModelName("ex30"), "EX30");
+  });
+});
+
+describe("addMetadata()", () => {
+  it("sets the document information from the ToC page", async () => {
+    const pdfDoc = await PDFDocument.create();
+    pdfDoc.addPage();
+    const metadata = addMetadata(pdfDoc, createMergeInfoWithToc(), TOC_URL, Object.assign(getDefaultOptions(), { generatedAt: GENERATED_AT }));
+    assert.equal(metadata.title, "Owner's manual – Volvo XC90 Twin Engine 15w46");
+
+    const loadedDoc = await PDFDocument.load(await pdfDoc.save(), { updateMetadata: false });
+    assert.equal(loadedDoc.getTitle(), "Owner's manual – Volvo XC90 Twin Engine 15w46");
+    assert.equal(loadedDoc.getKeywords(), "Volvo XC90 Twin Engine 15w46 uk en-GB");
+    assert.match(loadedDoc.getSubject(), /15w46\/manual$/);
+    assert.match(loadedDoc.getCreator(), /^pdfgen4vcman [0-9.]+ /);
+    assert.equal(loadedDoc.getCreationDate().toISOString(), "2026-03-01T12:34:56.000Z");
+    assert.equal(loadedDoc.catalog.lookup(PDFName.of("Lang")).decodeText(), "en-GB");
+    assert.equal(loadedDoc.getInfoDict().lookup(PDFName.of("ModelYear")).decodeText(), "15w46");
+
+    const xmp = getXmp(loadedDoc);
+    assert.match(xmp, /<dc:title><rdf:Alt><rdf:li xml:lang="x-default">Owner's manual – Volvo XC90 Twin Engine 15w46<\/rdf:li>/);
+    assert.match(xmp, /<xmp:CreateDate>2026-03-01T12:34:56Z<\/xmp:CreateDate>/);
+    assert.match(xmp, /<vcman:market>uk<\/vcman:market>/);
+    assert.doesNotMatch(xmp, /pdfaid:part>/);
+  });
+
+  it("falls back to the URL without a ToC page and replaces the XMP when called again", async () => {
+    const pdfDoc = await PDFDocument.create();
+    pdfDoc.addPage();
+    const url = "https://example.com/article";
+    const options = Object.assign(getDefaultOptions(), { generatedAt: GENERATED_AT });
+    const metadata = collectMetadata(createMergeInfo(), url, options);
+    assert.equal(metadata.title, url);
+    assert.deepEqual(metadata.keywords, [ "Volvo" ]);
+
+    addMetadata(pdfDoc, createMergeInfo(), url, options);
+    const metadataRef = pdfDoc.catalog.get(PDFName.of("Metadata"));
+    addMetadata(pdfDoc, createMergeInfo(), url, options);
+    assert.equal(pdfDoc.catalog.get(PDFName.of("Metadata")), metadataRef);
+    assert.equal(pdfDoc.catalog.lookup(PDFName.of("Lang")), undefined);
+  });
+
+  it("adds the output intent and the PDF/A identification with \"pdfa\"", async () => {
+    const pdfDoc = await PDFDocument.create();
+    const page = pdfDoc.addPage();
+    page.node.addAnnot(pdfDoc.context.register(pdfDoc.context.obj({ Type: "Annot", Subtype: "Link", Rect: [ 0, 0, 10, 10 ], F: 2 })));
+    const options = Object.assign(getDefaultOptions(), { generatedAt: GENERATED_AT, pdfa: true });
+    addMetadata(pdfDoc, createMergeInfoWithToc(), TOC_URL, options);
+    addMetadata(pdfDoc, createMergeInfoWithToc(), TOC_URL, options);
+
+    const loadedDoc = await PDFDocument.load(await pdfDoc.save(), { updateMetadata: false });
+    const xmp = getXmp(loadedDoc);
+    assert.match(xmp, /<pdfaid:part>2<\/pdfaid:part>/);
+    assert.match(xmp, /<pdfaid:conformance>B<\/pdfaid:conformance>/);
+    const outputIntents = loadedDoc.catalog.lookup(PDFName.of("OutputIntents"));
+    assert.equal(outputIntents.size(), 1);
+    const outputIntent = outputIntents.lookup(0, PDFDict);
+    assert.equal(outputIntent.lookup(PDFName.of("OutputConditionIdentifier")).decodeText(), PDFA_OUTPUT_CONDITION);
+    assert.equal(outputIntent.lookup(PDFName.of("DestOutputProfile")).dict.lookup(PDFName.of("N"), PDFNumber).asNumber(), 3);
+    const annot = loadedDoc.getPage(0).node.Annots().lookup(0, PDFDict);
+    assert.equal(annot.lookup(PDFName.of("F"), PDFNumber).asNumber(), 4);
+    assert.equal(loadedDoc.context.trailerInfo.ID.size(), 2);
+  });
+});
+
+describe("PDF/A", () => {
+  it("creates a valid sRGB ICC profile", () => {
+    const profile = createSrgbIccProfile();
+    const view = new DataView(profile.buffer);
+    assert.equal(view.getUint32(0), profile.length);
+    assert.equal(new TextDecoder().decode(profile.subarray(36, 40)), "acsp");
+    assert.equal(new TextDecoder().decode(profile.subarray(16, 20)), "RGB ");
+    // every tag is inside the profile
+    const tagCount = view.getUint32(128);
+    assert.equal(tagCount, 9);
+    for (let i = 0; i < tagCount; i++) {
+      const offset = view.getUint32(132 + i * 12 + 4);
+      const size = view.getUint32(132 + i * 12 + 8);
+      assert.equal(offset % 4, 0);
+      assert.ok(offset + size <= profile.length);
+    }
+  });
+
+  it("finds the fonts that are not embedded", async () => {
+    const pdfDoc = await PDFDocument.create();
+    await pdfDoc.embedFont(StandardFonts.Helvetica);
+    // (pdf-lib adds the font objects to the document when it's saved or flushed)
+    await pdfDoc.flush();
+    assert.deepEqual(findUnembeddedFonts(pdfDoc), [ "Helvetica" ]);
+  });
+
+  it("reports the options that use the standard fonts", () => {
+    assert.deepEqual(getPdfaIncompatibleOptions(getDefaultOptions()), []);
+    assert.deepEqual(getPdfaIncompatibleOptions(Object.assign(getDefaultOptions(), { printedToc: "append", stamp: [ "top-left={title}" ] })), [ "printedToc", "stamp" ]);
+  });
+});
@@ -0,0 +1,134 @@
+// Node.js builtin packages
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { appendFile, mkdtemp, readFile, readdir, rm, unlink } from "node:fs/promises";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import { createHash } from "node:crypto";
+
+// Dependencies from this package
+import "./helpers.js";
+import { NETWORK_STORE_INDEX, flushNetworkStore, getStoredResponse, openNetworkStore, recordResponse } from "../lib/network-store.js";
+import { replayRequest } from "../lib/generator.js";
+
+const SCRIPT_URL = "https://x/static/main.js";
+
+// a puppeteer HTTPResponse (the parts that recordResponse() uses)
+function createResponse(method, url, status, headers, body) {
+  return {
+    request: () => ({ method: () => method }),
+    url: () => url,
+    status: () => status,
+    headers: () => headers,
+    buffer: async () => Buffer.from(body)
+  };
+}
+
+// an intercepted puppeteer HTTPRequest (the parts that replayRequest() uses), "resolution" is how it was resolved
+function createRequest(method, url) {
+  const request = {
+    resolution: undefined,
+    isInterceptResolutionHandled: () => typeof request.resolution !== "undefined",
+    url: () => url,
+    method: () => method,
+    resourceType: () => "script",
+    respond: async (response) => {
+      request.resolution = [ "respond", response.status ];
+    },
+    continue: async () => {
+      request.resolution = [ "continue" ];
+    },
+    abort: async (errorCode) => {
+      request.resolution = [ "abort", errorCode ];
+    }
+  };
+  return request;
+}
+
+describe("network store", () => {
+  let directory = undefined;
+
+  before(async () => {
+    directory = await mkdtemp(join(tmpdir(), "pdfgen4vcman-test-network-store-"));
+    const store = await openNetworkStore(directory, true);
+    recordResponse(store, createResponse("get", SCRIPT_URL, 200, { "content-type": "text/javascript", "Content-Encoding": "br", "content-length": "9", "set-cookie": "session=secret" }, "old main"));
+    recordResponse(store, createResponse("GET", "https://x/manual/old", 301, { "location": "https://x/manual/new" }, ""));
+    // (not recorded)
+    recordResponse(store, createResponse("POST", "https://x/api/search", 200, {}, "{}"));
+    recordResponse(store, createResponse("GET", "https://x/static/video.mp4", 206, {}, "partial"));
+    recordResponse(store, createResponse("GET", "https://x/missing.png", 404, {}, "not found"));
+    await flushNetworkStore(store);
+    // the same URL again (e.g. by a later page), then an interrupted append
+    recordResponse(store, createResponse("GET", SCRIPT_URL, 200, { "content-type": "text/javascript" }, "new main"));
+    await flushNetworkStore(store);
+    assert.equal(store.recordedCount, 3);
+    await appendFile(join(directory, NETWORK_STORE_INDEX), "{\"method\":\"GET\",\"url\":\"https://x/static/broken");
+  });
+  after(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it("loads the index, skipping a broken last line", async () => {
+    const store = await openNetworkStore(directory, false);
+    assert.deepEqual(Array.from(store.entries.keys()).sort(), [ "GET https://x/manual/old", `GET ${SCRIPT_URL}` ]);
+  });
+
+  it("replays the last recorded response of a URL without the headers that don't apply", async () => {
+    const store = await openNetworkStore(directory, false);
+    const response = await getStoredResponse(store, "get", SCRIPT_URL);
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.headers, { "content-type": "text/javascript" });
+    assert.equal(response.body.toString("utf8"), "new main");
+    const redirect = await getStoredResponse(store, "GET", "https://x/manual/old");
+    assert.deepEqual([ redirect.status, redirect.headers, redirect.body.length ], [ 301, { "location": "https://x/manual/new" }, 0 ]);
+    assert.equal(await getStoredResponse(store, "GET", "https://x/static/video.mp4"), undefined);
+    assert.equal(await getStoredResponse(store, "POST", "https://x/api/search"), undefined);
+  });
+
+  it("stores the bodies by their SHA-256 hash", async () => {
+    const sha256 = (text) => createHash("sha256").update(text).digest("hex");
+    assert.deepEqual((await readdir(join(directory, "bodies"))).sort(), [ sha256(""), sha256("new main"), sha256("old main") ].sort());
+    assert.equal(await readFile(join(directory, "bodies", sha256("old main")), "utf8"), "old main");
+    const store = await openNetworkStore(directory, false);
+    assert.equal(store.entries.get(`GET ${SCRIPT_URL}`).body, sha256("new main"));
+  });
+
+  it("is empty if it doesn't exist", async () => {
+    const store = await openNetworkStore(join(directory, "nothing"), false);
+    assert.equal(store.entries.size, 0);
+    assert.equal(await getStoredResponse(store, "GET", SCRIPT_URL), undefined);
+  });
+
+  it("answers the intercepted requests from the store", async () => {
+    const run = { replayStore: await openNetworkStore(directory, false) };
+    const replayed = createRequest("GET", SCRIPT_URL);
+    await replayRequest(replayed, run, {});
+    assert.deepEqual(replayed.resolution, [ "respond", 200 ]);
+    const missing = createRequest("GET", "https://x/static/missing.js");
+    await replayRequest(missing, run, {});
+    assert.deepEqual(missing.resolution, [ "abort", "internetdisconnected" ]);
+    const fallback = createRequest("GET", "https://x/static/missing.js");
+    await replayRequest(fallback, run, { replayFallback: true });
+    assert.deepEqual(fallback.resolution, [ "continue" ]);
+    assert.deepEqual([ run.replayStore.replayedCount, run.replayStore.missedCount ], [ 1, 2 ]);
+  });
+
+  it("doesn't let a request hang if its response can't be read from the store", async () => {
+    const brokenDirectory = await mkdtemp(join(tmpdir(), "pdfgen4vcman-test-network-store-"));
+    try {
+      const store = await openNetworkStore(brokenDirectory, true);
+      recordResponse(store, createResponse("GET", SCRIPT_URL, 200, {}, "lost main"));
+      await flushNetworkStore(store);
+      await unlink(join(brokenDirectory, "bodies", createHash("sha256").update("lost main").digest("hex")));
+      const run = { replayStore: await openNetworkStore(brokenDirectory, false) };
+      const request = createRequest("GET", SCRIPT_URL);
+      await replayRequest(request, run, {});
+      assert.deepEqual(request.resolution, [ "abort", "internetdisconnected" ]);
+      const fallback = createRequest("GET", SCRIPT_URL);
+      await replayRequest(fallback, run, { replayFallback: true });
+      assert.deepEqual(fallback.resolution, [ "continue" ]);
+    } finally {
+      await rm(brokenDirectory, { recursive: true, force: true });
+    }
+  });
+});
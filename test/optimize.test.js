@@ -0,0 +1,76 @@
+// Node.js builtin packages
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { deflateSync, inflateSync } from "node:zlib";
+
+// 3rd-party packages
+import { PDFDocument, PDFName, PDFNumber, PDFRawStream } from "pdf-lib";
+
+// Dependencies from this package
+import "./helpers.js";
+import { deduplicateObjects, optimizePdf, resamplePixels } from "../lib/optimize.js";
+
+// a gray image (Flate compressed) or a (fake) JPEG image
+function createImage(pdfDoc, width, height, jpeg) {
+  const pixels = new Uint8Array(width * height).map((x, index) => index % 256);
+  return pdfDoc.context.register(pdfDoc.context.stream(jpeg ? pixels : deflateSync(pixels), {
+    Type: "XObject", Subtype: "Image", Width: width, Height: height, ColorSpace: "DeviceGray", BitsPerComponent: 8,
+    Filter: jpeg ? "DCTDecode" : "FlateDecode"
+  }));
+}
+
+// a page that displays the images (name -> [ reference, width in points, height in points ])
+function addImagePage(pdfDoc, images) {
+  const page = pdfDoc.addPage([ 600, 800 ]);
+  const operators = [];
+  for (const [ name, [ ref, width, height ] ] of Object.entries(images)) {
+    page.node.setXObject(PDFName.of(name), ref);
+    operators.push(`q ${width} 0 0 ${height} 10 10 cm /${name} Do Q`);
+  }
+  page.node.set(PDFName.of("Contents"), pdfDoc.context.register(pdfDoc.context.stream(operators.join("\n"))));
+  return page;
+}
+
+function getImage(pdfDoc, pageIndex, name) {
+  return pdfDoc.context.lookup(pdfDoc.getPage(pageIndex).node.Resources().lookup(PDFName.of("XObject")).get(PDFName.of(name)));
+}
+
+describe("optimizePdf()", () => {
+  it("stores the identical streams only once", async () => {
+    const pdfDoc = await PDFDocument.create();
+    addImagePage(pdfDoc, { Im1: [ createImage(pdfDoc, 10, 10), 100, 100 ] });
+    addImagePage(pdfDoc, { Im1: [ createImage(pdfDoc, 10, 10), 100, 100 ], Im2: [ createImage(pdfDoc, 20, 10), 100, 100 ] });
+    assert.equal(deduplicateObjects(pdfDoc), 1);
+    const image1 = pdfDoc.getPage(0).node.Resources().lookup(PDFName.of("XObject")).get(PDFName.of("Im1"));
+    const image2 = pdfDoc.getPage(1).node.Resources().lookup(PDFName.of("XObject")).get(PDFName.of("Im1"));
+    assert.equal(image1, image2);
+    assert.equal(deduplicateObjects(pdfDoc), 0);
+
+    const loadedDoc = await PDFDocument.load(await pdfDoc.save());
+    assert.equal(loadedDoc.getPageCount(), 2);
+  });
+
+  it("downsamples the images to the given resolution", async () => {
+    const pdfDoc = await PDFDocument.create();
+    // 400 x 200 pixels at 144 x 72 points: 200 DPI
+    addImagePage(pdfDoc, { Big: [ createImage(pdfDoc, 400, 200), 144, 72 ], Small: [ createImage(pdfDoc, 100, 100), 72, 72 ], Photo: [ createImage(pdfDoc, 400, 400, true), 72, 72 ] });
+    const stats = await optimizePdf(pdfDoc, { imageDpi: 100 });
+    assert.deepEqual(stats.images, { downsampled: 1, kept: 1, jpeg: 1, unsupported: 0 });
+    assert.ok(stats.sizeAfter < stats.sizeBefore);
+
+    const big = getImage(pdfDoc, 0, "Big");
+    assert.ok(big instanceof PDFRawStream);
+    assert.equal(big.dict.lookup(PDFName.of("Width"), PDFNumber).asNumber(), 200);
+    assert.equal(big.dict.lookup(PDFName.of("Height"), PDFNumber).asNumber(), 100);
+    assert.equal(inflateSync(big.getContents()).length, 200 * 100);
+    assert.equal(getImage(pdfDoc, 0, "Small").dict.lookup(PDFName.of("Width"), PDFNumber).asNumber(), 100);
+    assert.equal(getImage(pdfDoc, 0, "Photo").dict.lookup(PDFName.of("Width"), PDFNumber).asNumber(), 400);
+  });
+
+  it("averages the pixels", () => {
+    const pixels = new Uint8Array([ 0, 10, 100, 200, 20, 30, 100, 100 ]);
+    assert.deepEqual(Array.from(resamplePixels(pixels, 4, 2, 1, 2, 1)), [ 15, 125 ]);
+    // RGB pixels
+    assert.deepEqual(Array.from(resamplePixels(new Uint8Array([ 0, 0, 0, 10, 20, 30 ]), 2, 1, 3, 1, 1)), [ 5, 10, 15 ]);
+  });
+});
@@ -0,0 +1,62 @@
+// Node.js builtin packages
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "node:timers/promises";
+
+// Dependencies from this package
+import "./helpers.js";
+import { createOrderedQueue } from "../lib/generator.js";
+
+describe("createOrderedQueue()", () => {
+  it("consumes the results in the order of their indices", async () => {
+    const consumed = [];
+    const queue = createOrderedQueue(4, async (index, result) => {
+      consumed.push([ index, result ]);
+    });
+    // e.g. the workers finish the pages in a different order
+    await queue.ready(2, "c");
+    await queue.ready(1, "b");
+    assert.deepEqual(consumed, []);
+    await queue.ready(0, "a");
+    assert.deepEqual(consumed, [ [ 0, "a" ], [ 1, "b" ], [ 2, "c" ] ]);
+    await queue.ready(3, "d");
+    assert.deepEqual(consumed.map(([ index ]) => index), [ 0, 1, 2, 3 ]);
+    assert.equal(queue.nextIdx, 4);
+  });
+
+  it("consumes one result at a time", async () => {
+    const events = [];
+    const queue = createOrderedQueue(3, async (index) => {
+      events.push(`start ${index}`);
+      // (the slower the earlier result, the more likely the overlap)
+      await sleep(10 - index * 5);
+      events.push(`end ${index}`);
+    });
+    await Promise.all([ queue.ready(0, {}), queue.ready(1, {}), queue.ready(2, {}) ]);
+    await queue.done;
+    assert.deepEqual(events, [ "start 0", "end 0", "start 1", "end 1", "start 2", "end 2" ]);
+  });
+
+  it("resolves the promise of a result once it's consumed", async () => {
+    const consumed = [];
+    const queue = createOrderedQueue(2, async (index) => {
+      await sleep(1);
+      consumed.push(index);
+    });
+    const second = queue.ready(1, {});
+    await queue.ready(0, {});
+    assert.deepEqual(consumed, [ 0, 1 ]);
+    await second;
+  });
+
+  it("rejects the promises after a failed consumption", async () => {
+    const queue = createOrderedQueue(2, async (index) => {
+      if (index == 0) {
+        throw new Error("the PDF can't be read");
+      }
+    });
+    await assert.rejects(queue.ready(0, {}), /the PDF can't be read/);
+    await assert.rejects(queue.ready(1, {}), /the PDF can't be read/);
+    assert.equal(queue.nextIdx, 0);
+  });
+});
@@ -0,0 +1,116 @@
+// Node.js builtin packages
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+// 3rd-party packages
+import { PDFDocument, PDFName } from "pdf-lib";
+
+// Dependencies from this package
+import "./helpers.js";
+import { createMergeInfo } from "../lib/generator.js";
+import { addOutline } from "../lib/outline.js";
+
+const TOC_URL = "https://x/manual";
+const TOC_TREE = [
+  { title: "Driver support", url: undefined, children: [
+    { title: "ACC", url: "https://x/acc", children: [] },
+    { title: "Pilot Assist", url: "https://x/pilot", children: [] }
+  ] },
+  { title: "Charging", url: undefined, children: [ { title: "Cable", url: "https://x/cable", children: [] } ] },
+  // (none of its articles are in the document)
+  { title: "Seats", url: undefined, children: [ { title: "Heating", url: "https://x/heating", children: [] } ] }
+];
+
+// a document with the given number of pages and a merge info with the ToC tree and the first pages of the URLs
+async function createDocument(pageCount, urlPageIndex) {
+  const pdfDoc = await PDFDocument.create();
+  for (let i = 0; i < pageCount; i++) {
+    pdfDoc.addPage([ 200, 200 ]);
+  }
+  const mergeInfo = createMergeInfo();
+  mergeInfo.tocUrl = TOC_URL;
+  mergeInfo.tocTitle = "XC40 manual";
+  mergeInfo.tocTree = TOC_TREE;
+  for (const [ url, pageIndex ] of Object.entries(urlPageIndex)) {
+    mergeInfo.urlPageIndex.set(url, pageIndex);
+  }
+  return { pdfDoc: pdfDoc, mergeInfo: mergeInfo };
+}
+
+// the outline of the document as a tree of { title, page (index), count, children }
+function readOutline(pdfDoc) {
+  const pageRefs = pdfDoc.getPages().map((page) => page.ref);
+  const readItems = (parent) => {
+    const items = [];
+    for (let item = parent.lookup(PDFName.of("First")); item; item = item.lookup(PDFName.of("Next"))) {
+      const count = item.get(PDFName.of("Count"));
+      items.push({
+        title: item.lookup(PDFName.of("Title")).decodeText(),
+        page: pageRefs.indexOf(item.lookup(PDFName.of("Dest")).get(0)),
+        count: count ? count.asNumber() : undefined,
+        children: readItems(item)
+      });
+    }
+    return items;
+  };
+  const outlines = pdfDoc.catalog.lookup(PDFName.of("Outlines"));
+  return outlines ? readItems(outlines) : undefined;
+}
+
+describe("addOutline()", () => {
+  it("follows the chapter hierarchy of the ToC page", async () => {
+    const { pdfDoc, mergeInfo } = await createDocument(5, { [TOC_URL]: 0, "https://x/acc": 1, "https://x/pilot": 3, "https://x/cable": 4 });
+    addOutline(pdfDoc, mergeInfo);
+    assert.deepEqual(readOutline(pdfDoc), [
+      { title: "XC40 manual", page: 0, count: undefined, children: [] },
+      // (a chapter points to the first page of its first article and is closed)
+      { title: "Driver support", page: 1, count: -2, children: [
+        { title: "ACC", page: 1, count: undefined, children: [] },
+        { title: "Pilot Assist", page: 3, count: undefined, children: [] }
+      ] },
+      { title: "Charging", page: 4, count: -1, children: [ { title: "Cable", page: 4, count: undefined, children: [] } ] }
+    ]);
+    assert.equal(pdfDoc.catalog.lookup(PDFName.of("Outlines")).get(PDFName.of("Count")).asNumber(), 3);
+  });
+
+  it("replaces the previous outline", async () => {
+    const { pdfDoc, mergeInfo } = await createDocument(3, { [TOC_URL]: 0, "https://x/acc": 1, "https://x/cable": 2 });
+    addOutline(pdfDoc, mergeInfo);
+    const objectCount = pdfDoc.context.enumerateIndirectObjects().length;
+    // e.g. after the empty page of "ACC" was removed
+    mergeInfo.urlPageIndex.delete("https://x/acc");
+    mergeInfo.urlPageIndex.set("https://x/cable", 1);
+    addOutline(pdfDoc, mergeInfo);
+    assert.deepEqual(readOutline(pdfDoc).map((item) => [ item.title, item.page ]), [ [ "XC40 manual", 0 ], [ "Charging", 1 ] ]);
+    // (the items of the previous outline are deleted)
+    assert.equal(pdfDoc.context.enumerateIndirectObjects().length, objectCount - 2);
+    assert.equal(mergeInfo.outlineRefs.length, 4);
+  });
+
+  it("skips the pages that are not in the document", async () => {
+    const { pdfDoc, mergeInfo } = await createDocument(2, { "https://x/acc": 0, "https://x/pilot": 5 });
+    addOutline(pdfDoc, mergeInfo);
+    assert.deepEqual(readOutline(pdfDoc), [
+      { title: "Driver support", page: 0, count: -1, children: [ { title: "ACC", page: 0, count: undefined, children: [] } ] }
+    ]);
+  });
+
+  it("adds a bookmark for the printed table of contents", async () => {
+    const { pdfDoc, mergeInfo } = await createDocument(4, { [TOC_URL]: 0, "https://x/acc": 2, "https://x/cable": 3 });
+    mergeInfo.printedTocPageIndex = 1;
+    mergeInfo.printedTocTitle = "Contents";
+    addOutline(pdfDoc, mergeInfo);
+    assert.deepEqual(readOutline(pdfDoc).map((item) => [ item.title, item.page ]), [ [ "XC40 manual", 0 ], [ "Contents", 1 ], [ "Driver support", 2 ], [ "Charging", 3 ] ]);
+  });
+
+  it("adds no outline without a ToC tree or pages", async () => {
+    const { pdfDoc, mergeInfo } = await createDocument(1, {});
+    addOutline(pdfDoc, mergeInfo);
+    assert.equal(readOutline(pdfDoc), undefined);
+    mergeInfo.tocTree = undefined;
+    mergeInfo.urlPageIndex.set(TOC_URL, 0);
+    addOutline(pdfDoc, mergeInfo);
+    assert.equal(readOutline(pdfDoc), undefined);
+    assert.deepEqual(mergeInfo.outlineRefs, []);
+  });
+});
@@ -0,0 +1,65 @@
+// Node.js builtin packages
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+// Dependencies from this package
+import "./helpers.js";
+import { DEFAULT_PAGE_ERROR_RULES } from "../lib/options.js";
+import { addScriptError, classifyPageError, describeScriptError, parsePageErrorRule, parsePageErrorRules } from "../lib/page-errors.js";
+
+const DEFAULT_RULES = parsePageErrorRules(DEFAULT_PAGE_ERROR_RULES);
+
+describe("parsePageErrorRule()", () => {
+  it("parses the action, the source and the regular expression", () => {
+    const rule = parsePageErrorRule("ignore,console,Failed to load resource: .*status of 40[34]");
+    assert.equal(rule.action, "ignore");
+    assert.equal(rule.source, "console");
+    assert.ok(rule.pattern.test("failed to load resource: the server responded with a status of 403"));
+  });
+
+  it("rejects the invalid rules", () => {
+    assert.throws(() => parsePageErrorRule("retry,pageerror"), /invalid page error rule/);
+    assert.throws(() => parsePageErrorRule("fail,pageerror,."), /the action must be one of/);
+    assert.throws(() => parsePageErrorRule("retry,network,."), /the source must be one of/);
+  });
+});
+
+describe("classifyPageError()", () => {
+  it("retries the failed hydrations and the chunk load errors by default", () => {
+    assert.deepEqual(classifyPageError(DEFAULT_RULES, "pageerror", "Minified React error #418; visit https://react.dev/errors/418"), {
+      source: "hydration",
+      text: "Minified React error #418; visit https://react.dev/errors/418",
+      action: "retry"
+    });
+    assert.equal(classifyPageError(DEFAULT_RULES, "console", "Error: Hydration failed because the initial UI does not match").action, "retry");
+    assert.equal(classifyPageError(DEFAULT_RULES, "pageerror", "ChunkLoadError: Loading chunk 123 failed.").action, "retry");
+    assert.equal(classifyPageError(DEFAULT_RULES, "pageerror", "utag is not defined").action, "warn");
+    assert.equal(classifyPageError(DEFAULT_RULES, "console", "Failed to load resource: net::ERR_BLOCKED_BY_CLIENT").action, "ignore");
+  });
+
+  it("applies the last matching rule", () => {
+    const rules = parsePageErrorRules([ ...DEFAULT_PAGE_ERROR_RULES, "retry,*,.", "ignore,pageerror,^utag" ]);
+    assert.equal(classifyPageError(rules, "pageerror", "utag is not defined").action, "ignore");
+    assert.equal(classifyPageError(rules, "console", "something went wrong").action, "retry");
+  });
+});
+
+describe("script errors", () => {
+  it("keeps only the errors that are not ignored", () => {
+    const scriptErrors = [];
+    addScriptError(scriptErrors, { source: "console", text: "noise", action: "ignore" });
+    addScriptError(scriptErrors, { source: "pageerror", text: "TypeError: x is undefined\n    at main.js:1:1", action: "warn" });
+    assert.equal(scriptErrors.length, 1);
+    assert.equal(describeScriptError(scriptErrors[0]), "[pageerror] TypeError: x is undefined");
+  });
+
+  it("keeps the errors that trigger a retry even after a flood of warnings", () => {
+    const scriptErrors = [];
+    for (let i = 0; i < 1000; i++) {
+      addScriptError(scriptErrors, { source: "pageerror", text: `TypeError: ${i}`, action: "warn" });
+    }
+    addScriptError(scriptErrors, { source: "hydration", text: "Hydration failed", action: "retry" });
+    assert.equal(scriptErrors.length, 101);
+    assert.equal(scriptErrors.filter((x) => x.action == "retry").length, 1);
+  });
+});
@@ -0,0 +1,123 @@
+// Node.js builtin packages
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+
+// 3rd-party packages
+import { PDFArray, PDFDict, PDFDocument, PDFName, StandardFonts } from "pdf-lib";
+
+// Dependencies from this package
+import { getDrawnTexts } from "./helpers.js";
+import { createMergeInfo } from "../lib/generator.js";
+import { postProcessMergedPdf } from "../lib/manual.js";
+import { getDefaultOptions } from "../lib/options.js";
+import { PRINTED_TOC_APPEND, PRINTED_TOC_REPLACE, addPrintedToc, createTextSanitizer } from "../lib/printed-toc.js";
+
+const TOC_URL = "https://x/manual/";
+// URL -> number of pages
+const PAGES = [
+  [ TOC_URL, 2 ],
+  [ "https://x/manual/acc", 3 ],
+  [ "https://x/manual/cable", 1 ],
+  [ "https://x/manual/times", 2 ]
+];
+
+// a merged PDF with blank pages for the URLs (like the one generatePdfs() produces)
+async function createMergedPdf() {
+  const pdfDoc = await PDFDocument.create();
+  const mergeInfo = createMergeInfo();
+  mergeInfo.tocUrl = TOC_URL;
+  mergeInfo.tocTitle = "Owner's manual";
+  mergeInfo.tocTree = [
+    { title: "Driver support", url: undefined, children: [ { title: "Adaptive cruise control", url: PAGES[1][0], children: [] } ] },
+    { title: "Charging", url: undefined, children: [ { title: "Charging cable", url: PAGES[2][0], children: [] }, { title: "Charging times", url: PAGES[3][0], children: [] } ] }
+  ];
+  for (const [ url, pageCount ] of PAGES) {
+    mergeInfo.urlPageIndex.set(url, pdfDoc.getPageCount());
+    for (let i = 0; i < pageCount; i++) {
+      pdfDoc.addPage();
+    }
+  }
+  return { pdfDoc, mergeInfo };
+}
+
+// the page indices the link annotations of a page point to
+function getLinkTargets(pdfDoc, pageIndex) {
+  const pageRefs = pdfDoc.getPages().map((page) => page.ref);
+  const annots = pdfDoc.getPage(pageIndex).node.lookupMaybe(PDFName.of("Annots"), PDFArray);
+  return annots.asArray().map((ref) => pageRefs.indexOf(pdfDoc.context.lookup(ref, PDFDict).lookup(PDFName.of("Dest"), PDFArray).get(0)));
+}
+
+describe("printed table of contents", () => {
+  it("is appended after the rendered ToC page and links to the articles", async () => {
+    const { pdfDoc, mergeInfo } = await createMergedPdf();
+    const pageCount = await addPrintedToc(pdfDoc, mergeInfo, Object.assign(getDefaultOptions(), { printedToc: PRINTED_TOC_APPEND }));
+    assert.equal(pageCount, 1);
+    assert.equal(pdfDoc.getPageCount(), 9);
+    assert.equal(mergeInfo.printedTocPageIndex, 2);
+    assert.equal(mergeInfo.urlPageIndex.get(TOC_URL), 0);
+    assert.deepEqual(PAGES.slice(1).map(([ url ]) => mergeInfo.urlPageIndex.get(url)), [ 3, 6, 7 ]);
+    // chapter, article, chapter, article, article
+    assert.deepEqual(getLinkTargets(pdfDoc, 2), [ 3, 3, 6, 6, 7 ]);
+  });
+
+  it("replaces the rendered ToC page", async () => {
+    const { pdfDoc, mergeInfo } = await createMergedPdf();
+    await addPrintedToc(pdfDoc, mergeInfo, Object.assign(getDefaultOptions(), { printedToc: PRINTED_TOC_REPLACE }));
+    assert.equal(pdfDoc.getPageCount(), 7);
+    assert.equal(mergeInfo.printedTocPageIndex, 0);
+    assert.equal(mergeInfo.urlPageIndex.has(TOC_URL), false);
+    assert.deepEqual(getLinkTargets(pdfDoc, 0), [ 1, 1, 4, 4, 5 ]);
+  });
+
+  it("continues on further pages", async () => {
+    const { pdfDoc, mergeInfo } = await createMergedPdf();
+    for (let i = 0; i < 60; i++) {
+      const url = `https://x/manual/more-${i}`;
+      mergeInfo.tocTree[1].children.push({ title: `Article ${i} with a title that is long enough to be shortened with an ellipsis at the end of the line`, url: url, children: [] });
+      mergeInfo.urlPageIndex.set(url, pdfDoc.getPageCount());
+      pdfDoc.addPage();
+    }
+    const pageCount = await addPrintedToc(pdfDoc, mergeInfo, Object.assign(getDefaultOptions(), { printedToc: PRINTED_TOC_APPEND }));
+    assert.equal(pageCount, 2);
+    assert.equal(mergeInfo.urlPageIndex.get(PAGES[1][0]), 4);
+    assert.equal(getLinkTargets(pdfDoc, 3).length, 65 - getLinkTargets(pdfDoc, 2).length);
+    await pdfDoc.save();
+  });
+});
+
+describe("postProcessMergedPdf()", () => {
+  it("stamps the pages after the printed table of contents was added", async () => {
+    const { pdfDoc, mergeInfo } = await createMergedPdf();
+    const directory = await mkdtemp(join(tmpdir(), "pdfgen4vcman-test-printed-toc-"));
+    try {
+      const output = join(directory, "manual.pdf");
+      const options = Object.assign(getDefaultOptions(), { pdfCleanup: false, printedToc: PRINTED_TOC_APPEND, stamp: [ "bottom-center={page} / {total}" ] });
+      assert.equal(await postProcessMergedPdf(pdfDoc, mergeInfo, TOC_URL, output, options, { exitCode: 0 }), 9);
+      // (the printed ToC is stamped as well)
+      for (let pageIndex = 0; pageIndex < 9; pageIndex++) {
+        assert.equal(getDrawnTexts(pdfDoc, pageIndex).at(-1), `${pageIndex + 1} / 9`);
+      }
+      const saved = await PDFDocument.load(await readFile(output));
+      assert.equal(saved.getPageCount(), 9);
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+});
+
+describe("createTextSanitizer()", () => {
+  it("drops the diacritics that the standard fonts can't print", async () => {
+    const sanitize = createTextSanitizer(await (await PDFDocument.create()).embedFont(StandardFonts.Helvetica));
+    assert.equal(sanitize("  Árvíztűrő\ttükörfúrógép "), "Árvízturo tükörfúrógép");
+  });
+
+  it("rejects the characters of other scripts (instead of printing them as \"?\")", async () => {
+    const { pdfDoc, mergeInfo } = await createMergedPdf();
+    mergeInfo.tocTree[1].children[0].title = "Зарядный кабель";
+    await assert.rejects(addPrintedToc(pdfDoc, mergeInfo, Object.assign(getDefaultOptions(), { printedToc: PRINTED_TOC_APPEND })),
+      /the text "Зарядный кабель" has characters that can't be printed with the standard PDF fonts .*: З а р я д н ы й к б е л ь$/);
+  });
+});
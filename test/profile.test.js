@@ -0,0 +1,73 @@
+// Node.js builtin packages
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+
+// Dependencies from this package
+import "./helpers.js";
+import { DEFAULT_PROFILE, createProfile, getProfile, loadProfile, validateProfile } from "../lib/profile.js";
+import { getDefaultOptions } from "../lib/options.js";
+
+describe("site profiles", () => {
+  let directory = undefined;
+
+  before(async () => {
+    directory = await mkdtemp(join(tmpdir(), "pdfgen4vcman-test-profile-"));
+  });
+  after(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it("include a valid default profile", () => {
+    assert.deepEqual(validateProfile(DEFAULT_PROFILE), []);
+    assert.equal(getProfile(getDefaultOptions()), DEFAULT_PROFILE);
+  });
+
+  it("merge the objects into the default profile", () => {
+    const profile = createProfile({ name: "mirror", toc: { titleSelector: "h1.title" }, article: { signInBanner: null } }, "the test profile");
+    assert.equal(profile.name, "mirror");
+    assert.equal(profile.toc.titleSelector, "h1.title");
+    // (the other fields of the merged objects are the defaults)
+    assert.equal(profile.toc.listSelector, DEFAULT_PROFILE.toc.listSelector);
+    assert.deepEqual(profile.toc.styles, DEFAULT_PROFILE.toc.styles);
+    assert.deepEqual(profile.article.contentSelectors, DEFAULT_PROFILE.article.contentSelectors);
+    assert.equal(profile.article.signInBanner, null);
+    // (the default profile is not changed)
+    assert.notEqual(DEFAULT_PROFILE.toc.titleSelector, "h1.title");
+    assert.notEqual(DEFAULT_PROFILE.article.signInBanner, null);
+  });
+
+  it("replace the arrays of the default profile", () => {
+    const profile = createProfile({ removeSelectors: [ "body header" ], consentHandlers: [], toc: { styles: [ { selector: "li", style: { margin: "0" } } ] } }, "the test profile");
+    assert.deepEqual(profile.removeSelectors, [ "body header" ]);
+    assert.deepEqual(profile.consentHandlers, []);
+    assert.deepEqual(profile.toc.styles, [ { selector: "li", style: { margin: "0" } } ]);
+  });
+
+  it("reject a missing or invalid selector", () => {
+    const profile = structuredClone(DEFAULT_PROFILE);
+    delete profile.toc.linkSelector;
+    assert.deepEqual(validateProfile(profile), [ "\"toc.linkSelector\" must be a non-empty string" ]);
+    assert.throws(() => createProfile({ toc: { listSelector: "" } }, "the test profile"), /the test profile is not valid: "toc.listSelector" must be a non-empty string/);
+    assert.throws(() => createProfile({ article: { contentSelectors: "body article" } }, "the test profile"), /"article.contentSelectors" must be an array of strings/);
+    assert.throws(() => createProfile({ consentHandlers: [ { type: "accept-all" } ] }, "the test profile"), /"consentHandlers" must be an array of objects with a "type"/);
+  });
+
+  it("reject an unsupported version", () => {
+    assert.throws(() => createProfile({ version: 2 }, "the test profile"), /the test profile is not valid: "version" must be 1/);
+    assert.throws(() => createProfile([], "the test profile"), /the test profile is not an object/);
+  });
+
+  it("are loaded from JSON files and JS modules", async () => {
+    const jsonPath = join(directory, "mirror.json");
+    await writeFile(jsonPath, JSON.stringify({ name: "mirror", toc: { titleSelector: "h1.title" } }));
+    assert.equal((await loadProfile(jsonPath)).toc.titleSelector, "h1.title");
+    const modulePath = join(directory, "mirror.mjs");
+    await writeFile(modulePath, "export default { name: \"mirror\", css: [ \"body { color: black; }\" ] };\n");
+    assert.deepEqual((await loadProfile(modulePath)).css, [ "body { color: black; }" ]);
+    await writeFile(jsonPath, JSON.stringify({ version: 0 }));
+    await assert.rejects(loadProfile(jsonPath), /is not valid: "version" must be 1/);
+  });
+});
@@ -0,0 +1,56 @@
+// Node.js builtin packages
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+// Dependencies from this package
+import { buildSearchIndex, searchIndex, tokenize } from "../lib/search.js";
+
+const DOCUMENTS = [
+  { url: "https://x/manual/acc", title: "Adaptive cruise control", tocPath: [ "Driver support" ], page: 3, headings: [ "Adaptive cruise control", "Warnings" ], text: "The adaptive cruise control keeps the distance to the vehicle ahead." },
+  { url: "https://x/manual/cable", title: "Charging cable", tocPath: [ "Charging" ], page: 7, headings: [ "Charging cable" ], text: "Only use an approved charging cable. Check the cable before charging." },
+  { url: "https://x/manual/times", title: "Charging times", tocPath: [ "Charging" ], page: 9, headings: [ "Charging times", "Warnings" ], text: "The charging time depends on the charging power and the temperature." }
+];
+
+describe("search index", () => {
+  const index = buildSearchIndex(DOCUMENTS, "Owner's manual", "https://x/manual/");
+
+  it("tokenizes case and diacritics insensitively", () => {
+    assert.deepEqual(tokenize("Fahrerunterstützung: 12 V, a/b"), [ "fahrerunterstutzung", "12" ]);
+  });
+
+  it("returns the page numbers and the ToC path of the hits", () => {
+    const hits = searchIndex(index, "cruise", 10);
+    assert.equal(hits.length, 1);
+    assert.equal(hits[0].page, 3);
+    assert.deepEqual(hits[0].tocPath, [ "Driver support" ]);
+    assert.match(hits[0].snippet, /cruise control keeps/);
+  });
+
+  it("requires all the words of the query", () => {
+    assert.deepEqual(searchIndex(index, "charging cable", 10).map((hit) => hit.page), [ 7 ]);
+    assert.deepEqual(searchIndex(index, "charging cruise", 10), []);
+  });
+
+  it("ranks the title higher than the text", () => {
+    assert.deepEqual(searchIndex(index, "cable", 10).map((hit) => hit.page), [ 7 ]);
+    assert.deepEqual(searchIndex(index, "time", 10).map((hit) => hit.page), [ 9 ]);
+    assert.equal(searchIndex(index, "charging", 10).length, 2);
+    // the word is in the title of one article and in the text of the other one
+    const rankingIndex = buildSearchIndex([
+      { url: "https://x/manual/battery", title: "High-voltage battery", tocPath: [ "Charging" ], page: 4, headings: [], text: "Precondition the car before driving in winter." },
+      { url: "https://x/manual/winter", title: "Winter driving", tocPath: [ "Driving" ], page: 12, headings: [], text: "The range is shorter in the cold, because the battery is less efficient." }
+    ], "Owner's manual", "https://x/manual/");
+    assert.deepEqual(searchIndex(rankingIndex, "battery", 10).map((hit) => hit.page), [ 4, 12 ]);
+    assert.deepEqual(searchIndex(rankingIndex, "winter", 10).map((hit) => hit.page), [ 12, 4 ]);
+  });
+
+  it("matches prefixes of at least 3 characters", () => {
+    assert.deepEqual(searchIndex(index, "temp", 10).map((hit) => hit.page), [ 9 ]);
+    assert.deepEqual(searchIndex(index, "te", 10), []);
+  });
+
+  it("limits the number of hits", () => {
+    assert.equal(searchIndex(index, "warnings", 1).length, 1);
+    assert.equal(searchIndex(index, "warnings", 0).length, 2);
+  });
+});
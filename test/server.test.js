@@ -0,0 +1,142 @@
+// Node.js builtin packages
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { access, mkdtemp, rm, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+
+// Dependencies from this package
+import "./helpers.js";
+import { JOB_CANCELLED, JOB_DONE, JOB_FAILED, JOB_RUNNING, createJobQueue, evictFinishedJobs, parseJobOptions, startServer } from "../lib/server.js";
+
+describe("parseJobOptions()", () => {
+  it("accepts the rendering and layout options", () => {
+    const options = parseJobOptions({ hyperlinks: true, concurrency: 2, pdfPageSize: "Letter", pdfTopBottomMargin: 12.5, includeChapter: [ "Charging" ], excludeUrl: [ "/article/old-" ], urlList: [ "https://x/manual/a" ], profile: { version: 1 } });
+    assert.equal(options.hyperlinks, true);
+    assert.equal(options.concurrency, 2);
+    assert.deepEqual(options.includeChapter, [ "Charging" ]);
+    assert.deepEqual(options.excludeUrl, [ /\/article\/old-/ ]);
+    assert.deepEqual(options.urlList, [ "https://x/manual/a" ]);
+    assert.deepEqual(parseJobOptions(undefined), {});
+  });
+
+  it("rejects the options that would let a client touch the machine", () => {
+    for (const key of [ "browserLongOption", "browserShortOption", "ghostscriptPath", "pdfCleanupBackend", "userDir", "pdfDir", "exportPath", "export", "output", "proxy", "proxyFile", "record", "replay", "forensicsDir", "headless", "keepBrowser", "notAnOption", "__proto__" ]) {
+      assert.throws(() => parseJobOptions(JSON.parse(`{ "${key}": [ "x" ] }`)), new RegExp(`option "${key}" is not supported`), key);
+    }
+  });
+
+  it("checks the types of the values", () => {
+    assert.throws(() => parseJobOptions({ hyperlinks: "yes" }), /option "hyperlinks" must be true or false/);
+    assert.throws(() => parseJobOptions({ concurrency: 1.5 }), /option "concurrency" must be a non-negative integer/);
+    assert.throws(() => parseJobOptions({ retries: -1 }), /option "retries" must be a non-negative integer/);
+  });
+
+  it("checks the bounds of the values", () => {
+    // (0 retries are unlimited retries and a timeout of 0 is no timeout)
+    assert.throws(() => parseJobOptions({ retries: 0 }), /option "retries" must be between 1 and 20/);
+    assert.throws(() => parseJobOptions({ timeout: 0 }), /option "timeout" must be between 1000 and 600000/);
+    assert.throws(() => parseJobOptions({ pdfTimeout: 3600000 }), /option "pdfTimeout" must be between 1000 and 600000/);
+    assert.throws(() => parseJobOptions({ concurrency: 500 }), /option "concurrency" must be between 1 and 4/);
+    assert.throws(() => parseJobOptions({ concurrency: 0 }), /option "concurrency" must be between 1 and 4/);
+    assert.throws(() => parseJobOptions({ concurrency: 3 }, 2), /option "concurrency" must be between 1 and 2/);
+    assert.deepEqual(parseJobOptions({ retries: 1, timeout: 1000, concurrency: 8 }, 8), { retries: 1, timeout: 1000, concurrency: 8 });
+    assert.throws(() => parseJobOptions({ pdfTopBottomMargin: "50" }), /option "pdfTopBottomMargin" must be a non-negative number/);
+    assert.throws(() => parseJobOptions({ stamp: "{page}" }), /option "stamp" must be a list of strings/);
+    assert.throws(() => parseJobOptions({ urlList: "/etc/urls.txt" }), /option "urlList" must be a list of strings/);
+    assert.throws(() => parseJobOptions({ profile: "/tmp/profile.mjs" }), /option "profile" must be an object/);
+    assert.throws(() => parseJobOptions([ "toc" ]), /"options" of the job must be an object/);
+    assert.throws(() => parseJobOptions({ includeUrl: [ "(" ] }), /Invalid regular expression/);
+  });
+});
+
+describe("evictFinishedJobs()", () => {
+  let directory = undefined;
+
+  before(async () => {
+    directory = await mkdtemp(join(tmpdir(), "pdfgen4vcman-test-server-"));
+  });
+  after(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it("deletes the expired and the oldest finished jobs with their PDFs", async () => {
+    const now = Date.parse("2026-03-01T12:00:00Z");
+    // (a TTL of an hour and at most 2 finished jobs)
+    const queue = createJobQueue(directory, 1, 10, 4, 3600, 2);
+    const addJob = async (id, status, minutesAgo) => {
+      const job = { id: id, status: status, finishedAt: minutesAgo === null ? null : new Date(now - minutesAgo * 60000).toISOString(), outputPath: join(directory, `${id}.pdf`) };
+      await writeFile(job.outputPath, "%PDF");
+      queue.jobs.set(id, job);
+    };
+    await addJob("expired", JOB_DONE, 61);
+    await addJob("oldest", JOB_FAILED, 30);
+    await addJob("older", JOB_CANCELLED, 20);
+    await addJob("newest", JOB_DONE, 10);
+    await addJob("running", JOB_RUNNING, null);
+    await evictFinishedJobs(queue, now);
+    assert.deepEqual(Array.from(queue.jobs.keys()), [ "older", "newest", "running" ]);
+    await assert.rejects(access(join(directory, "expired.pdf")));
+    await assert.rejects(access(join(directory, "oldest.pdf")));
+    await access(join(directory, "newest.pdf"));
+    // (an hour later)
+    await evictFinishedJobs(queue, now + 3600000);
+    assert.deepEqual(Array.from(queue.jobs.keys()), [ "running" ]);
+  });
+});
+
+describe("HTTP API", () => {
+  let server = undefined;
+  let baseUrl = undefined;
+  // no job may wait in the queue, so a valid job request ends with "queue full" (and no browser is launched)
+  const queue = createJobQueue(tmpdir(), 1, 0);
+
+  const postJob = (body, contentType) => fetch(`${baseUrl}/jobs`, {
+    method: "POST",
+    headers: { "Content-Type": contentType },
+    body: typeof body === "string" ? body : JSON.stringify(body)
+  });
+
+  before(async () => {
+    server = await startServer(queue, "127.0.0.1", 0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+  after(() => {
+    server.close();
+  });
+
+  it("accepts only JSON job requests", async () => {
+    const job = { url: "https://x/manual" };
+    for (const contentType of [ "text/plain", "application/x-www-form-urlencoded", "multipart/form-data; boundary=x" ]) {
+      const response = await postJob(job, contentType);
+      assert.equal(response.status, 415, contentType);
+      assert.match((await response.json()).error, /must be JSON/);
+    }
+    assert.equal((await postJob(job, "application/json; charset=utf-8")).status, 503);
+  });
+
+  it("rejects the invalid job requests", async () => {
+    assert.equal((await postJob("{", "application/json")).status, 400);
+    assert.equal((await postJob({ options: {} }, "application/json")).status, 400);
+    const response = await postJob({ url: "https://x/manual", options: { ghostscriptPath: "/bin/sh", pdfCleanupBackend: "ghostscript" } }, "application/json");
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).error, /option "ghostscriptPath" is not supported/);
+    for (const url of [ "file:///etc/passwd", "chrome://settings", "javascript:alert(1)", "/manual" ]) {
+      const urlResponse = await postJob({ url: url }, "application/json");
+      assert.equal(urlResponse.status, 400, url);
+      assert.match((await urlResponse.json()).error, /the "url" of the manual (must be an http or https URL|is not a valid URL)/);
+    }
+    assert.equal(queue.jobs.size, 0);
+  });
+
+  it("answers the other requests", async () => {
+    const jobs = await fetch(`${baseUrl}/jobs`);
+    assert.equal(jobs.status, 200);
+    assert.deepEqual(await jobs.json(), []);
+    assert.equal((await fetch(`${baseUrl}/jobs/unknown`)).status, 404);
+    assert.equal((await fetch(`${baseUrl}/jobs/unknown/pdf`)).status, 404);
+    assert.equal((await fetch(`${baseUrl}/other`)).status, 404);
+    // (e.g. a CORS preflight)
+    assert.equal((await fetch(`${baseUrl}/jobs`, { method: "OPTIONS" })).status, 405);
+  });
+});
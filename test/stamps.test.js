@@ -0,0 +1,51 @@
+// Node.js builtin packages
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+// 3rd-party packages
+import { PDFDocument } from "pdf-lib";
+
+// Dependencies from this package
+import { getDrawnTexts } from "./helpers.js";
+import { createMergeInfo } from "../lib/generator.js";
+import { getDefaultOptions } from "../lib/options.js";
+import { getStamps, parseStamps, stampPages } from "../lib/stamps.js";
+
+describe("page stamps", () => {
+  it("are parsed from position=template specifications", () => {
+    const stamps = parseStamps([ "top-left={title}", "bottom-center=Page {page} of {total}", "top-left=" ]);
+    assert.deepEqual(Array.from(stamps.entries()), [ [ "bottom-center", "Page {page} of {total}" ] ]);
+    assert.throws(() => parseStamps([ "middle={page}" ]), /invalid stamp/);
+    assert.throws(() => parseStamps([ "top-left={pages}" ]), /no "\{pages\}" variable/);
+  });
+
+  it("override the defaults of --stamp-pages", () => {
+    assert.equal(getStamps(getDefaultOptions()).size, 0);
+    const stamps = getStamps(Object.assign(getDefaultOptions(), { stampPages: true, stamp: [ "top-right=", "bottom-right={page}" ] }));
+    assert.deepEqual(Array.from(stamps.keys()), [ "top-left", "bottom-left", "bottom-right" ]);
+    assert.equal(stamps.get("bottom-right"), "{page}");
+  });
+
+  it("show the page number, the title and the chapter of the article on the page", async () => {
+    const pdfDoc = await PDFDocument.create();
+    const mergeInfo = createMergeInfo();
+    mergeInfo.tocUrl = "https://x/manual/";
+    mergeInfo.tocTitle = "Owner's manual";
+    mergeInfo.tocTree = [ { title: "Charging", url: undefined, children: [ { title: "Charging cable", url: "https://x/manual/cable", children: [] } ] } ];
+    mergeInfo.urlPageIndex.set("https://x/manual/", 0);
+    mergeInfo.urlPageIndex.set("https://x/manual/cable", 1);
+    [ 0, 1, 2 ].forEach(() => pdfDoc.addPage());
+    const options = Object.assign(getDefaultOptions(), { stampPages: true, stamp: [ "bottom-center={article}" ], titleCaption: "2026-10-19 12:00:00 GMT" });
+    assert.equal(await stampPages(pdfDoc, mergeInfo, options), 3);
+    assert.deepEqual(getDrawnTexts(pdfDoc, 0), [ "Owner's manual", "2026-10-19 12:00:00 GMT", "1 / 3" ]);
+    assert.deepEqual(getDrawnTexts(pdfDoc, 2), [ "Owner's manual", "Charging", "2026-10-19 12:00:00 GMT", "Charging cable", "3 / 3" ]);
+  });
+
+  it("reject the titles that the standard fonts can't print", async () => {
+    const pdfDoc = await PDFDocument.create();
+    const mergeInfo = createMergeInfo();
+    mergeInfo.tocTitle = "Руководство владельца";
+    pdfDoc.addPage();
+    await assert.rejects(stampPages(pdfDoc, mergeInfo, Object.assign(getDefaultOptions(), { stampPages: true })), /the text "Руководство владельца" has characters that can't be printed/);
+  });
+});
@@ -0,0 +1,76 @@
+// Node.js builtin packages
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+// Dependencies from this package
+import "./helpers.js";
+import { getDefaultOptions } from "../lib/options.js";
+import { createThrottle, getBackoffDelay, observeResponse, parseRetryAfter, reservePageSlot } from "../lib/throttle.js";
+
+const NOW = Date.parse("2026-03-01T12:00:00Z");
+const PAGE_URL = "https://www.volvocars.com/uk/support/car/xc90/article/abc";
+
+function createTestThrottle(options) {
+  const throttle = createThrottle(Object.assign(getDefaultOptions(), options));
+  // no jitter: always the upper half of the delay
+  throttle.random = () => 1;
+  return throttle;
+}
+
+describe("parseRetryAfter()", () => {
+  it("parses the seconds and the HTTP dates", () => {
+    assert.equal(parseRetryAfter("120", NOW), 120000);
+    assert.equal(parseRetryAfter("Sun, 01 Mar 2026 12:00:30 GMT", NOW), 30000);
+    assert.equal(parseRetryAfter("Sun, 01 Mar 2026 11:00:00 GMT", NOW), 0);
+    assert.equal(parseRetryAfter("soon", NOW), undefined);
+    assert.equal(parseRetryAfter(undefined, NOW), undefined);
+  });
+});
+
+describe("throttle", () => {
+  it("backs off exponentially up to the maximum", () => {
+    const throttle = createTestThrottle({ backoffBase: 5, backoffMax: 30 });
+    assert.deepEqual([ 1, 2, 3, 4, 5 ].map((failures) => getBackoffDelay(throttle, failures)), [ 5000, 10000, 20000, 30000, 30000 ]);
+    throttle.random = () => 0;
+    assert.equal(getBackoffDelay(throttle, 2), 5000);
+  });
+
+  it("backs off the throttled host and resets it after a successful response", () => {
+    const throttle = createTestThrottle({ backoffBase: 5 });
+    assert.equal(observeResponse(throttle, PAGE_URL, 200, {}, NOW), false);
+    assert.equal(observeResponse(throttle, PAGE_URL, 429, {}, NOW), true);
+    assert.equal(throttle.hosts.get("www.volvocars.com").backoffUntil, NOW + 5000);
+    // the other responses of the throttled page don't extend the back-off
+    assert.equal(observeResponse(throttle, PAGE_URL, 503, {}, NOW + 1000), true);
+    assert.equal(throttle.hosts.get("www.volvocars.com").failures, 1);
+    assert.equal(observeResponse(throttle, PAGE_URL, 429, {}, NOW + 6000), true);
+    assert.equal(throttle.hosts.get("www.volvocars.com").backoffUntil, NOW + 16000);
+    assert.equal(throttle.throttledCount, 3);
+
+    assert.equal(observeResponse(throttle, PAGE_URL, 200, {}, NOW + 20000), false);
+    assert.equal(throttle.hosts.get("www.volvocars.com").failures, 0);
+  });
+
+  it("honours the Retry-After header (up to the maximum back-off)", () => {
+    const throttle = createTestThrottle({ backoffMax: 60 });
+    assert.equal(observeResponse(throttle, PAGE_URL, 403, { "retry-after": "40" }, NOW), true);
+    assert.equal(throttle.hosts.get("www.volvocars.com").backoffUntil, NOW + 40000);
+    observeResponse(throttle, PAGE_URL, 429, { "retry-after": "3600" }, NOW);
+    assert.equal(throttle.hosts.get("www.volvocars.com").backoffUntil, NOW + 60000);
+    // a client error without a Retry-After header is not throttling
+    assert.equal(observeResponse(throttle, PAGE_URL, 404, {}, NOW), false);
+  });
+
+  it("delays the pages of the backed off hosts and paces the pages", () => {
+    const throttle = createTestThrottle({ pagesPerMinute: 30 });
+    observeResponse(throttle, "https://tracker.example.com/pixel", 429, {}, NOW);
+    // the back-off of an unrelated host doesn't delay the page
+    assert.equal(reservePageSlot(throttle, PAGE_URL, NOW), 0);
+    assert.equal(reservePageSlot(throttle, PAGE_URL, NOW), 2000);
+    assert.equal(reservePageSlot(throttle, PAGE_URL, NOW + 1000), 3000);
+    // the hosts of the resources whose errors fail a page delay the page too
+    observeResponse(throttle, "https://assets.volvocars.com/image.jpg", 429, {}, NOW);
+    assert.equal(reservePageSlot(throttle, PAGE_URL, NOW), 6000);
+    assert.equal(reservePageSlot(throttle, "https://example.com/page", NOW), 8000);
+  });
+});